@@ -1,14 +1,32 @@
 import { spawn } from 'child_process';
-import { readdir } from 'fs/promises';
-import { existsSync } from 'fs';
 import os from 'os';
 import http from 'http';
+import { detectCameras as detectRegisteredCameras } from './lib/camera-registry.js';
+import { createStreamSupervisor, SUPERVISOR_PORT } from './lib/stream-supervisor.js';
+import { createFrameBroadcaster } from './lib/stream-broadcaster.js';
+import { corsHeaders } from './lib/cors-policy.js';
+import { verifyStreamRequest } from './lib/stream-auth.js';
+import { configureLogging, setLogSettings, createLogger } from './lib/logger.js';
+import { loadConfig, getConfig, reloadConfig, onConfigChange } from './lib/config.js';
+import { applyStartupPreset } from './lib/camera-controls.js';
+import { isSource, buildFfmpegArgs } from './lib/ffmpeg-args.js';
 
 const isWindows = os.platform() === 'win32';
 
+configureLogging({ processName: 'streams' });
+const log = createLogger('streams');
+
+try {
+    loadConfig();
+} catch (error) {
+    log.error(error.message);
+    process.exit(1);
+}
+setLogSettings(getConfig().logs);
+
 async function detectCameraResolution(device) {
     return new Promise((resolve) => {
-        console.log(`🔍 Detecting resolution for: ${device}`);
+        log.info(`Detecting resolution for ${device}`);
 
         let ffmpegArgs;
         if (isWindows) {
@@ -55,7 +73,8 @@ async function detectCameraResolution(device) {
                 }
             }
 
-            // Sort resolutions by pixel count and find best one <= 1080p
+            // Sort resolutions by pixel count and find the best one within the configured bounds
+            const { maxWidth, maxHeight } = getConfig().streams;
             const sortedResolutions = resolutions
                 .map(res => {
                     const [width, height] = res.split('x').map(Number);
@@ -63,232 +82,274 @@ async function detectCameraResolution(device) {
                 })
                 .sort((a, b) => b.pixels - a.pixels);
 
-            // Find highest resolution that's <= 1920x1080
-            const maxRes = sortedResolutions.find(r => r.width <= 1920 && r.height <= 1080);
+            const maxRes = sortedResolutions.find(r => r.width <= maxWidth && r.height <= maxHeight);
             const selectedRes = maxRes ? maxRes.res : '1280x720'; // fallback
 
-            console.log(`📐 Camera ${device} - Available: [${resolutions.join(', ')}], Selected: ${selectedRes}`);
+            log.info(`Selected resolution ${selectedRes} for ${device}`, { available: resolutions });
             resolve(selectedRes);
         });
 
         ffmpeg.on('error', () => {
-            console.log(`⚠️  Could not detect resolution for ${device}, using default 1280x720`);
+            log.warn(`Could not detect resolution for ${device}, using default 1280x720`);
             resolve('1280x720');
         });
 
         // Timeout after 5 seconds
         setTimeout(() => {
             ffmpeg.kill('SIGTERM');
-            console.log(`⏱️  Resolution detection timeout for ${device}, using default 1280x720`);
+            log.warn(`Resolution detection timed out for ${device}, using default 1280x720`);
             resolve('1280x720');
         }, 5000);
     });
 }
 
-async function detectCameras() {
-    const detectedCameras = [];
-
-    try {
-        if (!isWindows) {
-            // Linux/Raspberry Pi camera detection
-            const videoDevices = await readdir('/dev');
-            const cameraDevices = videoDevices
-                .filter(device => device.startsWith('video'))
-                .map(device => `/dev/${device}`)
-                .filter(device => existsSync(device));
-
-            for (let i = 0; i < cameraDevices.length; i++) {
-                const resolution = await detectCameraResolution(cameraDevices[i]);
-                detectedCameras.push({
-                    id: i,
-                    device: cameraDevices[i],
-                    port: 20000 + i,
-                    resolution: resolution,
-                    fps: 5
-                });
-            }
-        } else {
-            // Windows camera detection using ffmpeg dshow
-            console.log('Windows detected - detecting cameras using dshow');
-
-            const ffmpeg = spawn('ffmpeg', ['-list_devices', 'true', '-f', 'dshow', '-i', 'dummy'], { stdio: 'pipe' });
-
-            return new Promise(async (resolve) => {
-                let output = '';
-                const deviceNames = [];
-
-                ffmpeg.stderr.on('data', (data) => {
-                    output += data.toString();
-                });
-
-                ffmpeg.on('close', async () => {
-                    const lines = output.split('\n');
-                    for (const line of lines) {
-                        if (line.includes('] "') && line.includes('" (video)')) {
-                            const match = line.match(/\] "([^"]+)" \(video\)/);
-                            if (match) {
-                                deviceNames.push(match[1]);
-                            }
-                        }
-                    }
+const MAX_VIEWERS_PER_CAMERA = 8;
+const CAMERA_RESCAN_INTERVAL_MS = 30000;
 
-                    // Now detect resolution for each camera
-                    for (let i = 0; i < deviceNames.length; i++) {
-                        const deviceName = deviceNames[i];
-                        const resolution = await detectCameraResolution(deviceName);
-                        detectedCameras.push({
-                            id: i,
-                            device: deviceName,
-                            port: 20000 + i,
-                            resolution: resolution,
-                            fps: 5
-                        });
-                    }
-
-                    resolve(detectedCameras);
-                });
-            });
-        }
-    } catch (error) {
-        console.error('Error detecting cameras:', error);
-    }
+const cameraStreams = new Map();
+const httpServers = [];
 
-    return detectedCameras;
+function sendJson(req, res, statusCode, body) {
+    res.writeHead(statusCode, {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-cache',
+        ...corsHeaders(req.headers.origin)
+    });
+    res.end(JSON.stringify(body));
 }
 
-const ffmpegProcesses = [];
-const httpServers = [];
+function sendText(req, res, statusCode, text, headers = {}) {
+    res.writeHead(statusCode, { 'Content-Type': 'text/plain', ...headers, ...corsHeaders(req.headers.origin) });
+    res.end(text);
+}
 
 function startCameraStream(camera) {
-    console.log(`🎥 Starting optimized MJPEG stream for camera ${camera.id} (${camera.device}) at ${camera.fps}fps`);
-
-    let ffmpegArgs;
-    if (isWindows) {
-        ffmpegArgs = [
-            '-f', 'dshow',
-            '-i', `video=${camera.device}`,
-            '-s', camera.resolution,
-            '-r', camera.fps.toString(),
-            '-f', 'mjpeg',
-            '-q:v', '8', // Slightly lower quality for less bandwidth
-            '-huffman', 'optimal',
-            '-'
-        ];
-    } else {
-        ffmpegArgs = [
-            '-f', 'v4l2',
-            '-i', camera.device,
-            '-s', camera.resolution,
-            '-r', camera.fps.toString(),
-            '-f', 'mjpeg',
-            '-q:v', '8', // Slightly lower quality for less bandwidth
-            '-huffman', 'optimal',
-            '-'
-        ];
-    }
+    const cameraLog = log.child({ cameraId: camera.id });
+    cameraLog.info(`Starting MJPEG stream for ${camera.device} at ${getConfig().streams.fps}fps`);
 
-    console.log(`🎬 FFmpeg command: ffmpeg ${ffmpegArgs.join(' ')}`);
+    const supervisor = createStreamSupervisor(camera, buildFfmpegArgs);
+    const broadcaster = createFrameBroadcaster(camera, { maxViewers: MAX_VIEWERS_PER_CAMERA });
+    supervisor.on('frame', broadcaster.broadcast);
 
-    const ffmpeg = spawn('ffmpeg', ffmpegArgs, { stdio: 'pipe' });
-    ffmpegProcesses.push(ffmpeg);
-
-    // Create HTTP server for MJPEG streaming
+    // Create HTTP server for MJPEG streaming. It outlives individual FFmpeg
+    // processes, so viewers are attached to the broadcaster rather than to stdout.
     const server = http.createServer((req, res) => {
-        if (req.url === '/stream') {
-            res.writeHead(200, {
-                'Content-Type': 'multipart/x-mixed-replace; boundary=--mjpegboundary',
-                'Cache-Control': 'no-cache, no-store, must-revalidate',
-                'Pragma': 'no-cache',
-                'Expires': '0',
-                'Connection': 'close',
-                'Access-Control-Allow-Origin': '*'
-            });
+        const url = new URL(req.url, `http://localhost:${camera.port}`);
 
-            // Stream FFmpeg output to HTTP response
-            ffmpeg.stdout.on('data', (data) => {
-                try {
-                    res.write(`\r\n--mjpegboundary\r\n`);
-                    res.write('Content-Type: image/jpeg\r\n');
-                    res.write(`Content-Length: ${data.length}\r\n\r\n`);
-                    res.write(data);
-                } catch (err) {
-                    console.error(`Error writing stream data for camera ${camera.id}:`, err);
-                }
-            });
+        // Frames are only served on URLs signed by server.js
+        if ((url.pathname === '/stream' || url.pathname === '/snapshot.jpg') && !verifyStreamRequest(camera.id, url)) {
+            sendText(req, res, 403, 'Missing, invalid or expired stream signature');
+            return;
+        }
 
-            req.on('close', () => {
-                res.end();
-            });
+        if (url.pathname === '/stream') {
+            if (!broadcaster.addViewer(req, res, supervisor.getLatestFrame()?.data)) {
+                cameraLog.warn(`Viewer limit (${MAX_VIEWERS_PER_CAMERA}) reached, rejecting ${req.socket.remoteAddress}`);
+                sendText(req, res, 503, 'Too many viewers for this camera', { 'Retry-After': '10' });
+            }
+        } else if (url.pathname === '/snapshot.jpg') {
+            const latestFrame = supervisor.getLatestFrame();
+            if (!latestFrame) {
+                sendText(req, res, 503, 'No frame available yet');
+                return;
+            }
 
-            req.on('error', () => {
-                res.end();
+            res.writeHead(200, {
+                'Content-Type': 'image/jpeg',
+                'Content-Length': latestFrame.data.length,
+                'Cache-Control': 'no-cache, no-store, must-revalidate',
+                'X-Frame-Timestamp': latestFrame.timestamp,
+                ...corsHeaders(req.headers.origin)
             });
+            res.end(latestFrame.data);
         } else {
+            // Health, stderr and viewer addresses are only on the loopback supervisor port
             res.writeHead(404);
             res.end();
         }
     });
 
     server.listen(camera.port, () => {
-        console.log(`🌐 Camera ${camera.id} MJPEG server started on port ${camera.port}`);
-        console.log(`📺 Stream available at: http://localhost:${camera.port}/stream`);
+        cameraLog.info(`MJPEG server started on port ${camera.port} (signed URLs from /api/cameras)`);
     });
 
-    httpServers.push(server);
+    cameraStreams.set(camera.id, { camera, supervisor, broadcaster, server });
+
+    // Everything is kept in the supervisor's stderr tail; the log only gets
+    // what ffmpeg itself tagged above info unless debug logging is on
+    supervisor.on('stderr', (line, level) => {
+        cameraLog[level](`FFmpeg: ${line}`);
+    });
 
-    // Handle FFmpeg process events
-    ffmpeg.stderr.on('data', (data) => {
-        const stderrOutput = data.toString();
+    supervisor.on('state', (health, previous) => {
+        const level = health.state === 'failed' || health.state === 'stalled' ? 'warn' : 'info';
+        cameraLog[level](`Stream ${previous} -> ${health.state}`, { restarts: health.restarts });
 
-        // Only log errors and important info
-        if (stderrOutput.includes('error') ||
-            stderrOutput.includes('failed') ||
-            stderrOutput.includes('Could not') ||
-            stderrOutput.includes('Stream #0:0')) {
-            console.log(`🔍 FFmpeg camera ${camera.id}: ${stderrOutput.trim()}`);
+        // Some drivers reset their controls when capture starts, so the
+        // saved preset goes on once frames are flowing
+        if (health.state === 'streaming' && previous === 'starting' && camera.type === 'v4l2') {
+            applyStartupPreset(camera)
+                .then(preset => preset && cameraLog.info(`Applied camera preset "${preset}"`))
+                .catch(error => cameraLog.warn('Could not apply camera preset', { error }));
         }
     });
 
-    ffmpeg.on('close', (code) => {
-        console.log(`⚠️  Camera ${camera.id} FFmpeg process ended with code ${code}`);
-        const processIndex = ffmpegProcesses.indexOf(ffmpeg);
-        if (processIndex > -1) {
-            ffmpegProcesses.splice(processIndex, 1);
+    supervisor.start();
+
+    return supervisor;
+}
+
+// Health of every camera stream in one place, for server.js. Loopback only.
+function startSupervisorServer() {
+    const server = http.createServer((req, res) => {
+        if (req.url === '/health') {
+            sendJson(req, res, 200, [...cameraStreams.values()].map(({ supervisor, broadcaster }) => ({
+                ...supervisor.getHealth(),
+                stream: broadcaster.getStats()
+            })));
+        } else if (req.url === '/viewers') {
+            sendJson(req, res, 200, [...cameraStreams.values()].map(({ camera, broadcaster }) => ({
+                cameraId: camera.id,
+                viewers: broadcaster.getViewers()
+            })));
+        } else if (req.url === '/stderr') {
+            sendJson(req, res, 200, [...cameraStreams.values()].map(({ supervisor }) => ({
+                cameraId: supervisor.getHealth().cameraId,
+                lines: supervisor.getStderrTail()
+            })));
+        } else if (req.method === 'POST' && req.url === '/reload-config') {
+            // server.js calls this after PATCH /api/config has saved the file
+            try {
+                sendJson(req, res, 200, { changed: reloadConfig() });
+            } catch (error) {
+                log.error('Could not reload configuration', { error });
+                sendJson(req, res, 400, { error: error.message });
+            }
+        } else if (req.url === '/process') {
+            const cpuUsage = process.cpuUsage();
+            sendJson(req, res, 200, {
+                pid: process.pid,
+                residentMemoryBytes: process.memoryUsage().rss,
+                cpuSeconds: (cpuUsage.user + cpuUsage.system) / 1e6,
+                uptime: process.uptime()
+            });
+        } else {
+            res.writeHead(404);
+            res.end();
         }
     });
 
-    ffmpeg.on('error', (err) => {
-        console.error(`💥 FFmpeg error for camera ${camera.id}:`, err);
+    server.listen(SUPERVISOR_PORT, '127.0.0.1', () => {
+        log.info(`Stream health available at http://127.0.0.1:${SUPERVISOR_PORT}/health`);
     });
 
-    return ffmpeg;
+    httpServers.push(server);
 }
 
-// Main execution
-async function main() {
-    console.log('🚀 Starting optimized MJPEG streams at 5fps...');
-    console.log(`Platform: ${isWindows ? 'Windows' : 'Linux'}`);
+// Starts a stream for every registered camera that does not have one yet.
+// Unplugged cameras keep their supervisor, which picks them back up on replug.
+async function startNewCameras() {
+    const registeredCameras = await detectRegisteredCameras();
+
+    for (const registeredCamera of registeredCameras) {
+        if (cameraStreams.has(registeredCamera.id)) {
+            continue;
+        }
 
-    const cameras = await detectCameras();
-    console.log(`Detected ${cameras.length} cameras`);
+        const camera = {
+            ...registeredCamera,
+            resolution: isSource(registeredCamera) ? null : await detectCameraResolution(registeredCamera.device)
+        };
 
-    cameras.forEach(camera => {
-        console.log(`  Camera ${camera.id}: ${camera.device} -> Port ${camera.port} (${camera.resolution} @ ${camera.fps}fps)`);
+        log.info(`Camera ${camera.id}: ${camera.device} (${camera.key}) -> port ${camera.port} (${camera.resolution || 'source size'} @ ${getConfig().streams.fps}fps)`, { cameraId: camera.id });
         startCameraStream(camera);
+    }
+}
+
+function stopCameraStream(cameraId) {
+    const { supervisor, broadcaster, server } = cameraStreams.get(cameraId);
+    cameraStreams.delete(cameraId);
+    broadcaster.closeAll();
+    supervisor.stop();
+    server.close();
+}
+
+// Removed sources stop, sources with a new URL, path or type restart (their
+// viewers stay connected) and new ones start
+async function applySourceConfig() {
+    const registered = new Map((await detectRegisteredCameras()).map(camera => [camera.id, camera]));
+
+    for (const [id, { camera, supervisor }] of cameraStreams) {
+        if (!isSource(camera)) {
+            continue;
+        }
+
+        const current = registered.get(id);
+        if (!current) {
+            log.info(`Camera source ${camera.name} removed, stopping its stream`, { cameraId: id });
+            stopCameraStream(id);
+        } else if (current.type !== camera.type || current.input !== camera.input) {
+            Object.assign(camera, { type: current.type, device: current.device, input: current.input });
+            supervisor.restart('camera source changed');
+        }
+    }
+
+    await startNewCameras();
+}
+
+// Restarts only the encoders; viewers stay connected to their broadcaster
+async function applyStreamConfig(changed) {
+    const resolutionChanged = changed.includes('streams.maxWidth') || changed.includes('streams.maxHeight');
+    const encoderChanged = resolutionChanged || changed.includes('streams.fps') || changed.includes('streams.jpegQuality');
+    if (!encoderChanged) {
+        return;
+    }
+
+    for (const { camera, supervisor } of cameraStreams.values()) {
+        if (resolutionChanged && !isSource(camera)) {
+            camera.resolution = await detectCameraResolution(camera.device);
+        }
+        supervisor.restart('stream settings changed');
+    }
+}
+
+// Main execution
+async function main() {
+    log.info(`Starting MJPEG streams at ${getConfig().streams.fps}fps on ${isWindows ? 'Windows' : 'Linux'}`);
+
+    onConfigChange((changed) => {
+        if (changed.some(key => key.startsWith('logs.'))) {
+            setLogSettings(getConfig().logs);
+        }
+        applyStreamConfig(changed).catch(error => log.error('Error applying stream settings', { error }));
+        if (changed.includes('cameras.sources')) {
+            applySourceConfig().catch(error => log.error('Error applying camera sources', { error }));
+        }
     });
+
+    startSupervisorServer();
+
+    await startNewCameras();
+    log.info(`Detected ${cameraStreams.size} cameras`);
+
+    setInterval(() => {
+        startNewCameras().catch(error => log.error('Error rescanning cameras', { error }));
+    }, CAMERA_RESCAN_INTERVAL_MS);
 }
 
-main().catch(console.error);
+main().catch(error => log.error('Stream startup failed', { error }));
 
 // Cleanup on exit
 function cleanup() {
-    console.log('🛑 Shutting down MJPEG streams...');
+    log.info('Shutting down MJPEG streams');
 
-    ffmpegProcesses.forEach(process => {
+    cameraStreams.forEach(({ supervisor, broadcaster, server }) => {
         try {
-            process.kill('SIGTERM');
+            broadcaster.closeAll();
+            supervisor.stop();
+            server.close();
         } catch (err) {
-            console.error('Error killing FFmpeg process:', err);
+            log.error('Error stopping FFmpeg process', { error: err });
         }
     });
 
@@ -296,7 +357,7 @@ function cleanup() {
         try {
             server.close();
         } catch (err) {
-            console.error('Error closing HTTP server:', err);
+            log.error('Error closing HTTP server', { error: err });
         }
     });
 
@@ -306,4 +367,4 @@ function cleanup() {
 process.on('SIGINT', cleanup);
 process.on('SIGTERM', cleanup);
 
-console.log('✅ Optimized MJPEG streams started at 5fps. Press Ctrl+C to stop.');
\ No newline at end of file
+log.info(`MJPEG streams started at ${getConfig().streams.fps}fps. Press Ctrl+C to stop.`);
\ No newline at end of file
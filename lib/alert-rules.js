@@ -0,0 +1,480 @@
+import axios from 'axios';
+import { getDatabase, addColumnIfMissing } from './database.js';
+import { extractLabels, getPrediction, parseTimestampFilter } from './prediction-store.js';
+import { getRegion } from './camera-regions.js';
+import { isPositiveResult, isNegativeLabel } from './image-archive.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('alerts');
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_RETRY_DELAYS_MS = [5000, 30000, 120000];
+
+let statements = null;
+
+// Recent matching hits per rule, camera and region, for "N hits in M minutes" rules
+const recentHits = new Map();
+
+function migrate(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS alert_rules (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            enabled INTEGER NOT NULL DEFAULT 1,
+            model TEXT,
+            camera_id INTEGER,
+            label TEXT,
+            min_confidence REAL,
+            hit_count INTEGER NOT NULL DEFAULT 1,
+            window_minutes REAL NOT NULL DEFAULT 0,
+            cooldown_minutes REAL NOT NULL DEFAULT 0,
+            webhook_urls TEXT NOT NULL DEFAULT '[]',
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS alerts (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            rule_id INTEGER NOT NULL,
+            rule_name TEXT NOT NULL,
+            camera_id INTEGER NOT NULL,
+            model TEXT NOT NULL,
+            label TEXT NOT NULL,
+            confidence REAL,
+            hits INTEGER NOT NULL,
+            prediction_id INTEGER,
+            triggered_at TEXT NOT NULL,
+            acknowledged_at TEXT,
+            delivery_status TEXT NOT NULL,
+            delivery_attempts INTEGER NOT NULL DEFAULT 0,
+            last_delivery_error TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_alerts_rule_camera ON alerts (rule_id, camera_id, triggered_at);
+        CREATE INDEX IF NOT EXISTS idx_alerts_triggered ON alerts (triggered_at);
+    `);
+
+    // Rules can watch a single tray; alerts remember which one fired
+    addColumnIfMissing(db, 'alert_rules', 'region_id', 'INTEGER');
+    addColumnIfMissing(db, 'alerts', 'region_id', 'INTEGER');
+    addColumnIfMissing(db, 'alerts', 'region_name', 'TEXT');
+}
+
+function getStatements() {
+    if (statements) {
+        return statements;
+    }
+
+    const db = getDatabase();
+    migrate(db);
+
+    statements = {
+        listRules: db.prepare('SELECT * FROM alert_rules ORDER BY id'),
+        listEnabledRules: db.prepare('SELECT * FROM alert_rules WHERE enabled = 1'),
+        getRule: db.prepare('SELECT * FROM alert_rules WHERE id = ?'),
+        insertRule: db.prepare(`
+            INSERT INTO alert_rules (name, enabled, model, camera_id, region_id, label, min_confidence, hit_count,
+                window_minutes, cooldown_minutes, webhook_urls, created_at, updated_at)
+            VALUES (@name, @enabled, @model, @cameraId, @regionId, @label, @minConfidence, @hitCount,
+                @windowMinutes, @cooldownMinutes, @webhookUrls, @createdAt, @updatedAt)
+        `),
+        updateRule: db.prepare(`
+            UPDATE alert_rules SET name = @name, enabled = @enabled, model = @model, camera_id = @cameraId,
+                region_id = @regionId, label = @label, min_confidence = @minConfidence, hit_count = @hitCount,
+                window_minutes = @windowMinutes, cooldown_minutes = @cooldownMinutes,
+                webhook_urls = @webhookUrls, updated_at = @updatedAt
+            WHERE id = @id
+        `),
+        deleteRule: db.prepare('DELETE FROM alert_rules WHERE id = ?'),
+        // Each region of a camera cools down on its own
+        lastAlert: db.prepare(`
+            SELECT triggered_at FROM alerts WHERE rule_id = ? AND camera_id = ? AND region_id IS ?
+            ORDER BY triggered_at DESC LIMIT 1
+        `),
+        insertAlert: db.prepare(`
+            INSERT INTO alerts (rule_id, rule_name, camera_id, region_id, region_name, model, label, confidence, hits,
+                prediction_id, triggered_at, delivery_status)
+            VALUES (@ruleId, @ruleName, @cameraId, @regionId, @regionName, @model, @label, @confidence, @hits,
+                @predictionId, @triggeredAt, @deliveryStatus)
+        `),
+        getAlert: db.prepare('SELECT * FROM alerts WHERE id = ?'),
+        acknowledgeAlert: db.prepare('UPDATE alerts SET acknowledged_at = ? WHERE id = ? AND acknowledged_at IS NULL'),
+        updateDelivery: db.prepare(
+            'UPDATE alerts SET delivery_status = ?, delivery_attempts = ?, last_delivery_error = ? WHERE id = ?'
+        ),
+        listUndelivered: db.prepare("SELECT * FROM alerts WHERE delivery_status IN ('pending', 'retrying') ORDER BY id")
+    };
+
+    return statements;
+}
+
+function toRule(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        enabled: row.enabled === 1,
+        model: row.model,
+        cameraId: row.camera_id,
+        regionId: row.region_id ?? null,
+        label: row.label,
+        minConfidence: row.min_confidence,
+        hitCount: row.hit_count,
+        windowMinutes: row.window_minutes,
+        cooldownMinutes: row.cooldown_minutes,
+        webhookUrls: JSON.parse(row.webhook_urls),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+function toAlert(row) {
+    return {
+        id: row.id,
+        ruleId: row.rule_id,
+        ruleName: row.rule_name,
+        cameraId: row.camera_id,
+        regionId: row.region_id ?? null,
+        regionName: row.region_name ?? null,
+        model: row.model,
+        label: row.label,
+        confidence: row.confidence,
+        hits: row.hits,
+        predictionId: row.prediction_id,
+        triggeredAt: row.triggered_at,
+        acknowledgedAt: row.acknowledged_at,
+        deliveryStatus: row.delivery_status,
+        deliveryAttempts: row.delivery_attempts,
+        lastDeliveryError: row.last_delivery_error
+    };
+}
+
+function optionalString(value, field, errors) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (typeof value !== 'string') {
+        errors.push(`${field} must be a string`);
+        return null;
+    }
+    return value;
+}
+
+function optionalNumber(value, field, errors, { min, max, integer } = {}) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || (integer && !Number.isInteger(number)) ||
+        (min !== undefined && number < min) || (max !== undefined && number > max)) {
+        errors.push(`${field} must be a${integer ? 'n integer' : ' number'}${min !== undefined ? ` >= ${min}` : ''}${max !== undefined ? ` and <= ${max}` : ''}`);
+        return null;
+    }
+    return number;
+}
+
+// Merges input over an existing rule (or defaults) and validates the result.
+// Throws an Error with a 400-friendly message listing every problem.
+function validateRule(input, existing = null) {
+    const merged = { ...(existing || {}), ...input };
+    const errors = [];
+
+    const name = optionalString(merged.name, 'name', errors);
+    if (!name) {
+        errors.push('name is required');
+    }
+
+    const webhookUrls = merged.webhookUrls ?? [];
+    if (!Array.isArray(webhookUrls) || webhookUrls.some(url => {
+        try {
+            return !['http:', 'https:'].includes(new URL(url).protocol);
+        } catch {
+            return true;
+        }
+    })) {
+        errors.push('webhookUrls must be an array of http(s) URLs');
+    }
+
+    const rule = {
+        name,
+        enabled: merged.enabled === undefined ? 1 : (merged.enabled ? 1 : 0),
+        model: optionalString(merged.model, 'model', errors),
+        cameraId: optionalNumber(merged.cameraId, 'cameraId', errors, { min: 0, integer: true }),
+        regionId: optionalNumber(merged.regionId, 'regionId', errors, { min: 1, integer: true }),
+        label: optionalString(merged.label, 'label', errors),
+        minConfidence: optionalNumber(merged.minConfidence, 'minConfidence', errors, { min: 0, max: 1 }),
+        hitCount: optionalNumber(merged.hitCount, 'hitCount', errors, { min: 1, integer: true }) ?? 1,
+        windowMinutes: optionalNumber(merged.windowMinutes, 'windowMinutes', errors, { min: 0 }) ?? 0,
+        cooldownMinutes: optionalNumber(merged.cooldownMinutes, 'cooldownMinutes', errors, { min: 0 }) ?? 0,
+        webhookUrls: JSON.stringify(Array.isArray(webhookUrls) ? webhookUrls : [])
+    };
+
+    // A region belongs to one camera, so the rule is pinned to it. Only checked
+    // when the region or camera changes, so a rule whose region was deleted can
+    // still be disabled or renamed.
+    const regionChanged = !existing || rule.regionId !== existing.regionId || rule.cameraId !== existing.cameraId;
+    if (rule.regionId !== null && regionChanged) {
+        const region = getRegion(rule.regionId);
+        if (!region) {
+            errors.push(`region ${rule.regionId} does not exist`);
+        } else if (rule.cameraId !== null && rule.cameraId !== region.cameraId) {
+            errors.push(`region ${rule.regionId} belongs to camera ${region.cameraId}, not camera ${rule.cameraId}`);
+        } else {
+            rule.cameraId = region.cameraId;
+        }
+    }
+
+    if (rule.hitCount > 1 && rule.windowMinutes === 0) {
+        errors.push('windowMinutes is required when hitCount is greater than 1');
+    }
+
+    if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+    }
+
+    return rule;
+}
+
+export function listRules() {
+    return getStatements().listRules.all().map(toRule);
+}
+
+export function getRule(id) {
+    const row = getStatements().getRule.get(id);
+    return row ? toRule(row) : null;
+}
+
+export function createRule(input) {
+    const rule = validateRule(input);
+    const now = new Date().toISOString();
+    const info = getStatements().insertRule.run({ ...rule, createdAt: now, updatedAt: now });
+    return getRule(Number(info.lastInsertRowid));
+}
+
+export function updateRule(id, input) {
+    const existing = getRule(id);
+    if (!existing) {
+        return null;
+    }
+
+    const rule = validateRule(input, existing);
+    getStatements().updateRule.run({ ...rule, id, updatedAt: new Date().toISOString() });
+    clearHits(id);
+    return getRule(id);
+}
+
+export function deleteRule(id) {
+    clearHits(id);
+    return getStatements().deleteRule.run(id).changes > 0;
+}
+
+function clearHits(ruleId) {
+    for (const key of recentHits.keys()) {
+        if (key.startsWith(`${ruleId}:`)) {
+            recentHits.delete(key);
+        }
+    }
+}
+
+export function queryAlerts(filters = {}) {
+    getStatements();
+    const db = getDatabase();
+
+    const conditions = [];
+    const params = [];
+
+    if (filters.active === 'true' || filters.active === true) {
+        conditions.push('acknowledged_at IS NULL');
+    }
+    if (filters.ruleId !== undefined && filters.ruleId !== '') {
+        conditions.push('rule_id = ?');
+        params.push(Number(filters.ruleId));
+    }
+    if (filters.cameraId !== undefined && filters.cameraId !== '') {
+        conditions.push('camera_id = ?');
+        params.push(Number(filters.cameraId));
+    }
+    if (filters.regionId !== undefined && filters.regionId !== '') {
+        conditions.push('region_id = ?');
+        params.push(Number(filters.regionId));
+    }
+    if (filters.from) {
+        conditions.push('triggered_at >= ?');
+        params.push(parseTimestampFilter(filters.from, 'from'));
+    }
+    if (filters.to) {
+        conditions.push('triggered_at <= ?');
+        params.push(parseTimestampFilter(filters.to, 'to'));
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const limit = Math.min(Math.max(Number.parseInt(filters.limit, 10) || 100, 1), 1000);
+    const offset = Math.max(Number.parseInt(filters.offset, 10) || 0, 0);
+
+    const total = db.prepare(`SELECT COUNT(*) AS count FROM alerts ${where}`).get(...params).count;
+    const rows = db
+        .prepare(`SELECT * FROM alerts ${where} ORDER BY triggered_at DESC, id DESC LIMIT ? OFFSET ?`)
+        .all(...params, limit, offset);
+
+    return { items: rows.map(toAlert), total, limit, offset };
+}
+
+export function acknowledgeAlert(id) {
+    const { acknowledgeAlert: acknowledge, getAlert } = getStatements();
+    const row = getAlert.get(id);
+    if (!row) {
+        return null;
+    }
+
+    acknowledge.run(new Date().toISOString(), id);
+    return toAlert(getAlert.get(id));
+}
+
+async function deliverWebhooks(alert, rule, prediction, attempt = 0) {
+    const { updateDelivery } = getStatements();
+    const payload = { alert, rule: { id: rule.id, name: rule.name }, prediction };
+
+    const failures = [];
+    for (const url of rule.webhookUrls) {
+        try {
+            await axios.post(url, payload, { timeout: WEBHOOK_TIMEOUT_MS });
+        } catch (error) {
+            const detail = error.response ? `status ${error.response.status}` : error.message;
+            failures.push(`${url}: ${detail}`);
+        }
+    }
+
+    if (failures.length === 0) {
+        updateDelivery.run('delivered', attempt + 1, null, alert.id);
+        return;
+    }
+
+    const lastError = failures.join('; ');
+    if (attempt >= WEBHOOK_RETRY_DELAYS_MS.length) {
+        log.error(`Giving up on webhooks for alert ${alert.id}`, { cameraId: alert.cameraId, error: lastError });
+        updateDelivery.run('failed', attempt + 1, lastError, alert.id);
+        return;
+    }
+
+    const delay = WEBHOOK_RETRY_DELAYS_MS[attempt];
+    log.warn(`Webhook delivery for alert ${alert.id} failed, retrying in ${delay / 1000}s`, { cameraId: alert.cameraId, error: lastError });
+    updateDelivery.run('retrying', attempt + 1, lastError, alert.id);
+
+    // Only retry the hooks that failed
+    const failedRule = { ...rule, webhookUrls: rule.webhookUrls.filter(url => failures.some(failure => failure.startsWith(`${url}:`))) };
+    setTimeout(() => {
+        deliverWebhooks(alert, failedRule, prediction, attempt + 1)
+            .catch(error => log.error(`Error delivering webhooks for alert ${alert.id}`, { cameraId: alert.cameraId, error }));
+    }, delay);
+}
+
+// Retries are timers, so a restart would leave alerts "retrying" forever.
+// Picks up where delivery stopped: the hooks that last failed, at the next delay.
+export function resumeWebhookDeliveries() {
+    const { listUndelivered, updateDelivery } = getStatements();
+
+    for (const row of listUndelivered.all()) {
+        const alert = toAlert(row);
+        const rule = getRule(row.rule_id);
+        if (!rule || rule.webhookUrls.length === 0) {
+            updateDelivery.run('failed', row.delivery_attempts, 'The alert rule or its webhooks were removed before delivery', row.id);
+            continue;
+        }
+
+        const failedUrls = rule.webhookUrls.filter(url => row.last_delivery_error?.includes(`${url}:`));
+        const resumedRule = { ...rule, webhookUrls: failedUrls.length > 0 ? failedUrls : rule.webhookUrls };
+        const prediction = row.prediction_id === null ? null : getPrediction(row.prediction_id);
+        const delay = row.delivery_attempts === 0 ? 0 : WEBHOOK_RETRY_DELAYS_MS[Math.min(row.delivery_attempts, WEBHOOK_RETRY_DELAYS_MS.length) - 1];
+
+        log.info(`Resuming webhook delivery for alert ${row.id}`, { cameraId: row.camera_id, attempt: row.delivery_attempts + 1 });
+        setTimeout(() => {
+            deliverWebhooks(alert, resumedRule, prediction, row.delivery_attempts)
+                .catch(error => log.error(`Error delivering webhooks for alert ${row.id}`, { cameraId: row.camera_id, error }));
+        }, delay);
+    }
+}
+
+function ruleMatches(rule, prediction, defaultMinConfidence) {
+    if (rule.model && rule.model !== prediction.model) {
+        return null;
+    }
+    if (rule.cameraId !== null && rule.cameraId !== prediction.cameraId) {
+        return null;
+    }
+    if (rule.regionId !== null && rule.regionId !== prediction.regionId) {
+        return null;
+    }
+
+    // Without a label a rule watches for findings, so "healthy" and the other
+    // negative labels never fire it
+    const minConfidence = rule.minConfidence ?? defaultMinConfidence;
+    if (!rule.label && !isPositiveResult(prediction.result, minConfidence)) {
+        return null;
+    }
+
+    // Strongest label on this frame that satisfies the rule
+    return extractLabels(prediction.result)
+        .filter(entry => (rule.label ? entry.label === rule.label : !isNegativeLabel(entry.label)))
+        .filter(entry => minConfidence === null || (entry.confidence !== null && entry.confidence >= minConfidence))
+        .sort((a, b) => (b.confidence ?? 0) - (a.confidence ?? 0))[0] || null;
+}
+
+// Runs every enabled rule against a stored prediction and returns the alerts
+// it triggered. Webhooks are delivered in the background. Rules without a
+// minConfidence use defaultMinConfidence, the model's threshold.
+// Hit windows and cooldowns run on arrival time: predictions replayed from the
+// upload queue can be hours old, and a backlog captured minutes apart would
+// otherwise trip "N hits in M minutes" rules all at once.
+export function evaluatePrediction(prediction, defaultMinConfidence = null) {
+    const { listEnabledRules, lastAlert, insertAlert, getAlert } = getStatements();
+    const triggered = [];
+    const now = Date.now();
+
+    for (const row of listEnabledRules.all()) {
+        const rule = toRule(row);
+        const match = ruleMatches(rule, prediction, defaultMinConfidence);
+        if (!match) {
+            continue;
+        }
+
+        const regionId = prediction.regionId ?? null;
+        const key = `${rule.id}:${prediction.cameraId}:${regionId ?? ''}`;
+        const windowStart = now - rule.windowMinutes * 60 * 1000;
+        const hits = (recentHits.get(key) || []).filter(timestamp => timestamp >= windowStart);
+        hits.push(now);
+        recentHits.set(key, hits);
+
+        if (hits.length < rule.hitCount) {
+            continue;
+        }
+
+        const previous = lastAlert.get(rule.id, prediction.cameraId, regionId);
+        if (previous && now - new Date(previous.triggered_at).getTime() < rule.cooldownMinutes * 60 * 1000) {
+            continue;
+        }
+
+        const info = insertAlert.run({
+            ruleId: rule.id,
+            ruleName: rule.name,
+            cameraId: prediction.cameraId,
+            regionId,
+            regionName: prediction.regionName ?? null,
+            model: prediction.model,
+            label: match.label,
+            confidence: match.confidence,
+            hits: hits.length,
+            predictionId: prediction.id ?? null,
+            triggeredAt: new Date(now).toISOString(),
+            deliveryStatus: rule.webhookUrls.length > 0 ? 'pending' : 'none'
+        });
+        recentHits.delete(key);
+
+        const alert = toAlert(getAlert.get(Number(info.lastInsertRowid)));
+        triggered.push(alert);
+
+        if (rule.webhookUrls.length > 0) {
+            deliverWebhooks(alert, rule, prediction)
+                .catch(error => log.error(`Error delivering webhooks for alert ${alert.id}`, { cameraId: alert.cameraId, error }));
+        }
+    }
+
+    return triggered;
+}
@@ -0,0 +1,350 @@
+import { randomBytes, scrypt, createHash, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { getDatabase } from './database.js';
+import { verifyApiRequest } from './stream-auth.js';
+import { createLogger } from './logger.js';
+
+const scryptAsync = promisify(scrypt);
+const log = createLogger('auth');
+
+export const ROLES = ['viewer', 'admin'];
+
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const API_KEY_PREFIX = 'vpk_';
+const MIN_PASSWORD_LENGTH = 8;
+const TICKET_TTL_MS = 30 * 1000;
+
+// Local development without logins; every request is treated as an admin
+const AUTH_DISABLED = process.env.VERTIPLANT_AUTH_DISABLED === 'true';
+
+let statements = null;
+// One-time tickets for EventSource, which can't send headers: ticket -> { auth, pathname, expiresAt }
+const tickets = new Map();
+
+function getStatements() {
+    if (statements) {
+        return statements;
+    }
+
+    const db = getDatabase();
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS users (
+            username TEXT PRIMARY KEY,
+            password_hash TEXT NOT NULL,
+            role TEXT NOT NULL,
+            created_at TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS sessions (
+            token_hash TEXT PRIMARY KEY,
+            username TEXT NOT NULL REFERENCES users (username) ON DELETE CASCADE,
+            created_at TEXT NOT NULL,
+            expires_at TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS api_keys (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            key_hash TEXT NOT NULL UNIQUE,
+            key_prefix TEXT NOT NULL,
+            role TEXT NOT NULL,
+            created_at TEXT NOT NULL,
+            last_used_at TEXT
+        );
+    `);
+
+    statements = {
+        countUsers: db.prepare('SELECT COUNT(*) AS count FROM users'),
+        countAdmins: db.prepare("SELECT COUNT(*) AS count FROM users WHERE role = 'admin'"),
+        getUser: db.prepare('SELECT * FROM users WHERE username = ?'),
+        listUsers: db.prepare('SELECT * FROM users ORDER BY username'),
+        insertUser: db.prepare('INSERT INTO users (username, password_hash, role, created_at) VALUES (?, ?, ?, ?)'),
+        updateUser: db.prepare('UPDATE users SET password_hash = ?, role = ? WHERE username = ?'),
+        deleteUser: db.prepare('DELETE FROM users WHERE username = ?'),
+        insertSession: db.prepare('INSERT INTO sessions (token_hash, username, created_at, expires_at) VALUES (?, ?, ?, ?)'),
+        getSession: db.prepare(`
+            SELECT sessions.*, users.role FROM sessions JOIN users ON users.username = sessions.username
+            WHERE token_hash = ? AND expires_at > ?
+        `),
+        deleteSession: db.prepare('DELETE FROM sessions WHERE token_hash = ?'),
+        deleteUserSessions: db.prepare('DELETE FROM sessions WHERE username = ?'),
+        deleteExpiredSessions: db.prepare('DELETE FROM sessions WHERE expires_at <= ?'),
+        listApiKeys: db.prepare('SELECT * FROM api_keys ORDER BY id'),
+        getApiKey: db.prepare('SELECT * FROM api_keys WHERE key_hash = ?'),
+        getApiKeyById: db.prepare('SELECT * FROM api_keys WHERE id = ?'),
+        insertApiKey: db.prepare(
+            'INSERT INTO api_keys (name, key_hash, key_prefix, role, created_at) VALUES (?, ?, ?, ?, ?)'
+        ),
+        touchApiKey: db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?'),
+        deleteApiKey: db.prepare('DELETE FROM api_keys WHERE id = ?')
+    };
+
+    return statements;
+}
+
+function hashToken(token) {
+    return createHash('sha256').update(token).digest('hex');
+}
+
+async function hashPassword(password) {
+    const salt = randomBytes(16);
+    const hash = await scryptAsync(password, salt, 64);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, saltHex, hashHex] = stored.split('$');
+    if (scheme !== 'scrypt') {
+        return false;
+    }
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await scryptAsync(password, Buffer.from(saltHex, 'hex'), expected.length);
+    return timingSafeEqual(expected, actual);
+}
+
+function toUser(row) {
+    return { username: row.username, role: row.role, createdAt: row.created_at };
+}
+
+function toApiKey(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        prefix: row.key_prefix,
+        role: row.role,
+        createdAt: row.created_at,
+        lastUsedAt: row.last_used_at
+    };
+}
+
+function validateRole(role) {
+    if (!ROLES.includes(role)) {
+        throw new Error(`role must be one of: ${ROLES.join(', ')}`);
+    }
+}
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+}
+
+// First start: create "admin" with VERTIPLANT_ADMIN_PASSWORD, or a random
+// password that is printed once
+export async function ensureAdminUser() {
+    if (AUTH_DISABLED) {
+        log.warn('Authentication is disabled (VERTIPLANT_AUTH_DISABLED=true)');
+        return;
+    }
+    if (getStatements().countUsers.get().count > 0) {
+        return;
+    }
+
+    const password = process.env.VERTIPLANT_ADMIN_PASSWORD || randomBytes(12).toString('base64url');
+    await createUser({ username: 'admin', password, role: 'admin' });
+
+    if (process.env.VERTIPLANT_ADMIN_PASSWORD) {
+        log.info('Created user "admin" with the password from VERTIPLANT_ADMIN_PASSWORD');
+    } else {
+        // Console only: log files are readable through /api/logs
+        log.warn('Created user "admin" with a generated password, printed to the console once');
+        console.log(`Password for "admin": ${password} (change it after logging in)`);
+    }
+}
+
+export function listUsers() {
+    return getStatements().listUsers.all().map(toUser);
+}
+
+export async function createUser({ username, password, role = 'viewer' }) {
+    if (typeof username !== 'string' || !/^[A-Za-z0-9_.-]{1,64}$/.test(username)) {
+        throw new Error('username must be 1-64 letters, digits, dots, dashes or underscores');
+    }
+    validatePassword(password);
+    validateRole(role);
+    if (getStatements().getUser.get(username)) {
+        throw new Error(`User "${username}" already exists`);
+    }
+
+    getStatements().insertUser.run(username, await hashPassword(password), role, new Date().toISOString());
+    return toUser(getStatements().getUser.get(username));
+}
+
+// Returns null when the user doesn't exist. Changing the password or role
+// signs the user out everywhere.
+export async function updateUser(username, { password, role }) {
+    const row = getStatements().getUser.get(username);
+    if (!row) {
+        return null;
+    }
+
+    if (password !== undefined) {
+        validatePassword(password);
+    }
+    if (role !== undefined) {
+        validateRole(role);
+        if (row.role === 'admin' && role !== 'admin' && getStatements().countAdmins.get().count === 1) {
+            throw new Error('Cannot demote the last admin');
+        }
+    }
+
+    const passwordHash = password !== undefined ? await hashPassword(password) : row.password_hash;
+    getStatements().updateUser.run(passwordHash, role ?? row.role, username);
+    getStatements().deleteUserSessions.run(username);
+    return toUser(getStatements().getUser.get(username));
+}
+
+export function deleteUser(username) {
+    const row = getStatements().getUser.get(username);
+    if (!row) {
+        return false;
+    }
+    if (row.role === 'admin' && getStatements().countAdmins.get().count === 1) {
+        throw new Error('Cannot delete the last admin');
+    }
+
+    getStatements().deleteUser.run(username);
+    getStatements().deleteUserSessions.run(username);
+    return true;
+}
+
+// Returns null for a wrong username or password
+export async function login(username, password) {
+    const row = typeof username === 'string' ? getStatements().getUser.get(username) : null;
+    if (!row || typeof password !== 'string' || !(await verifyPassword(password, row.password_hash))) {
+        return null;
+    }
+
+    const now = new Date();
+    const token = randomBytes(32).toString('base64url');
+    const expiresAt = new Date(now.getTime() + SESSION_TTL_MS).toISOString();
+
+    getStatements().deleteExpiredSessions.run(now.toISOString());
+    getStatements().insertSession.run(hashToken(token), row.username, now.toISOString(), expiresAt);
+
+    return { token, expiresAt, user: toUser(row) };
+}
+
+export function logout(token) {
+    if (token) {
+        getStatements().deleteSession.run(hashToken(token));
+    }
+}
+
+export function listApiKeys() {
+    return getStatements().listApiKeys.all().map(toApiKey);
+}
+
+// The key itself is only returned here; afterwards only its prefix is shown
+export function createApiKey({ name, role = 'viewer' }) {
+    if (typeof name !== 'string' || name.trim() === '') {
+        throw new Error('name is required');
+    }
+    validateRole(role);
+
+    const key = `${API_KEY_PREFIX}${randomBytes(24).toString('base64url')}`;
+    const info = getStatements().insertApiKey.run(
+        name.trim(),
+        hashToken(key),
+        key.slice(0, API_KEY_PREFIX.length + 6),
+        role,
+        new Date().toISOString()
+    );
+
+    return { ...toApiKey(getStatements().getApiKeyById.get(Number(info.lastInsertRowid))), key };
+}
+
+export function deleteApiKey(id) {
+    return getStatements().deleteApiKey.run(id).changes > 0;
+}
+
+// Session tokens and API keys are both accepted as "Authorization: Bearer ...".
+// They are never taken from the query string, where they'd end up in browser
+// history and access logs; see issueTicket and signApiPath instead.
+export function getRequestToken(req) {
+    const header = req.get('authorization');
+    if (header?.startsWith('Bearer ')) {
+        return header.slice('Bearer '.length).trim();
+    }
+    return req.get('x-api-key') || null;
+}
+
+// A short-lived ticket that authenticates a single GET of pathname
+export function issueTicket(auth, pathname) {
+    const now = Date.now();
+    for (const [ticket, entry] of tickets) {
+        if (entry.expiresAt < now) {
+            tickets.delete(ticket);
+        }
+    }
+
+    const ticket = randomBytes(24).toString('base64url');
+    tickets.set(ticket, { auth, pathname, expiresAt: now + TICKET_TTL_MS });
+    return { ticket, expiresAt: new Date(now + TICKET_TTL_MS).toISOString() };
+}
+
+function consumeTicket(ticket, pathname) {
+    const entry = tickets.get(ticket);
+    tickets.delete(ticket);
+    if (!entry || entry.expiresAt < Date.now() || entry.pathname !== pathname) {
+        return null;
+    }
+    return entry.auth;
+}
+
+// ?ticket= or a signed URL, for what a browser loads without fetch
+function resolveUrlCredential(req) {
+    if (req.method !== 'GET') {
+        return null;
+    }
+    if (typeof req.query.ticket === 'string') {
+        return consumeTicket(req.query.ticket, req.path);
+    }
+    if (typeof req.query.signature === 'string' && verifyApiRequest(new URL(req.originalUrl, 'http://localhost'))) {
+        return { username: 'signed-url', role: 'viewer', via: 'signed-url' };
+    }
+    return null;
+}
+
+function resolveToken(token) {
+    if (!token) {
+        return null;
+    }
+
+    const tokenHash = hashToken(token);
+    if (token.startsWith(API_KEY_PREFIX)) {
+        const key = getStatements().getApiKey.get(tokenHash);
+        if (!key) {
+            return null;
+        }
+        getStatements().touchApiKey.run(new Date().toISOString(), key.id);
+        return { username: `api-key:${key.name}`, role: key.role, via: 'api-key' };
+    }
+
+    const session = getStatements().getSession.get(tokenHash, new Date().toISOString());
+    return session ? { username: session.username, role: session.role, via: 'session' } : null;
+}
+
+export function authenticate(req, res, next) {
+    if (AUTH_DISABLED) {
+        req.auth = { username: 'anonymous', role: 'admin', via: 'disabled' };
+        return next();
+    }
+
+    const auth = resolveToken(getRequestToken(req)) || resolveUrlCredential(req);
+    if (!auth) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    req.auth = auth;
+    next();
+}
+
+export function requireRole(role) {
+    return (req, res, next) => {
+        if (ROLES.indexOf(req.auth?.role) < ROLES.indexOf(role)) {
+            return res.status(403).json({ error: `Requires the ${role} role` });
+        }
+        next();
+    };
+}
@@ -0,0 +1,273 @@
+import { spawn } from 'child_process';
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import os from 'os';
+import { DATA_DIR, dataPath } from './paths.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('camera-controls');
+
+// Point this at a stand-in script to test without a real camera
+const V4L2_CTL = process.env.VERTIPLANT_V4L2_CTL || 'v4l2-ctl';
+const V4L2_TIMEOUT_MS = 5000;
+const PRESETS_FILE = dataPath('camera-presets.json');
+const PRESET_NAME_PATTERN = /^[\w -]{1,40}$/;
+// Buttons, strings and bitmasks can't be meaningfully saved or restored
+const SETTABLE_TYPES = ['int', 'int64', 'bool', 'menu', 'intmenu'];
+
+const isWindows = os.platform() === 'win32';
+
+// "brightness 0x00980900 (int)    : min=-64 max=64 step=1 default=0 value=0 flags=inactive"
+const CONTROL_PATTERN = /^\s*(\w+)\s+0x[0-9a-f]+\s+\((\w+)\)\s*:\s*(.*)$/;
+// Menu entries follow their control: "1: Manual Mode"
+const MENU_ITEM_PATTERN = /^\s+(-?\d+): (.+?)\s*$/;
+
+function runV4l2Ctl(args) {
+    return new Promise((resolve, reject) => {
+        if (isWindows) {
+            reject(new Error('Camera controls are only available for V4L2 cameras on Linux'));
+            return;
+        }
+
+        const child = spawn(V4L2_CTL, args, { stdio: 'pipe' });
+        let stdout = '';
+        let stderr = '';
+
+        const timer = setTimeout(() => {
+            child.kill('SIGTERM');
+            reject(new Error(`v4l2-ctl did not answer within ${V4L2_TIMEOUT_MS / 1000}s`));
+        }, V4L2_TIMEOUT_MS);
+
+        child.stdout.on('data', (data) => {
+            stdout += data.toString();
+        });
+        child.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+
+        child.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error.code === 'ENOENT' ? new Error('v4l2-ctl is not installed (it is part of v4l-utils)') : error);
+        });
+
+        child.on('close', (code) => {
+            clearTimeout(timer);
+            if (code === 0) {
+                resolve(stdout);
+            } else {
+                reject(new Error(stderr.trim() || `v4l2-ctl exited with code ${code}`));
+            }
+        });
+    });
+}
+
+let runCommand = runV4l2Ctl;
+
+// runner(args) resolves with v4l2-ctl's output; null restores the real v4l2-ctl
+export function setV4l2Runner(runner) {
+    runCommand = runner ?? runV4l2Ctl;
+}
+
+function parseControls(output) {
+    const controls = [];
+    let menuControl = null;
+
+    for (const line of output.split('\n')) {
+        const match = line.match(CONTROL_PATTERN);
+        if (match) {
+            const [, name, type, rest] = match;
+            const fields = Object.fromEntries([...rest.matchAll(/(\w+)=(\S+)/g)].map(([, key, value]) => [key, value]));
+            const flags = fields.flags ? fields.flags.split(',') : [];
+            const number = key => (fields[key] === undefined ? null : Number(fields[key]));
+
+            menuControl = null;
+            if (!SETTABLE_TYPES.includes(type)) {
+                continue;
+            }
+
+            const control = {
+                name,
+                type,
+                min: type === 'bool' ? 0 : number('min'),
+                max: type === 'bool' ? 1 : number('max'),
+                step: number('step'),
+                default: number('default'),
+                value: number('value'),
+                readOnly: flags.includes('read-only'),
+                // e.g. manual exposure while auto exposure is on
+                inactive: flags.includes('inactive'),
+                menu: type === 'menu' || type === 'intmenu' ? [] : null
+            };
+            controls.push(control);
+            menuControl = control.menu ? control : null;
+            continue;
+        }
+
+        const item = menuControl && line.match(MENU_ITEM_PATTERN);
+        if (item) {
+            menuControl.menu.push({ value: Number(item[1]), label: item[2].replace(/\s*\(0x[0-9a-f]+\)$/, '') });
+        }
+    }
+
+    return controls;
+}
+
+// Every control the camera offers, with its range and current value
+export async function listControls(camera) {
+    if (camera.type !== 'v4l2') {
+        throw new Error('Camera controls are only available for V4L2 cameras on Linux');
+    }
+    return parseControls(await runCommand(['-d', camera.device, '--list-ctrls-menus']));
+}
+
+function validateValues(controls, values) {
+    const byName = new Map(controls.map(control => [control.name, control]));
+    const errors = [];
+    const entries = [];
+
+    for (const [name, input] of Object.entries(values)) {
+        const control = byName.get(name);
+        const value = typeof input === 'boolean' ? Number(input) : input;
+
+        if (!control) {
+            errors.push(`${name} is not a control of this camera`);
+        } else if (control.readOnly) {
+            errors.push(`${name} is read-only`);
+        } else if (!Number.isInteger(value)) {
+            errors.push(`${name} must be an integer`);
+        } else if (control.menu && !control.menu.some(item => item.value === value)) {
+            errors.push(`${name} must be one of ${control.menu.map(item => item.value).join(', ')}`);
+        } else if ((control.min !== null && value < control.min) || (control.max !== null && value > control.max)) {
+            errors.push(`${name} must be between ${control.min} and ${control.max}`);
+        } else {
+            entries.push([name, value]);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+    }
+
+    // Auto modes go first: a manual exposure or white balance is refused while
+    // its auto mode is still on
+    return entries.sort(([a], [b]) => Number(!a.includes('auto')) - Number(!b.includes('auto')));
+}
+
+// values: { control: number | boolean }. Applied one at a time so a refused
+// control doesn't stop the rest. Returns the controls as they are afterwards.
+export async function setControls(camera, values) {
+    if (typeof values !== 'object' || values === null || Array.isArray(values)) {
+        throw new Error('Expected an object of control values');
+    }
+
+    const entries = validateValues(await listControls(camera), values);
+    const failures = [];
+    for (const [name, value] of entries) {
+        try {
+            await runCommand(['-d', camera.device, `--set-ctrl=${name}=${value}`]);
+        } catch (error) {
+            failures.push(`${name}: ${error.message}`);
+        }
+    }
+
+    if (failures.length > 0) {
+        throw new Error(`The camera refused ${failures.join('; ')}`);
+    }
+    return listControls(camera);
+}
+
+// { cameras: { "<id>": { startupPreset, presets: { "<name>": { control: value } } } } }.
+// server.js writes it, ffmpeg-streams.js reads the startup presets.
+async function loadPresets() {
+    try {
+        const stored = JSON.parse(await readFile(PRESETS_FILE, 'utf8'));
+        if (!stored || typeof stored.cameras !== 'object') {
+            return { cameras: {} };
+        }
+        // Without a prototype, "constructor" or "__proto__" are just preset names
+        for (const entry of Object.values(stored.cameras)) {
+            entry.presets = Object.assign(Object.create(null), entry.presets);
+        }
+        return stored;
+    } catch {
+        return { cameras: {} };
+    }
+}
+
+async function savePresets(stored) {
+    await mkdir(DATA_DIR, { recursive: true });
+    const tempFile = `${PRESETS_FILE}.${process.pid}.tmp`;
+    await writeFile(tempFile, JSON.stringify(stored, null, 2));
+    await rename(tempFile, PRESETS_FILE);
+}
+
+function describePresets(entry) {
+    return {
+        startupPreset: entry?.startupPreset ?? null,
+        presets: Object.entries(entry?.presets || {}).map(([name, controls]) => ({ name, controls }))
+    };
+}
+
+export async function getPresets(cameraId) {
+    return describePresets((await loadPresets()).cameras[cameraId]);
+}
+
+// Without controls, the camera's current adjustable settings are saved
+export async function savePreset(camera, name, controls) {
+    if (!PRESET_NAME_PATTERN.test(name)) {
+        throw new Error('Preset names are 1-40 letters, digits, spaces, dashes or underscores');
+    }
+
+    const current = await listControls(camera);
+    const values = controls === undefined
+        ? Object.fromEntries(current.filter(control => !control.readOnly && !control.inactive).map(control => [control.name, control.value]))
+        : Object.fromEntries(validateValues(current, controls));
+
+    const stored = await loadPresets();
+    const entry = stored.cameras[camera.id] ??= { startupPreset: null, presets: Object.create(null) };
+    entry.presets[name] = values;
+    await savePresets(stored);
+    return describePresets(entry);
+}
+
+// Applies a preset now and makes it the one reapplied whenever the stream starts
+export async function applyPreset(camera, name) {
+    const stored = await loadPresets();
+    const entry = stored.cameras[camera.id];
+    if (!entry?.presets[name]) {
+        return null;
+    }
+
+    const controls = await setControls(camera, entry.presets[name]);
+    entry.startupPreset = name;
+    await savePresets(stored);
+    log.info(`Applied preset "${name}"`, { cameraId: camera.id });
+    return controls;
+}
+
+export async function deletePreset(cameraId, name) {
+    const stored = await loadPresets();
+    const entry = stored.cameras[cameraId];
+    if (!entry?.presets[name]) {
+        return false;
+    }
+
+    delete entry.presets[name];
+    if (entry.startupPreset === name) {
+        entry.startupPreset = null;
+    }
+    await savePresets(stored);
+    return true;
+}
+
+// For ffmpeg-streams.js, each time an encoder starts streaming. Returns the
+// preset name, or null when the camera has no startup preset.
+export async function applyStartupPreset(camera) {
+    const entry = (await loadPresets()).cameras[camera.id];
+    const name = entry?.startupPreset;
+    if (!name || !entry.presets[name]) {
+        return null;
+    }
+
+    await setControls(camera, entry.presets[name]);
+    return name;
+}
@@ -0,0 +1,232 @@
+import sharp from 'sharp';
+import { getDatabase } from './database.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('regions');
+
+const SHAPES = ['rect', 'polygon'];
+const MAX_NAME_LENGTH = 80;
+const MAX_POLYGON_POINTS = 32;
+// Anything smaller than this many pixels across can't be meaningfully predicted
+const MIN_CROP_PIXELS = 16;
+
+let statements = null;
+
+function migrate(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS camera_regions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            camera_id INTEGER NOT NULL,
+            name TEXT NOT NULL,
+            shape TEXT NOT NULL,
+            points TEXT NOT NULL,
+            enabled INTEGER NOT NULL DEFAULT 1,
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL,
+            UNIQUE (camera_id, name)
+        );
+    `);
+}
+
+function getStatements() {
+    if (statements) {
+        return statements;
+    }
+
+    const db = getDatabase();
+    migrate(db);
+
+    statements = {
+        listRegions: db.prepare('SELECT * FROM camera_regions WHERE camera_id = ? ORDER BY name'),
+        listEnabledRegions: db.prepare('SELECT * FROM camera_regions WHERE camera_id = ? AND enabled = 1 ORDER BY name'),
+        getRegion: db.prepare('SELECT * FROM camera_regions WHERE id = ?'),
+        findByName: db.prepare('SELECT id FROM camera_regions WHERE camera_id = ? AND name = ?'),
+        insertRegion: db.prepare(`
+            INSERT INTO camera_regions (camera_id, name, shape, points, enabled, created_at, updated_at)
+            VALUES (@cameraId, @name, @shape, @points, @enabled, @createdAt, @updatedAt)
+        `),
+        updateRegion: db.prepare(`
+            UPDATE camera_regions SET name = @name, shape = @shape, points = @points, enabled = @enabled,
+                updated_at = @updatedAt
+            WHERE id = @id
+        `),
+        deleteRegion: db.prepare('DELETE FROM camera_regions WHERE id = ?')
+    };
+
+    return statements;
+}
+
+function toRegion(row) {
+    return {
+        id: row.id,
+        cameraId: row.camera_id,
+        name: row.name,
+        shape: row.shape,
+        points: JSON.parse(row.points),
+        enabled: row.enabled === 1,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+function isPoint(point) {
+    return typeof point === 'object' && point !== null &&
+        [point.x, point.y].every(value => typeof value === 'number' && value >= 0 && value <= 1);
+}
+
+// Points are fractions of the frame (0-1), so regions survive a change of
+// camera resolution. A rect is given by two opposite corners.
+function validatePoints(shape, points, errors) {
+    if (!Array.isArray(points) || !points.every(isPoint)) {
+        errors.push('points must be an array of { x, y } with both between 0 and 1');
+        return null;
+    }
+
+    if (shape === 'rect') {
+        if (points.length !== 2) {
+            errors.push('a rect needs exactly 2 points (opposite corners)');
+            return null;
+        }
+        const [a, b] = points;
+        const corners = [
+            { x: Math.min(a.x, b.x), y: Math.min(a.y, b.y) },
+            { x: Math.max(a.x, b.x), y: Math.max(a.y, b.y) }
+        ];
+        if (corners[0].x === corners[1].x || corners[0].y === corners[1].y) {
+            errors.push('a rect must have a width and a height');
+            return null;
+        }
+        return corners;
+    }
+
+    if (points.length < 3 || points.length > MAX_POLYGON_POINTS) {
+        errors.push(`a polygon needs 3 to ${MAX_POLYGON_POINTS} points`);
+        return null;
+    }
+    return points.map(({ x, y }) => ({ x, y }));
+}
+
+// Merges input over an existing region and validates the result. Throws an
+// Error listing every problem.
+function validateRegion(cameraId, input, existing = null) {
+    const merged = { ...(existing || {}), ...input };
+    const errors = [];
+
+    const name = typeof merged.name === 'string' ? merged.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+        errors.push(`name is required and at most ${MAX_NAME_LENGTH} characters`);
+    } else {
+        const clash = getStatements().findByName.get(cameraId, name);
+        if (clash && clash.id !== existing?.id) {
+            errors.push(`camera ${cameraId} already has a region named "${name}"`);
+        }
+    }
+
+    const shape = merged.shape ?? 'rect';
+    if (!SHAPES.includes(shape)) {
+        errors.push(`shape must be one of: ${SHAPES.join(', ')}`);
+    }
+    const points = SHAPES.includes(shape) ? validatePoints(shape, merged.points, errors) : null;
+
+    if (merged.enabled !== undefined && typeof merged.enabled !== 'boolean') {
+        errors.push('enabled must be true or false');
+    }
+
+    if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+    }
+
+    return {
+        cameraId,
+        name,
+        shape,
+        points: JSON.stringify(points),
+        enabled: merged.enabled === false ? 0 : 1
+    };
+}
+
+export function listRegions(cameraId) {
+    return getStatements().listRegions.all(cameraId).map(toRegion);
+}
+
+// The regions each scheduled frame is split into; none means the whole frame
+export function getEnabledRegions(cameraId) {
+    return getStatements().listEnabledRegions.all(cameraId).map(toRegion);
+}
+
+export function getRegion(id) {
+    const row = getStatements().getRegion.get(id);
+    return row ? toRegion(row) : null;
+}
+
+// Input: { name, shape: 'rect' | 'polygon', points: [{ x, y }], enabled? }
+export function createRegion(cameraId, input) {
+    const region = validateRegion(cameraId, input);
+    const now = new Date().toISOString();
+    const info = getStatements().insertRegion.run({ ...region, createdAt: now, updatedAt: now });
+    log.info(`Region "${region.name}" created`, { cameraId });
+    return getRegion(Number(info.lastInsertRowid));
+}
+
+// Returns null when the region doesn't exist or belongs to another camera
+export function updateRegion(cameraId, id, input) {
+    const existing = getRegion(id);
+    if (!existing || existing.cameraId !== cameraId) {
+        return null;
+    }
+
+    const region = validateRegion(cameraId, input, existing);
+    getStatements().updateRegion.run({ ...region, id, updatedAt: new Date().toISOString() });
+    return getRegion(id);
+}
+
+// Predictions made for the region keep its id and name
+export function deleteRegion(cameraId, id) {
+    const existing = getRegion(id);
+    if (!existing || existing.cameraId !== cameraId) {
+        return false;
+    }
+
+    getStatements().deleteRegion.run(id);
+    log.info(`Region "${existing.name}" deleted`, { cameraId });
+    return true;
+}
+
+// Cuts the region's bounding box out of a frame. Outside a polygon the crop is
+// blacked out so neighbouring trays don't leak into the prediction. left and
+// top are where the crop sits in the frame, to map detection boxes back.
+export async function cropRegion(imageBuffer, region) {
+    const { width, height } = await sharp(imageBuffer).metadata();
+
+    const xs = region.points.map(point => point.x * width);
+    const ys = region.points.map(point => point.y * height);
+    const left = Math.max(0, Math.floor(Math.min(...xs)));
+    const top = Math.max(0, Math.floor(Math.min(...ys)));
+    const cropWidth = Math.min(width, Math.ceil(Math.max(...xs))) - left;
+    const cropHeight = Math.min(height, Math.ceil(Math.max(...ys))) - top;
+
+    if (cropWidth < MIN_CROP_PIXELS || cropHeight < MIN_CROP_PIXELS) {
+        throw new Error(`Region "${region.name}" is only ${cropWidth}x${cropHeight} pixels in a ${width}x${height} frame`);
+    }
+
+    let image = sharp(imageBuffer).extract({ left, top, width: cropWidth, height: cropHeight });
+    if (region.shape === 'polygon') {
+        const polygon = region.points
+            .map(point => `${point.x * width - left},${point.y * height - top}`)
+            .join(' ');
+        const mask = `<svg xmlns="http://www.w3.org/2000/svg" width="${cropWidth}" height="${cropHeight}"><polygon points="${polygon}" fill="#ffffff"/></svg>`;
+
+        // extract() has to run before the mask is applied, so finish the crop first
+        image = sharp(await image.png().toBuffer())
+            .composite([{ input: Buffer.from(mask), blend: 'dest-in' }])
+            .flatten({ background: '#000000' });
+    }
+
+    return {
+        image: await image.jpeg({ quality: 90 }).toBuffer(),
+        left,
+        top,
+        width: cropWidth,
+        height: cropHeight
+    };
+}
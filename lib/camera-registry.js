@@ -0,0 +1,287 @@
+import { spawn } from 'child_process';
+import { readdir, readFile, readlink, writeFile, rename, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import os from 'os';
+import { DATA_DIR, dataPath } from './paths.js';
+import { getConfig } from './config.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('cameras');
+
+const REGISTRY_FILE = dataPath('cameras.json');
+
+const isWindows = os.platform() === 'win32';
+
+// Raspberry Pi 5 (and older Pis) expose their ISP, codec and CSI front-end
+// as /dev/video* nodes. None of them can be opened as a plain camera.
+const NON_CAPTURE_DRIVER_NAMES = [
+    'pispbe',
+    'rp1-cfe',
+    'rpi-hevc-dec',
+    'bcm2835-codec',
+    'bcm2835-isp',
+    'unicam'
+];
+
+async function readSysfsName(videoNode) {
+    try {
+        const name = await readFile(`/sys/class/video4linux/${videoNode}/name`, 'utf8');
+        return name.trim();
+    } catch {
+        return null;
+    }
+}
+
+async function readSysfsIndex(videoNode) {
+    try {
+        const index = await readFile(`/sys/class/video4linux/${videoNode}/index`, 'utf8');
+        return Number.parseInt(index.trim(), 10);
+    } catch {
+        return null;
+    }
+}
+
+// Returns true/false when v4l2-ctl can tell us, null when it is not installed.
+function probeCaptureCapability(device) {
+    return new Promise((resolve) => {
+        const v4l2ctl = spawn('v4l2-ctl', ['-d', device, '--info'], { stdio: 'pipe' });
+        let output = '';
+        let settled = false;
+
+        const finish = (value) => {
+            if (!settled) {
+                settled = true;
+                resolve(value);
+            }
+        };
+
+        v4l2ctl.stdout.on('data', (data) => {
+            output += data.toString();
+        });
+
+        v4l2ctl.on('close', (code) => {
+            if (code !== 0) {
+                finish(false);
+                return;
+            }
+            // Only the "Device Caps" block describes this node; "Capabilities" covers the whole driver
+            const deviceCaps = output.split(/Device Caps\s*:/)[1] || output;
+            finish(/Video Capture/.test(deviceCaps));
+        });
+
+        v4l2ctl.on('error', () => finish(null));
+
+        setTimeout(() => {
+            v4l2ctl.kill('SIGTERM');
+            finish(null);
+        }, 3000);
+    });
+}
+
+async function isCaptureNode(videoNode, device) {
+    const driverName = await readSysfsName(videoNode);
+    if (driverName && NON_CAPTURE_DRIVER_NAMES.some(name => driverName.startsWith(name))) {
+        return false;
+    }
+
+    const capable = await probeCaptureCapability(device);
+    if (capable !== null) {
+        return capable;
+    }
+
+    // Without v4l2-ctl, fall back to the UVC convention: index 0 is the
+    // capture node, higher indexes are metadata nodes.
+    const index = await readSysfsIndex(videoNode);
+    return index === null || index === 0;
+}
+
+async function readLinkDirectory(directory) {
+    const links = new Map();
+
+    if (!existsSync(directory)) {
+        return links;
+    }
+
+    for (const entry of await readdir(directory)) {
+        try {
+            const target = await readlink(path.join(directory, entry));
+            links.set(path.basename(target), path.join(directory, entry));
+        } catch {
+            // Not a symlink
+        }
+    }
+
+    return links;
+}
+
+async function detectLinuxDevices() {
+    const byId = await readLinkDirectory('/dev/v4l/by-id');
+    const byPath = await readLinkDirectory('/dev/v4l/by-path');
+
+    const videoNodes = (await readdir('/dev'))
+        .filter(device => /^video\d+$/.test(device))
+        .sort((a, b) => Number(a.slice(5)) - Number(b.slice(5)));
+
+    const devices = [];
+    for (const videoNode of videoNodes) {
+        const node = `/dev/${videoNode}`;
+        if (!(await isCaptureNode(videoNode, node))) {
+            continue;
+        }
+
+        // by-id survives moving a USB camera to another port, by-path survives
+        // swapping two identical cameras; the raw node is the last resort.
+        const stablePath = byId.get(videoNode) || byPath.get(videoNode);
+        devices.push({
+            key: stablePath ? path.basename(stablePath) : `node:${videoNode}`,
+            type: 'v4l2',
+            name: (await readSysfsName(videoNode)) || videoNode,
+            device: stablePath || node,
+            node
+        });
+    }
+
+    return devices;
+}
+
+function detectWindowsDevices() {
+    return new Promise((resolve) => {
+        const ffmpeg = spawn('ffmpeg', ['-list_devices', 'true', '-f', 'dshow', '-i', 'dummy'], { stdio: 'pipe' });
+        let output = '';
+
+        ffmpeg.stderr.on('data', (data) => {
+            output += data.toString();
+        });
+
+        ffmpeg.on('close', () => {
+            const devices = [];
+            const seen = new Map();
+
+            for (const line of output.split('\n')) {
+                const match = line.match(/\] "([^"]+)" \(video\)/);
+                if (match) {
+                    const deviceName = match[1];
+                    // Identical webcams share a name; tell them apart by order
+                    const occurrence = seen.get(deviceName) || 0;
+                    seen.set(deviceName, occurrence + 1);
+
+                    devices.push({
+                        key: occurrence === 0 ? `dshow:${deviceName}` : `dshow:${deviceName}#${occurrence}`,
+                        type: 'dshow',
+                        name: deviceName,
+                        device: deviceName,
+                        node: deviceName
+                    });
+                }
+            }
+
+            resolve(devices);
+        });
+
+        ffmpeg.on('error', (err) => {
+            log.error('Error listing dshow devices', { error: err });
+            resolve([]);
+        });
+    });
+}
+
+// Credentials stay out of logs and the API
+function redactUrl(url) {
+    const parsed = new URL(url);
+    parsed.username = '';
+    parsed.password = '';
+    return parsed.toString();
+}
+
+// Sources from cameras.sources in the config file. The name is the key, so a
+// source keeps its ID and port when its URL changes. "input" is what ffmpeg
+// opens (null for devices); "device" is safe to show.
+function configuredSources() {
+    return getConfig().cameras.sources.map(source => ({
+        key: `source:${source.name}`,
+        type: source.type,
+        name: source.name,
+        device: source.type === 'file' ? source.path : redactUrl(source.url),
+        node: null,
+        input: source.type === 'file' ? path.resolve(source.path) : source.url
+    }));
+}
+
+async function loadRegistry() {
+    try {
+        const registry = JSON.parse(await readFile(REGISTRY_FILE, 'utf8'));
+        return registry && typeof registry.cameras === 'object' ? registry : { cameras: {} };
+    } catch {
+        return { cameras: {} };
+    }
+}
+
+async function saveRegistry(registry) {
+    await mkdir(DATA_DIR, { recursive: true });
+    const tempFile = `${REGISTRY_FILE}.${process.pid}.tmp`;
+    await writeFile(tempFile, JSON.stringify(registry, null, 2));
+    await rename(tempFile, REGISTRY_FILE);
+}
+
+// New cameras are assigned in key order so that server.js and
+// ffmpeg-streams.js arrive at the same IDs even when they detect a new
+// camera at the same time.
+function assignIds(registry, devices) {
+    const entries = registry.cameras;
+    const usedIds = new Set(Object.values(entries).map(entry => entry.id));
+    let changed = false;
+    let nextId = 0;
+    const basePort = getConfig().streams.basePort;
+
+    const unassigned = devices
+        .filter(device => !entries[device.key])
+        .map(device => device.key)
+        .sort();
+
+    for (const key of unassigned) {
+        while (usedIds.has(nextId)) {
+            nextId++;
+        }
+        entries[key] = { id: nextId, port: basePort + nextId };
+        usedIds.add(nextId);
+        changed = true;
+    }
+
+    return changed;
+}
+
+// Local devices plus the configured sources, each with a stable ID and port.
+// type is v4l2, dshow, rtsp, http or file.
+export async function detectCameras() {
+    let devices = [];
+
+    try {
+        devices = isWindows ? await detectWindowsDevices() : await detectLinuxDevices();
+    } catch (error) {
+        log.error('Error detecting cameras', { error });
+    }
+    devices.push(...configuredSources());
+
+    const registry = await loadRegistry();
+    if (assignIds(registry, devices)) {
+        try {
+            await saveRegistry(registry);
+        } catch (error) {
+            log.error('Error saving camera registry', { error });
+        }
+    }
+
+    return devices
+        .map(device => ({
+            id: registry.cameras[device.key].id,
+            key: device.key,
+            type: device.type,
+            name: device.name,
+            device: device.device,
+            node: device.node,
+            input: device.input ?? null,
+            port: registry.cameras[device.key].port
+        }))
+        .sort((a, b) => a.id - b.id);
+}
@@ -0,0 +1,405 @@
+import { readFileSync, writeFileSync, renameSync, existsSync } from 'fs';
+import { createLogger, LOG_LEVELS } from './logger.js';
+
+const log = createLogger('config');
+
+export const CONFIG_FILE = process.env.VERTIPLANT_CONFIG_FILE || './vertiplant.config.json';
+
+// Every setting the config file may hold (see vertiplant.config.example.json).
+// An "env" variable overrides the file. "runtime" settings can be changed
+// through PATCH /api/config and apply without a restart; the rest are read once.
+const SETTINGS = {
+    'server.port': { type: 'integer', default: 9003, min: 1, max: 65535, env: 'VERTIPLANT_PORT' },
+    'server.apiUrl': { type: 'url', default: 'https://vertiapp.xyz', env: 'VERTIPLANT_API_URL', runtime: true },
+    // Browser origins allowed to call the API and camera ports; "*" allows any.
+    // Requests without an Origin header (curl, Prometheus, same-origin) are unaffected.
+    'server.corsOrigins': { type: 'string[]', default: ['http://localhost:5173', 'http://127.0.0.1:5173'], env: 'VERTIPLANT_CORS_ORIGINS' },
+    'predictions.defaultIntervalSeconds': { type: 'number', default: 10, min: 1, env: 'VERTIPLANT_PREDICTION_INTERVAL_SECONDS', runtime: true },
+    'models.refreshIntervalMinutes': { type: 'number', default: 15, min: 1, runtime: true },
+    // Offered when the API is unreachable and no list was ever fetched
+    'models.fallback': { type: 'string[]', default: ['bacterial-disease', 'early-blight'], runtime: true },
+    'streams.fps': { type: 'integer', default: 5, min: 1, max: 30, env: 'VERTIPLANT_STREAM_FPS', runtime: true },
+    // ffmpeg -q:v, from 2 (best) to 31 (smallest frames)
+    'streams.jpegQuality': { type: 'integer', default: 8, min: 2, max: 31, env: 'VERTIPLANT_STREAM_JPEG_QUALITY', runtime: true },
+    // The largest camera mode within these bounds is used
+    'streams.maxWidth': { type: 'integer', default: 1920, min: 160, runtime: true },
+    'streams.maxHeight': { type: 'integer', default: 1080, min: 120, runtime: true },
+    // Only used when a new camera is registered; existing ones keep their port
+    'streams.basePort': { type: 'integer', default: 20000, min: 1024, max: 65000, env: 'VERTIPLANT_STREAM_BASE_PORT' },
+    // Cameras that aren't local devices: RTSP or HTTP MJPEG streams and video
+    // files looped at real time, e.g. { "name": "Rack B", "type": "rtsp", "url": "rtsp://..." }
+    // or { "name": "Replay", "type": "file", "path": "./footage.mp4" }
+    // Changes restart the affected streams; a source keeps its ID while its name stays
+    'cameras.sources': { type: 'camera-sources', default: [], env: 'VERTIPLANT_CAMERA_SOURCES', runtime: true },
+    // Baked into the dashboard at build time; null means http://localhost:<server.port>
+    'frontend.apiBase': { type: 'url', default: null, env: 'VERTIPLANT_API_BASE' },
+    // Frames that fail these checks are not sent to the models
+    'quality.enabled': { type: 'boolean', default: true, env: 'VERTIPLANT_QUALITY_GATE', runtime: true },
+    // Mean luminance, 0-255
+    'quality.minBrightness': { type: 'number', default: 20, min: 0, max: 255, runtime: true },
+    // Variance of the Laplacian; motion blur and lost focus score low
+    'quality.minSharpness': { type: 'number', default: 10, min: 0, runtime: true },
+    // Difference from the last analyzed frame, as a percentage of full scale
+    'quality.minChangePercent': { type: 'number', default: 0.5, min: 0, max: 100, runtime: true },
+    // An unchanged scene is still analyzed this often; 0 means never
+    'quality.maxUnchangedSeconds': { type: 'number', default: 600, min: 0, runtime: true },
+    'system.sampleIntervalSeconds': { type: 'number', default: 10, min: 2, runtime: true },
+    // How far back GET /api/system reaches
+    'system.historyMinutes': { type: 'number', default: 60, min: 1, runtime: true },
+    // The Pi 5 starts throttling at 85 °C
+    'system.warnTemperatureC': { type: 'number', default: 75, min: 0, runtime: true },
+    'system.warnCpuPercent': { type: 'number', default: 90, min: 0, max: 100, runtime: true },
+    'system.warnMemoryPercent': { type: 'number', default: 90, min: 0, max: 100, runtime: true },
+    'system.warnDiskFreePercent': { type: 'number', default: 10, min: 0, max: 100, runtime: true },
+    // Negatives are the bulk of the archive and the least interesting, so they go first
+    'archive.negativeRetentionDays': { type: 'number', default: 7, min: 0, env: 'VERTIPLANT_ARCHIVE_RETENTION_DAYS', runtime: true },
+    'archive.positiveRetentionDays': { type: 'number', default: 30, min: 0, env: 'VERTIPLANT_ARCHIVE_POSITIVE_RETENTION_DAYS', runtime: true },
+    // Archived frames plus time-lapse samples and videos
+    'archive.quotaMb': { type: 'number', default: 2048, min: 0, env: 'VERTIPLANT_ARCHIVE_QUOTA_MB', runtime: true },
+    // Below this capture slows down and old negatives are pruned; below half of it nothing is written
+    'archive.minFreeDiskMb': { type: 'number', default: 500, min: 0, env: 'VERTIPLANT_MIN_FREE_DISK_MB', runtime: true },
+    // Labels that mean nothing was found
+    'archive.negativeLabels': { type: 'string[]', default: ['healthy', 'negative', 'none', 'background'], env: 'VERTIPLANT_NEGATIVE_LABELS', runtime: true },
+    'timelapse.sampleIntervalSeconds': { type: 'number', default: 300, min: 1, env: 'VERTIPLANT_TIMELAPSE_INTERVAL_SECONDS' },
+    'timelapse.framesPerSecond': { type: 'integer', default: 24, min: 1, max: 60, env: 'VERTIPLANT_TIMELAPSE_FPS', runtime: true },
+    'timelapse.frameRetentionDays': { type: 'number', default: 14, min: 1, env: 'VERTIPLANT_TIMELAPSE_FRAME_RETENTION_DAYS', runtime: true },
+    'timelapse.videoRetentionDays': { type: 'number', default: 180, min: 1, env: 'VERTIPLANT_TIMELAPSE_VIDEO_RETENTION_DAYS', runtime: true },
+    // Any ffmpeg video encoder, e.g. h264_v4l2m2m for the Pi's hardware one
+    'timelapse.codec': { type: 'string', default: 'libx264', env: 'VERTIPLANT_TIMELAPSE_CODEC', runtime: true },
+    // MQTT publishing is off without a broker URL
+    'mqtt.url': { type: 'url', protocols: ['mqtt:', 'mqtts:', 'ws:', 'wss:'], default: null, env: 'VERTIPLANT_MQTT_URL' },
+    'mqtt.username': { type: 'string', default: null, env: 'VERTIPLANT_MQTT_USERNAME' },
+    'mqtt.password': { type: 'string', default: null, env: 'VERTIPLANT_MQTT_PASSWORD', secret: true },
+    // null means vertiplant-<hostname>
+    'mqtt.clientId': { type: 'string', default: null, env: 'VERTIPLANT_MQTT_CLIENT_ID' },
+    // null means vertiplant/<hostname>
+    'mqtt.topicPrefix': { type: 'string', default: null, env: 'VERTIPLANT_MQTT_TOPIC_PREFIX' },
+    'mqtt.qos': { type: 'integer', default: 1, min: 0, max: 2, env: 'VERTIPLANT_MQTT_QOS' },
+    'logs.level': { type: 'string', values: LOG_LEVELS, default: 'info', env: 'VERTIPLANT_LOG_LEVEL', runtime: true },
+    // "json" prints the same lines as the file, for log collectors reading stdout
+    'logs.format': { type: 'string', values: ['pretty', 'json'], default: 'pretty', env: 'VERTIPLANT_LOG_FORMAT', runtime: true },
+    // Per process, before rotating to server.1.log ...
+    'logs.maxFileMb': { type: 'number', default: 5, min: 1, env: 'VERTIPLANT_LOG_MAX_MB', runtime: true },
+    'logs.maxFiles': { type: 'integer', default: 5, min: 1, env: 'VERTIPLANT_LOG_FILES', runtime: true }
+};
+
+const REDACTED = '********';
+
+const SOURCE_TYPES = {
+    rtsp: ['rtsp:', 'rtsps:'],
+    http: ['http:', 'https:'],
+    file: null
+};
+
+let fileValues = {};
+let current = null;
+let sources = {};
+const listeners = [];
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// { streams: { fps: 5 } } -> { 'streams.fps': 5 }
+function flatten(object, prefix = '') {
+    const flat = {};
+    for (const [key, value] of Object.entries(object)) {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (isPlainObject(value)) {
+            Object.assign(flat, flatten(value, path));
+        } else {
+            flat[path] = value;
+        }
+    }
+    return flat;
+}
+
+function unflatten(flat) {
+    const object = {};
+    for (const [path, value] of Object.entries(flat)) {
+        const keys = path.split('.');
+        let target = object;
+        for (const key of keys.slice(0, -1)) {
+            target[key] ??= {};
+            target = target[key];
+        }
+        target[keys[keys.length - 1]] = value;
+    }
+    return object;
+}
+
+function hasProtocol(url, protocols) {
+    try {
+        return protocols.includes(new URL(url).protocol);
+    } catch {
+        return false;
+    }
+}
+
+function validateCameraSources(key, value, errors) {
+    if (!Array.isArray(value)) {
+        errors.push(`${key} must be an array of camera sources`);
+        return value;
+    }
+
+    const names = new Set();
+    value.forEach((source, index) => {
+        const label = `${key}[${index}]`;
+        if (!isPlainObject(source)) {
+            errors.push(`${label} must be an object`);
+            return;
+        }
+        if (typeof source.name !== 'string' || source.name.trim() === '') {
+            errors.push(`${label}.name is required`);
+        } else if (names.has(source.name)) {
+            errors.push(`${label}.name "${source.name}" is used twice`);
+        } else {
+            names.add(source.name);
+        }
+
+        if (!Object.hasOwn(SOURCE_TYPES, source.type)) {
+            errors.push(`${label}.type must be one of: ${Object.keys(SOURCE_TYPES).join(', ')}`);
+        } else if (source.type === 'file') {
+            if (typeof source.path !== 'string' || source.path === '') {
+                errors.push(`${label}.path is required for file sources`);
+            }
+        } else if (!hasProtocol(source.url, SOURCE_TYPES[source.type])) {
+            errors.push(`${label}.url must be a ${SOURCE_TYPES[source.type].map(protocol => protocol.slice(0, -1)).join(' or ')} URL`);
+        }
+    });
+    return value;
+}
+
+function validateSetting(key, value, errors) {
+    const setting = SETTINGS[key];
+    if (value === null && setting.default === null) {
+        return null;
+    }
+
+    switch (setting.type) {
+        case 'integer':
+        case 'number': {
+            const number = typeof value === 'number' ? value : Number.NaN;
+            if (!Number.isFinite(number) || (setting.type === 'integer' && !Number.isInteger(number)) ||
+                (setting.min !== undefined && number < setting.min) || (setting.max !== undefined && number > setting.max)) {
+                errors.push(`${key} must be a${setting.type === 'integer' ? 'n integer' : ' number'}${setting.min !== undefined ? ` >= ${setting.min}` : ''}${setting.max !== undefined ? ` and <= ${setting.max}` : ''}`);
+            }
+            return number;
+        }
+        case 'url': {
+            if (!hasProtocol(value, setting.protocols ?? ['http:', 'https:'])) {
+                const label = setting.protocols ? setting.protocols.map(protocol => protocol.slice(0, -1)).join('/') : 'http(s)';
+                errors.push(`${key} must be an ${label} URL`);
+            }
+            return typeof value === 'string' ? value.replace(/\/+$/, '') : value;
+        }
+        case 'string':
+            if (typeof value !== 'string' || value === '') {
+                errors.push(`${key} must be a non-empty string`);
+            } else if (setting.values && !setting.values.includes(value)) {
+                errors.push(`${key} must be one of: ${setting.values.join(', ')}`);
+            }
+            return value;
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                errors.push(`${key} must be true or false`);
+            }
+            return value;
+        case 'string[]':
+            if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || item === '')) {
+                errors.push(`${key} must be an array of non-empty strings`);
+            }
+            return value;
+        case 'camera-sources':
+            return validateCameraSources(key, value, errors);
+        default:
+            throw new Error(`Unknown setting type "${setting.type}"`);
+    }
+}
+
+function parseEnvValue(key, raw) {
+    switch (SETTINGS[key].type) {
+        case 'integer':
+        case 'number':
+            return raw.trim() === '' ? Number.NaN : Number(raw);
+        case 'boolean':
+            return { true: true, false: false }[raw.trim().toLowerCase()] ?? raw;
+        case 'camera-sources':
+            // The same JSON array as in the file
+            try {
+                return JSON.parse(raw);
+            } catch {
+                return raw;
+            }
+        case 'string[]':
+            return raw.split(',').map(item => item.trim()).filter(Boolean);
+        default:
+            return raw;
+    }
+}
+
+function readConfigFile() {
+    if (!existsSync(CONFIG_FILE)) {
+        return {};
+    }
+
+    const errors = [];
+    let flat = {};
+    try {
+        const parsed = JSON.parse(readFileSync(CONFIG_FILE, 'utf8'));
+        if (!isPlainObject(parsed)) {
+            throw new Error('expected a JSON object');
+        }
+        flat = flatten(parsed);
+    } catch (error) {
+        throw new Error(`Invalid config file ${CONFIG_FILE}: ${error.message}`);
+    }
+
+    const values = {};
+    for (const [key, value] of Object.entries(flat)) {
+        if (!SETTINGS[key]) {
+            errors.push(`unknown setting ${key}`);
+            continue;
+        }
+        values[key] = validateSetting(key, value, errors);
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid config file ${CONFIG_FILE}: ${errors.join('; ')}`);
+    }
+    return values;
+}
+
+// Defaults, then the file, then the environment
+function resolve(values) {
+    const errors = [];
+    const resolved = {};
+    const resolvedSources = {};
+
+    for (const [key, setting] of Object.entries(SETTINGS)) {
+        const raw = setting.env ? process.env[setting.env] : undefined;
+        if (raw !== undefined && raw !== '') {
+            resolved[key] = validateSetting(key, parseEnvValue(key, raw), errors);
+            resolvedSources[key] = 'env';
+        } else if (key in values) {
+            resolved[key] = values[key];
+            resolvedSources[key] = 'file';
+        } else {
+            resolved[key] = setting.default;
+            resolvedSources[key] = 'default';
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid environment override: ${errors.join('; ')}`);
+    }
+    return { resolved, resolvedSources };
+}
+
+function apply(values) {
+    const previous = current ? flatten(current) : null;
+    const { resolved, resolvedSources } = resolve(values);
+
+    fileValues = values;
+    current = unflatten(resolved);
+    sources = resolvedSources;
+
+    if (!previous) {
+        return [];
+    }
+
+    const changed = Object.keys(resolved).filter(key => JSON.stringify(previous[key]) !== JSON.stringify(resolved[key]));
+    if (changed.length > 0) {
+        log.info(`Configuration changed: ${changed.join(', ')}`);
+        for (const listener of listeners) {
+            try {
+                listener(changed, current);
+            } catch (error) {
+                log.error('Error applying configuration change', { error });
+            }
+        }
+    }
+    return changed;
+}
+
+// Throws when the file or an environment override is invalid
+export function loadConfig() {
+    apply(readConfigFile());
+    return current;
+}
+
+export function getConfig() {
+    return current ?? loadConfig();
+}
+
+// Re-reads the file, e.g. after the other process changed it. Returns the
+// keys whose value changed; listeners have already been told.
+export function reloadConfig() {
+    getConfig();
+    return apply(readConfigFile());
+}
+
+// listener(changedKeys, config) runs after every change, from either
+// updateConfig() or reloadConfig()
+export function onConfigChange(listener) {
+    listeners.push(listener);
+}
+
+// Secrets are masked; they can still be replaced
+export function describeConfig() {
+    const flat = flatten(getConfig());
+    for (const [key, setting] of Object.entries(SETTINGS)) {
+        if (setting.secret && flat[key] !== null) {
+            flat[key] = REDACTED;
+        }
+    }
+
+    return {
+        file: CONFIG_FILE,
+        values: unflatten(flat),
+        settings: Object.entries(SETTINGS).map(([key, setting]) => ({
+            key,
+            value: flat[key],
+            default: setting.default,
+            source: sources[key],
+            env: setting.env ?? null,
+            runtime: Boolean(setting.runtime)
+        }))
+    };
+}
+
+// Takes a partial nested object, e.g. { streams: { fps: 10 } }, validates it,
+// saves it to the config file and applies it. Throws listing every problem.
+export function updateConfig(patch) {
+    getConfig();
+    if (!isPlainObject(patch)) {
+        throw new Error('Expected a JSON object of settings');
+    }
+
+    const errors = [];
+    const updates = {};
+    for (const [key, value] of Object.entries(flatten(patch))) {
+        const setting = SETTINGS[key];
+        if (!setting) {
+            errors.push(`unknown setting ${key}`);
+        } else if (!setting.runtime) {
+            errors.push(`${key} is only read at startup; change it in ${CONFIG_FILE} and restart`);
+        } else if (sources[key] === 'env') {
+            errors.push(`${key} is set by the ${setting.env} environment variable`);
+        } else {
+            updates[key] = validateSetting(key, value, errors);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+    }
+
+    const values = { ...fileValues, ...updates };
+    const tmpFile = `${CONFIG_FILE}.tmp`;
+    writeFileSync(tmpFile, `${JSON.stringify(unflatten(values), null, 4)}\n`);
+    renameSync(tmpFile, CONFIG_FILE);
+
+    apply(values);
+    return describeConfig();
+}
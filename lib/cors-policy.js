@@ -0,0 +1,23 @@
+import { getConfig } from './config.js';
+
+// Origins allowed to call the API and camera ports from a browser, from the
+// server.corsOrigins setting. Requests without an Origin header are unaffected.
+function allowedOrigins() {
+    return getConfig().server.corsOrigins.map(origin => origin.replace(/\/+$/, ''));
+}
+
+export function isOriginAllowed(origin) {
+    if (!origin) {
+        return true;
+    }
+    const origins = allowedOrigins();
+    return origins.includes('*') || origins.includes(origin);
+}
+
+// For the plain http servers in ffmpeg-streams.js
+export function corsHeaders(origin) {
+    if (!origin || !isOriginAllowed(origin)) {
+        return {};
+    }
+    return { 'Access-Control-Allow-Origin': origin, 'Vary': 'Origin' };
+}
@@ -0,0 +1,189 @@
+import { iteratePredictions } from './prediction-store.js';
+import { isPositiveResult, isNegativeLabel } from './image-archive.js';
+import { getConfidenceThreshold } from './model-registry.js';
+
+const TOP_LABEL_COUNT = 5;
+
+// Days follow the node's local clock, like the time-lapses
+export function parseReportDate(value) {
+    if (value === undefined || value === '') {
+        const now = new Date();
+        return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    }
+
+    const match = typeof value === 'string' ? value.match(/^(\d{4})-(\d{2})-(\d{2})$/) : null;
+    if (!match) {
+        throw new Error('date must be in YYYY-MM-DD format');
+    }
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+export function formatReportDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// The labels that made a prediction positive, each counted once per frame
+function positiveLabels(result, minConfidence) {
+    const isConfident = confidence => minConfidence === null || (typeof confidence === 'number' && confidence >= minConfidence);
+    const findings = result.detections.length > 0 ? result.detections : [result];
+    return [...new Set(findings
+        .filter(finding => finding.label && isConfident(finding.confidence) && !isNegativeLabel(finding.label))
+        .map(finding => finding.label))];
+}
+
+// Per camera, region and model: frames analyzed, how many were positive, the most
+// frequent positive labels and when something was first and last seen
+export function buildDailySummary(day) {
+    const from = new Date(day.getFullYear(), day.getMonth(), day.getDate());
+    // "to" is inclusive, so stop just before the next midnight
+    const to = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1, 0, 0, 0, -1);
+
+    const groups = new Map();
+    const thresholds = new Map();
+    for (const prediction of iteratePredictions({ from: from.toISOString(), to: to.toISOString() })) {
+        const key = `${prediction.cameraId}:${prediction.regionId ?? ''}:${prediction.model}`;
+        if (!groups.has(key)) {
+            groups.set(key, {
+                cameraId: prediction.cameraId,
+                regionId: prediction.regionId,
+                regionName: prediction.regionName,
+                model: prediction.model,
+                frames: 0,
+                positives: 0,
+                labelCounts: new Map(),
+                firstSighting: null,
+                lastSighting: null
+            });
+        }
+
+        if (!thresholds.has(prediction.model)) {
+            thresholds.set(prediction.model, getConfidenceThreshold(prediction.model));
+        }
+        const threshold = thresholds.get(prediction.model);
+
+        const group = groups.get(key);
+        group.frames++;
+        // A renamed region is listed under its latest name
+        group.regionName = prediction.regionName;
+        if (!isPositiveResult(prediction.result, threshold)) {
+            continue;
+        }
+
+        group.positives++;
+        group.firstSighting ??= prediction.timestamp;
+        group.lastSighting = prediction.timestamp;
+        for (const label of positiveLabels(prediction.result, threshold)) {
+            group.labelCounts.set(label, (group.labelCounts.get(label) || 0) + 1);
+        }
+    }
+
+    const rows = [...groups.values()]
+        .sort((a, b) => a.cameraId - b.cameraId || (a.regionName ?? '').localeCompare(b.regionName ?? '') ||
+            a.model.localeCompare(b.model))
+        .map(({ labelCounts, ...group }) => ({
+            ...group,
+            positiveRate: group.frames > 0 ? group.positives / group.frames : 0,
+            topLabels: [...labelCounts.entries()]
+                .sort(([, a], [, b]) => b - a)
+                .slice(0, TOP_LABEL_COUNT)
+                .map(([label, count]) => ({ label, count }))
+        }));
+
+    return {
+        date: formatReportDate(from),
+        from: from.toISOString(),
+        to: to.toISOString(),
+        generatedAt: new Date().toISOString(),
+        totals: {
+            frames: rows.reduce((total, row) => total + row.frames, 0),
+            positives: rows.reduce((total, row) => total + row.positives, 0)
+        },
+        rows
+    };
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatTime(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleTimeString('en-GB') : '—';
+}
+
+function formatPercent(rate) {
+    return `${(rate * 100).toFixed(1)}%`;
+}
+
+// A standalone page, so it can be opened in a new tab, printed or mailed.
+// links: { previous, next, csv, ndjson } URLs, already authorized.
+export function renderDailyReportHtml(summary, links) {
+    const cameras = [...new Set(summary.rows.map(row => row.cameraId))];
+
+    const sections = cameras.map((cameraId) => {
+        const rows = summary.rows.filter(row => row.cameraId === cameraId).map(row => `
+            <tr>
+                <td>${row.regionName === null ? 'Whole frame' : escapeHtml(row.regionName)}</td>
+                <td>${escapeHtml(row.model)}</td>
+                <td class="number">${row.frames}</td>
+                <td class="number">${row.positives}</td>
+                <td class="number ${row.positives > 0 ? 'positive' : ''}">${formatPercent(row.positiveRate)}</td>
+                <td>${row.topLabels.map(({ label, count }) => `${escapeHtml(label)} (${count})`).join(', ') || '—'}</td>
+                <td>${formatTime(row.firstSighting)}</td>
+                <td>${formatTime(row.lastSighting)}</td>
+            </tr>`).join('');
+
+        return `
+        <h2>Camera ${cameraId + 1}</h2>
+        <table>
+            <thead>
+                <tr>
+                    <th>Region</th><th>Model</th><th>Frames</th><th>Positive</th><th>Rate</th>
+                    <th>Top labels</th><th>First sighting</th><th>Last sighting</th>
+                </tr>
+            </thead>
+            <tbody>${rows}
+            </tbody>
+        </table>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>VertiPlant daily report ${summary.date}</title>
+    <style>
+        body { font-family: system-ui, sans-serif; color: #111827; margin: 2rem; }
+        h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+        h2 { font-size: 1.1rem; margin-top: 2rem; }
+        nav a { margin-right: 1rem; color: #2563eb; }
+        .meta { color: #6b7280; font-size: 0.875rem; }
+        table { border-collapse: collapse; width: 100%; font-size: 0.875rem; }
+        th, td { text-align: left; padding: 0.4rem 0.6rem; border-bottom: 1px solid #e5e7eb; }
+        th { background: #f9fafb; }
+        .number { text-align: right; font-variant-numeric: tabular-nums; }
+        .positive { color: #dc2626; font-weight: 600; }
+        @media print { nav { display: none; } }
+    </style>
+</head>
+<body>
+    <h1>Daily report for ${summary.date}</h1>
+    <p class="meta">
+        ${summary.totals.frames} frames analyzed, ${summary.totals.positives} positive
+        · generated ${new Date(summary.generatedAt).toLocaleString('en-GB')}
+    </p>
+    <nav>
+        <a href="${escapeHtml(links.previous)}">← Previous day</a>
+        <a href="${escapeHtml(links.next)}">Next day →</a>
+        <a href="${escapeHtml(links.csv)}">Download CSV</a>
+        <a href="${escapeHtml(links.ndjson)}">Download NDJSON</a>
+    </nav>
+    ${sections || '<p>No predictions were made on this day.</p>'}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,36 @@
+import Database from 'better-sqlite3';
+import { mkdirSync } from 'fs';
+import { DATA_DIR, dataPath } from './paths.js';
+
+let db = null;
+
+export function getDatabase() {
+    if (db) {
+        return db;
+    }
+
+    mkdirSync(DATA_DIR, { recursive: true });
+    db = new Database(dataPath('vertiplant.db'));
+
+    // WAL keeps readers (API requests) from blocking the prediction loop's writes
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = NORMAL');
+
+    return db;
+}
+
+export function closeDatabase() {
+    if (db) {
+        db.close();
+        db = null;
+    }
+}
+
+// CREATE TABLE IF NOT EXISTS leaves existing tables alone, so columns added
+// after a table first shipped are migrated in here
+export function addColumnIfMissing(database, table, column, definition) {
+    const columns = database.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(existing => existing.name === column)) {
+        database.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
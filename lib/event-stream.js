@@ -0,0 +1,86 @@
+import { createLogger } from './logger.js';
+
+const log = createLogger('events');
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+const RECONNECT_DELAY_MS = 3000;
+
+const clients = new Set();
+const subscribers = new Set();
+let nextEventId = 1;
+let heartbeatTimer = null;
+
+function dropClient(res) {
+    clients.delete(res);
+    if (clients.size === 0 && heartbeatTimer) {
+        clearInterval(heartbeatTimer);
+        heartbeatTimer = null;
+    }
+}
+
+// Server-sent events endpoint. Dashboards resync over REST whenever the
+// connection (re)opens, so a client that falls behind is simply disconnected
+// and left to reconnect instead of having events buffered for it.
+export function handleEventStream(req, res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+    clients.add(res);
+    req.on('close', () => dropClient(res));
+
+    if (!heartbeatTimer) {
+        heartbeatTimer = setInterval(() => {
+            for (const client of clients) {
+                client.write(': heartbeat\n\n');
+            }
+        }, HEARTBEAT_INTERVAL_MS);
+    }
+}
+
+// In-process listeners (e.g. the MQTT bridge) see every event the dashboards do
+export function subscribeEvents(listener) {
+    subscribers.add(listener);
+    return () => subscribers.delete(listener);
+}
+
+export function publishEvent(type, data) {
+    for (const listener of subscribers) {
+        try {
+            listener(type, data);
+        } catch (error) {
+            log.error(`Error in ${type} event subscriber`, { error });
+        }
+    }
+
+    if (clients.size === 0) {
+        return;
+    }
+
+    const payload = `id: ${nextEventId++}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const res of clients) {
+        if (res.writableNeedDrain) {
+            dropClient(res);
+            res.end();
+            continue;
+        }
+        res.write(payload);
+    }
+}
+
+export function getEventClientCount() {
+    return clients.size;
+}
+
+export function closeEventStreams() {
+    for (const res of clients) {
+        res.end();
+    }
+    clients.clear();
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+}
@@ -0,0 +1,77 @@
+import sharp from 'sharp';
+
+const BOX_COLORS = ['#ef4444', '#f59e0b', '#10b981', '#3b82f6', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316'];
+
+function escapeXml(value) {
+    return String(value).replace(/[<>&'"]/g, char => ({
+        '<': '&lt;',
+        '>': '&gt;',
+        '&': '&amp;',
+        '\'': '&apos;',
+        '"': '&quot;'
+    })[char]);
+}
+
+function colorFor(label) {
+    let hash = 0;
+    for (const char of label) {
+        hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    }
+    return BOX_COLORS[hash % BOX_COLORS.length];
+}
+
+function caption(label, confidence) {
+    return confidence === null ? label : `${label} ${(confidence * 100).toFixed(1)}%`;
+}
+
+// Draws each detection box with its label; frames without boxes get the
+// strongest label in the top-left corner instead. With a region ({ name,
+// points } as fractions of the frame) its outline is drawn and the caption
+// goes in its corner.
+export async function renderAnnotated(imageBuffer, result, region = null) {
+    const { width, height } = await sharp(imageBuffer).metadata();
+    const fontSize = Math.max(12, Math.round(width / 50));
+    const strokeWidth = Math.max(2, Math.round(width / 400));
+    const elements = [];
+
+    let originX = 0;
+    let originY = 0;
+    if (region) {
+        const points = region.points.map(point => [point.x * width, point.y * height]);
+        const outline = points.length === 2
+            ? `<rect x="${points[0][0]}" y="${points[0][1]}" width="${points[1][0] - points[0][0]}" height="${points[1][1] - points[0][1]}"`
+            : `<polygon points="${points.map(point => point.join(',')).join(' ')}"`;
+        elements.push(`${outline} fill="none" stroke="#ffffff" stroke-width="${strokeWidth}" stroke-dasharray="${strokeWidth * 4}"/>`);
+        originX = Math.min(...points.map(point => point[0]));
+        originY = Math.min(...points.map(point => point[1]));
+    }
+
+    const boxed = (result?.detections || []).filter(detection => detection.box);
+    for (const { label, confidence, box } of boxed) {
+        const color = colorFor(label);
+        const text = caption(label, confidence);
+        const labelY = box.y >= fontSize + 6 ? box.y - fontSize - 6 : box.y;
+
+        elements.push(
+            `<rect x="${box.x}" y="${box.y}" width="${box.width}" height="${box.height}" fill="none" stroke="${color}" stroke-width="${strokeWidth}"/>`,
+            `<rect x="${box.x}" y="${labelY}" width="${text.length * fontSize * 0.6 + 8}" height="${fontSize + 6}" fill="${color}"/>`,
+            `<text x="${box.x + 4}" y="${labelY + fontSize}" font-family="sans-serif" font-size="${fontSize}" fill="#ffffff">${escapeXml(text)}</text>`
+        );
+    }
+
+    if (boxed.length === 0) {
+        const label = result?.label ? caption(result.label, result.confidence) : 'No detections';
+        const text = region ? `${region.name}: ${label}` : label;
+        elements.push(
+            `<rect x="${originX}" y="${originY}" width="${text.length * fontSize * 0.6 + 16}" height="${fontSize + 12}" fill="#000000" fill-opacity="0.6"/>`,
+            `<text x="${originX + 8}" y="${originY + fontSize + 4}" font-family="sans-serif" font-size="${fontSize}" fill="#ffffff">${escapeXml(text)}</text>`
+        );
+    }
+
+    const overlay = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${elements.join('')}</svg>`;
+
+    return sharp(imageBuffer)
+        .composite([{ input: Buffer.from(overlay), top: 0, left: 0 }])
+        .jpeg({ quality: 85 })
+        .toBuffer();
+}
@@ -0,0 +1,74 @@
+import os from 'os';
+import { getConfig } from './config.js';
+
+const isWindows = os.platform() === 'win32';
+
+const SOURCE_TYPES = ['rtsp', 'http', 'file'];
+
+export function isSource(camera) {
+    return SOURCE_TYPES.includes(camera.type);
+}
+
+// Network streams and files come in at whatever size they are; they're only
+// scaled down to fit the configured bounds, never up
+function buildSourceArgs(camera) {
+    const { maxWidth, maxHeight } = getConfig().streams;
+    const inputArgs = {
+        // TCP survives the packet loss of a busy greenhouse Wi-Fi far better than UDP
+        rtsp: ['-rtsp_transport', 'tcp', '-i', camera.input],
+        http: ['-i', camera.input],
+        // -re paces a recording at real time instead of decoding it flat out
+        file: ['-re', '-stream_loop', '-1', '-i', camera.input]
+    }[camera.type];
+
+    return [
+        ...inputArgs,
+        '-vf', `scale=w='min(${maxWidth},iw)':h='min(${maxHeight},ih)':force_original_aspect_ratio=decrease`
+    ];
+}
+
+// Called on every (re)start, so fps and quality changes apply on the next restart
+export function buildFfmpegArgs(camera) {
+    // Level tags on stderr lines let the supervisor sort errors from chatter
+    const logArgs = ['-hide_banner', '-nostats', '-loglevel', 'level+info'];
+    const { fps, jpegQuality } = getConfig().streams;
+
+    if (isSource(camera)) {
+        return [
+            ...logArgs,
+            ...buildSourceArgs(camera),
+            '-an',
+            '-r', fps.toString(),
+            '-f', 'mjpeg',
+            '-q:v', jpegQuality.toString(),
+            '-huffman', 'optimal',
+            '-'
+        ];
+    }
+
+    if (isWindows) {
+        return [
+            ...logArgs,
+            '-f', 'dshow',
+            '-i', `video=${camera.device}`,
+            '-s', camera.resolution,
+            '-r', fps.toString(),
+            '-f', 'mjpeg',
+            '-q:v', jpegQuality.toString(),
+            '-huffman', 'optimal',
+            '-'
+        ];
+    }
+
+    return [
+        ...logArgs,
+        '-f', 'v4l2',
+        '-i', camera.device,
+        '-s', camera.resolution,
+        '-r', fps.toString(),
+        '-f', 'mjpeg',
+        '-q:v', jpegQuality.toString(),
+        '-huffman', 'optimal',
+        '-'
+    ];
+}
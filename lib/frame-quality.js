@@ -0,0 +1,253 @@
+import sharp from 'sharp';
+import { getDatabase } from './database.js';
+import { getConfig } from './config.js';
+import { parseTimestampFilter } from './prediction-store.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('frame-quality');
+
+// Scores are computed on a small greyscale copy, which is cheap on a Pi and
+// keeps the thresholds independent of the camera resolution
+const ANALYSIS_WIDTH = 320;
+const THUMBNAIL_WIDTH = 64;
+const THUMBNAIL_HEIGHT = 48;
+const SKIP_RETENTION_DAYS = 14;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+export const SKIP_REASONS = ['unreadable', 'dark', 'blurry', 'unchanged'];
+
+let statements = null;
+let lastPruneAt = 0;
+
+// Per camera: the last frame that went to the models, and counters since startup
+const lastAnalyzed = new Map();
+const stats = new Map();
+
+function migrate(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS frame_skips (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            camera_id INTEGER NOT NULL,
+            timestamp TEXT NOT NULL,
+            reason TEXT NOT NULL,
+            brightness REAL,
+            sharpness REAL,
+            change_percent REAL
+        );
+        CREATE INDEX IF NOT EXISTS idx_frame_skips_camera_timestamp ON frame_skips (camera_id, timestamp);
+    `);
+}
+
+function getStatements() {
+    if (statements) {
+        return statements;
+    }
+
+    const db = getDatabase();
+    migrate(db);
+
+    statements = {
+        insert: db.prepare(`
+            INSERT INTO frame_skips (camera_id, timestamp, reason, brightness, sharpness, change_percent)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `),
+        prune: db.prepare('DELETE FROM frame_skips WHERE timestamp < ?')
+    };
+
+    return statements;
+}
+
+function getStats(cameraId) {
+    if (!stats.has(cameraId)) {
+        stats.set(cameraId, {
+            analyzed: 0,
+            skipped: 0,
+            reasons: Object.fromEntries(SKIP_REASONS.map(reason => [reason, 0])),
+            lastSkip: null
+        });
+    }
+    return stats.get(cameraId);
+}
+
+// brightness: mean luminance, 0-255. sharpness: variance of the Laplacian,
+// which drops sharply for motion blur and out-of-focus frames.
+async function measureFrame(imageBuffer) {
+    const { data, info } = await sharp(imageBuffer)
+        .greyscale()
+        .resize({ width: ANALYSIS_WIDTH, withoutEnlargement: true })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    const { width, height } = info;
+
+    let sum = 0;
+    for (let index = 0; index < data.length; index += info.channels) {
+        sum += data[index];
+    }
+
+    let laplacianSum = 0;
+    let laplacianSquares = 0;
+    let count = 0;
+    const pixel = (x, y) => data[(y * width + x) * info.channels];
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const value = pixel(x - 1, y) + pixel(x + 1, y) + pixel(x, y - 1) + pixel(x, y + 1) - 4 * pixel(x, y);
+            laplacianSum += value;
+            laplacianSquares += value * value;
+            count++;
+        }
+    }
+    const laplacianMean = count > 0 ? laplacianSum / count : 0;
+
+    const thumbnail = await sharp(data, { raw: { width, height, channels: info.channels } })
+        .resize(THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT, { fit: 'fill' })
+        .extractChannel(0)
+        .raw()
+        .toBuffer();
+
+    return {
+        brightness: sum / (width * height),
+        sharpness: count > 0 ? laplacianSquares / count - laplacianMean * laplacianMean : 0,
+        thumbnail
+    };
+}
+
+// Mean absolute difference between two thumbnails, as a percentage of full scale
+function changePercent(previous, current) {
+    let total = 0;
+    for (let index = 0; index < current.length; index++) {
+        total += Math.abs(current[index] - previous[index]);
+    }
+    return (total / current.length / 255) * 100;
+}
+
+function recordSkip(cameraId, reason, scores) {
+    const timestamp = new Date().toISOString();
+    const cameraStats = getStats(cameraId);
+    cameraStats.skipped++;
+    cameraStats.reasons[reason]++;
+    cameraStats.lastSkip = { reason, timestamp };
+
+    try {
+        const { insert, prune } = getStatements();
+        insert.run(cameraId, timestamp, reason, scores.brightness ?? null, scores.sharpness ?? null, scores.changePercent ?? null);
+
+        if (Date.now() - lastPruneAt > PRUNE_INTERVAL_MS) {
+            lastPruneAt = Date.now();
+            prune.run(new Date(Date.now() - SKIP_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString());
+        }
+    } catch (error) {
+        log.error('Error recording skipped frame', { cameraId, error });
+    }
+}
+
+function round(value) {
+    return value === null ? null : Math.round(value * 100) / 100;
+}
+
+// Decides whether a captured frame is worth sending to the models. Returns
+// { accepted, reason, scores }; reason is one of SKIP_REASONS when skipped.
+// Thresholds come from the "quality" config section and apply immediately.
+export async function checkFrameQuality(cameraId, imageBuffer) {
+    const settings = getConfig().quality;
+    if (!settings.enabled) {
+        getStats(cameraId).analyzed++;
+        return { accepted: true, reason: null, scores: null };
+    }
+
+    let measured;
+    try {
+        measured = await measureFrame(imageBuffer);
+    } catch (error) {
+        log.warn('Could not decode frame for quality check', { cameraId, error });
+        recordSkip(cameraId, 'unreadable', {});
+        return { accepted: false, reason: 'unreadable', scores: null };
+    }
+
+    const previous = lastAnalyzed.get(cameraId);
+    const scores = {
+        brightness: round(measured.brightness),
+        sharpness: round(measured.sharpness),
+        changePercent: previous ? round(changePercent(previous.thumbnail, measured.thumbnail)) : null
+    };
+
+    // A scene that hasn't changed is still looked at now and then
+    const unchangedFor = previous ? (Date.now() - previous.at) / 1000 : 0;
+    let reason = null;
+    if (scores.brightness < settings.minBrightness) {
+        reason = 'dark';
+    } else if (scores.sharpness < settings.minSharpness) {
+        reason = 'blurry';
+    } else if (scores.changePercent !== null && scores.changePercent < settings.minChangePercent &&
+        (settings.maxUnchangedSeconds === 0 || unchangedFor < settings.maxUnchangedSeconds)) {
+        reason = 'unchanged';
+    }
+
+    if (reason) {
+        log.debug(`Skipping ${reason} frame`, { cameraId, ...scores });
+        recordSkip(cameraId, reason, scores);
+        return { accepted: false, reason, scores };
+    }
+
+    lastAnalyzed.set(cameraId, { thumbnail: measured.thumbnail, at: Date.now() });
+    getStats(cameraId).analyzed++;
+    return { accepted: true, reason: null, scores };
+}
+
+// Counters since startup, keyed by camera id, for the status API
+export function getFrameQualityStats() {
+    return Object.fromEntries([...stats].map(([cameraId, cameraStats]) => [cameraId, {
+        ...cameraStats,
+        reasons: { ...cameraStats.reasons }
+    }]));
+}
+
+// Filters: cameraId, reason, from, to (ISO timestamps), limit, offset. Newest first.
+export function querySkippedFrames(filters = {}) {
+    getStatements();
+    const db = getDatabase();
+
+    const conditions = [];
+    const params = [];
+
+    if (filters.cameraId !== undefined && filters.cameraId !== '') {
+        conditions.push('camera_id = ?');
+        params.push(Number(filters.cameraId));
+    }
+    if (filters.reason) {
+        if (!SKIP_REASONS.includes(filters.reason)) {
+            throw new Error(`reason must be one of: ${SKIP_REASONS.join(', ')}`);
+        }
+        conditions.push('reason = ?');
+        params.push(filters.reason);
+    }
+    if (filters.from) {
+        conditions.push('timestamp >= ?');
+        params.push(parseTimestampFilter(filters.from, 'from'));
+    }
+    if (filters.to) {
+        conditions.push('timestamp <= ?');
+        params.push(parseTimestampFilter(filters.to, 'to'));
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const limit = Math.min(Math.max(Number.parseInt(filters.limit, 10) || 100, 1), 1000);
+    const offset = Math.max(Number.parseInt(filters.offset, 10) || 0, 0);
+
+    const total = db.prepare(`SELECT COUNT(*) AS count FROM frame_skips ${where}`).get(...params).count;
+    const rows = db
+        .prepare(`SELECT * FROM frame_skips ${where} ORDER BY timestamp DESC, id DESC LIMIT ? OFFSET ?`)
+        .all(...params, limit, offset);
+
+    return {
+        items: rows.map(row => ({
+            id: row.id,
+            cameraId: row.camera_id,
+            timestamp: row.timestamp,
+            reason: row.reason,
+            brightness: row.brightness,
+            sharpness: row.sharpness,
+            changePercent: row.change_percent
+        })),
+        total
+    };
+}
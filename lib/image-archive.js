@@ -0,0 +1,429 @@
+import { mkdir, writeFile, readFile, readdir, stat, statfs, unlink } from 'fs/promises';
+import path from 'path';
+import { getDatabase } from './database.js';
+import { getConfig } from './config.js';
+import { dataPath } from './paths.js';
+import { detachImage, parseTimestampFilter } from './prediction-store.js';
+import { getTimelapseUsage, pruneOldestTimelapse } from './timelapse.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('archive');
+
+export const IMAGES_DIR = dataPath('images');
+
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+const DISK_CHECK_INTERVAL_MS = 60 * 1000;
+const PRUNE_BATCH_SIZE = 200;
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+const MB = 1024 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The "archive" config section, which applies without a restart
+function retentionPolicy() {
+    const settings = getConfig().archive;
+    return {
+        negativeRetentionDays: settings.negativeRetentionDays,
+        positiveRetentionDays: settings.positiveRetentionDays,
+        quotaBytes: settings.quotaMb * MB,
+        minFreeDiskBytes: settings.minFreeDiskMb * MB,
+        negativeLabels: settings.negativeLabels
+    };
+}
+
+let statements = null;
+let pruneTimer = null;
+let diskTimer = null;
+let pruning = false;
+let onLowDisk = null;
+
+const state = {
+    lowDisk: false,
+    // Below half the free-space floor new frames aren't written at all
+    criticalDisk: false,
+    diskFreeBytes: null,
+    diskTotalBytes: null,
+    lastPruneAt: null,
+    lastPruneDeleted: 0,
+    lastPruneFreedBytes: 0
+};
+
+function getStatements() {
+    if (statements) {
+        return statements;
+    }
+
+    const db = getDatabase();
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS archived_images (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            camera_id INTEGER NOT NULL,
+            captured_at TEXT NOT NULL,
+            path TEXT NOT NULL UNIQUE,
+            size_bytes INTEGER NOT NULL,
+            positive INTEGER NOT NULL DEFAULT 0
+        );
+        CREATE INDEX IF NOT EXISTS idx_archived_images_camera ON archived_images (camera_id, captured_at);
+        CREATE INDEX IF NOT EXISTS idx_archived_images_age ON archived_images (positive, captured_at);
+    `);
+
+    statements = {
+        insert: db.prepare(`
+            INSERT OR IGNORE INTO archived_images (camera_id, captured_at, path, size_bytes) VALUES (?, ?, ?, ?)
+        `),
+        get: db.prepare('SELECT * FROM archived_images WHERE id = ?'),
+        markPositive: db.prepare('UPDATE archived_images SET positive = 1 WHERE path = ?'),
+        remove: db.prepare('DELETE FROM archived_images WHERE id = ?'),
+        expired: db.prepare(`
+            SELECT * FROM archived_images WHERE positive = ? AND captured_at < ? ORDER BY captured_at ASC LIMIT ?
+        `),
+        oldest: db.prepare(`
+            SELECT * FROM archived_images ORDER BY positive ASC, captured_at ASC LIMIT ?
+        `),
+        oldestNegatives: db.prepare(`
+            SELECT * FROM archived_images WHERE positive = 0 ORDER BY captured_at ASC LIMIT ?
+        `),
+        totals: db.prepare(`
+            SELECT COUNT(*) AS files, COALESCE(SUM(size_bytes), 0) AS totalBytes,
+                   COALESCE(SUM(positive), 0) AS positives, MIN(captured_at) AS oldest
+            FROM archived_images
+        `),
+        hasPath: db.prepare('SELECT 1 FROM archived_images WHERE path = ?')
+    };
+
+    return statements;
+}
+
+function toArchivedImage(row) {
+    return {
+        id: row.id,
+        cameraId: row.camera_id,
+        capturedAt: row.captured_at,
+        path: row.path,
+        sizeBytes: row.size_bytes,
+        positive: Boolean(row.positive)
+    };
+}
+
+export function resolveImagePath(relativePath) {
+    const resolved = path.resolve(IMAGES_DIR, relativePath);
+    if (!resolved.startsWith(path.resolve(IMAGES_DIR) + path.sep)) {
+        throw new Error(`Image path escapes the archive: ${relativePath}`);
+    }
+    return resolved;
+}
+
+// Frames are filed by camera and capture day:
+// images/camera-0/2024-05-01/2024-05-01T12-00-00-000Z.jpg.
+// The returned path is relative to IMAGES_DIR and is what predictions store.
+// Returns null when the disk is too full to take another frame.
+export async function saveFrame(cameraId, capturedAt, imageBuffer) {
+    if (state.criticalDisk) {
+        return null;
+    }
+
+    const directory = path.posix.join(`camera-${cameraId}`, capturedAt.slice(0, 10));
+    const relativePath = path.posix.join(directory, `${capturedAt.replace(/[:.]/g, '-')}.jpg`);
+
+    await mkdir(path.join(IMAGES_DIR, directory), { recursive: true });
+    await writeFile(path.join(IMAGES_DIR, relativePath), imageBuffer);
+    getStatements().insert.run(cameraId, capturedAt, relativePath, imageBuffer.length);
+
+    return relativePath;
+}
+
+export function readFrame(relativePath) {
+    return readFile(resolveImagePath(relativePath));
+}
+
+// Labels like "healthy" that mean a model found nothing
+export function isNegativeLabel(label) {
+    return getConfig().archive.negativeLabels.includes(label);
+}
+
+// A frame is positive when any model on it found something: a detection, or
+// a top label that isn't one of the negative labels. With minConfidence (the
+// model's default threshold) only findings at least that confident count.
+export function isPositiveResult(result, minConfidence = null) {
+    if (!result) {
+        return false;
+    }
+
+    const isConfident = confidence => minConfidence === null || (typeof confidence === 'number' && confidence >= minConfidence);
+    if (result.detections?.some(detection => isConfident(detection.confidence))) {
+        return true;
+    }
+    return Boolean(result.label) && !isNegativeLabel(result.label) && isConfident(result.confidence);
+}
+
+export function markFramePositive(relativePath) {
+    getStatements().markPositive.run(relativePath);
+}
+
+export function getArchivedImage(id) {
+    const row = getStatements().get.get(id);
+    return row ? toArchivedImage(row) : null;
+}
+
+// Filters: cameraId, from, to (ISO timestamps), positive=true|false, limit, offset
+export function queryArchive(filters = {}) {
+    getStatements();
+    const db = getDatabase();
+
+    const conditions = [];
+    const params = [];
+
+    if (filters.cameraId !== undefined && filters.cameraId !== '') {
+        conditions.push('camera_id = ?');
+        params.push(Number(filters.cameraId));
+    }
+    if (filters.from) {
+        conditions.push('captured_at >= ?');
+        params.push(parseTimestampFilter(filters.from, 'from'));
+    }
+    if (filters.to) {
+        conditions.push('captured_at <= ?');
+        params.push(parseTimestampFilter(filters.to, 'to'));
+    }
+    if (filters.positive === 'true' || filters.positive === 'false') {
+        conditions.push('positive = ?');
+        params.push(filters.positive === 'true' ? 1 : 0);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const parsedLimit = Number.parseInt(filters.limit, 10);
+    const parsedOffset = Number.parseInt(filters.offset, 10);
+    const limit = Number.isNaN(parsedLimit) ? DEFAULT_PAGE_SIZE : Math.min(Math.max(parsedLimit, 1), MAX_PAGE_SIZE);
+    const offset = Number.isNaN(parsedOffset) ? 0 : Math.max(parsedOffset, 0);
+
+    const total = db.prepare(`SELECT COUNT(*) AS count FROM archived_images ${where}`).get(...params).count;
+    const rows = db
+        .prepare(`SELECT * FROM archived_images ${where} ORDER BY captured_at DESC, id DESC LIMIT ? OFFSET ?`)
+        .all(...params, limit, offset);
+
+    return { items: rows.map(toArchivedImage), total, limit, offset };
+}
+
+async function deleteImages(rows) {
+    const { remove } = getStatements();
+    let deleted = 0;
+    let freedBytes = 0;
+
+    for (const row of rows) {
+        try {
+            await unlink(resolveImagePath(row.path));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                log.error(`Error deleting archived frame ${row.path}`, { error });
+                continue;
+            }
+        }
+        remove.run(row.id);
+        detachImage(row.path);
+        deleted++;
+        freedBytes += row.size_bytes;
+    }
+
+    return { deleted, freedBytes };
+}
+
+async function pruneExpired(positive, retentionDays) {
+    const cutoff = new Date(Date.now() - retentionDays * DAY_MS).toISOString();
+    let deleted = 0;
+    let freedBytes = 0;
+
+    for (;;) {
+        const rows = getStatements().expired.all(positive ? 1 : 0, cutoff, PRUNE_BATCH_SIZE);
+        const batch = rows.length > 0 ? await deleteImages(rows) : { deleted: 0 };
+        // Stop on files that can't be deleted rather than retrying them forever
+        if (batch.deleted === 0) {
+            break;
+        }
+        deleted += batch.deleted;
+        freedBytes += batch.freedBytes;
+    }
+
+    return { deleted, freedBytes };
+}
+
+// Oldest negatives first, then (unless negativesOnly) oldest positives, for as
+// long as shouldContinue() holds. Checked before every frame so it doesn't overshoot.
+async function pruneOldestWhile(shouldContinue, { negativesOnly = false } = {}) {
+    const query = negativesOnly ? getStatements().oldestNegatives : getStatements().oldest;
+    let deleted = 0;
+    let freedBytes = 0;
+
+    for (;;) {
+        const rows = query.all(PRUNE_BATCH_SIZE);
+        const deletedBefore = deleted;
+
+        for (const row of rows) {
+            if (!(await shouldContinue())) {
+                return { deleted, freedBytes };
+            }
+            const result = await deleteImages([row]);
+            deleted += result.deleted;
+            freedBytes += result.freedBytes;
+        }
+
+        if (deleted === deletedBefore) {
+            return { deleted, freedBytes };
+        }
+    }
+}
+
+// Time-lapse samples and videos share the archive's quota and disk floor
+async function pruneTimelapseWhile(shouldContinue) {
+    let deleted = 0;
+    let freedBytes = 0;
+
+    while (await shouldContinue()) {
+        const freed = await pruneOldestTimelapse();
+        if (freed === 0) {
+            break;
+        }
+        deleted++;
+        freedBytes += freed;
+    }
+    return { deleted, freedBytes };
+}
+
+function usedBytes() {
+    return getStatements().totals.get().totalBytes + getTimelapseUsage().totalBytes;
+}
+
+async function checkDisk() {
+    await mkdir(IMAGES_DIR, { recursive: true });
+    const stats = await statfs(IMAGES_DIR);
+    state.diskFreeBytes = stats.bavail * stats.bsize;
+    state.diskTotalBytes = stats.blocks * stats.bsize;
+
+    const wasLow = state.lowDisk;
+    const { minFreeDiskBytes } = retentionPolicy();
+    state.lowDisk = state.diskFreeBytes < minFreeDiskBytes;
+    state.criticalDisk = state.diskFreeBytes < minFreeDiskBytes / 2;
+
+    if (state.lowDisk && !wasLow) {
+        onLowDisk?.(state);
+    }
+    return state.lowDisk;
+}
+
+export async function pruneArchive() {
+    if (pruning) {
+        return null;
+    }
+    pruning = true;
+
+    try {
+        await checkDisk();
+        const policy = retentionPolicy();
+        const overQuota = () => usedBytes() > policy.quotaBytes;
+        const results = [
+            await pruneExpired(false, policy.negativeRetentionDays),
+            await pruneExpired(true, policy.positiveRetentionDays),
+            await pruneOldestWhile(overQuota, { negativesOnly: true }),
+            await pruneTimelapseWhile(overQuota),
+            await pruneOldestWhile(overQuota),
+            // Something other than the archive may be filling the disk; positives are never given up for that
+            await pruneOldestWhile(checkDisk, { negativesOnly: true }),
+            await pruneTimelapseWhile(checkDisk)
+        ];
+
+        state.lastPruneAt = new Date().toISOString();
+        state.lastPruneDeleted = results.reduce((total, result) => total + result.deleted, 0);
+        state.lastPruneFreedBytes = results.reduce((total, result) => total + result.freedBytes, 0);
+
+        if (state.lastPruneDeleted > 0) {
+            log.info(`Pruned ${state.lastPruneDeleted} archived frame(s) and time-lapse file(s), freed ${(state.lastPruneFreedBytes / MB).toFixed(1)} MB`);
+        }
+        return { deleted: state.lastPruneDeleted, freedBytes: state.lastPruneFreedBytes };
+    } finally {
+        pruning = false;
+    }
+}
+
+// Frames written before the index existed (or left behind by a crash) are
+// picked up so retention covers them too
+async function indexUntrackedFrames(directory = IMAGES_DIR) {
+    let entries;
+    try {
+        entries = await readdir(directory, { withFileTypes: true });
+    } catch {
+        return 0;
+    }
+
+    let indexed = 0;
+    for (const entry of entries) {
+        const fullPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            indexed += await indexUntrackedFrames(fullPath);
+            continue;
+        }
+
+        const relativePath = path.relative(IMAGES_DIR, fullPath).split(path.sep).join('/');
+        const cameraMatch = relativePath.match(/camera-(\d+)/);
+        if (!entry.name.endsWith('.jpg') || !cameraMatch || getStatements().hasPath.get(relativePath)) {
+            continue;
+        }
+
+        const { size, mtime } = await stat(fullPath);
+        getStatements().insert.run(Number(cameraMatch[1]), mtime.toISOString(), relativePath, size);
+        indexed++;
+    }
+    return indexed;
+}
+
+function runPrune() {
+    pruneArchive().catch(error => log.error('Error pruning image archive', { error }));
+}
+
+// lowDiskHandler is called once each time free space drops below the floor
+export async function startArchive(lowDiskHandler) {
+    onLowDisk = lowDiskHandler;
+    getStatements();
+
+    const indexed = await indexUntrackedFrames();
+    if (indexed > 0) {
+        log.info(`Indexed ${indexed} untracked archived frame(s)`);
+    }
+
+    await checkDisk().catch(error => log.error('Error checking free disk space', { error }));
+    runPrune();
+
+    pruneTimer = setInterval(runPrune, PRUNE_INTERVAL_MS);
+    diskTimer = setInterval(() => {
+        checkDisk()
+            .then(low => low && runPrune())
+            .catch(error => log.error('Error checking free disk space', { error }));
+    }, DISK_CHECK_INTERVAL_MS);
+}
+
+export function stopArchive() {
+    clearInterval(pruneTimer);
+    clearInterval(diskTimer);
+    pruneTimer = null;
+    diskTimer = null;
+}
+
+export function isDiskLow() {
+    return state.lowDisk;
+}
+
+export function isDiskCritical() {
+    return state.criticalDisk;
+}
+
+export function getArchiveStats() {
+    const totals = getStatements().totals.get();
+
+    return {
+        files: totals.files,
+        positives: totals.positives,
+        totalBytes: totals.totalBytes,
+        timelapseBytes: getTimelapseUsage().totalBytes,
+        oldestCapturedAt: totals.oldest,
+        ...state,
+        policy: retentionPolicy()
+    };
+}
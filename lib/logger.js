@@ -0,0 +1,243 @@
+import { openSync, writeSync, closeSync, renameSync, statSync, mkdirSync, existsSync } from 'fs';
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { dataPath } from './paths.js';
+
+// Each process writes JSON lines to its own file under data/logs
+// (server.log, streams.log), rotated to server.1.log ... when it gets too big
+export const LOG_DIR = dataPath('logs');
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const MB = 1024 * 1024;
+const PROCESS_NAMES = ['server', 'streams'];
+const DEFAULT_QUERY_LIMIT = 200;
+const MAX_QUERY_LIMIT = 2000;
+// Warnings and errors kept in memory, so diagnostics don't have to scan the files
+const RECENT_PROBLEMS_SIZE = 500;
+
+// The "logs" config section; config.js logs too, so it can't be imported here
+let settings = { level: 'info', format: 'pretty', maxFileMb: 5, maxFiles: 5 };
+let processName = null;
+let fd = null;
+let fileBytes = 0;
+const recentProblems = [];
+
+function logFile(name, index = 0) {
+    return path.join(LOG_DIR, index === 0 ? `${name}.log` : `${name}.${index}.log`);
+}
+
+// Called once at startup; until then entries only go to the console
+export function configureLogging(options) {
+    processName = options.processName;
+    mkdirSync(LOG_DIR, { recursive: true });
+
+    const file = logFile(processName);
+    fileBytes = existsSync(file) ? statSync(file).size : 0;
+    fd = openSync(file, 'a');
+}
+
+// Called with getConfig().logs once the config is loaded, and again when it changes
+export function setLogSettings(logSettings) {
+    settings = { ...settings, ...logSettings };
+}
+
+function rotate() {
+    closeSync(fd);
+    for (let index = settings.maxFiles - 1; index >= 1; index--) {
+        const from = logFile(processName, index - 1);
+        if (existsSync(from)) {
+            renameSync(from, logFile(processName, index));
+        }
+    }
+    fd = openSync(logFile(processName), 'a');
+    fileBytes = 0;
+}
+
+function writeToFile(line) {
+    if (fd === null) {
+        return;
+    }
+
+    try {
+        if (fileBytes + line.length > settings.maxFileMb * MB) {
+            rotate();
+        }
+        fileBytes += writeSync(fd, `${line}\n`);
+    } catch (error) {
+        // Logging must never take the process down; the console still has it
+        process.stderr.write(`Could not write log file: ${error.message}\n`);
+    }
+}
+
+function formatPretty(entry) {
+    const { time, level, component, message, cameraId, ...fields } = entry;
+    delete fields.process;
+
+    const tag = cameraId !== undefined ? `${component}:camera-${cameraId}` : component;
+    const extra = Object.entries(fields)
+        .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+        .join(' ');
+    return `${time} ${level.toUpperCase().padEnd(5)} [${tag}] ${message}${extra ? ` ${extra}` : ''}`;
+}
+
+function serializeFields(fields) {
+    const serialized = {};
+    for (const [key, value] of Object.entries(fields)) {
+        if (value === undefined) {
+            continue;
+        }
+        serialized[key] = value instanceof Error ? value.message : value;
+    }
+    return serialized;
+}
+
+function write(level, component, baseFields, message, fields) {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(settings.level)) {
+        return;
+    }
+
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        process: processName,
+        component,
+        message,
+        ...serializeFields({ ...baseFields, ...fields })
+    };
+    const line = JSON.stringify(entry);
+
+    writeToFile(line);
+
+    if (level === 'warn' || level === 'error') {
+        recentProblems.push(entry);
+        if (recentProblems.length > RECENT_PROBLEMS_SIZE) {
+            recentProblems.shift();
+        }
+    }
+
+    const output = settings.format === 'json' ? line : formatPretty(entry);
+    if (level === 'error' || level === 'warn') {
+        console.error(output);
+    } else {
+        console.log(output);
+    }
+}
+
+// createLogger('scheduler').info('message', { cameraId: 1, model }); an Error
+// passed as a field is logged by its message. child() adds fields to every entry.
+export function createLogger(component, baseFields = {}) {
+    const logger = { child: fields => createLogger(component, { ...baseFields, ...fields }) };
+    for (const level of LOG_LEVELS) {
+        logger[level] = (message, fields = {}) => write(level, component, baseFields, message, fields);
+    }
+    return logger;
+}
+
+function matchesFilters(entry, filters) {
+    if (filters.minLevel && LOG_LEVELS.indexOf(entry.level) < LOG_LEVELS.indexOf(filters.minLevel)) {
+        return false;
+    }
+    if (filters.component && entry.component !== filters.component) {
+        return false;
+    }
+    if (filters.cameraId !== undefined && entry.cameraId !== filters.cameraId) {
+        return false;
+    }
+    if (filters.since && entry.time < filters.since) {
+        return false;
+    }
+    if (filters.until && entry.time > filters.until) {
+        return false;
+    }
+    if (filters.search && !entry.message.toLowerCase().includes(filters.search)) {
+        return false;
+    }
+    return true;
+}
+
+// Newest entries first, reading rotated files only as far back as needed
+async function readProcessLog(name, filters, limit) {
+    const entries = [];
+
+    for (let index = 0; index < settings.maxFiles && entries.length < limit; index++) {
+        let content;
+        try {
+            content = await readFile(logFile(name, index), 'utf8');
+        } catch {
+            break;
+        }
+
+        const lines = content.split('\n');
+        for (let lineIndex = lines.length - 1; lineIndex >= 0 && entries.length < limit; lineIndex--) {
+            if (!lines[lineIndex]) {
+                continue;
+            }
+
+            let entry;
+            try {
+                entry = JSON.parse(lines[lineIndex]);
+            } catch {
+                continue;
+            }
+            if (filters.since && entry.time < filters.since) {
+                return entries;
+            }
+            if (matchesFilters(entry, filters)) {
+                entries.push(entry);
+            }
+        }
+    }
+
+    return entries;
+}
+
+function parseTimeFilter(value, name) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`${name} must be an ISO timestamp`);
+    }
+    return date.toISOString();
+}
+
+// Filters: level (minimum), component, cameraId, process, search, since, until
+// (ISO timestamps), limit. Both processes' logs are merged, newest first.
+export async function queryLogs(query = {}) {
+    if (query.level && !LOG_LEVELS.includes(query.level)) {
+        throw new Error(`level must be one of: ${LOG_LEVELS.join(', ')}`);
+    }
+    if (query.process && !PROCESS_NAMES.includes(query.process)) {
+        throw new Error(`process must be one of: ${PROCESS_NAMES.join(', ')}`);
+    }
+
+    const filters = {
+        minLevel: query.level,
+        component: query.component || undefined,
+        cameraId: query.cameraId !== undefined && query.cameraId !== '' ? Number(query.cameraId) : undefined,
+        search: query.search ? String(query.search).toLowerCase() : undefined,
+        since: query.since ? parseTimeFilter(query.since, 'since') : undefined,
+        until: query.until ? parseTimeFilter(query.until, 'until') : undefined
+    };
+
+    const parsedLimit = Number.parseInt(query.limit, 10);
+    const limit = Number.isNaN(parsedLimit) ? DEFAULT_QUERY_LIMIT : Math.min(Math.max(parsedLimit, 1), MAX_QUERY_LIMIT);
+
+    const names = query.process ? [query.process] : PROCESS_NAMES;
+    const perProcess = await Promise.all(names.map(name => readProcessLog(name, filters, limit)));
+
+    return perProcess
+        .flat()
+        .sort((a, b) => (a.time < b.time ? 1 : a.time > b.time ? -1 : 0))
+        .slice(0, limit);
+}
+
+// This process's latest warnings and errors since it started, newest first.
+// Filters: component, limit.
+export function getRecentProblems({ component, limit = DEFAULT_QUERY_LIMIT } = {}) {
+    const entries = [];
+    for (let index = recentProblems.length - 1; index >= 0 && entries.length < limit; index--) {
+        if (!component || recentProblems[index].component === component) {
+            entries.push(recentProblems[index]);
+        }
+    }
+    return entries;
+}
@@ -0,0 +1,180 @@
+import client from 'prom-client';
+
+export const registry = new client.Registry();
+
+// Standard process_* and nodejs_* series, so stock Node.js dashboards work unchanged
+client.collectDefaultMetrics({ register: registry });
+
+export const captureDuration = new client.Histogram({
+    name: 'vertiplant_capture_duration_seconds',
+    help: 'Time to fetch a frame from a camera stream',
+    labelNames: ['camera'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+    registers: [registry]
+});
+
+export const captureFailures = new client.Counter({
+    name: 'vertiplant_capture_failures_total',
+    help: 'Frame captures that failed, by reason',
+    labelNames: ['camera', 'reason'],
+    registers: [registry]
+});
+
+export const predictDuration = new client.Histogram({
+    name: 'vertiplant_predict_request_duration_seconds',
+    help: 'Latency of prediction API requests',
+    labelNames: ['model'],
+    buckets: [0.1, 0.25, 0.5, 1, 2, 4, 8, 15, 30],
+    registers: [registry]
+});
+
+export const predictResponses = new client.Counter({
+    name: 'vertiplant_predict_responses_total',
+    help: 'Prediction API responses by HTTP status ("network_error" when no response arrived)',
+    labelNames: ['model', 'status'],
+    registers: [registry]
+});
+
+export const predictTimeouts = new client.Counter({
+    name: 'vertiplant_predict_timeouts_total',
+    help: 'Prediction API requests that timed out',
+    labelNames: ['model'],
+    registers: [registry]
+});
+
+export const localInferenceDuration = new client.Histogram({
+    name: 'vertiplant_local_inference_duration_seconds',
+    help: 'Time to run a frame through a local ONNX model, including preprocessing',
+    labelNames: ['model'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 4, 8],
+    registers: [registry]
+});
+
+export const predictorFallbacks = new client.Counter({
+    name: 'vertiplant_predictor_fallbacks_total',
+    help: 'Predictions handed to the next backend in a fallback chain, by the backend skipped and why',
+    labelNames: ['model', 'backend', 'reason'],
+    registers: [registry]
+});
+
+export const predictionLoopDuration = new client.Histogram({
+    name: 'vertiplant_prediction_loop_duration_seconds',
+    help: 'Duration of one scheduled prediction run (capture plus every due model) for a camera',
+    labelNames: ['camera'],
+    buckets: [0.5, 1, 2, 4, 8, 15, 30, 60],
+    registers: [registry]
+});
+
+export const predictionLoopOverruns = new client.Counter({
+    name: 'vertiplant_prediction_loop_overruns_total',
+    help: 'Scheduled runs held back because the previous run for the camera was still in flight',
+    labelNames: ['camera'],
+    registers: [registry]
+});
+
+export const streamRestarts = new client.Counter({
+    name: 'vertiplant_stream_restarts_total',
+    help: 'FFmpeg encoder restarts per camera',
+    labelNames: ['camera'],
+    registers: [registry]
+});
+
+export const streamDroppedFrames = new client.Counter({
+    name: 'vertiplant_stream_dropped_frames_total',
+    help: 'Frames skipped for stream viewers whose connection was backed up',
+    labelNames: ['camera'],
+    registers: [registry]
+});
+
+export const streamViewers = new client.Gauge({
+    name: 'vertiplant_stream_viewers',
+    help: 'Connected MJPEG stream viewers per camera',
+    labelNames: ['camera'],
+    registers: [registry]
+});
+
+export const streamUp = new client.Gauge({
+    name: 'vertiplant_stream_up',
+    help: '1 when the camera encoder is delivering frames, 0 otherwise',
+    labelNames: ['camera', 'state'],
+    registers: [registry]
+});
+
+export const uploadQueueDepth = new client.Gauge({
+    name: 'vertiplant_upload_queue_depth',
+    help: 'Frames waiting to be uploaded to the prediction API',
+    registers: [registry]
+});
+
+export const uploadQueueOldestAge = new client.Gauge({
+    name: 'vertiplant_upload_queue_oldest_age_seconds',
+    help: 'Age of the oldest frame waiting to be uploaded',
+    registers: [registry]
+});
+
+export const archiveBytes = new client.Gauge({
+    name: 'vertiplant_archive_bytes',
+    help: 'Disk space used by archived frames',
+    registers: [registry]
+});
+
+export const archiveFiles = new client.Gauge({
+    name: 'vertiplant_archive_files',
+    help: 'Archived frames, by whether any model found something on them',
+    labelNames: ['positive'],
+    registers: [registry]
+});
+
+export const diskFreeBytes = new client.Gauge({
+    name: 'vertiplant_disk_free_bytes',
+    help: 'Free space on the filesystem holding the image archive',
+    registers: [registry]
+});
+
+// Restarts and dropped frames are cumulative counts kept by ffmpeg-streams.js.
+// Turn each poll into counter increments, treating a drop in value as the
+// stream process having restarted from zero.
+const lastStreamCounts = new Map();
+
+export function recordStreamHealth(healthList) {
+    streamUp.reset();
+    streamViewers.reset();
+
+    for (const health of healthList) {
+        const camera = String(health.cameraId);
+        const previous = lastStreamCounts.get(camera) || { restarts: 0, droppedFrames: 0 };
+        const current = {
+            restarts: health.restarts ?? 0,
+            droppedFrames: health.stream?.droppedFrames ?? 0
+        };
+
+        streamRestarts.inc({ camera }, current.restarts >= previous.restarts ? current.restarts - previous.restarts : current.restarts);
+        streamDroppedFrames.inc({ camera }, current.droppedFrames >= previous.droppedFrames ? current.droppedFrames - previous.droppedFrames : current.droppedFrames);
+        lastStreamCounts.set(camera, current);
+
+        streamUp.set({ camera, state: health.state }, health.state === 'streaming' ? 1 : 0);
+        streamViewers.set({ camera }, health.stream?.viewers ?? 0);
+    }
+}
+
+export const streamProcessResidentMemory = new client.Gauge({
+    name: 'vertiplant_stream_process_resident_memory_bytes',
+    help: 'Resident memory of the ffmpeg-streams.js process',
+    registers: [registry]
+});
+
+export const streamProcessCpuSeconds = new client.Gauge({
+    name: 'vertiplant_stream_process_cpu_seconds',
+    help: 'Cumulative user and system CPU time of the ffmpeg-streams.js process',
+    registers: [registry]
+});
+
+export function recordStreamProcess(stats) {
+    streamProcessResidentMemory.reset();
+    streamProcessCpuSeconds.reset();
+
+    if (stats) {
+        streamProcessResidentMemory.set(stats.residentMemoryBytes);
+        streamProcessCpuSeconds.set(stats.cpuSeconds);
+    }
+}
@@ -0,0 +1,39 @@
+const SOI = Buffer.from([0xff, 0xd8]);
+const EOI = Buffer.from([0xff, 0xd9]);
+
+// A single 1080p JPEG is well under this; anything larger means we lost sync
+const MAX_BUFFERED_BYTES = 8 * 1024 * 1024;
+
+// Splits a raw MJPEG byte stream (ffmpeg -f mjpeg) into complete JPEG frames.
+// stdout chunks do not line up with frame boundaries, so bytes are buffered
+// until an end-of-image marker arrives.
+export function createJpegFrameParser(onFrame) {
+    let buffer = Buffer.alloc(0);
+
+    return function push(chunk) {
+        buffer = buffer.length === 0 ? chunk : Buffer.concat([buffer, chunk]);
+
+        let searchFrom = 0;
+        while (true) {
+            const start = buffer.indexOf(SOI, searchFrom);
+            if (start === -1) {
+                // Keep a trailing 0xFF in case the marker is split across chunks
+                buffer = buffer[buffer.length - 1] === 0xff ? buffer.subarray(buffer.length - 1) : Buffer.alloc(0);
+                return;
+            }
+
+            const end = buffer.indexOf(EOI, start + SOI.length);
+            if (end === -1) {
+                buffer = buffer.subarray(start);
+                if (buffer.length > MAX_BUFFERED_BYTES) {
+                    buffer = Buffer.alloc(0);
+                }
+                return;
+            }
+
+            // Copy so the frame does not pin the whole concatenated buffer in memory
+            onFrame(Buffer.from(buffer.subarray(start, end + EOI.length)));
+            searchFrom = end + EOI.length;
+        }
+    };
+}
@@ -0,0 +1,263 @@
+import axios from 'axios';
+import { getDatabase } from './database.js';
+import { getConfig, onConfigChange } from './config.js';
+import { getConfiguredModels } from './predictors/index.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('models');
+
+const MODEL_LIST_ENDPOINT = '/list-models';
+const MODEL_LIST_TIMEOUT_MS = 10000;
+
+let statements = null;
+let refreshTimer = null;
+let modelNames = [];
+// "live" when the last refresh reached the API, "fallback" while it can't
+let listStatus = { source: 'fallback', refreshedAt: null, error: null };
+
+function migrate(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS models (
+            name TEXT PRIMARY KEY,
+            display_name TEXT,
+            version TEXT,
+            labels TEXT NOT NULL DEFAULT '[]',
+            confidence_threshold REAL,
+            enabled INTEGER NOT NULL DEFAULT 1,
+            last_listed_at TEXT,
+            updated_at TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS camera_models (
+            camera_id INTEGER NOT NULL,
+            model TEXT NOT NULL,
+            enabled INTEGER NOT NULL,
+            PRIMARY KEY (camera_id, model)
+        );
+    `);
+}
+
+function getStatements() {
+    if (statements) {
+        return statements;
+    }
+
+    const db = getDatabase();
+    migrate(db);
+
+    statements = {
+        getModel: db.prepare('SELECT * FROM models WHERE name = ?'),
+        markListed: db.prepare(`
+            INSERT INTO models (name, last_listed_at, updated_at) VALUES (?, ?, ?)
+            ON CONFLICT (name) DO UPDATE SET last_listed_at = excluded.last_listed_at
+        `),
+        // Whatever the API returned the last time it answered
+        lastListed: db.prepare('SELECT name FROM models WHERE last_listed_at = (SELECT MAX(last_listed_at) FROM models) ORDER BY name'),
+        upsertModel: db.prepare(`
+            INSERT INTO models (name, display_name, version, labels, confidence_threshold, enabled, updated_at)
+            VALUES (@name, @displayName, @version, @labels, @confidenceThreshold, @enabled, @updatedAt)
+            ON CONFLICT (name) DO UPDATE SET
+                display_name = excluded.display_name, version = excluded.version, labels = excluded.labels,
+                confidence_threshold = excluded.confidence_threshold, enabled = excluded.enabled,
+                updated_at = excluded.updated_at
+        `),
+        getCameraModel: db.prepare('SELECT enabled FROM camera_models WHERE camera_id = ? AND model = ?'),
+        disabledCameras: db.prepare('SELECT camera_id FROM camera_models WHERE model = ? AND enabled = 0 ORDER BY camera_id'),
+        setCameraModel: db.prepare(`
+            INSERT INTO camera_models (camera_id, model, enabled) VALUES (?, ?, ?)
+            ON CONFLICT (camera_id, model) DO UPDATE SET enabled = excluded.enabled
+        `)
+    };
+
+    return statements;
+}
+
+function toModel(name, row) {
+    return {
+        name,
+        displayName: row?.display_name ?? name,
+        version: row?.version ?? null,
+        labels: row ? JSON.parse(row.labels) : [],
+        confidenceThreshold: row?.confidence_threshold ?? null,
+        enabled: row ? row.enabled === 1 : true,
+        disabledCameras: getStatements().disabledCameras.all(name).map(entry => entry.camera_id)
+    };
+}
+
+async function fetchRemoteModels() {
+    const response = await axios.get(`${getConfig().server.apiUrl}${MODEL_LIST_ENDPOINT}`, { timeout: MODEL_LIST_TIMEOUT_MS });
+    if (!Array.isArray(response.data) || response.data.some(name => typeof name !== 'string')) {
+        throw new Error('Model list response is not an array of names');
+    }
+    return response.data;
+}
+
+// Models with their own backend in the predictors file are always available
+export async function refreshModels() {
+    const { markListed, lastListed } = getStatements();
+    const refreshedAt = new Date().toISOString();
+    const previousSource = listStatus.source;
+
+    let names;
+    try {
+        const remote = await fetchRemoteModels();
+        getDatabase().transaction(() => {
+            for (const name of remote) {
+                markListed.run(name, refreshedAt, refreshedAt);
+            }
+        })();
+
+        names = remote;
+        listStatus = { source: 'live', refreshedAt, error: null };
+        if (previousSource !== 'live') {
+            log.info(`Model list fetched from the API: ${remote.join(', ') || 'none'}`);
+        }
+    } catch (error) {
+        // The last list the API gave us beats the configured fallback
+        const known = lastListed.all().map(row => row.name);
+        names = known.length > 0 ? known : getConfig().models.fallback;
+        listStatus = { source: 'fallback', refreshedAt, error: error.message };
+        if (previousSource !== 'fallback' || !modelNames.length) {
+            log.warn(`Model list unavailable, using the ${known.length > 0 ? 'last fetched' : 'configured fallback'} list`, { error });
+        }
+    }
+
+    modelNames = [...new Set([...names, ...getConfiguredModels()])];
+    return getModelListStatus();
+}
+
+export function getModelListStatus() {
+    return { ...listStatus, models: modelNames.length };
+}
+
+// Every model in the current list, enabled or not
+export function getModelNames() {
+    return [...modelNames];
+}
+
+export function getEnabledModels() {
+    return modelNames.filter(name => isModelEnabled(name));
+}
+
+// Disabled models are never scheduled, globally or (with cameraId) for one camera
+export function isModelEnabled(name, cameraId = null) {
+    const { getModel, getCameraModel } = getStatements();
+    if (getModel.get(name)?.enabled === 0) {
+        return false;
+    }
+    return cameraId === null || getCameraModel.get(cameraId, name)?.enabled !== 0;
+}
+
+// The model's default threshold: weaker findings don't make a frame positive
+// and alert rules without their own minimum ignore them
+export function getConfidenceThreshold(name) {
+    return getStatements().getModel.get(name)?.confidence_threshold ?? null;
+}
+
+export function listModels() {
+    const { getModel } = getStatements();
+    return modelNames.map(name => toModel(name, getModel.get(name)));
+}
+
+export function getModel(name) {
+    return modelNames.includes(name) ? toModel(name, getStatements().getModel.get(name)) : null;
+}
+
+function validateModel(input, existing) {
+    const merged = { ...existing, ...input };
+    const errors = [];
+
+    for (const field of ['displayName', 'version']) {
+        if (merged[field] !== null && typeof merged[field] !== 'string') {
+            errors.push(`${field} must be a string`);
+        }
+    }
+    if (!Array.isArray(merged.labels) || merged.labels.some(label => typeof label !== 'string' || label === '')) {
+        errors.push('labels must be an array of non-empty strings');
+    }
+    const threshold = merged.confidenceThreshold;
+    if (threshold !== null && (typeof threshold !== 'number' || !(threshold >= 0 && threshold <= 1))) {
+        errors.push('confidenceThreshold must be a number >= 0 and <= 1, or null');
+    }
+    if (typeof merged.enabled !== 'boolean') {
+        errors.push('enabled must be true or false');
+    }
+
+    if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+    }
+
+    return {
+        name: existing.name,
+        // An empty display name falls back to the model name
+        displayName: merged.displayName || null,
+        version: merged.version || null,
+        labels: JSON.stringify(merged.labels),
+        confidenceThreshold: threshold,
+        enabled: merged.enabled ? 1 : 0
+    };
+}
+
+// Partial update of display name, version, labels, confidenceThreshold and
+// enabled. Returns null for models that aren't in the current list.
+export function updateModel(name, input) {
+    const existing = getModel(name);
+    if (!existing) {
+        return null;
+    }
+
+    const model = validateModel(input || {}, existing);
+    getStatements().upsertModel.run({ ...model, updatedAt: new Date().toISOString() });
+    log.info(`Model ${name} updated`, { model: name, enabled: Boolean(model.enabled) });
+    return getModel(name);
+}
+
+export function listCameraModels(cameraId) {
+    const { getModel, getCameraModel } = getStatements();
+    return modelNames.map((name) => {
+        const modelEnabled = getModel.get(name)?.enabled !== 0;
+        const cameraEnabled = getCameraModel.get(cameraId, name)?.enabled !== 0;
+        return { model: name, enabled: modelEnabled && cameraEnabled, modelEnabled, cameraEnabled };
+    });
+}
+
+export function setCameraModelEnabled(cameraId, name, enabled) {
+    if (!modelNames.includes(name)) {
+        return null;
+    }
+    if (typeof enabled !== 'boolean') {
+        throw new Error('enabled must be true or false');
+    }
+
+    getStatements().setCameraModel.run(cameraId, name, enabled ? 1 : 0);
+    log.info(`Model ${name} ${enabled ? 'enabled' : 'disabled'}`, { cameraId, model: name });
+    return listCameraModels(cameraId).find(entry => entry.model === name);
+}
+
+function scheduleRefresh() {
+    clearInterval(refreshTimer);
+    refreshTimer = setInterval(() => {
+        refreshModels().catch(error => log.error('Error refreshing model list', { error }));
+    }, getConfig().models.refreshIntervalMinutes * 60 * 1000);
+}
+
+// Fetches the list once, then again every models.refreshIntervalMinutes
+export async function startModelRegistry() {
+    getStatements();
+    await refreshModels();
+    scheduleRefresh();
+
+    onConfigChange((changed) => {
+        if (changed.includes('models.refreshIntervalMinutes')) {
+            scheduleRefresh();
+        }
+        if (changed.includes('server.apiUrl') || changed.includes('models.fallback')) {
+            refreshModels().catch(error => log.error('Error refreshing model list', { error }));
+        }
+    });
+}
+
+export function stopModelRegistry() {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+}
@@ -0,0 +1,165 @@
+import mqtt from 'mqtt';
+import os from 'os';
+import { subscribeEvents } from './event-stream.js';
+import { getConfig } from './config.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('mqtt');
+
+const SHUTDOWN_TIMEOUT_MS = 2000;
+
+let client = null;
+let unsubscribe = null;
+let options = null;
+
+// From the "mqtt" config section; null when no broker is configured
+export function getMqttOptions(settings = getConfig().mqtt) {
+    if (!settings.url) {
+        return null;
+    }
+
+    return {
+        url: settings.url,
+        username: settings.username ?? undefined,
+        password: settings.password ?? undefined,
+        clientId: settings.clientId ?? `vertiplant-${os.hostname()}`,
+        topicPrefix: (settings.topicPrefix ?? `vertiplant/${os.hostname()}`).replace(/\/+$/, ''),
+        qos: settings.qos
+    };
+}
+
+// MQTT wildcards and separators are not allowed inside a topic level
+function topicLevel(value) {
+    return String(value).replace(/[/+#\s]/g, '_');
+}
+
+function publish(topic, payload, { retain = false } = {}) {
+    if (!client) {
+        return;
+    }
+
+    const message = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    client.publish(`${options.topicPrefix}/${topic}`, message, { qos: options.qos, retain }, (error) => {
+        if (error) {
+            log.error(`Error publishing MQTT message to ${topic}`, { error });
+        }
+    });
+}
+
+function handleEvent(type, data) {
+    switch (type) {
+        case 'prediction':
+            publish(`cameras/${topicLevel(data.cameraId)}/predictions`, data);
+            publish(`models/${topicLevel(data.model)}/predictions`, data);
+            break;
+        case 'system-error':
+            publish('errors', data);
+            break;
+        case 'alert':
+            publish('alerts', data);
+            break;
+        case 'status':
+            publish('status', data, { retain: true });
+            break;
+        case 'camera-added':
+        case 'camera-updated':
+            publish(`cameras/${topicLevel(data.id)}/health`, data.health || { state: 'unknown' }, { retain: true });
+            break;
+        case 'camera-removed':
+            publish(`cameras/${topicLevel(data.id)}/health`, { state: 'removed' }, { retain: true });
+            break;
+        default:
+            break;
+    }
+}
+
+// Publishes predictions, errors, alerts, status and camera health under the
+// topic prefix. Availability is retained and flipped to "offline" by the
+// broker's last-will if the node drops off without saying goodbye.
+export function startMqttPublisher(mqttOptions, getStatus) {
+    if (!mqttOptions) {
+        return false;
+    }
+
+    options = mqttOptions;
+    const availabilityTopic = `${options.topicPrefix}/availability`;
+
+    client = mqtt.connect(options.url, {
+        clientId: options.clientId,
+        username: options.username,
+        password: options.password,
+        reconnectPeriod: 5000,
+        will: {
+            topic: availabilityTopic,
+            payload: 'offline',
+            qos: options.qos,
+            retain: true
+        }
+    });
+
+    client.on('connect', () => {
+        log.info(`Connected to MQTT broker ${redactCredentials(options.url)} (topics under ${options.topicPrefix}/)`);
+        publish('availability', 'online', { retain: true });
+        publish('status', getStatus(), { retain: true });
+    });
+
+    client.on('reconnect', () => {
+        log.info(`Reconnecting to MQTT broker ${redactCredentials(options.url)}`);
+    });
+
+    client.on('error', (error) => {
+        log.error('MQTT error', { error });
+    });
+
+    unsubscribe = subscribeEvents(handleEvent);
+    return true;
+}
+
+export function stopMqttPublisher() {
+    if (!client) {
+        return Promise.resolve();
+    }
+
+    unsubscribe?.();
+    unsubscribe = null;
+
+    const closingClient = client;
+    client = null;
+
+    return new Promise((resolve) => {
+        // Without a broker connection the publish never completes; the last-will covers that case
+        const timeout = setTimeout(() => {
+            closingClient.end(true);
+            resolve();
+        }, SHUTDOWN_TIMEOUT_MS);
+
+        closingClient.publish(`${options.topicPrefix}/availability`, 'offline', { qos: options.qos, retain: true }, () => {
+            clearTimeout(timeout);
+            closingClient.end(false, {}, () => resolve());
+        });
+    });
+}
+
+function redactCredentials(url) {
+    try {
+        const parsed = new URL(url);
+        parsed.username = '';
+        parsed.password = '';
+        return parsed.toString();
+    } catch {
+        return url;
+    }
+}
+
+export function getMqttStatus() {
+    if (!options) {
+        return { enabled: false };
+    }
+
+    return {
+        enabled: true,
+        url: redactCredentials(options.url),
+        topicPrefix: options.topicPrefix,
+        connected: Boolean(client?.connected)
+    };
+}
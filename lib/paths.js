@@ -0,0 +1,7 @@
+import path from 'path';
+
+export const DATA_DIR = process.env.VERTIPLANT_DATA_DIR || './data';
+
+export function dataPath(...segments) {
+    return path.join(DATA_DIR, ...segments);
+}
@@ -0,0 +1,88 @@
+import { once } from 'events';
+import { iteratePredictions } from './prediction-store.js';
+
+export const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' }
+};
+
+const CSV_COLUMNS = ['id', 'timestamp', 'camera_id', 'region_id', 'region_name', 'model', 'backend', 'label', 'confidence', 'detections', 'labels', 'image_path'];
+
+function csvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per prediction; every label the result mentioned goes into "labels"
+// as label:confidence pairs separated by semicolons
+function toCsvRow(prediction) {
+    const result = prediction.result;
+    const labels = (result?.labels || [])
+        .map(({ label, confidence }) => (confidence === null ? label : `${label}:${confidence}`))
+        .join(';');
+
+    return [
+        prediction.id,
+        prediction.timestamp,
+        prediction.cameraId,
+        prediction.regionId,
+        prediction.regionName,
+        prediction.model,
+        result?.backend,
+        result?.label,
+        result?.confidence,
+        result?.detections.length ?? 0,
+        labels,
+        prediction.imagePath
+    ].map(csvValue).join(',');
+}
+
+function toNdjsonRow(prediction) {
+    // The backend's raw response can be large and isn't needed for analysis
+    const result = prediction.result ? { ...prediction.result, raw: undefined } : null;
+    return JSON.stringify({ ...prediction, result });
+}
+
+// Query: format=csv|ndjson (default csv), cameraId, regionId, model, label, from, to.
+// Throws on invalid input, before anything has been written.
+export function parseExportQuery(query) {
+    const format = query.format || 'csv';
+    if (!EXPORT_FORMATS[format]) {
+        throw new Error(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+    for (const key of ['from', 'to']) {
+        if (query[key] && Number.isNaN(new Date(query[key]).getTime())) {
+            throw new Error(`${key} must be a valid timestamp`);
+        }
+    }
+
+    const { cameraId, regionId, model, label, from, to } = query;
+    return { format, filters: { cameraId, regionId, model, label, from, to } };
+}
+
+// Streams matching predictions to a writable, respecting backpressure so large
+// ranges don't pile up in memory
+export async function writePredictionExport(output, filters, format) {
+    const toRow = format === 'csv' ? toCsvRow : toNdjsonRow;
+    if (format === 'csv') {
+        output.write(`${CSV_COLUMNS.join(',')}\n`);
+    }
+
+    let count = 0;
+    for (const prediction of iteratePredictions(filters)) {
+        if (output.destroyed) {
+            break;
+        }
+        if (!output.write(`${toRow(prediction)}\n`)) {
+            // A client that disconnects never drains
+            await Promise.race([once(output, 'drain'), once(output, 'close')]);
+        }
+        count++;
+    }
+
+    output.end();
+    return count;
+}
@@ -0,0 +1,108 @@
+// Every predictor backend returns results in one schema:
+//
+//   {
+//       backend: 'remote' | 'onnx',
+//       label: string | null,          // strongest label on the frame
+//       confidence: number | null,
+//       labels: [{ label, confidence }],
+//       detections: [{ label, confidence, box: { x, y, width, height } | null }],
+//       raw: <backend response, if any>
+//   }
+//
+// Boxes are in pixels of the captured frame, also for region crops (see
+// offsetBoxes). Predictions stored before this schema existed are normalized
+// when read, so callers only ever see this shape.
+
+function toConfidence(value) {
+    const number = Number(value);
+    return value === null || value === undefined || !Number.isFinite(number) ? null : number;
+}
+
+function toBox(detection) {
+    const box = detection.box ?? detection.bbox ?? detection;
+
+    if (Array.isArray(box) && box.length === 4) {
+        const [x1, y1, x2, y2] = box.map(Number);
+        return { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+    }
+    if (box && Number.isFinite(box.width) && Number.isFinite(box.height)) {
+        return { x: box.x ?? 0, y: box.y ?? 0, width: box.width, height: box.height };
+    }
+    if (box && Number.isFinite(box.x1) && Number.isFinite(box.x2)) {
+        return { x: box.x1, y: box.y1, width: box.x2 - box.x1, height: box.y2 - box.y1 };
+    }
+    if (box && Number.isFinite(box.xmin) && Number.isFinite(box.xmax)) {
+        return { x: box.xmin, y: box.ymin, width: box.xmax - box.xmin, height: box.ymax - box.ymin };
+    }
+    return null;
+}
+
+export function isNormalizedResult(result) {
+    return Boolean(result) && Array.isArray(result.labels) && Array.isArray(result.detections);
+}
+
+export function buildResult(backend, { labels = [], detections = [], raw = null }) {
+    const strongest = [...labels].sort((a, b) => (b.confidence ?? 0) - (a.confidence ?? 0))[0];
+
+    return {
+        backend,
+        label: strongest?.label ?? null,
+        confidence: strongest?.confidence ?? null,
+        labels,
+        detections,
+        raw
+    };
+}
+
+// The remote API has returned a few different shapes over time:
+// { detections: [{ class | label, confidence | score, bbox | box }] } or
+// { prediction | class | label, confidence | score }.
+export function normalizeResult(result, backend = 'remote') {
+    if (isNormalizedResult(result)) {
+        return result;
+    }
+    if (!result || typeof result !== 'object') {
+        return buildResult(backend, { raw: result ?? null });
+    }
+
+    if (Array.isArray(result.detections)) {
+        const detections = result.detections
+            .map(detection => ({
+                label: detection.class ?? detection.label ?? null,
+                confidence: toConfidence(detection.confidence ?? detection.score),
+                box: toBox(detection)
+            }))
+            .filter(detection => typeof detection.label === 'string');
+
+        return buildResult(backend, {
+            labels: detections.map(({ label, confidence }) => ({ label, confidence })),
+            detections,
+            raw: result
+        });
+    }
+
+    const label = result.prediction ?? result.class ?? result.label;
+    if (typeof label === 'string') {
+        return buildResult(backend, {
+            labels: [{ label, confidence: toConfidence(result.confidence ?? result.score) }],
+            raw: result
+        });
+    }
+
+    return buildResult(backend, { raw: result });
+}
+
+// Results for a cropped region come back in crop pixels; shifts the boxes so
+// they land where the region sits in the captured frame
+export function offsetBoxes(result, left, top) {
+    if (!isNormalizedResult(result) || (left === 0 && top === 0)) {
+        return result;
+    }
+
+    return {
+        ...result,
+        detections: result.detections.map(detection => (detection.box
+            ? { ...detection, box: { ...detection.box, x: detection.box.x + left, y: detection.box.y + top } }
+            : detection))
+    };
+}
@@ -0,0 +1,277 @@
+import { getDatabase } from './database.js';
+import { getConfig } from './config.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('scheduler');
+
+const TICK_INTERVAL_MS = 1000;
+const MIN_INTERVAL_SECONDS = 1;
+
+let statements = null;
+let tickTimer = null;
+let hooks = null;
+
+// Per camera: whether a run is in flight, and when each model is next due
+const runtime = new Map();
+
+function getStatements() {
+    if (statements) {
+        return statements;
+    }
+
+    const db = getDatabase();
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS camera_schedules (
+            camera_id INTEGER PRIMARY KEY,
+            config TEXT NOT NULL,
+            updated_at TEXT NOT NULL
+        );
+    `);
+
+    statements = {
+        get: db.prepare('SELECT config FROM camera_schedules WHERE camera_id = ?'),
+        upsert: db.prepare(`
+            INSERT INTO camera_schedules (camera_id, config, updated_at) VALUES (?, ?, ?)
+            ON CONFLICT (camera_id) DO UPDATE SET config = excluded.config, updated_at = excluded.updated_at
+        `),
+        remove: db.prepare('DELETE FROM camera_schedules WHERE camera_id = ?')
+    };
+
+    return statements;
+}
+
+function getRuntime(cameraId) {
+    if (!runtime.has(cameraId)) {
+        runtime.set(cameraId, {
+            busy: false,
+            delayed: false,
+            nextRunAt: new Map(),
+            lastRunAt: null,
+            lastRunDurationMs: null,
+            delayedRuns: 0
+        });
+    }
+    return runtime.get(cameraId);
+}
+
+function parseTimeOfDay(value) {
+    const match = typeof value === 'string' ? value.match(/^([01]\d|2[0-3]):([0-5]\d)$/) : null;
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+// Active hours may wrap midnight, e.g. 18:00-06:00 for night-time lighting
+export function isWithinActiveHours(activeHours, date = new Date()) {
+    if (!activeHours) {
+        return true;
+    }
+
+    const start = parseTimeOfDay(activeHours.start);
+    const end = parseTimeOfDay(activeHours.end);
+    const minutes = date.getHours() * 60 + date.getMinutes();
+
+    if (start === end) {
+        return true;
+    }
+    return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+function validateSchedule(input, availableModels) {
+    const errors = [];
+
+    if (!Array.isArray(input.models)) {
+        errors.push('models must be an array of { name, intervalSeconds }');
+    }
+
+    const defaultIntervalSeconds = getConfig().predictions.defaultIntervalSeconds;
+    const models = (Array.isArray(input.models) ? input.models : []).map((entry, index) => {
+        const name = typeof entry === 'string' ? entry : entry?.name;
+        const intervalSeconds = Number(typeof entry === 'string' ? defaultIntervalSeconds : entry?.intervalSeconds ?? defaultIntervalSeconds);
+
+        if (typeof name !== 'string' || name === '') {
+            errors.push(`models[${index}].name is required`);
+        } else if (availableModels.length > 0 && !availableModels.includes(name)) {
+            errors.push(`models[${index}].name "${name}" is not an available model`);
+        }
+        if (!Number.isFinite(intervalSeconds) || intervalSeconds < MIN_INTERVAL_SECONDS) {
+            errors.push(`models[${index}].intervalSeconds must be a number >= ${MIN_INTERVAL_SECONDS}`);
+        }
+
+        return { name, intervalSeconds };
+    });
+
+    const names = models.map(model => model.name);
+    if (new Set(names).size !== names.length) {
+        errors.push('models must not contain the same model twice');
+    }
+
+    let activeHours = null;
+    if (input.activeHours) {
+        const { start, end } = input.activeHours;
+        if (parseTimeOfDay(start) === null || parseTimeOfDay(end) === null) {
+            errors.push('activeHours.start and activeHours.end must be HH:MM (24h)');
+        } else {
+            activeHours = { start, end };
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+    }
+
+    return {
+        enabled: input.enabled === undefined ? true : Boolean(input.enabled),
+        models,
+        activeHours
+    };
+}
+
+// Follows predictions.defaultIntervalSeconds, so a config change reaches every
+// camera that hasn't got a schedule of its own
+function defaultSchedule(availableModels) {
+    const intervalSeconds = getConfig().predictions.defaultIntervalSeconds;
+    return {
+        enabled: true,
+        models: availableModels.map(name => ({ name, intervalSeconds })),
+        activeHours: null
+    };
+}
+
+function loadSchedule(cameraId) {
+    const row = getStatements().get.get(cameraId);
+    return row ? JSON.parse(row.config) : null;
+}
+
+export function getSchedule(cameraId) {
+    const stored = loadSchedule(cameraId);
+    const schedule = stored || defaultSchedule(hooks ? hooks.getModels() : []);
+    const state = getRuntime(cameraId);
+
+    return {
+        cameraId,
+        isDefault: !stored,
+        ...schedule,
+        active: schedule.enabled && isWithinActiveHours(schedule.activeHours),
+        busy: state.busy,
+        lastRunAt: state.lastRunAt,
+        lastRunDurationMs: state.lastRunDurationMs,
+        delayedRuns: state.delayedRuns,
+        nextRuns: Object.fromEntries(
+            schedule.models.map(model => {
+                const nextRunAt = state.nextRunAt.get(model.name);
+                return [model.name, nextRunAt ? new Date(nextRunAt).toISOString() : null];
+            })
+        )
+    };
+}
+
+export function listSchedules() {
+    return hooks ? hooks.getCameras().map(camera => getSchedule(camera.id)) : [];
+}
+
+export function setSchedule(cameraId, input) {
+    const schedule = validateSchedule(input || {}, hooks ? hooks.getModels() : []);
+    getStatements().upsert.run(cameraId, JSON.stringify(schedule), new Date().toISOString());
+    // New intervals take effect immediately rather than after the old ones elapse
+    getRuntime(cameraId).nextRunAt.clear();
+    return getSchedule(cameraId);
+}
+
+export function resetSchedule(cameraId) {
+    getStatements().remove.run(cameraId);
+    getRuntime(cameraId).nextRunAt.clear();
+    return getSchedule(cameraId);
+}
+
+async function runCamera(camera, models, options = {}) {
+    const state = getRuntime(camera.id);
+    state.busy = true;
+    const startedAt = Date.now();
+
+    try {
+        return await hooks.runCamera(camera, models, options);
+    } finally {
+        state.busy = false;
+        state.lastRunAt = new Date(startedAt).toISOString();
+        state.lastRunDurationMs = Date.now() - startedAt;
+        hooks.onRunComplete?.(camera, models, state.lastRunDurationMs);
+    }
+}
+
+// Returns null when a run for this camera is already in flight. Without
+// explicit models it runs the camera's scheduled, enabled models. Manual runs
+// are marked so the frame quality gate lets them through.
+export function triggerNow(camera, models) {
+    if (!hooks) {
+        return Promise.reject(new Error('The prediction scheduler has not started yet'));
+    }
+
+    const state = getRuntime(camera.id);
+    if (state.busy) {
+        return null;
+    }
+
+    const schedule = loadSchedule(camera.id) || defaultSchedule(hooks.getModels());
+    const selectedModels = models && models.length > 0
+        ? models
+        : schedule.models.map(model => model.name).filter(name => hooks.isModelEnabled?.(name, camera.id) ?? true);
+    return runCamera(camera, selectedModels, { manual: true });
+}
+
+function tick() {
+    const now = Date.now();
+    const availableModels = hooks.getModels();
+
+    for (const camera of hooks.getCameras()) {
+        const schedule = loadSchedule(camera.id) || defaultSchedule(availableModels);
+        if (!schedule.enabled || !isWithinActiveHours(schedule.activeHours)) {
+            continue;
+        }
+
+        const state = getRuntime(camera.id);
+        const dueModels = schedule.models.filter(model =>
+            (state.nextRunAt.get(model.name) ?? 0) <= now && (hooks.isModelEnabled?.(model.name, camera.id) ?? true));
+        if (dueModels.length === 0) {
+            continue;
+        }
+
+        // Never overlap runs for one camera; the due models wait for the next tick
+        if (state.busy) {
+            if (!state.delayed) {
+                state.delayed = true;
+                state.delayedRuns++;
+                hooks.onRunDelayed?.(camera);
+            }
+            continue;
+        }
+        state.delayed = false;
+
+        const intervalScale = hooks.getIntervalScale?.() ?? 1;
+        for (const model of dueModels) {
+            state.nextRunAt.set(model.name, now + model.intervalSeconds * 1000 * intervalScale);
+        }
+
+        // Models due together share one captured frame
+        runCamera(camera, dueModels.map(model => model.name))
+            .catch(error => log.error('Scheduled run failed', { cameraId: camera.id, error }));
+    }
+}
+
+// hooks.getCameras() and hooks.getModels() describe what can be scheduled;
+// hooks.runCamera(camera, models, { manual }) captures one frame and predicts it with each model.
+// hooks.getIntervalScale(), if given, stretches every interval (e.g. while the disk is nearly full).
+// hooks.isModelEnabled(model, cameraId), if given, skips disabled models.
+export function startScheduler(schedulerHooks) {
+    hooks = schedulerHooks;
+    getStatements();
+    tickTimer = setInterval(tick, TICK_INTERVAL_MS);
+}
+
+export function stopScheduler() {
+    clearInterval(tickTimer);
+    tickTimer = null;
+}
+
+// False until initialize() has loaded the cameras and models
+export function isSchedulerRunning() {
+    return tickTimer !== null;
+}
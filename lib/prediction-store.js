@@ -0,0 +1,380 @@
+import { getDatabase, addColumnIfMissing } from './database.js';
+import { normalizeResult } from './prediction-result.js';
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+const DEFAULT_TIMELINE_RANGE_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TIMELINE_BUCKETS = 96;
+const MAX_TIMELINE_BUCKETS = 500;
+const EXPORT_BATCH_SIZE = 500;
+
+let statements = null;
+
+function migrate(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS predictions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            camera_id INTEGER NOT NULL,
+            model TEXT NOT NULL,
+            timestamp TEXT NOT NULL,
+            result TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_predictions_timestamp ON predictions (timestamp);
+        CREATE INDEX IF NOT EXISTS idx_predictions_camera ON predictions (camera_id, timestamp);
+        CREATE INDEX IF NOT EXISTS idx_predictions_model ON predictions (model, timestamp);
+
+        CREATE TABLE IF NOT EXISTS prediction_labels (
+            prediction_id INTEGER NOT NULL REFERENCES predictions (id) ON DELETE CASCADE,
+            label TEXT NOT NULL,
+            confidence REAL
+        );
+        CREATE INDEX IF NOT EXISTS idx_prediction_labels_label ON prediction_labels (label, prediction_id);
+        CREATE INDEX IF NOT EXISTS idx_prediction_labels_prediction ON prediction_labels (prediction_id);
+
+        CREATE TABLE IF NOT EXISTS system_errors (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            camera_id INTEGER,
+            error TEXT NOT NULL,
+            timestamp TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_system_errors_timestamp ON system_errors (timestamp);
+    `);
+
+    // Evidence frame, relative to the image archive
+    addColumnIfMissing(db, 'predictions', 'image_path', 'TEXT');
+    // Set when the frame was cropped to a camera region; the name is kept as it
+    // was at prediction time, like an alert's rule name
+    addColumnIfMissing(db, 'predictions', 'region_id', 'INTEGER');
+    addColumnIfMissing(db, 'predictions', 'region_name', 'TEXT');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_predictions_region ON predictions (region_id, timestamp)');
+}
+
+function getStatements() {
+    if (statements) {
+        return statements;
+    }
+
+    const db = getDatabase();
+    db.pragma('foreign_keys = ON');
+    migrate(db);
+
+    statements = {
+        insertPrediction: db.prepare(
+            'INSERT INTO predictions (camera_id, model, timestamp, result, image_path, region_id, region_name) VALUES (?, ?, ?, ?, ?, ?, ?)'
+        ),
+        getPrediction: db.prepare('SELECT * FROM predictions WHERE id = ?'),
+        detachImage: db.prepare('UPDATE predictions SET image_path = NULL WHERE image_path = ?'),
+        insertLabel: db.prepare(
+            'INSERT INTO prediction_labels (prediction_id, label, confidence) VALUES (?, ?, ?)'
+        ),
+        insertError: db.prepare(
+            'INSERT INTO system_errors (camera_id, error, timestamp) VALUES (?, ?, ?)'
+        ),
+        countPredictions: db.prepare('SELECT COUNT(*) AS count FROM predictions')
+    };
+
+    return statements;
+}
+
+export function extractLabels(result) {
+    return normalizeResult(result).labels;
+}
+
+function parsePagination(limit, offset) {
+    const parsedLimit = Number.parseInt(limit, 10);
+    const parsedOffset = Number.parseInt(offset, 10);
+
+    return {
+        limit: Number.isNaN(parsedLimit) ? DEFAULT_PAGE_SIZE : Math.min(Math.max(parsedLimit, 1), MAX_PAGE_SIZE),
+        offset: Number.isNaN(parsedOffset) ? 0 : Math.max(parsedOffset, 0)
+    };
+}
+
+// For from/to query filters; Date would otherwise throw "Invalid time value"
+export function parseTimestampFilter(value, name) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`${name} must be an ISO timestamp`);
+    }
+    return date.toISOString();
+}
+
+function toPrediction(row) {
+    return {
+        id: row.id,
+        cameraId: row.camera_id,
+        model: row.model,
+        timestamp: row.timestamp,
+        result: normalizeResult(row.result ? JSON.parse(row.result) : null),
+        imagePath: row.image_path ?? null,
+        regionId: row.region_id ?? null,
+        regionName: row.region_name ?? null
+    };
+}
+
+export function insertPrediction(prediction) {
+    const { insertPrediction: insert, insertLabel } = getStatements();
+    const db = getDatabase();
+
+    const id = db.transaction(() => {
+        const info = insert.run(
+            prediction.cameraId,
+            prediction.model,
+            prediction.timestamp,
+            JSON.stringify(prediction.result ?? null),
+            prediction.imagePath ?? null,
+            prediction.regionId ?? null,
+            prediction.regionName ?? null
+        );
+        const predictionId = Number(info.lastInsertRowid);
+
+        for (const { label, confidence } of extractLabels(prediction.result)) {
+            insertLabel.run(predictionId, label, confidence);
+        }
+
+        return predictionId;
+    })();
+
+    return {
+        id,
+        ...prediction,
+        imagePath: prediction.imagePath ?? null,
+        regionId: prediction.regionId ?? null,
+        regionName: prediction.regionName ?? null
+    };
+}
+
+export function getPrediction(id) {
+    const row = getStatements().getPrediction.get(id);
+    return row ? toPrediction(row) : null;
+}
+
+// regionId=none selects whole-frame predictions
+function addRegionCondition(regionId, conditions, params) {
+    if (regionId === 'none') {
+        conditions.push('region_id IS NULL');
+    } else if (regionId !== undefined && regionId !== '') {
+        conditions.push('region_id = ?');
+        params.push(Number(regionId));
+    }
+}
+
+function buildPredictionConditions(filters) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.cameraId !== undefined && filters.cameraId !== '') {
+        conditions.push('camera_id = ?');
+        params.push(Number(filters.cameraId));
+    }
+    addRegionCondition(filters.regionId, conditions, params);
+    if (filters.model) {
+        conditions.push('model = ?');
+        params.push(filters.model);
+    }
+    if (filters.label) {
+        conditions.push('id IN (SELECT prediction_id FROM prediction_labels WHERE label = ?)');
+        params.push(filters.label);
+    }
+    if (filters.from) {
+        conditions.push('timestamp >= ?');
+        params.push(parseTimestampFilter(filters.from, 'from'));
+    }
+    if (filters.to) {
+        conditions.push('timestamp <= ?');
+        params.push(parseTimestampFilter(filters.to, 'to'));
+    }
+
+    return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+export function queryPredictions(filters = {}) {
+    getStatements();
+    const db = getDatabase();
+
+    const { where, params } = buildPredictionConditions(filters);
+    const { limit, offset } = parsePagination(filters.limit, filters.offset);
+
+    const total = db.prepare(`SELECT COUNT(*) AS count FROM predictions ${where}`).get(...params).count;
+    const rows = db
+        .prepare(`SELECT * FROM predictions ${where} ORDER BY timestamp DESC, id DESC LIMIT ? OFFSET ?`)
+        .all(...params, limit, offset);
+
+    return { items: rows.map(toPrediction), total, limit, offset };
+}
+
+function parseTimelineRange(filters) {
+    const to = filters.to ? new Date(filters.to) : new Date();
+    const from = filters.from ? new Date(filters.from) : new Date(to.getTime() - DEFAULT_TIMELINE_RANGE_MS);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+        throw new Error('from and to must be valid timestamps');
+    }
+    if (from >= to) {
+        throw new Error('from must be before to');
+    }
+
+    const parsedBuckets = Number.parseInt(filters.buckets, 10);
+    const buckets = Number.isNaN(parsedBuckets)
+        ? DEFAULT_TIMELINE_BUCKETS
+        : Math.min(Math.max(parsedBuckets, 1), MAX_TIMELINE_BUCKETS);
+
+    return { from, to, buckets };
+}
+
+// Per-model series of fixed-width time buckets for one camera. Results are
+// normalized row by row so legacy result shapes count the same as new ones.
+// Filters: model, regionId, from, to (ISO timestamps, default the last 24h), buckets
+export function getPredictionTimeline(cameraId, filters = {}) {
+    getStatements();
+    const db = getDatabase();
+    const { from, to, buckets } = parseTimelineRange(filters);
+    const bucketMs = (to.getTime() - from.getTime()) / buckets;
+
+    const conditions = ['camera_id = ?', 'timestamp >= ?', 'timestamp <= ?'];
+    const params = [cameraId, from.toISOString(), to.toISOString()];
+    if (filters.model) {
+        conditions.push('model = ?');
+        params.push(filters.model);
+    }
+    addRegionCondition(filters.regionId, conditions, params);
+
+    const series = new Map();
+    const rows = db
+        .prepare(`SELECT model, timestamp, result FROM predictions WHERE ${conditions.join(' AND ')} ORDER BY timestamp ASC`)
+        .iterate(...params);
+
+    for (const row of rows) {
+        if (!series.has(row.model)) {
+            series.set(row.model, new Map());
+        }
+        const points = series.get(row.model);
+        const index = Math.min(Math.floor((new Date(row.timestamp).getTime() - from.getTime()) / bucketMs), buckets - 1);
+
+        if (!points.has(index)) {
+            points.set(index, { count: 0, detections: 0, confidenceSum: 0, confidenceCount: 0, maxConfidence: null, labels: {} });
+        }
+        const point = points.get(index);
+        const result = normalizeResult(row.result ? JSON.parse(row.result) : null);
+
+        point.count++;
+        point.detections += result?.detections.length ?? 0;
+        if (result?.label) {
+            point.labels[result.label] = (point.labels[result.label] || 0) + 1;
+        }
+        if (typeof result?.confidence === 'number') {
+            point.confidenceSum += result.confidence;
+            point.confidenceCount++;
+            point.maxConfidence = Math.max(point.maxConfidence ?? 0, result.confidence);
+        }
+    }
+
+    return {
+        cameraId,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        bucketSeconds: bucketMs / 1000,
+        series: [...series.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([model, points]) => ({
+                model,
+                points: [...points.entries()]
+                    .sort(([a], [b]) => a - b)
+                    .map(([index, point]) => ({
+                        start: new Date(from.getTime() + index * bucketMs).toISOString(),
+                        count: point.count,
+                        detections: point.detections,
+                        maxConfidence: point.maxConfidence,
+                        avgConfidence: point.confidenceCount > 0 ? point.confidenceSum / point.confidenceCount : null,
+                        topLabel: Object.entries(point.labels).sort(([, a], [, b]) => b - a)[0]?.[0] ?? null
+                    }))
+            }))
+    };
+}
+
+// Oldest first and unpaginated, for exports and reports. Same filters as
+// queryPredictions. Rows are fetched in keyset-paged batches so no cursor stays
+// open while the caller waits on a slow client.
+export function* iteratePredictions(filters = {}) {
+    getStatements();
+    const { where, params } = buildPredictionConditions(filters);
+    const statement = getDatabase().prepare(`
+        SELECT * FROM predictions ${where ? `${where} AND` : 'WHERE'} (timestamp > ? OR (timestamp = ? AND id > ?))
+        ORDER BY timestamp ASC, id ASC LIMIT ?
+    `);
+
+    let lastTimestamp = '';
+    let lastId = 0;
+    while (true) {
+        const rows = statement.all(...params, lastTimestamp, lastTimestamp, lastId, EXPORT_BATCH_SIZE);
+        for (const row of rows) {
+            yield toPrediction(row);
+        }
+        if (rows.length < EXPORT_BATCH_SIZE) {
+            return;
+        }
+        lastTimestamp = rows[rows.length - 1].timestamp;
+        lastId = rows[rows.length - 1].id;
+    }
+}
+
+// The archive pruned the frame; the prediction itself is kept
+export function detachImage(imagePath) {
+    getStatements().detachImage.run(imagePath);
+}
+
+export function countPredictions() {
+    return getStatements().countPredictions.get().count;
+}
+
+export function insertSystemError(errorEntry) {
+    const info = getStatements().insertError.run(
+        errorEntry.cameraId ?? null,
+        errorEntry.error,
+        errorEntry.timestamp
+    );
+    return { id: Number(info.lastInsertRowid), ...errorEntry };
+}
+
+export function querySystemErrors(filters = {}) {
+    getStatements();
+    const db = getDatabase();
+
+    const conditions = [];
+    const params = [];
+
+    // cameraId=none selects errors that aren't tied to a camera
+    if (filters.cameraId === 'none') {
+        conditions.push('camera_id IS NULL');
+    } else if (filters.cameraId !== undefined && filters.cameraId !== '') {
+        conditions.push('camera_id = ?');
+        params.push(Number(filters.cameraId));
+    }
+    if (filters.from) {
+        conditions.push('timestamp >= ?');
+        params.push(parseTimestampFilter(filters.from, 'from'));
+    }
+    if (filters.to) {
+        conditions.push('timestamp <= ?');
+        params.push(parseTimestampFilter(filters.to, 'to'));
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { limit, offset } = parsePagination(filters.limit ?? 50, filters.offset);
+
+    const total = db.prepare(`SELECT COUNT(*) AS count FROM system_errors ${where}`).get(...params).count;
+    const rows = db
+        .prepare(`SELECT * FROM system_errors ${where} ORDER BY timestamp DESC, id DESC LIMIT ? OFFSET ?`)
+        .all(...params, limit, offset);
+
+    return {
+        items: rows.map(row => ({
+            id: row.id,
+            cameraId: row.camera_id,
+            error: row.error,
+            timestamp: row.timestamp
+        })),
+        total,
+        limit,
+        offset
+    };
+}
@@ -0,0 +1,64 @@
+import { predictorFallbacks } from '../metrics.js';
+
+// Tries each backend in order and moves on when one fails or is less sure
+// than minConfidence. If every backend falls short, the most confident
+// result wins. When all of them fail, the first retryable error is thrown if
+// there was one, so a remote outage still lands the frame in the upload queue
+// even when a local backend after it also failed; otherwise the last error.
+export function createFallbackPredictor({ predictors, minConfidence = null }) {
+    if (!Array.isArray(predictors) || predictors.length === 0) {
+        throw new Error('fallback predictor requires at least one backend');
+    }
+
+    async function predict(imageBuffer, model) {
+        const skipped = [];
+        let best = null;
+        let lastError = null;
+        let retryableError = null;
+
+        for (const [index, predictor] of predictors.entries()) {
+            const isLast = index === predictors.length - 1;
+
+            let result;
+            try {
+                result = await predictor.predict(imageBuffer, model);
+            } catch (error) {
+                lastError = error;
+                retryableError = retryableError || (error.retryable ? error : null);
+                skipped.push({ backend: predictor.type, reason: 'error', error: error.message });
+                if (!isLast) {
+                    predictorFallbacks.inc({ model, backend: predictor.type, reason: 'error' });
+                }
+                continue;
+            }
+
+            if (!best || (result.confidence ?? 0) > (best.confidence ?? 0)) {
+                best = result;
+            }
+
+            if (minConfidence === null || (result.confidence ?? 0) >= minConfidence) {
+                return { ...result, fallback: skipped };
+            }
+
+            skipped.push({ backend: predictor.type, reason: 'low_confidence', confidence: result.confidence });
+            if (!isLast) {
+                predictorFallbacks.inc({ model, backend: predictor.type, reason: 'low_confidence' });
+            }
+        }
+
+        if (best) {
+            return { ...best, fallback: skipped };
+        }
+        throw retryableError || lastError;
+    }
+
+    return {
+        type: 'fallback',
+        describe: () => ({
+            type: 'fallback',
+            minConfidence,
+            backends: predictors.map(predictor => predictor.describe())
+        }),
+        predict
+    };
+}
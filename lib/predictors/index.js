@@ -0,0 +1,77 @@
+import { readFileSync, existsSync } from 'fs';
+import path from 'path';
+import { createRemotePredictor } from './remote-http.js';
+import { createOnnxPredictor } from './onnx-local.js';
+import { createFallbackPredictor } from './fallback-chain.js';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('predictor');
+
+export const PREDICTORS_FILE = process.env.VERTIPLANT_PREDICTORS_FILE || './predictors.json';
+
+let defaultPredictor = null;
+let modelPredictors = new Map();
+
+// Backend specs come from the predictors file (see predictors.example.json):
+//   { "type": "remote" }
+//   { "type": "onnx", "modelPath": "...", "task": "classification" | "detection", "labels": [...] }
+//   { "type": "fallback", "minConfidence": 0.6, "backends": [<spec>, <spec>] }
+function createPredictor(spec, context) {
+    switch (spec?.type) {
+        case 'remote':
+            return createRemotePredictor({
+                baseUrl: spec.url || context.apiUrl,
+                timeoutMs: spec.timeoutMs ?? context.timeoutMs
+            });
+        case 'onnx':
+            return createOnnxPredictor({
+                ...spec,
+                modelPath: spec.modelPath && path.resolve(context.baseDir, spec.modelPath)
+            });
+        case 'fallback':
+            return createFallbackPredictor({
+                minConfidence: spec.minConfidence ?? null,
+                predictors: (spec.backends || []).map(backend => createPredictor(backend, context))
+            });
+        default:
+            throw new Error(`Unknown predictor type "${spec?.type}"`);
+    }
+}
+
+// Without a predictors file every model goes to the remote API, as before
+export function loadPredictors({ apiUrl, timeoutMs, file = PREDICTORS_FILE }) {
+    const context = { apiUrl, timeoutMs, baseDir: path.dirname(path.resolve(file)) };
+
+    let config = {};
+    if (existsSync(file)) {
+        config = JSON.parse(readFileSync(file, 'utf8'));
+        log.info(`Loaded predictor backends from ${file}`);
+    }
+
+    defaultPredictor = createPredictor(config.default || { type: 'remote' }, context);
+    modelPredictors = new Map(
+        Object.entries(config.models || {}).map(([model, spec]) => {
+            try {
+                return [model, createPredictor(spec, context)];
+            } catch (error) {
+                throw new Error(`Invalid predictor for model "${model}": ${error.message}`);
+            }
+        })
+    );
+}
+
+export function getPredictor(model) {
+    return modelPredictors.get(model) || defaultPredictor;
+}
+
+// Models with their own backend, e.g. local-only models the remote API doesn't list
+export function getConfiguredModels() {
+    return [...modelPredictors.keys()];
+}
+
+export function describePredictors() {
+    return {
+        default: defaultPredictor?.describe() ?? null,
+        models: Object.fromEntries([...modelPredictors].map(([model, predictor]) => [model, predictor.describe()]))
+    };
+}
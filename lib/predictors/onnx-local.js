@@ -0,0 +1,156 @@
+import sharp from 'sharp';
+import { buildResult } from '../prediction-result.js';
+import { localInferenceDuration } from '../metrics.js';
+
+const DEFAULT_INPUT_SIZE = 224;
+const DEFAULT_SCORE_THRESHOLD = 0.25;
+
+let runtime = null;
+
+// onnxruntime-node is an optional dependency so nodes that only use the
+// remote API don't need its native binaries
+async function loadRuntime() {
+    if (!runtime) {
+        runtime = import('onnxruntime-node').catch((error) => {
+            runtime = null;
+            throw new Error(`Local inference needs the onnxruntime-node package: ${error.message}`);
+        });
+    }
+    return runtime;
+}
+
+function softmax(values) {
+    const max = Math.max(...values);
+    const exps = values.map(value => Math.exp(value - max));
+    const sum = exps.reduce((total, value) => total + value, 0);
+    return exps.map(value => value / sum);
+}
+
+// Runs an ONNX model on the CPU.
+//   task "classification": one output of class scores, shape [1, classes]
+//   task "detection": one output of rows [x1, y1, x2, y2, score, class], shape [1, n, 6],
+//   with coordinates in model input pixels
+// Input is NCHW float32 RGB scaled to 0..1, then (value - mean) / std per channel.
+export function createOnnxPredictor({
+    modelPath,
+    labels = [],
+    task = 'classification',
+    inputSize = DEFAULT_INPUT_SIZE,
+    mean = [0, 0, 0],
+    std = [1, 1, 1],
+    applySoftmax = true,
+    scoreThreshold = DEFAULT_SCORE_THRESHOLD
+}) {
+    if (!modelPath) {
+        throw new Error('onnx predictor requires modelPath');
+    }
+    if (task !== 'classification' && task !== 'detection') {
+        throw new Error(`onnx predictor task must be "classification" or "detection", got "${task}"`);
+    }
+
+    const [inputWidth, inputHeight] = Array.isArray(inputSize) ? inputSize : [inputSize, inputSize];
+    let session = null;
+
+    function getSession() {
+        if (!session) {
+            session = loadRuntime()
+                .then(ort => ort.InferenceSession.create(modelPath, { executionProviders: ['cpu'] }))
+                .catch((error) => {
+                    session = null;
+                    throw error;
+                });
+        }
+        return session;
+    }
+
+    function labelFor(index) {
+        return labels[index] ?? `class_${index}`;
+    }
+
+    async function toTensor(imageBuffer) {
+        const ort = await loadRuntime();
+        const image = sharp(imageBuffer);
+        const { width, height } = await image.metadata();
+        const pixels = await image
+            .removeAlpha()
+            .toColourspace('srgb')
+            .resize(inputWidth, inputHeight, { fit: 'fill' })
+            .raw()
+            .toBuffer();
+
+        const planeSize = inputWidth * inputHeight;
+        const input = new Float32Array(3 * planeSize);
+        for (let i = 0; i < planeSize; i++) {
+            for (let channel = 0; channel < 3; channel++) {
+                input[channel * planeSize + i] = (pixels[i * 3 + channel] / 255 - mean[channel]) / std[channel];
+            }
+        }
+
+        return {
+            tensor: new ort.Tensor('float32', input, [1, 3, inputHeight, inputWidth]),
+            width,
+            height
+        };
+    }
+
+    function classify(output) {
+        const values = Array.from(output.data);
+        const scores = applySoftmax ? softmax(values) : values;
+        const best = scores.reduce((bestIndex, score, index) => (score > scores[bestIndex] ? index : bestIndex), 0);
+
+        return buildResult('onnx', {
+            labels: [{ label: labelFor(best), confidence: scores[best] }]
+        });
+    }
+
+    function detect(output, width, height) {
+        const rowLength = output.dims[output.dims.length - 1];
+        const scaleX = width / inputWidth;
+        const scaleY = height / inputHeight;
+        const detections = [];
+
+        for (let offset = 0; offset + rowLength <= output.data.length; offset += rowLength) {
+            const [x1, y1, x2, y2, score, classIndex] = output.data.slice(offset, offset + 6);
+            if (score < scoreThreshold) {
+                continue;
+            }
+            detections.push({
+                label: labelFor(Math.round(classIndex)),
+                confidence: score,
+                box: {
+                    x: x1 * scaleX,
+                    y: y1 * scaleY,
+                    width: (x2 - x1) * scaleX,
+                    height: (y2 - y1) * scaleY
+                }
+            });
+        }
+
+        detections.sort((a, b) => b.confidence - a.confidence);
+        return buildResult('onnx', {
+            labels: detections.map(({ label, confidence }) => ({ label, confidence })),
+            detections
+        });
+    }
+
+    async function predict(imageBuffer, model) {
+        const endTimer = localInferenceDuration.startTimer({ model });
+
+        try {
+            const activeSession = await getSession();
+            const { tensor, width, height } = await toTensor(imageBuffer);
+            const outputs = await activeSession.run({ [activeSession.inputNames[0]]: tensor });
+            const output = outputs[activeSession.outputNames[0]];
+
+            return task === 'detection' ? detect(output, width, height) : classify(output);
+        } finally {
+            endTimer();
+        }
+    }
+
+    return {
+        type: 'onnx',
+        describe: () => ({ type: 'onnx', task, modelPath, labels: labels.length }),
+        predict
+    };
+}
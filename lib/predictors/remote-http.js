@@ -0,0 +1,63 @@
+import fetch from 'node-fetch';
+import { normalizeResult } from '../prediction-result.js';
+import { predictDuration, predictResponses, predictTimeouts } from '../metrics.js';
+
+const API_PREDICT_ENDPOINT = '/predict';
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// Posts the frame to the prediction API as multipart form data.
+// Errors carry `retryable` so the upload queue knows whether to keep the frame.
+export function createRemotePredictor({ baseUrl, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+    async function predict(imageBuffer, model) {
+        const formData = new FormData();
+        const blob = new Blob([imageBuffer], { type: 'image/jpeg' });
+        formData.append('image', blob, 'image.jpg');
+        formData.append('model', model);
+
+        const endTimer = predictDuration.startTimer({ model });
+
+        let response;
+        try {
+            response = await fetch(`${baseUrl}${API_PREDICT_ENDPOINT}`, {
+                method: 'POST',
+                body: formData,
+                headers: {
+                    'Accept': 'application/json',
+                },
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+        } catch (error) {
+            endTimer();
+            predictResponses.inc({ model, status: 'network_error' });
+            // The only abort signal on this request is the timeout
+            if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+                predictTimeouts.inc({ model });
+            }
+
+            // Network failures and timeouts: the frame is worth retrying later
+            error.retryable = true;
+            throw error;
+        }
+
+        predictResponses.inc({ model, status: String(response.status) });
+
+        if (!response.ok) {
+            endTimer();
+            const error = new Error(`HTTP error! status: ${response.status}`);
+            error.retryable = response.status >= 500 || response.status === 429;
+            throw error;
+        }
+
+        try {
+            return normalizeResult(await response.json(), 'remote');
+        } finally {
+            endTimer();
+        }
+    }
+
+    return {
+        type: 'remote',
+        describe: () => ({ type: 'remote', url: baseUrl }),
+        predict
+    };
+}
@@ -0,0 +1,103 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { readFileSync, writeFileSync, mkdirSync, linkSync, unlinkSync } from 'fs';
+import { DATA_DIR, dataPath } from './paths.js';
+
+// Signed URLs are handed out by server.js and checked by ffmpeg-streams.js.
+// Expiry is rounded up to a whole window so a camera's URL stays the same for
+// a while instead of changing (and reconnecting the <img>) on every refresh.
+const STREAM_URL_TTL_SECONDS = 10 * 60;
+const STREAM_URL_WINDOW_SECONDS = 5 * 60;
+// API URLs opened outside fetch (images, reports, exports) are signed the same
+// way, so the session token never ends up in a URL
+const API_URL_TTL_SECONDS = 15 * 60;
+const API_SIGNATURE_SCOPE = 'api';
+
+let secret = null;
+
+// Both processes start together, so whichever gets there first writes the
+// secret and the other reads it back. The secret is written to a temporary
+// file and linked into place, so the other process never reads a partial file.
+function getSecret() {
+    if (secret) {
+        return secret;
+    }
+    if (process.env.VERTIPLANT_STREAM_SECRET) {
+        secret = process.env.VERTIPLANT_STREAM_SECRET;
+        return secret;
+    }
+
+    const secretFile = dataPath('stream-secret');
+    const tempFile = `${secretFile}.${process.pid}.tmp`;
+    mkdirSync(DATA_DIR, { recursive: true });
+    writeFileSync(tempFile, randomBytes(32).toString('hex'), { mode: 0o600 });
+    try {
+        // Unlike rename, link fails when the other process already won
+        linkSync(tempFile, secretFile);
+    } catch (error) {
+        if (error.code !== 'EEXIST') {
+            throw error;
+        }
+    } finally {
+        unlinkSync(tempFile);
+    }
+
+    const stored = readFileSync(secretFile, 'utf8').trim();
+    if (!stored) {
+        throw new Error(`${secretFile} is empty; delete it and restart both processes`);
+    }
+    secret = stored;
+    return secret;
+}
+
+function sign(cameraId, pathname, expires) {
+    return createHmac('sha256', getSecret()).update(`${cameraId}:${pathname}:${expires}`).digest('base64url');
+}
+
+export function signStreamPath(cameraId, pathname, ttlSeconds = STREAM_URL_TTL_SECONDS) {
+    const now = Math.floor(Date.now() / 1000);
+    const expires = Math.ceil(now / STREAM_URL_WINDOW_SECONDS) * STREAM_URL_WINDOW_SECONDS + ttlSeconds;
+    return `${pathname}?expires=${expires}&signature=${sign(cameraId, pathname, expires)}`;
+}
+
+// Only checked when a viewer connects; an open stream keeps running past expiry
+export function verifyStreamRequest(cameraId, url) {
+    const expires = Number(url.searchParams.get('expires'));
+    const signature = url.searchParams.get('signature') || '';
+
+    if (!Number.isInteger(expires) || expires < Date.now() / 1000) {
+        return false;
+    }
+
+    const expected = Buffer.from(sign(cameraId, url.pathname, expires));
+    const provided = Buffer.from(signature);
+    return expected.length === provided.length && timingSafeEqual(expected, provided);
+}
+
+function unsignedQuery(params) {
+    const query = new URLSearchParams(params);
+    query.delete('expires');
+    query.delete('signature');
+    query.sort();
+    return query.toString();
+}
+
+// The signature covers the path and every query parameter
+export function signApiPath(pathname, params = {}, ttlSeconds = API_URL_TTL_SECONDS) {
+    const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+    const query = unsignedQuery(params);
+    const signature = sign(API_SIGNATURE_SCOPE, `${pathname}?${query}`, expires);
+    return `${pathname}?${query ? `${query}&` : ''}expires=${expires}&signature=${signature}`;
+}
+
+export function verifyApiRequest(url) {
+    const expires = Number(url.searchParams.get('expires'));
+    const signature = url.searchParams.get('signature') || '';
+
+    if (!Number.isInteger(expires) || expires < Date.now() / 1000) {
+        return false;
+    }
+
+    const expected = Buffer.from(sign(API_SIGNATURE_SCOPE, `${url.pathname}?${unsignedQuery(url.searchParams)}`, expires));
+    const provided = Buffer.from(signature);
+    return expected.length === provided.length && timingSafeEqual(expected, provided);
+}
@@ -0,0 +1,131 @@
+import { corsHeaders } from './cors-policy.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('stream');
+
+const BOUNDARY = 'mjpegboundary';
+
+const MULTIPART_CONTENT_TYPE = `multipart/x-mixed-replace; boundary=--${BOUNDARY}`;
+
+function toPart(frame) {
+    return Buffer.concat([
+        Buffer.from(`\r\n--${BOUNDARY}\r\nContent-Type: image/jpeg\r\nContent-Length: ${frame.length}\r\n\r\n`),
+        frame
+    ]);
+}
+
+// Fans one camera's frames out to every connected /stream viewer. A viewer
+// whose socket is still flushing the previous frame skips frames instead of
+// buffering them, so one slow tablet cannot grow the process's memory.
+export function createFrameBroadcaster(camera, { maxViewers }) {
+    const viewers = new Set();
+    let framesBroadcast = 0;
+    let droppedFrames = 0;
+    let rejectedViewers = 0;
+
+    function removeViewer(viewer) {
+        if (viewers.delete(viewer)) {
+            log.info(`Viewer ${viewer.remoteAddress} left (${viewers.size} watching)`, { cameraId: camera.id });
+        }
+    }
+
+    function writeFrame(viewer, part) {
+        if (viewer.res.writableNeedDrain || viewer.res.destroyed) {
+            viewer.droppedFrames++;
+            droppedFrames++;
+            return;
+        }
+
+        try {
+            viewer.res.write(part);
+            viewer.framesSent++;
+        } catch (err) {
+            log.warn('Error writing stream data', { cameraId: camera.id, error: err });
+            removeViewer(viewer);
+        }
+    }
+
+    // Returns false when the camera is already at its viewer cap
+    function addViewer(req, res, latestFrame) {
+        if (viewers.size >= maxViewers) {
+            rejectedViewers++;
+            return false;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': MULTIPART_CONTENT_TYPE,
+            'Cache-Control': 'no-cache, no-store, must-revalidate',
+            'Pragma': 'no-cache',
+            'Expires': '0',
+            'Connection': 'close',
+            ...corsHeaders(req.headers.origin)
+        });
+
+        const viewer = {
+            res,
+            remoteAddress: req.socket.remoteAddress,
+            connectedAt: new Date().toISOString(),
+            framesSent: 0,
+            droppedFrames: 0
+        };
+        viewers.add(viewer);
+        log.info(`Viewer ${viewer.remoteAddress} joined (${viewers.size} watching)`, { cameraId: camera.id });
+
+        const disconnect = () => {
+            removeViewer(viewer);
+            res.end();
+        };
+        req.on('close', disconnect);
+        req.on('error', disconnect);
+        res.on('error', disconnect);
+
+        // Show the last frame straight away instead of a blank tile until the next one
+        if (latestFrame) {
+            writeFrame(viewer, toPart(latestFrame));
+        }
+
+        return true;
+    }
+
+    function broadcast(frame) {
+        framesBroadcast++;
+        if (viewers.size === 0) {
+            return;
+        }
+
+        const part = toPart(frame);
+        for (const viewer of viewers) {
+            writeFrame(viewer, part);
+        }
+    }
+
+    // Counts only: these end up in /api/cameras, which every viewer can read
+    function getStats() {
+        return {
+            viewers: viewers.size,
+            maxViewers,
+            rejectedViewers,
+            framesBroadcast,
+            droppedFrames
+        };
+    }
+
+    // With addresses, for the loopback supervisor port only
+    function getViewers() {
+        return [...viewers].map(viewer => ({
+            remoteAddress: viewer.remoteAddress,
+            connectedAt: viewer.connectedAt,
+            framesSent: viewer.framesSent,
+            droppedFrames: viewer.droppedFrames
+        }));
+    }
+
+    function closeAll() {
+        for (const viewer of viewers) {
+            viewer.res.end();
+        }
+        viewers.clear();
+    }
+
+    return { addViewer, broadcast, getStats, getViewers, closeAll };
+}
@@ -0,0 +1,359 @@
+import { spawn } from 'child_process';
+import { readFile, readdir, statfs } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DATA_DIR } from './paths.js';
+import { getConfig } from './config.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('telemetry');
+
+// Point this at a stand-in script to test throttling without a Pi
+const VCGENCMD = process.env.VERTIPLANT_VCGENCMD || 'vcgencmd';
+const VCGENCMD_TIMEOUT_MS = 2000;
+const THERMAL_DIR = '/sys/class/thermal';
+// Preferred over other zones (NVMe, Wi-Fi, ...) when a board has several
+const SOC_ZONE_PATTERN = /cpu|soc|x86_pkg/i;
+// USER_HZ, the unit of /proc/<pid>/stat CPU times on every mainstream Linux
+const CLOCK_TICKS_PER_SECOND = 100;
+
+// vcgencmd get_throttled bits: 0-3 are the current state, 16-19 the same
+// conditions since boot
+const THROTTLE_FLAGS = {
+    undervoltage: 0,
+    frequencyCapped: 1,
+    throttled: 2,
+    softTemperatureLimit: 3
+};
+
+export const WARNINGS = ['temperature', 'throttled', 'undervoltage', 'cpu', 'memory', 'disk'];
+
+let hooks = null;
+let sampleTimer = null;
+let onSample = null;
+let history = [];
+let previousCpuTimes = null;
+// Per ffmpeg pid: CPU ticks and when they were read
+const previousProcessTimes = new Map();
+// Set once vcgencmd turns out to be missing, so non-Pi nodes don't retry every sample
+let vcgencmdMissing = false;
+
+function runVcgencmd(args) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(VCGENCMD, args, { stdio: 'pipe' });
+        let stdout = '';
+
+        const timer = setTimeout(() => {
+            child.kill('SIGTERM');
+            reject(new Error(`vcgencmd did not answer within ${VCGENCMD_TIMEOUT_MS / 1000}s`));
+        }, VCGENCMD_TIMEOUT_MS);
+
+        child.stdout.on('data', (data) => {
+            stdout += data.toString();
+        });
+
+        child.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+
+        child.on('close', (code) => {
+            clearTimeout(timer);
+            if (code === 0) {
+                resolve(stdout);
+            } else {
+                reject(new Error(`vcgencmd exited with code ${code}`));
+            }
+        });
+    });
+}
+
+// Degrees Celsius from the SoC thermal zone, or the hottest zone when none is
+// labelled as the SoC. Null without a thermal sysfs (containers, non-Linux).
+async function readTemperature() {
+    const thermalDir = hooks.thermalDir ?? THERMAL_DIR;
+    let zones;
+    try {
+        zones = (await readdir(thermalDir)).filter(name => name.startsWith('thermal_zone'));
+    } catch {
+        return null;
+    }
+
+    const readings = [];
+    for (const zone of zones) {
+        try {
+            const [type, temp] = await Promise.all([
+                readFile(path.join(thermalDir, zone, 'type'), 'utf8'),
+                readFile(path.join(thermalDir, zone, 'temp'), 'utf8')
+            ]);
+            const celsius = Number.parseInt(temp, 10) / 1000;
+            if (Number.isFinite(celsius)) {
+                readings.push({ type: type.trim(), celsius });
+            }
+        } catch {
+            // Some zones can't be read without a sensor attached
+        }
+    }
+
+    if (readings.length === 0) {
+        return null;
+    }
+    const soc = readings.find(reading => SOC_ZONE_PATTERN.test(reading.type));
+    const celsius = soc ? soc.celsius : Math.max(...readings.map(reading => reading.celsius));
+    return Math.round(celsius * 10) / 10;
+}
+
+// { now: ['undervoltage', ...], sinceBoot: [...], raw: '0x50005' }, or null
+// when vcgencmd isn't available (anything that isn't a Raspberry Pi)
+async function readThrottling() {
+    if (vcgencmdMissing) {
+        return null;
+    }
+
+    let output;
+    try {
+        output = await (hooks.runVcgencmd ?? runVcgencmd)(['get_throttled']);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            vcgencmdMissing = true;
+            log.info('vcgencmd not found, throttling flags will not be reported');
+        } else {
+            log.warn('Could not read throttling flags', { error });
+        }
+        return null;
+    }
+
+    // "throttled=0x50005"
+    const match = output.match(/throttled=(0x[0-9a-f]+)/i);
+    if (!match) {
+        return null;
+    }
+    const bits = Number.parseInt(match[1], 16);
+    const flagsAt = offset => Object.entries(THROTTLE_FLAGS)
+        .filter(([, bit]) => bits & (1 << (bit + offset)))
+        .map(([name]) => name);
+
+    return { now: flagsAt(0), sinceBoot: flagsAt(16), raw: match[1] };
+}
+
+// Busy percentage of all cores since the previous sample
+function readCpu() {
+    const totals = os.cpus().reduce((sum, cpu) => {
+        const { idle, ...busy } = cpu.times;
+        sum.idle += idle;
+        sum.busy += Object.values(busy).reduce((a, b) => a + b, 0);
+        return sum;
+    }, { idle: 0, busy: 0 });
+
+    let percent = null;
+    if (previousCpuTimes) {
+        const busy = totals.busy - previousCpuTimes.busy;
+        const elapsed = busy + totals.idle - previousCpuTimes.idle;
+        percent = elapsed > 0 ? Math.round((busy / elapsed) * 1000) / 10 : null;
+    }
+    previousCpuTimes = totals;
+
+    const [load1, load5, load15] = os.loadavg();
+    return { percent, cores: os.cpus().length, load1, load5, load15 };
+}
+
+// MemAvailable counts reclaimable cache as free, unlike os.freemem()
+async function readMemory() {
+    const totalBytes = os.totalmem();
+    let availableBytes = os.freemem();
+    try {
+        const match = (await readFile('/proc/meminfo', 'utf8')).match(/^MemAvailable:\s+(\d+) kB/m);
+        if (match) {
+            availableBytes = Number(match[1]) * 1024;
+        }
+    } catch {
+        // Not Linux; os.freemem() is the best there is
+    }
+
+    return {
+        totalBytes,
+        availableBytes,
+        usedPercent: Math.round(((totalBytes - availableBytes) / totalBytes) * 1000) / 10
+    };
+}
+
+async function readDisk() {
+    try {
+        const stats = await statfs(DATA_DIR);
+        const totalBytes = stats.blocks * stats.bsize;
+        const freeBytes = stats.bavail * stats.bsize;
+        return {
+            path: DATA_DIR,
+            totalBytes,
+            freeBytes,
+            freePercent: totalBytes > 0 ? Math.round((freeBytes / totalBytes) * 1000) / 10 : null
+        };
+    } catch (error) {
+        log.warn('Could not read disk space', { error });
+        return null;
+    }
+}
+
+// CPU (percent of one core, since the previous sample) and resident memory of
+// one ffmpeg encoder, read from /proc. Null once the process is gone.
+async function readProcess(pid, now) {
+    let stat;
+    let status;
+    try {
+        [stat, status] = await Promise.all([
+            readFile(`/proc/${pid}/stat`, 'utf8'),
+            readFile(`/proc/${pid}/status`, 'utf8')
+        ]);
+    } catch {
+        return null;
+    }
+
+    // The command name may contain spaces, so count fields from after its ")"
+    const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+    const ticks = Number(fields[11]) + Number(fields[12]);
+    const rssMatch = status.match(/^VmRSS:\s+(\d+) kB/m);
+
+    const previous = previousProcessTimes.get(pid);
+    previousProcessTimes.set(pid, { ticks, at: now });
+    const cpuPercent = previous && now > previous.at
+        ? Math.round(((ticks - previous.ticks) / CLOCK_TICKS_PER_SECOND / ((now - previous.at) / 1000)) * 1000) / 10
+        : null;
+
+    return {
+        pid,
+        cpuPercent,
+        residentMemoryBytes: rssMatch ? Number(rssMatch[1]) * 1024 : null
+    };
+}
+
+async function readEncoders(now) {
+    const processes = hooks.getStreamProcesses().filter(({ pid }) => pid);
+    const encoders = await Promise.all(processes.map(async ({ cameraId, pid }) => ({
+        cameraId,
+        ...(await readProcess(pid, now) || { pid, cpuPercent: null, residentMemoryBytes: null })
+    })));
+
+    // Forget encoders that were restarted under a new pid
+    const livePids = new Set(processes.map(({ pid }) => pid));
+    for (const pid of previousProcessTimes.keys()) {
+        if (!livePids.has(pid)) {
+            previousProcessTimes.delete(pid);
+        }
+    }
+    return encoders;
+}
+
+// Thresholds come from the "system" config section and apply immediately
+function findWarnings(sample) {
+    const settings = getConfig().system;
+    const warnings = [];
+
+    if (sample.temperatureC !== null && sample.temperatureC >= settings.warnTemperatureC) {
+        warnings.push('temperature');
+    }
+    if (sample.throttling?.now.some(flag => flag !== 'undervoltage')) {
+        warnings.push('throttled');
+    }
+    if (sample.throttling?.now.includes('undervoltage')) {
+        warnings.push('undervoltage');
+    }
+    if (sample.cpu.percent !== null && sample.cpu.percent >= settings.warnCpuPercent) {
+        warnings.push('cpu');
+    }
+    if (sample.memory.usedPercent >= settings.warnMemoryPercent) {
+        warnings.push('memory');
+    }
+    if (sample.disk && sample.disk.freePercent !== null && sample.disk.freePercent <= settings.warnDiskFreePercent) {
+        warnings.push('disk');
+    }
+    return warnings;
+}
+
+async function takeSample() {
+    const now = Date.now();
+    const [temperatureC, throttling, memory, disk, encoders] = await Promise.all([
+        readTemperature(),
+        readThrottling(),
+        readMemory(),
+        readDisk(),
+        readEncoders(now)
+    ]);
+
+    const sample = {
+        timestamp: new Date(now).toISOString(),
+        temperatureC,
+        throttling,
+        cpu: readCpu(),
+        memory,
+        disk,
+        encoders
+    };
+    sample.warnings = findWarnings(sample);
+
+    const previousWarnings = history.at(-1)?.warnings || [];
+    const raised = sample.warnings.filter(warning => !previousWarnings.includes(warning));
+    if (raised.length > 0) {
+        log.warn(`System warning: ${raised.join(', ')}`, {
+            temperatureC,
+            cpuPercent: sample.cpu.percent,
+            memoryPercent: memory.usedPercent,
+            diskFreePercent: disk?.freePercent
+        });
+    }
+
+    const { historyMinutes } = getConfig().system;
+    const cutoff = now - historyMinutes * 60 * 1000;
+    history = [...history.filter(entry => Date.parse(entry.timestamp) >= cutoff), sample];
+
+    onSample?.(sample);
+    return sample;
+}
+
+// hooks.getStreamProcesses() lists { cameraId, pid } for the running ffmpeg
+// encoders; sampleHandler receives every new sample.
+// hooks.runVcgencmd(args) and hooks.thermalDir, if given, stand in for vcgencmd and /sys/class/thermal.
+export function startTelemetry(telemetryHooks, sampleHandler) {
+    hooks = telemetryHooks;
+    onSample = sampleHandler;
+    vcgencmdMissing = false;
+    scheduleSamples();
+}
+
+function scheduleSamples() {
+    clearInterval(sampleTimer);
+    const sample = () => takeSample().catch(error => log.error('Error sampling system telemetry', { error }));
+    sampleTimer = setInterval(sample, getConfig().system.sampleIntervalSeconds * 1000);
+    sample();
+}
+
+// Picks up a changed system.sampleIntervalSeconds
+export function rescheduleTelemetry() {
+    if (sampleTimer) {
+        scheduleSamples();
+    }
+}
+
+export function stopTelemetry() {
+    clearInterval(sampleTimer);
+    sampleTimer = null;
+}
+
+export function getLatestSample() {
+    return history.at(-1) || null;
+}
+
+// Samples oldest first, covering the configured history window
+export function getTelemetry() {
+    const settings = getConfig().system;
+    return {
+        latest: getLatestSample(),
+        history,
+        sampleIntervalSeconds: settings.sampleIntervalSeconds,
+        thresholds: {
+            temperatureC: settings.warnTemperatureC,
+            cpuPercent: settings.warnCpuPercent,
+            memoryPercent: settings.warnMemoryPercent,
+            diskFreePercent: settings.warnDiskFreePercent
+        }
+    };
+}
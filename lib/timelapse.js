@@ -0,0 +1,510 @@
+import { spawn } from 'child_process';
+import os from 'os';
+import { mkdir, writeFile, readdir, rm, stat, unlink } from 'fs/promises';
+import path from 'path';
+import { getDatabase } from './database.js';
+import { getConfig } from './config.js';
+import { dataPath } from './paths.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('timelapse');
+
+// Absolute, since the ffmpeg concat list resolves paths relative to itself
+export const TIMELAPSE_DIR = path.resolve(dataPath('timelapse'));
+const FRAMES_DIR = path.join(TIMELAPSE_DIR, 'frames');
+const VIDEOS_DIR = path.join(TIMELAPSE_DIR, 'videos');
+
+const PERIODS = ['day', 'week'];
+const JOB_CHECK_INTERVAL_MS = 60 * 1000;
+const LOWEST_PRIORITY = 19;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let statements = null;
+let hooks = null;
+let sampleTimer = null;
+let jobTimer = null;
+let runningJob = null;
+let sampling = false;
+// Bytes of sample frames on disk; counted once at startup, then kept up to date
+let sampleBytes = 0;
+
+function getStatements() {
+    if (statements) {
+        return statements;
+    }
+
+    const db = getDatabase();
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS timelapse_jobs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            camera_id INTEGER NOT NULL,
+            period TEXT NOT NULL,
+            period_start TEXT NOT NULL,
+            status TEXT NOT NULL,
+            created_at TEXT NOT NULL,
+            started_at TEXT,
+            finished_at TEXT,
+            frame_count INTEGER,
+            video_path TEXT,
+            size_bytes INTEGER,
+            error TEXT,
+            UNIQUE (camera_id, period, period_start)
+        );
+    `);
+
+    statements = {
+        insert: db.prepare(`
+            INSERT INTO timelapse_jobs (camera_id, period, period_start, status, created_at)
+            VALUES (?, ?, ?, 'queued', ?)
+        `),
+        find: db.prepare('SELECT * FROM timelapse_jobs WHERE camera_id = ? AND period = ? AND period_start = ?'),
+        get: db.prepare('SELECT * FROM timelapse_jobs WHERE id = ?'),
+        nextQueued: db.prepare("SELECT * FROM timelapse_jobs WHERE status = 'queued' ORDER BY id ASC LIMIT 1"),
+        requeue: db.prepare(`
+            UPDATE timelapse_jobs SET status = 'queued', started_at = NULL, finished_at = NULL, error = NULL WHERE id = ?
+        `),
+        markRunning: db.prepare("UPDATE timelapse_jobs SET status = 'running', started_at = ? WHERE id = ?"),
+        markDone: db.prepare(`
+            UPDATE timelapse_jobs SET status = 'done', finished_at = ?, frame_count = ?, video_path = ?, size_bytes = ?
+            WHERE id = ?
+        `),
+        markFailed: db.prepare(`
+            UPDATE timelapse_jobs SET status = 'failed', finished_at = ?, frame_count = ?, error = ? WHERE id = ?
+        `),
+        // A job that was running when the process stopped never finished
+        resetInterrupted: db.prepare("UPDATE timelapse_jobs SET status = 'queued', started_at = NULL WHERE status = 'running'"),
+        remove: db.prepare('DELETE FROM timelapse_jobs WHERE id = ?'),
+        videoBytes: db.prepare('SELECT COALESCE(SUM(size_bytes), 0) AS bytes FROM timelapse_jobs WHERE video_path IS NOT NULL'),
+        expiredVideos: db.prepare(`
+            SELECT * FROM timelapse_jobs WHERE video_path IS NOT NULL AND status != 'running' AND period_start < ?
+        `),
+        oldestVideo: db.prepare(`
+            SELECT * FROM timelapse_jobs WHERE video_path IS NOT NULL AND status != 'running'
+            ORDER BY period_start ASC, id ASC LIMIT 1
+        `),
+        clearVideo: db.prepare('UPDATE timelapse_jobs SET video_path = NULL, size_bytes = NULL WHERE id = ?')
+    };
+
+    return statements;
+}
+
+function toJob(row) {
+    return {
+        id: row.id,
+        cameraId: row.camera_id,
+        period: row.period,
+        periodStart: row.period_start,
+        status: row.status,
+        createdAt: row.created_at,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at,
+        frameCount: row.frame_count,
+        sizeBytes: row.size_bytes,
+        hasVideo: Boolean(row.video_path),
+        error: row.error
+    };
+}
+
+// Days and weeks follow the node's local clock, which is what growers think in
+function localDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function parseLocalDate(value) {
+    const match = typeof value === 'string' ? value.match(/^(\d{4})-(\d{2})-(\d{2})$/) : null;
+    return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+}
+
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+// Weeks start on Monday
+function startOfWeek(date) {
+    return addDays(date, -((date.getDay() + 6) % 7));
+}
+
+function periodDays(period, periodStart) {
+    const start = parseLocalDate(periodStart);
+    const length = period === 'week' ? 7 : 1;
+    return Array.from({ length }, (_, index) => localDate(addDays(start, index)));
+}
+
+function cameraFramesDir(cameraId) {
+    return path.join(FRAMES_DIR, `camera-${cameraId}`);
+}
+
+async function sampleFrames() {
+    // The image archive stops writing at this point too
+    if (sampling || hooks.isDiskCritical?.()) {
+        return;
+    }
+    sampling = true;
+
+    try {
+        for (const camera of hooks.getCameras()) {
+            const now = new Date();
+            const directory = path.join(cameraFramesDir(camera.id), localDate(now));
+            // Named by UTC time, e.g. 20241027T003000Z.jpg: local times repeat
+            // when the clocks go back, which would overwrite and misorder samples
+            const time = now.toISOString().replace(/[-:]|\.\d+/g, '');
+
+            try {
+                const frame = await hooks.fetchFrame(camera);
+                await mkdir(directory, { recursive: true });
+                await writeFile(path.join(directory, `${time}.jpg`), frame);
+                sampleBytes += frame.length;
+            } catch (error) {
+                // Missing a sample only leaves a small gap in the video
+                log.warn('Time-lapse sample failed', { cameraId: camera.id, error });
+            }
+        }
+    } finally {
+        sampling = false;
+    }
+}
+
+async function listPeriodFrames(cameraId, period, periodStart) {
+    const frames = [];
+    for (const day of periodDays(period, periodStart)) {
+        const directory = path.join(cameraFramesDir(cameraId), day);
+        let files;
+        try {
+            files = await readdir(directory);
+        } catch {
+            continue;
+        }
+        frames.push(...files.filter(file => file.endsWith('.jpg')).sort().map(file => path.join(directory, file)));
+    }
+    return frames;
+}
+
+function runFfmpeg(args) {
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn('ffmpeg', args, { stdio: ['ignore', 'ignore', 'pipe'] });
+        let stderrTail = '';
+
+        // Encoding must never compete with the live streams or the prediction loop
+        try {
+            os.setPriority(ffmpeg.pid, LOWEST_PRIORITY);
+        } catch (error) {
+            log.warn('Could not lower time-lapse encoder priority', { error });
+        }
+
+        ffmpeg.stderr.on('data', (data) => {
+            stderrTail = (stderrTail + data.toString()).slice(-2000);
+        });
+        ffmpeg.on('error', reject);
+        ffmpeg.on('close', (code) => {
+            if (code === 0) {
+                resolve();
+            } else {
+                const lastLine = stderrTail.trim().split('\n').pop();
+                reject(new Error(`ffmpeg exited with code ${code}: ${lastLine}`));
+            }
+        });
+    });
+}
+
+async function encodeJob(job) {
+    const frames = await listPeriodFrames(job.camera_id, job.period, job.period_start);
+    if (frames.length === 0) {
+        return { frameCount: 0, error: 'No frames were sampled in this period' };
+    }
+
+    const outputDir = path.join(VIDEOS_DIR, `camera-${job.camera_id}`);
+    const relativePath = path.posix.join(`camera-${job.camera_id}`, `${job.period}-${job.period_start}.mp4`);
+    const outputFile = path.join(VIDEOS_DIR, relativePath);
+    const listFile = path.join(outputDir, `${job.period}-${job.period_start}.txt`);
+
+    // The concat demuxer takes an explicit, ordered frame list, which also
+    // works for a week spread over seven directories
+    const { framesPerSecond, codec } = getConfig().timelapse;
+    const frameDuration = 1 / framesPerSecond;
+    const list = frames.map(frame => `file '${frame.replace(/'/g, "'\\''")}'\nduration ${frameDuration}`).join('\n');
+
+    await mkdir(outputDir, { recursive: true });
+    await writeFile(listFile, `${list}\nfile '${frames[frames.length - 1].replace(/'/g, "'\\''")}'\n`);
+
+    try {
+        await runFfmpeg([
+            '-hide_banner', '-loglevel', 'error', '-y',
+            '-f', 'concat', '-safe', '0', '-i', listFile,
+            '-vf', `fps=${framesPerSecond},scale=trunc(iw/2)*2:trunc(ih/2)*2`,
+            '-c:v', codec,
+            '-pix_fmt', 'yuv420p',
+            '-threads', '1',
+            '-movflags', '+faststart',
+            outputFile
+        ]);
+    } finally {
+        await unlink(listFile).catch(() => {});
+    }
+
+    const { size } = await stat(outputFile);
+    return { frameCount: frames.length, videoPath: relativePath, sizeBytes: size };
+}
+
+async function runNextJob() {
+    if (runningJob) {
+        return;
+    }
+
+    const { nextQueued, markRunning, markDone, markFailed } = getStatements();
+    const job = nextQueued.get();
+    if (!job) {
+        return;
+    }
+
+    runningJob = job;
+    markRunning.run(new Date().toISOString(), job.id);
+    log.info(`Building ${job.period} time-lapse for ${job.period_start}`, { cameraId: job.camera_id, jobId: job.id });
+
+    try {
+        const result = await encodeJob(job);
+        if (result.error) {
+            markFailed.run(new Date().toISOString(), result.frameCount, result.error, job.id);
+            log.warn(`Time-lapse job ${job.id} skipped: ${result.error}`, { cameraId: job.camera_id });
+        } else {
+            markDone.run(new Date().toISOString(), result.frameCount, result.videoPath, result.sizeBytes, job.id);
+            log.info(`Time-lapse job ${job.id} done: ${result.frameCount} frames, ${(result.sizeBytes / 1024 / 1024).toFixed(1)} MB`, { cameraId: job.camera_id });
+        }
+    } catch (error) {
+        markFailed.run(new Date().toISOString(), null, error.message, job.id);
+        log.error(`Time-lapse job ${job.id} failed`, { cameraId: job.camera_id, error });
+    } finally {
+        runningJob = null;
+    }
+
+    // Work through any backlog one job at a time
+    setImmediate(runQueue);
+}
+
+function runQueue() {
+    runNextJob().catch(error => log.error('Error running time-lapse job', { error }));
+}
+
+// Returns the job, creating a queued one unless it already exists
+export function enqueueTimelapse(cameraId, period, periodStart) {
+    if (!PERIODS.includes(period)) {
+        throw new Error(`period must be one of: ${PERIODS.join(', ')}`);
+    }
+    const startDate = parseLocalDate(periodStart);
+    if (!startDate) {
+        throw new Error('start must be a date in YYYY-MM-DD format');
+    }
+
+    // Weekly videos always cover Monday to Sunday
+    const start = localDate(period === 'week' ? startOfWeek(startDate) : startDate);
+    const { insert, find } = getStatements();
+
+    if (!find.get(cameraId, period, start)) {
+        insert.run(cameraId, period, start, new Date().toISOString());
+    }
+    setImmediate(runQueue);
+    return toJob(find.get(cameraId, period, start));
+}
+
+// Rebuilds an existing job, e.g. a video made from a day that wasn't over yet
+export function rebuildTimelapse(id) {
+    const row = getStatements().get.get(id);
+    if (!row) {
+        return null;
+    }
+    if (row.status === 'running') {
+        throw new Error('Time-lapse job is already running');
+    }
+
+    getStatements().requeue.run(id);
+    setImmediate(runQueue);
+    return toJob(getStatements().get.get(id));
+}
+
+// Yesterday's daily video, and on Mondays last week's weekly one
+function enqueueFinishedPeriods() {
+    const today = new Date();
+    const yesterday = addDays(today, -1);
+
+    for (const camera of hooks.getCameras()) {
+        enqueueTimelapse(camera.id, 'day', localDate(yesterday));
+        if (today.getDay() === 1) {
+            enqueueTimelapse(camera.id, 'week', localDate(startOfWeek(yesterday)));
+        }
+    }
+}
+
+async function directoryBytes(directory) {
+    const files = await readdir(directory).catch(() => []);
+    let bytes = 0;
+    for (const file of files) {
+        bytes += (await stat(path.join(directory, file)).catch(() => ({ size: 0 }))).size;
+    }
+    return bytes;
+}
+
+// Sample frame day directories as { directory, day }, oldest day first
+async function listSampleDays() {
+    const cameraDirs = await readdir(FRAMES_DIR).catch(() => []);
+    const days = [];
+    for (const cameraDir of cameraDirs) {
+        for (const day of await readdir(path.join(FRAMES_DIR, cameraDir)).catch(() => [])) {
+            days.push({ directory: path.join(FRAMES_DIR, cameraDir, day), day });
+        }
+    }
+    return days.sort((a, b) => (a.day < b.day ? -1 : a.day > b.day ? 1 : 0));
+}
+
+async function removeSampleDay({ directory }) {
+    const bytes = await directoryBytes(directory);
+    await rm(directory, { recursive: true, force: true });
+    sampleBytes = Math.max(0, sampleBytes - bytes);
+    return bytes;
+}
+
+async function removeVideo(row) {
+    await unlink(path.join(VIDEOS_DIR, row.video_path)).catch(() => {});
+    getStatements().clearVideo.run(row.id);
+    return row.size_bytes ?? 0;
+}
+
+async function pruneExpired() {
+    const { frameRetentionDays, videoRetentionDays } = getConfig().timelapse;
+    const frameCutoff = localDate(new Date(Date.now() - frameRetentionDays * DAY_MS));
+    for (const sampleDay of await listSampleDays()) {
+        if (sampleDay.day < frameCutoff) {
+            await removeSampleDay(sampleDay);
+        }
+    }
+
+    // The job row stays, so the period isn't queued again
+    const videoCutoff = localDate(new Date(Date.now() - videoRetentionDays * DAY_MS));
+    for (const row of getStatements().expiredVideos.all(videoCutoff)) {
+        await removeVideo(row);
+        log.info(`Removed ${row.period} time-lapse for ${row.period_start} after ${videoRetentionDays} days`, { cameraId: row.camera_id });
+    }
+}
+
+// Frees the oldest time-lapse data when the image archive is over its quota
+// or the disk is nearly full: sample days before yesterday first (yesterday's
+// may not be encoded yet), then finished videos. Returns the bytes
+// freed, 0 when nothing is left to remove.
+export async function pruneOldestTimelapse() {
+    const yesterday = localDate(addDays(new Date(), -1));
+    const encoding = runningJob ? cameraFramesDir(runningJob.camera_id) : null;
+    const oldestDay = (await listSampleDays())
+        .find(({ directory, day }) => day < yesterday && path.dirname(directory) !== encoding);
+    if (oldestDay) {
+        log.warn(`Removing time-lapse samples from ${oldestDay.day} to free disk space`);
+        return removeSampleDay(oldestDay);
+    }
+
+    const oldestVideo = getStatements().oldestVideo.get();
+    if (oldestVideo) {
+        log.warn(`Removing ${oldestVideo.period} time-lapse for ${oldestVideo.period_start} to free disk space`, { cameraId: oldestVideo.camera_id });
+        return removeVideo(oldestVideo);
+    }
+    return 0;
+}
+
+export function getTimelapseUsage() {
+    const videoBytes = getStatements().videoBytes.get().bytes;
+    return { sampleBytes, videoBytes, totalBytes: sampleBytes + videoBytes };
+}
+
+function checkJobs() {
+    try {
+        enqueueFinishedPeriods();
+    } catch (error) {
+        log.error('Error queueing time-lapse jobs', { error });
+    }
+    pruneExpired().catch(error => log.error('Error pruning time-lapse files', { error }));
+    runQueue();
+}
+
+// hooks.getCameras() lists cameras to sample; hooks.fetchFrame(camera) returns a
+// JPEG buffer; sampling pauses while hooks.isDiskCritical() is true
+export async function startTimelapses(timelapseHooks) {
+    hooks = timelapseHooks;
+    getStatements().resetInterrupted.run();
+
+    sampleBytes = 0;
+    for (const { directory } of await listSampleDays()) {
+        sampleBytes += await directoryBytes(directory);
+    }
+
+    sampleTimer = setInterval(() => {
+        sampleFrames().catch(error => log.error('Error sampling time-lapse frames', { error }));
+    }, getConfig().timelapse.sampleIntervalSeconds * 1000);
+    jobTimer = setInterval(checkJobs, JOB_CHECK_INTERVAL_MS);
+    checkJobs();
+}
+
+export function stopTimelapses() {
+    clearInterval(sampleTimer);
+    clearInterval(jobTimer);
+    sampleTimer = null;
+    jobTimer = null;
+}
+
+// Filters: cameraId, period, status
+export function listTimelapses(filters = {}) {
+    getStatements();
+    const db = getDatabase();
+
+    const conditions = [];
+    const params = [];
+
+    if (filters.cameraId !== undefined && filters.cameraId !== '') {
+        conditions.push('camera_id = ?');
+        params.push(Number(filters.cameraId));
+    }
+    if (filters.period) {
+        conditions.push('period = ?');
+        params.push(filters.period);
+    }
+    if (filters.status) {
+        conditions.push('status = ?');
+        params.push(filters.status);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return db
+        .prepare(`SELECT * FROM timelapse_jobs ${where} ORDER BY period_start DESC, camera_id ASC, period ASC`)
+        .all(...params)
+        .map(toJob);
+}
+
+export function getTimelapse(id) {
+    const row = getStatements().get.get(id);
+    return row ? toJob(row) : null;
+}
+
+export function getTimelapseVideoPath(id) {
+    const row = getStatements().get.get(id);
+    return row?.video_path ? path.join(VIDEOS_DIR, row.video_path) : null;
+}
+
+export async function deleteTimelapse(id) {
+    const row = getStatements().get.get(id);
+    if (!row) {
+        return false;
+    }
+    if (row.status === 'running') {
+        throw new Error('Time-lapse job is still running');
+    }
+
+    if (row.video_path) {
+        await unlink(path.join(VIDEOS_DIR, row.video_path)).catch(() => {});
+    }
+    getStatements().remove.run(id);
+    return true;
+}
+
+export function getTimelapseStatus() {
+    return {
+        ...getConfig().timelapse,
+        usage: getTimelapseUsage(),
+        runningJob: runningJob ? toJob({ ...runningJob, status: 'running' }) : null
+    };
+}
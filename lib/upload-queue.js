@@ -0,0 +1,170 @@
+import { getDatabase, addColumnIfMissing } from './database.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('upload-queue');
+
+const BASE_RETRY_DELAY_MS = 5000;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+const MAX_QUEUED_UPLOADS = 2000;
+
+let statements = null;
+let uploadHandler = null;
+let retryTimer = null;
+let draining = false;
+let consecutiveFailures = 0;
+let nextAttemptAt = null;
+let lastError = null;
+
+function getStatements() {
+    if (statements) {
+        return statements;
+    }
+
+    const db = getDatabase();
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS upload_queue (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            camera_id INTEGER NOT NULL,
+            model TEXT NOT NULL,
+            captured_at TEXT NOT NULL,
+            image BLOB NOT NULL,
+            attempts INTEGER NOT NULL DEFAULT 0,
+            last_error TEXT
+        );
+    `);
+    addColumnIfMissing(db, 'upload_queue', 'image_path', 'TEXT');
+    // JSON { id, name, left, top } for frames cropped to a camera region
+    addColumnIfMissing(db, 'upload_queue', 'region', 'TEXT');
+
+    statements = {
+        insert: db.prepare(
+            'INSERT INTO upload_queue (camera_id, model, captured_at, image, image_path, region, last_error) VALUES (?, ?, ?, ?, ?, ?, ?)'
+        ),
+        peek: db.prepare('SELECT * FROM upload_queue ORDER BY id ASC LIMIT 1'),
+        remove: db.prepare('DELETE FROM upload_queue WHERE id = ?'),
+        markFailed: db.prepare('UPDATE upload_queue SET attempts = attempts + 1, last_error = ? WHERE id = ?'),
+        stats: db.prepare('SELECT COUNT(*) AS depth, MIN(captured_at) AS oldest FROM upload_queue'),
+        trim: db.prepare(
+            'DELETE FROM upload_queue WHERE id NOT IN (SELECT id FROM upload_queue ORDER BY id DESC LIMIT ?)'
+        )
+    };
+
+    return statements;
+}
+
+function retryDelay() {
+    return Math.min(BASE_RETRY_DELAY_MS * 2 ** Math.max(consecutiveFailures - 1, 0), MAX_RETRY_DELAY_MS);
+}
+
+function scheduleDrain(delayMs) {
+    if (!uploadHandler) {
+        return;
+    }
+
+    if (retryTimer) {
+        clearTimeout(retryTimer);
+    }
+
+    nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+    retryTimer = setTimeout(() => {
+        retryTimer = null;
+        nextAttemptAt = null;
+        drain().catch(error => log.error('Error draining upload queue', { error }));
+    }, delayMs);
+}
+
+// Uploads are sent strictly oldest-first: the head of the queue is retried
+// until it succeeds, so the remote side sees frames in capture order.
+async function drain() {
+    if (draining || !uploadHandler) {
+        return;
+    }
+
+    const { peek, remove, markFailed } = getStatements();
+    draining = true;
+
+    try {
+        let item = peek.get();
+        while (item) {
+            try {
+                await uploadHandler({
+                    id: item.id,
+                    cameraId: item.camera_id,
+                    model: item.model,
+                    capturedAt: item.captured_at,
+                    image: item.image,
+                    imagePath: item.image_path,
+                    region: item.region ? JSON.parse(item.region) : null,
+                    attempts: item.attempts
+                });
+            } catch (error) {
+                consecutiveFailures++;
+                lastError = error.message;
+                markFailed.run(error.message, item.id);
+                log.warn(`Retry ${item.attempts + 1} failed for queued frame ${item.id}, next attempt in ${retryDelay() / 1000}s`, { cameraId: item.camera_id, error });
+                scheduleDrain(retryDelay());
+                return;
+            }
+
+            remove.run(item.id);
+            consecutiveFailures = 0;
+            lastError = null;
+            item = peek.get();
+        }
+    } finally {
+        draining = false;
+    }
+}
+
+export function enqueueUpload({ cameraId, model, capturedAt, image, imagePath, region, error }) {
+    const { insert, trim } = getStatements();
+
+    insert.run(cameraId, model, capturedAt, image, imagePath ?? null, region ? JSON.stringify(region) : null, error ?? null);
+    const { changes } = trim.run(MAX_QUEUED_UPLOADS);
+    if (changes > 0) {
+        log.warn(`Upload queue full, dropped ${changes} oldest frame(s)`);
+    }
+
+    if (!retryTimer && !draining) {
+        consecutiveFailures = Math.max(consecutiveFailures, 1);
+        scheduleDrain(retryDelay());
+    }
+}
+
+// Called whenever a live upload goes through, so a backlog waiting on a long
+// backoff starts draining as soon as the uplink is back.
+export function notifyUploadSucceeded() {
+    if (draining || consecutiveFailures === 0) {
+        return;
+    }
+
+    consecutiveFailures = 0;
+    scheduleDrain(0);
+}
+
+export function startUploadQueue(handler) {
+    uploadHandler = handler;
+    scheduleDrain(0);
+}
+
+export function stopUploadQueue() {
+    uploadHandler = null;
+    if (retryTimer) {
+        clearTimeout(retryTimer);
+        retryTimer = null;
+    }
+    nextAttemptAt = null;
+}
+
+export function getUploadQueueStats() {
+    const { depth, oldest } = getStatements().stats.get();
+
+    return {
+        depth,
+        oldestPendingAt: oldest,
+        oldestPendingAgeSeconds: oldest ? Math.max((Date.now() - new Date(oldest).getTime()) / 1000, 0) : null,
+        consecutiveFailures,
+        nextAttemptAt,
+        lastError
+    };
+}
@@ -1,33 +1,184 @@
 import express from 'express';
 import cors from 'cors';
 import axios from 'axios';
-import { spawn } from 'child_process';
-import { readdir, writeFile, mkdir } from 'fs/promises';
-import { existsSync } from 'fs';
-import path from 'path';
-import os from 'os';
-import fetch from 'node-fetch';
+import {
+    insertPrediction,
+    getPrediction,
+    queryPredictions,
+    getPredictionTimeline,
+    countPredictions,
+    insertSystemError,
+    querySystemErrors
+} from './lib/prediction-store.js';
+import {
+    enqueueUpload,
+    notifyUploadSucceeded,
+    startUploadQueue,
+    stopUploadQueue,
+    getUploadQueueStats
+} from './lib/upload-queue.js';
+import { closeDatabase } from './lib/database.js';
+import { detectCameras } from './lib/camera-registry.js';
+import { SUPERVISOR_PORT } from './lib/stream-supervisor.js';
+import { handleEventStream, publishEvent, closeEventStreams } from './lib/event-stream.js';
+import {
+    startScheduler,
+    stopScheduler,
+    getSchedule,
+    listSchedules,
+    setSchedule,
+    resetSchedule,
+    triggerNow,
+    isSchedulerRunning
+} from './lib/prediction-scheduler.js';
+import {
+    registry as metricsRegistry,
+    captureDuration,
+    captureFailures,
+    predictionLoopDuration,
+    predictionLoopOverruns,
+    uploadQueueDepth,
+    uploadQueueOldestAge,
+    archiveBytes,
+    archiveFiles,
+    diskFreeBytes,
+    recordStreamHealth,
+    recordStreamProcess
+} from './lib/metrics.js';
+import { startMqttPublisher, stopMqttPublisher, getMqttStatus, getMqttOptions } from './lib/mqtt-publisher.js';
+import {
+    listRules,
+    getRule,
+    createRule,
+    updateRule,
+    deleteRule,
+    queryAlerts,
+    acknowledgeAlert,
+    evaluatePrediction,
+    resumeWebhookDeliveries
+} from './lib/alert-rules.js';
+import { renderAnnotated } from './lib/evidence-images.js';
+import {
+    saveFrame,
+    readFrame,
+    resolveImagePath,
+    isPositiveResult,
+    markFramePositive,
+    queryArchive,
+    getArchivedImage,
+    getArchiveStats,
+    pruneArchive,
+    isDiskLow,
+    isDiskCritical,
+    startArchive,
+    stopArchive
+} from './lib/image-archive.js';
+import {
+    ensureAdminUser,
+    login,
+    logout,
+    authenticate,
+    requireRole,
+    getRequestToken,
+    issueTicket,
+    listUsers,
+    createUser,
+    updateUser,
+    deleteUser,
+    listApiKeys,
+    createApiKey,
+    deleteApiKey
+} from './lib/auth.js';
+import { isOriginAllowed } from './lib/cors-policy.js';
+import { signStreamPath, signApiPath } from './lib/stream-auth.js';
+import { loadPredictors, getPredictor, describePredictors } from './lib/predictors/index.js';
+import {
+    startTimelapses,
+    stopTimelapses,
+    enqueueTimelapse,
+    rebuildTimelapse,
+    listTimelapses,
+    getTimelapse,
+    getTimelapseVideoPath,
+    deleteTimelapse,
+    getTimelapseStatus
+} from './lib/timelapse.js';
+import { configureLogging, setLogSettings, createLogger, queryLogs, getRecentProblems } from './lib/logger.js';
+import { EXPORT_FORMATS, parseExportQuery, writePredictionExport } from './lib/prediction-export.js';
+import { parseReportDate, formatReportDate, buildDailySummary, renderDailyReportHtml } from './lib/daily-report.js';
+import { loadConfig, getConfig, describeConfig, updateConfig, onConfigChange } from './lib/config.js';
+import { listRegions, getRegion, getEnabledRegions, createRegion, updateRegion, deleteRegion, cropRegion } from './lib/camera-regions.js';
+import { offsetBoxes } from './lib/prediction-result.js';
+import { checkFrameQuality, getFrameQualityStats, querySkippedFrames } from './lib/frame-quality.js';
+import { startTelemetry, stopTelemetry, rescheduleTelemetry, getLatestSample, getTelemetry } from './lib/system-telemetry.js';
+import { listControls, setControls, getPresets, savePreset, applyPreset, deletePreset } from './lib/camera-controls.js';
+import {
+    startModelRegistry,
+    stopModelRegistry,
+    refreshModels,
+    getModelListStatus,
+    getModelNames,
+    getEnabledModels,
+    isModelEnabled,
+    getConfidenceThreshold,
+    listModels,
+    getModel,
+    updateModel,
+    listCameraModels,
+    setCameraModelEnabled
+} from './lib/model-registry.js';
 
-const API_MAIN = "https://vertiapp.xyz";
-const API_PREDICT_ENDPOINT = "/predict";
-const API_MODEL_LIST_ENDPOINT = "/list-models";
+const PREDICT_TIMEOUT_MS = 30000;
+const SNAPSHOT_TIMEOUT_MS = 5000;
+const MAX_FRAME_AGE_MS = 10000;
+const CAMERA_RESCAN_INTERVAL_MS = 30000;
+// Schedules run this many times slower while the disk is nearly full
+const LOW_DISK_INTERVAL_SCALE = 4;
 
-const STORE_IMAGES_TO_TMP = false;
+configureLogging({ processName: 'server' });
+const log = createLogger('server');
+const captureLog = createLogger('capture');
+const predictorLog = createLogger('predictor');
+const alertLog = createLogger('alerts');
+const authLog = createLogger('auth');
 
-const isWindows = os.platform() === 'win32';
-const isLinux = os.platform() === 'linux';
+try {
+    loadConfig();
+} catch (error) {
+    log.error(error.message);
+    process.exit(1);
+}
+setLogSettings(getConfig().logs);
 
 const app = express();
-const PORT = 9003;
 
-app.use(cors());
+// Paged lists return their total in X-Total-Count, which browsers hide unless exposed
+app.use(cors({
+    origin: (origin, callback) => callback(null, isOriginAllowed(origin)),
+    exposedHeaders: ['X-Total-Count']
+}));
 app.use(express.json());
 
+// The only route reachable without a token
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const session = await login(req.body?.username, req.body?.password);
+        if (!session) {
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+        authLog.info(`${session.user.username} logged in from ${req.ip}`);
+        res.json(session);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.use(authenticate);
+const requireAdmin = requireRole('admin');
+
 let cameras = [];
-let currentModels = [];
-let currentModelIndex = 0;
-let predictions = [];
-let systemErrors = [];
+let lastModel = null;
+let streamHealth = new Map();
 
 function addSystemError(cameraId, error) {
     const errorEntry = {
@@ -35,301 +186,1256 @@ function addSystemError(cameraId, error) {
         error: error.toString(),
         timestamp: new Date().toISOString()
     };
-    systemErrors.unshift(errorEntry);
-    if (systemErrors.length > 50) {
-        systemErrors = systemErrors.slice(0, 50);
+
+    let storedEntry = errorEntry;
+    try {
+        storedEntry = insertSystemError(errorEntry);
+    } catch (storeError) {
+        log.error('Error storing system error', { cameraId, error: storeError });
     }
+
+    publishEvent('system-error', storedEntry);
+    return storedEntry;
 }
 
-async function detectCameras() {
-    const detectedCameras = [];
+async function loadCameras() {
+    const registeredCameras = await detectCameras();
+
+    // Source URLs can carry credentials and are only needed by the encoder
+    return registeredCameras.map(({ input, ...camera }) => ({
+        ...camera,
+        streamPort: camera.port
+    }));
+}
+
+function withHealth(camera) {
+    return {
+        ...camera,
+        // Signed, short-lived: the camera ports only serve URLs handed out here
+        streamUrl: `http://localhost:${camera.streamPort}${signStreamPath(camera.id, '/stream')}`,
+        health: streamHealth.get(camera.id) || null
+    };
+}
+
+async function rescanCameras() {
+    const detected = await loadCameras();
+    const knownIds = new Set(cameras.map(camera => camera.id));
+    const detectedIds = new Set(detected.map(camera => camera.id));
+
+    const added = detected.filter(camera => !knownIds.has(camera.id));
+    const removed = cameras.filter(camera => !detectedIds.has(camera.id));
+    cameras = detected;
+
+    for (const camera of added) {
+        log.info(`Camera added: ${camera.device} -> port ${camera.streamPort}`, { cameraId: camera.id });
+        publishEvent('camera-added', withHealth(camera));
+    }
+    for (const camera of removed) {
+        log.warn(`Camera removed: ${camera.device}`, { cameraId: camera.id });
+        publishEvent('camera-removed', { id: camera.id });
+    }
+}
+
+async function refreshStreamHealth() {
+    const previousHealth = streamHealth;
 
     try {
-        if (isLinux) {
-            const videoDevices = await readdir('/dev');
-            const cameraDevices = videoDevices
-                .filter(device => device.startsWith('video'))
-                .map(device => `/dev/${device}`)
-                .filter(device => existsSync(device));
+        const [healthResponse, processResponse] = await Promise.all([
+            axios.get(`http://127.0.0.1:${SUPERVISOR_PORT}/health`, { timeout: 1000 }),
+            axios.get(`http://127.0.0.1:${SUPERVISOR_PORT}/process`, { timeout: 1000 })
+        ]);
+        streamHealth = new Map(healthResponse.data.map(health => [health.cameraId, health]));
+        recordStreamHealth(healthResponse.data);
+        recordStreamProcess(processResponse.data);
+    } catch {
+        // Stream process not running (yet); report every camera as unknown
+        streamHealth = new Map();
+        recordStreamHealth([]);
+        recordStreamProcess(null);
+    }
 
-            for (let i = 0; i < cameraDevices.length; i++) {
-                detectedCameras.push({
-                    id: i,
-                    device: cameraDevices[i],
-                    streamPort: 20000 + i,
-                    streamUrl: `http://localhost:${20000 + i}/stream`
-                });
-            }
-        } else if (isWindows) {
-            console.log('Windows detected - detecting cameras using dshow');
-
-            const ffmpeg = spawn('ffmpeg', ['-list_devices', 'true', '-f', 'dshow', '-i', 'dummy'], { stdio: 'pipe' });
-
-            return new Promise((resolve) => {
-                let output = '';
-                let cameraIndex = 0;
-
-                ffmpeg.stderr.on('data', (data) => {
-                    output += data.toString();
-                });
-
-                ffmpeg.on('close', () => {
-                    const lines = output.split('\n');
-                    const detectedDeviceNames = [];
-
-                    for (const line of lines) {
-                        if (line.includes('] "') && line.includes('" (video)')) {
-                            const match = line.match(/\] "([^"]+)" \(video\)/);
-                            if (match) {
-                                const deviceName = match[1];
-                                detectedDeviceNames.push(deviceName);
-                                detectedCameras.push({
-                                    id: cameraIndex,
-                                    device: deviceName,
-                                    streamPort: 20000 + cameraIndex,
-                                    streamUrl: `http://localhost:${20000 + cameraIndex}/stream`
-                                });
-                                cameraIndex++;
-                            }
-                        }
-                    }
-
-                    console.log('Detected Windows cameras:', detectedDeviceNames);
-                    console.log(`Detected ${detectedCameras.length} cameras:`, detectedCameras);
-                    resolve(detectedCameras);
-                });
-            });
+    for (const camera of cameras) {
+        const before = previousHealth.get(camera.id);
+        const after = streamHealth.get(camera.id);
+        if (before?.state !== after?.state || before?.restarts !== after?.restarts || before?.stream?.viewers !== after?.stream?.viewers) {
+            publishEvent('camera-updated', withHealth(camera));
         }
+    }
+}
+
+async function captureFrame(camera) {
+    // ffmpeg-streams.js keeps the latest complete frame per camera, so grabbing
+    // one is a plain HTTP request instead of a fresh FFmpeg process.
+    const snapshotUrl = `http://localhost:${camera.streamPort}${signStreamPath(camera.id, '/snapshot.jpg')}`;
+    const endTimer = captureDuration.startTimer({ camera: String(camera.id) });
+
+    let response;
+    try {
+        response = await axios.get(snapshotUrl, {
+            responseType: 'arraybuffer',
+            timeout: SNAPSHOT_TIMEOUT_MS
+        });
     } catch (error) {
-        console.error('Error detecting cameras:', error);
+        endTimer();
+        captureFailures.inc({ camera: String(camera.id), reason: error.response ? 'no_frame' : 'unreachable' });
+        const detail = error.response ? `status ${error.response.status}` : error.message;
+        const errorMsg = `Failed to fetch snapshot for camera ${camera.id}: ${detail}`;
+        captureLog.error(errorMsg, { cameraId: camera.id });
+        addSystemError(camera.id, errorMsg);
+        throw new Error(errorMsg);
     }
 
-    return detectedCameras;
+    endTimer();
+
+    const imageBuffer = Buffer.from(response.data);
+    const frameTimestamp = response.headers['x-frame-timestamp'];
+    if (frameTimestamp && Date.now() - new Date(frameTimestamp).getTime() > MAX_FRAME_AGE_MS) {
+        captureFailures.inc({ camera: String(camera.id), reason: 'stale' });
+        const errorMsg = `Stale frame for camera ${camera.id}: last frame at ${frameTimestamp}`;
+        captureLog.error(errorMsg, { cameraId: camera.id });
+        addSystemError(camera.id, errorMsg);
+        throw new Error(errorMsg);
+    }
+
+    captureLog.debug(`Frame captured (${imageBuffer.length} bytes)`, { cameraId: camera.id });
+
+    return imageBuffer;
 }
 
-async function getModelList() {
-    try {
-        const response = await axios.get(`${API_MAIN}${API_MODEL_LIST_ENDPOINT}`);
+// region: { id, name, left, top } when the result is for a cropped region
+function recordPrediction(cameraId, model, timestamp, result, imagePath, region = null) {
+    const prediction = insertPrediction({
+        cameraId: cameraId,
+        model: model,
+        timestamp: timestamp,
+        result: region ? offsetBoxes(result, region.left, region.top) : result,
+        imagePath: imagePath,
+        regionId: region?.id ?? null,
+        regionName: region?.name ?? null
+    });
+
+    const confidenceThreshold = getConfidenceThreshold(model);
+    if (imagePath && isPositiveResult(result, confidenceThreshold)) {
+        markFramePositive(imagePath);
+    }
 
-        return response.data || [];
+    publishEvent('prediction', prediction);
+
+    try {
+        for (const alert of evaluatePrediction(prediction, confidenceThreshold)) {
+            alertLog.warn(`Alert "${alert.ruleName}": ${alert.label} (${alert.hits} hit${alert.hits !== 1 ? 's' : ''})`, { cameraId: alert.cameraId });
+            publishEvent('alert', alert);
+        }
     } catch (error) {
-        console.error('Error fetching model list:', error);
-        return ["bacterial-disease", "early-blight"];
+        alertLog.error('Error evaluating alert rules', { cameraId, error });
     }
+
+    return prediction;
 }
 
-async function captureFrame(camera) {
-    let filepath = null;
+async function sendPrediction(camera, imageBuffer, model, capturedAt = new Date().toISOString(), imagePath = null, region = null) {
+    try {
+        const result = await getPredictor(model).predict(imageBuffer, model);
+        // A local answer says nothing about whether the remote API is back
+        if (result.backend === 'remote') {
+            notifyUploadSucceeded();
+        }
 
-    if (STORE_IMAGES_TO_TMP) {
-        const timestamp = new Date().toISOString().replace(/:/g, '-').replace(/\./g, '-');
-        const filename = `camera-${camera.id}-${timestamp}.jpg`;
-        filepath = path.join('./tmp', filename);
+        predictorLog.info(`Prediction: ${result.label ?? 'no label'}`, { cameraId: camera.id, model, region: region?.name, backend: result.backend });
 
-        try {
-            await mkdir('./tmp', { recursive: true });
-        } catch (error) {
-            // Directory already exists or other error
+        return recordPrediction(camera.id, model, capturedAt, result, imagePath, region);
+    } catch (error) {
+        predictorLog.error('Prediction failed', { cameraId: camera.id, model, retryable: Boolean(error.retryable), error });
+
+        if (error.retryable) {
+            enqueueUpload({
+                cameraId: camera.id,
+                model: model,
+                capturedAt: capturedAt,
+                image: imageBuffer,
+                imagePath: imagePath,
+                region: region,
+                error: error.message
+            });
+        } else {
+            addSystemError(camera.id, `Prediction failed for camera ${camera.id} with model ${model}: ${error.message}`);
         }
+        return null;
     }
+}
 
-    // Use FFmpeg to capture a single frame from MJPEG stream
-    const streamUrl = `http://localhost:${camera.streamPort}/stream`;
+async function uploadQueuedFrame(item) {
+    try {
+        const result = await getPredictor(item.model).predict(item.image, item.model);
+        predictorLog.info(`Queued prediction: ${result.label ?? 'no label'}`, { cameraId: item.cameraId, model: item.model, capturedAt: item.capturedAt });
+        recordPrediction(item.cameraId, item.model, item.capturedAt, result, item.imagePath, item.region);
+    } catch (error) {
+        if (error.retryable) {
+            throw error;
+        }
+        // The API rejected the frame outright; retrying will not help
+        predictorLog.error('Queued prediction rejected', { cameraId: item.cameraId, model: item.model, error });
+        addSystemError(item.cameraId, `Queued prediction for camera ${item.cameraId} rejected: ${error.message}`);
+    }
+}
 
-    return new Promise((resolve, reject) => {
-        console.log(`📸 Capturing frame from MJPEG stream: ${streamUrl}`);
+// Captures one frame and runs it through each model in turn. The scheduler
+// guarantees only one of these is in flight per camera. Scheduled frames that
+// are too dark, blurry or unchanged are skipped; manual runs always predict.
+async function runCameraPredictions(camera, models, { manual = false } = {}) {
+    const capturedAt = new Date().toISOString();
 
-        const ffmpegArgs = [
-            '-i', streamUrl,
-            '-vframes', '1',
-            '-f', 'image2',
-            '-q:v', '2',
-            'pipe:1'
-        ];
+    let imageBuffer;
+    try {
+        imageBuffer = await captureFrame(camera);
+    } catch (error) {
+        addSystemError(camera.id, `Camera ${camera.id} capture failed: ${error.message}`);
+        return [];
+    }
 
-        const ffmpeg = spawn('ffmpeg', ffmpegArgs, {
-            stdio: ['pipe', 'pipe', 'pipe']
-        });
+    if (!manual) {
+        const quality = await checkFrameQuality(camera.id, imageBuffer);
+        if (!quality.accepted) {
+            return [];
+        }
+    }
 
-        let imageBuffer = Buffer.alloc(0);
-        let hasData = false;
+    // Every prediction on this frame points at the same stored evidence image.
+    // On a nearly full disk the frame is still predicted, just not kept.
+    let imagePath = null;
+    try {
+        imagePath = await saveFrame(camera.id, capturedAt, imageBuffer);
+    } catch (error) {
+        captureLog.error('Error saving frame', { cameraId: camera.id, error });
+        addSystemError(camera.id, `Failed to store evidence frame for camera ${camera.id}: ${error.message}`);
+    }
 
-        ffmpeg.stdout.on('data', (data) => {
-            imageBuffer = Buffer.concat([imageBuffer, data]);
-            hasData = true;
-        });
+    // A camera with regions is predicted tray by tray instead of as a whole
+    const regions = getEnabledRegions(camera.id);
+    const results = [];
+    if (regions.length === 0) {
+        for (const model of models) {
+            lastModel = model;
+            predictorLog.debug(`Running prediction with model ${model}`, { cameraId: camera.id, model });
+            results.push(await sendPrediction(camera, imageBuffer, model, capturedAt, imagePath));
+        }
+        return results;
+    }
 
-        let stderrOutput = '';
-        ffmpeg.stderr.on('data', (data) => {
-            stderrOutput += data.toString();
-        });
+    for (const region of regions) {
+        let crop;
+        try {
+            crop = await cropRegion(imageBuffer, region);
+        } catch (error) {
+            addSystemError(camera.id, `Could not crop region "${region.name}" of camera ${camera.id}: ${error.message}`);
+            continue;
+        }
 
-        ffmpeg.on('close', async (code) => {
-            if (code === 0 && hasData && imageBuffer.length > 0) {
-                try {
-                    if (STORE_IMAGES_TO_TMP && filepath) {
-                        await writeFile(filepath, imageBuffer);
-                        console.log(`Frame captured and saved: ${filepath} (${imageBuffer.length} bytes)`);
-                    } else {
-                        console.log(`Frame captured for camera ${camera.id} (${imageBuffer.length} bytes)`);
-                    }
-                    resolve(imageBuffer);
-                } catch (error) {
-                    console.error(`Error saving image for camera ${camera.id}: ${error}`);
-                    reject(new Error(`Failed to save captured frame: ${error.message}`));
-                }
-            } else {
-                const errorMsg = `Failed to capture frame from MJPEG stream for camera ${camera.id}. Exit code: ${code}. Stderr: ${stderrOutput.trim()}`;
-                console.error(errorMsg);
-                addSystemError(camera.id, errorMsg);
-                reject(new Error(errorMsg));
-            }
-        });
+        const regionRef = { id: region.id, name: region.name, left: crop.left, top: crop.top };
+        for (const model of models) {
+            lastModel = model;
+            predictorLog.debug(`Running prediction with model ${model}`, { cameraId: camera.id, model, region: region.name });
+            results.push(await sendPrediction(camera, crop.image, model, capturedAt, imagePath, regionRef));
+        }
+    }
+    return results;
+}
 
-        ffmpeg.on('error', (err) => {
-            const errorMsg = `FFmpeg error for camera ${camera.id}: ${err.message}`;
-            console.error(errorMsg);
-            addSystemError(camera.id, errorMsg);
-            reject(new Error(errorMsg));
-        });
+function getStatus() {
+    return {
+        cameras: cameras.length,
+        models: getEnabledModels(),
+        modelList: getModelListStatus(),
+        currentModel: lastModel,
+        totalPredictions: countPredictions(),
+        uploadQueue: getUploadQueueStats(),
+        mqtt: getMqttStatus(),
+        diskLow: isDiskLow(),
+        frameQuality: getFrameQualityStats(),
+        system: getLatestSample(),
+        uptime: process.uptime()
+    };
+}
 
-        // Handle timeout
-        setTimeout(() => {
-            if (!hasData) {
-                ffmpeg.kill('SIGTERM');
-                const errorMsg = `Timeout capturing frame from camera ${camera.id}`;
-                console.error(errorMsg);
-                addSystemError(camera.id, errorMsg);
-                reject(new Error(errorMsg));
-            }
-        }, 10000);
+let lastStatusFingerprint = null;
+
+// Uptime, queue age and system readings tick constantly; only publish when
+// something else moved. Readings go out as "system" events instead.
+function publishStatusIfChanged() {
+    const status = getStatus();
+    const fingerprint = JSON.stringify({
+        ...status,
+        uptime: undefined,
+        uploadQueue: status.uploadQueue.depth,
+        system: status.system?.warnings
     });
+
+    if (fingerprint !== lastStatusFingerprint) {
+        lastStatusFingerprint = fingerprint;
+        publishEvent('status', status);
+    }
 }
 
-async function sendPrediction(camera, imageBuffer, model) {
+app.get('/api/cameras', (req, res) => {
+    res.json(cameras.map(withHealth));
+});
+
+// Filters: model, regionId, from, to (ISO timestamps, default the last 24h), buckets
+app.get('/api/cameras/:id/timeline', (req, res) => {
+    const camera = findCamera(req.params.id);
+    if (!camera) {
+        return res.status(404).json({ error: 'Camera not found' });
+    }
+
     try {
-        const formData = new FormData();
-        const blob = new Blob([imageBuffer], { type: 'image/jpeg' });
-        formData.append('image', blob, 'image.jpg');
-        formData.append('model', model);
+        res.json(getPredictionTimeline(camera.id, req.query));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
 
-        const response = await fetch(`${API_MAIN}${API_PREDICT_ENDPOINT}`, {
-            method: 'POST',
-            body: formData,
-            headers: {
-                'Accept': 'application/json',
-            }
-        });
+app.get('/api/streams/health', (req, res) => {
+    res.json(cameras.map(camera => streamHealth.get(camera.id) || { cameraId: camera.id, state: 'unknown' }));
+});
 
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
+// Filters: cameraId, regionId (or "none" for whole frames), model, label, from,
+// to (ISO timestamps), limit, offset.
+// The total match count is returned in X-Total-Count so the body stays a plain array.
+app.get('/api/predictions', (req, res) => {
+    try {
+        const { items, total } = queryPredictions(req.query);
+        res.set('X-Total-Count', String(total));
+        res.json(items);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Frames the quality gate kept from the models. Filters: cameraId, reason, from,
+// to, limit, offset; the total is in X-Total-Count.
+app.get('/api/frame-skips', (req, res) => {
+    try {
+        const { items, total } = querySkippedFrames(req.query);
+        res.set('X-Total-Count', String(total));
+        res.json(items);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
 
-        const result = await response.json();
+// Streams every matching prediction (oldest first) as a download.
+// Query: format=csv|ndjson, cameraId, regionId, model, label, from, to.
+app.get('/api/export', async (req, res) => {
+    let format, filters;
+    try {
+        ({ format, filters } = parseExportQuery(req.query));
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
 
-        console.log(`Prediction for camera ${camera.id} with model ${model}:`, result);
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const range = [filters.from, filters.to].filter(Boolean).map(value => value.slice(0, 10)).join('_to_');
+    const filename = [
+        'predictions',
+        filters.cameraId !== undefined && `camera-${filters.cameraId}`,
+        filters.regionId !== undefined && `region-${filters.regionId}`,
+        filters.model,
+        range
+    ]
+        .filter(Boolean)
+        .join('-');
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${filename.replace(/[^\w.-]/g, '_')}.${extension}"`);
 
-        const prediction = {
-            cameraId: camera.id,
-            model: model,
-            timestamp: new Date().toISOString(),
-            result: result
-        };
+    try {
+        const count = await writePredictionExport(res, filters, format);
+        log.info('Predictions exported', { format, count });
+    } catch (error) {
+        log.error('Prediction export failed', { error });
+        res.destroy(error);
+    }
+});
 
-        predictions.unshift(prediction);
-        if (predictions.length > 100) {
-            predictions = predictions.slice(0, 100);
+// Per camera, region and model summary of one local day. Query: date=YYYY-MM-DD
+// (default today), format=html|json.
+app.get('/api/reports/daily', (req, res) => {
+    let day;
+    try {
+        day = parseReportDate(req.query.date);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const summary = buildDailySummary(day);
+        if (req.query.format === 'json') {
+            return res.json(summary);
         }
 
-        return prediction;
+        // The report is opened in a plain tab, so its links carry their own signature
+        const dayOffset = offset => formatReportDate(new Date(day.getFullYear(), day.getMonth(), day.getDate() + offset));
+
+        res.type('html').send(renderDailyReportHtml(summary, {
+            previous: signApiPath('/api/reports/daily', { date: dayOffset(-1) }),
+            next: signApiPath('/api/reports/daily', { date: dayOffset(1) }),
+            csv: signApiPath('/api/export', { format: 'csv', from: summary.from, to: summary.to }),
+            ndjson: signApiPath('/api/export', { format: 'ndjson', from: summary.from, to: summary.to })
+        }));
     } catch (error) {
-        console.error(`Error making prediction for camera ${camera.id}:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+function findPredictionImage(req, res) {
+    const prediction = getPrediction(parseId(req.params.id));
+    if (!prediction) {
+        res.status(404).json({ error: 'Prediction not found' });
+        return null;
+    }
+    if (!prediction.imagePath) {
+        res.status(404).json({ error: 'No image stored for this prediction' });
         return null;
     }
+    return prediction;
 }
 
-async function predictionLoop() {
-    if (cameras.length === 0 || currentModels.length === 0) {
+// The frame that was sent to the model. Region predictions store the whole
+// frame, so the region is cut out again, as it is now; once it's deleted the
+// whole frame is served.
+app.get('/api/predictions/:id/image', async (req, res) => {
+    const prediction = findPredictionImage(req, res);
+    if (!prediction) {
+        return;
+    }
+
+    const region = prediction.regionId ? getRegion(prediction.regionId) : null;
+    if (!region) {
+        res.sendFile(resolveImagePath(prediction.imagePath), { maxAge: '1d', immutable: !prediction.regionId }, (error) => {
+            if (error && !res.headersSent) {
+                res.status(404).json({ error: 'Image is no longer available' });
+            }
+        });
         return;
     }
 
-    const currentModel = currentModels[currentModelIndex];
-    console.log(`Running predictions with model: ${currentModel}`);
+    let imageBuffer;
+    try {
+        imageBuffer = await readFrame(prediction.imagePath);
+    } catch {
+        return res.status(404).json({ error: 'Image is no longer available' });
+    }
 
-    const predictionPromises = cameras.map(async (camera) => {
-        try {
-            const imageBuffer = await captureFrame(camera);
-            return await sendPrediction(camera, imageBuffer, currentModel);
-        } catch (error) {
-            const errorMsg = `Camera ${camera.id} capture failed: ${error.message}`;
-            console.error(errorMsg);
-            addSystemError(camera.id, errorMsg);
-            return null;
+    try {
+        const { image } = await cropRegion(imageBuffer, region);
+        res.set('Content-Type', 'image/jpeg');
+        res.set('Cache-Control', 'public, max-age=86400');
+        res.end(image);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// The same frame with detection boxes and labels drawn on
+app.get('/api/predictions/:id/annotated', async (req, res) => {
+    const prediction = findPredictionImage(req, res);
+    if (!prediction) {
+        return;
+    }
+
+    let imageBuffer;
+    try {
+        imageBuffer = await readFrame(prediction.imagePath);
+    } catch {
+        return res.status(404).json({ error: 'Image is no longer available' });
+    }
+
+    try {
+        // Outlined as the region is now; it may have been moved or deleted since
+        const region = prediction.regionId ? getRegion(prediction.regionId) : null;
+        const annotated = await renderAnnotated(imageBuffer, prediction.result, region);
+        res.set('Content-Type', 'image/jpeg');
+        res.set('Cache-Control', 'public, max-age=86400');
+        res.end(annotated);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Filters: cameraId, from, to (ISO timestamps), positive=true|false, limit, offset
+app.get('/api/archive', (req, res) => {
+    try {
+        const { items, total } = queryArchive(req.query);
+        res.set('X-Total-Count', String(total));
+        res.json(items);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.get('/api/archive/stats', (req, res) => {
+    res.json(getArchiveStats());
+});
+
+app.post('/api/archive/prune', requireAdmin, async (req, res) => {
+    try {
+        const result = await pruneArchive();
+        if (!result) {
+            return res.status(409).json({ error: 'A prune is already running' });
+        }
+        res.json({ ...result, stats: getArchiveStats() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/archive/:id/image', (req, res) => {
+    const image = getArchivedImage(parseId(req.params.id));
+    if (!image) {
+        return res.status(404).json({ error: 'Archived frame not found' });
+    }
+
+    const filename = `camera-${image.cameraId}-${image.capturedAt.replace(/[:.]/g, '-')}.jpg`;
+    res.sendFile(resolveImagePath(image.path), { headers: { 'Content-Disposition': `attachment; filename="${filename}"` } }, (error) => {
+        if (error && !res.headersSent) {
+            res.status(404).json({ error: 'Image is no longer available' });
         }
     });
+});
 
-    await Promise.all(predictionPromises);
+// Filters: cameraId, period=day|week, status=queued|running|done|failed
+app.get('/api/timelapses', (req, res) => {
+    const timelapses = listTimelapses(req.query);
+    res.set('X-Total-Count', String(timelapses.length));
+    res.json(timelapses);
+});
 
-    currentModelIndex = (currentModelIndex + 1) % currentModels.length;
-}
+app.get('/api/timelapses/status', (req, res) => {
+    res.json(getTimelapseStatus());
+});
 
-app.get('/api/cameras', (req, res) => {
-    const camerasWithUrls = cameras.map(camera => ({
-        ...camera,
-        streamUrl: camera.streamUrl || `http://localhost:${camera.streamPort}/stream`
-    }));
-    res.json(camerasWithUrls);
+// Body: { cameraId, period: 'day' | 'week', start: 'YYYY-MM-DD' }
+app.post('/api/timelapses', requireAdmin, (req, res) => {
+    const { cameraId, period, start } = req.body;
+    const camera = findCamera(cameraId);
+    if (!camera) {
+        return res.status(404).json({ error: 'Camera not found' });
+    }
+
+    try {
+        res.status(202).json(enqueueTimelapse(camera.id, period, start));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
 });
 
-app.get('/api/predictions', (req, res) => {
-    res.json(predictions);
+app.get('/api/timelapses/:id', (req, res) => {
+    const timelapse = getTimelapse(parseId(req.params.id));
+    if (!timelapse) {
+        return res.status(404).json({ error: 'Time-lapse not found' });
+    }
+    res.json(timelapse);
 });
 
+app.post('/api/timelapses/:id/rebuild', requireAdmin, (req, res) => {
+    try {
+        const timelapse = rebuildTimelapse(parseId(req.params.id));
+        if (!timelapse) {
+            return res.status(404).json({ error: 'Time-lapse not found' });
+        }
+        res.status(202).json(timelapse);
+    } catch (error) {
+        res.status(409).json({ error: error.message });
+    }
+});
+
+app.get('/api/timelapses/:id/video', (req, res) => {
+    const timelapse = getTimelapse(parseId(req.params.id));
+    const videoPath = timelapse && getTimelapseVideoPath(timelapse.id);
+    if (!videoPath) {
+        return res.status(404).json({ error: 'Time-lapse video not found' });
+    }
+
+    const filename = `camera-${timelapse.cameraId}-${timelapse.period}-${timelapse.periodStart}.mp4`;
+    const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+    res.sendFile(videoPath, { headers: { 'Content-Disposition': `${disposition}; filename="${filename}"` } }, (error) => {
+        if (error && !res.headersSent) {
+            res.status(404).json({ error: 'Video is no longer available' });
+        }
+    });
+});
+
+app.delete('/api/timelapses/:id', requireAdmin, async (req, res) => {
+    try {
+        if (!(await deleteTimelapse(parseId(req.params.id)))) {
+            return res.status(404).json({ error: 'Time-lapse not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        res.status(409).json({ error: error.message });
+    }
+});
+
+// Every model in the current list with its metadata and enabled state
 app.get('/api/models', (req, res) => {
-    res.json(currentModels);
+    res.json(listModels());
+});
+
+app.post('/api/models/refresh', requireAdmin, async (req, res) => {
+    try {
+        const modelList = await refreshModels();
+        res.json({ modelList, models: listModels() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/models/:name', (req, res) => {
+    const model = getModel(req.params.name);
+    if (!model) {
+        return res.status(404).json({ error: 'Model not found' });
+    }
+    res.json(model);
+});
+
+// Body: any of displayName, version, labels, confidenceThreshold, enabled
+app.patch('/api/models/:name', requireAdmin, (req, res) => {
+    try {
+        const model = updateModel(req.params.name, req.body);
+        if (!model) {
+            return res.status(404).json({ error: 'Model not found' });
+        }
+        res.json(model);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.get('/api/predictors', (req, res) => {
+    res.json(describePredictors());
 });
 
 app.get('/api/status', (req, res) => {
-    res.json({
-        cameras: cameras.length,
-        models: currentModels,
-        currentModel: currentModels[currentModelIndex] || null,
-        totalPredictions: predictions.length,
-        uptime: process.uptime()
-    });
+    res.json(getStatus());
+});
+
+// Temperature, throttling, CPU, memory, disk and per-camera encoder usage:
+// the latest sample, the rolling history and the warning thresholds
+app.get('/api/system', (req, res) => {
+    res.json(getTelemetry());
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', async (req, res) => {
+    const { depth, oldestPendingAgeSeconds } = getUploadQueueStats();
+    uploadQueueDepth.set(depth);
+    uploadQueueOldestAge.set(oldestPendingAgeSeconds ?? 0);
+
+    const archive = getArchiveStats();
+    archiveBytes.set(archive.totalBytes);
+    archiveFiles.set({ positive: 'true' }, archive.positives);
+    archiveFiles.set({ positive: 'false' }, archive.files - archive.positives);
+    diskFreeBytes.set(archive.diskFreeBytes ?? 0);
+
+    try {
+        res.set('Content-Type', metricsRegistry.contentType);
+        res.end(await metricsRegistry.metrics());
+    } catch (error) {
+        res.status(500).end(error.message);
+    }
 });
 
+// Push channel for the dashboard: prediction, system-error, status, system,
+// alert, alert-acknowledged, camera-added, camera-removed and camera-updated events.
+app.get('/api/events', handleEventStream);
+
 app.get('/api/errors', (req, res) => {
-    res.json(systemErrors);
+    try {
+        const { items, total } = querySystemErrors(req.query);
+        res.set('X-Total-Count', String(total));
+        res.json(items);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Filters: level (minimum), component, cameraId, process=server|streams,
+// search, since, until (ISO timestamps), limit. Newest first.
+app.get('/api/logs', requireAdmin, async (req, res) => {
+    try {
+        res.json(await queryLogs(req.query));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+const DIAGNOSTICS_ERRORS_PER_CAMERA = 10;
+const DIAGNOSTICS_PREDICTOR_FAILURES = 50;
+
+// Everything needed to debug a node remotely in one request
+app.get('/api/diagnostics', requireAdmin, async (req, res) => {
+    let stderrTails = new Map();
+    let streamProcessReachable = true;
+    try {
+        const response = await axios.get(`http://127.0.0.1:${SUPERVISOR_PORT}/stderr`, { timeout: 1000 });
+        stderrTails = new Map(response.data.map(tail => [tail.cameraId, tail.lines]));
+    } catch {
+        streamProcessReachable = false;
+    }
+
+    try {
+        // System-wide errors (no camera) are listed under cameraId null
+        const errors = [...cameras.map(camera => camera.id), null].map((cameraId) => {
+            const { items, total } = querySystemErrors({ cameraId: cameraId ?? 'none', limit: DIAGNOSTICS_ERRORS_PER_CAMERA });
+            return { cameraId, total, recent: items };
+        });
+
+        res.json({
+            generatedAt: new Date().toISOString(),
+            streamProcessReachable,
+            streams: cameras.map(camera => ({
+                cameraId: camera.id,
+                device: camera.device,
+                health: streamHealth.get(camera.id) || null,
+                stderr: stderrTails.get(camera.id) || []
+            })),
+            errors,
+            predictors: describePredictors(),
+            predictorFailures: getRecentProblems({ component: 'predictor', limit: DIAGNOSTICS_PREDICTOR_FAILURES }),
+            uploadQueue: getUploadQueueStats()
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Settings with their value, default, source (default, file or env) and
+// whether they can change at runtime
+app.get('/api/config', requireAdmin, (req, res) => {
+    res.json(describeConfig());
+});
+
+// Body: the settings to change as a nested object, e.g. { "streams": { "fps": 10 } }.
+// Saved to the config file; startup-only and env-overridden settings are rejected.
+app.patch('/api/config', requireAdmin, (req, res) => {
+    try {
+        res.json(updateConfig(req.body));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+function parseId(value) {
+    const id = Number.parseInt(value, 10);
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function findCamera(value) {
+    const id = Number.parseInt(value, 10);
+    return cameras.find(camera => camera.id === id) || null;
+}
+
+app.get('/api/schedule', (req, res) => {
+    res.json(listSchedules());
+});
+
+app.get('/api/cameras/:id/schedule', (req, res) => {
+    const camera = findCamera(req.params.id);
+    if (!camera) {
+        return res.status(404).json({ error: 'Camera not found' });
+    }
+    res.json(getSchedule(camera.id));
+});
+
+// Body: { enabled, models: [{ name, intervalSeconds }], activeHours: { start: "HH:MM", end: "HH:MM" } | null }
+app.put('/api/cameras/:id/schedule', requireAdmin, (req, res) => {
+    const camera = findCamera(req.params.id);
+    if (!camera) {
+        return res.status(404).json({ error: 'Camera not found' });
+    }
+
+    try {
+        res.json(setSchedule(camera.id, req.body));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/api/cameras/:id/schedule', requireAdmin, (req, res) => {
+    const camera = findCamera(req.params.id);
+    if (!camera) {
+        return res.status(404).json({ error: 'Camera not found' });
+    }
+    res.json(resetSchedule(camera.id));
+});
+
+app.get('/api/cameras/:id/models', (req, res) => {
+    const camera = findCamera(req.params.id);
+    if (!camera) {
+        return res.status(404).json({ error: 'Camera not found' });
+    }
+    res.json(listCameraModels(camera.id));
+});
+
+// Body: { "enabled": false } stops scheduling the model on this camera
+app.patch('/api/cameras/:id/models/:name', requireAdmin, (req, res) => {
+    const camera = findCamera(req.params.id);
+    if (!camera) {
+        return res.status(404).json({ error: 'Camera not found' });
+    }
+
+    try {
+        const entry = setCameraModelEnabled(camera.id, req.params.name, req.body?.enabled);
+        if (!entry) {
+            return res.status(404).json({ error: 'Model not found' });
+        }
+        res.json(entry);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Image controls (exposure, gain, white balance, focus, ...) as reported by v4l2-ctl
+app.get('/api/cameras/:id/controls', async (req, res) => {
+    const camera = findCamera(req.params.id);
+    if (!camera) {
+        return res.status(404).json({ error: 'Camera not found' });
+    }
+
+    try {
+        res.json(await listControls(camera));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Body: { "<control>": value, ... }; returns every control afterwards
+app.patch('/api/cameras/:id/controls', requireAdmin, async (req, res) => {
+    const camera = findCamera(req.params.id);
+    if (!camera) {
+        return res.status(404).json({ error: 'Camera not found' });
+    }
+
+    try {
+        res.json(await setControls(camera, req.body));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.get('/api/cameras/:id/presets', async (req, res) => {
+    const camera = findCamera(req.params.id);
+    if (!camera) {
+        return res.status(404).json({ error: 'Camera not found' });
+    }
+    try {
+        res.json(await getPresets(camera.id));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Body: { "controls": { ... } }, or nothing to save the camera's current settings
+app.put('/api/cameras/:id/presets/:name', requireAdmin, async (req, res) => {
+    const camera = findCamera(req.params.id);
+    if (!camera) {
+        return res.status(404).json({ error: 'Camera not found' });
+    }
+
+    try {
+        res.json(await savePreset(camera, req.params.name, req.body?.controls));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Applies the preset and reapplies it every time the camera's stream starts
+app.post('/api/cameras/:id/presets/:name/apply', requireAdmin, async (req, res) => {
+    const camera = findCamera(req.params.id);
+    if (!camera) {
+        return res.status(404).json({ error: 'Camera not found' });
+    }
+
+    try {
+        const controls = await applyPreset(camera, req.params.name);
+        if (!controls) {
+            return res.status(404).json({ error: 'Preset not found' });
+        }
+        res.json(controls);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/api/cameras/:id/presets/:name', requireAdmin, async (req, res) => {
+    const camera = findCamera(req.params.id);
+    if (!camera) {
+        return res.status(404).json({ error: 'Camera not found' });
+    }
+
+    try {
+        if (!(await deletePreset(camera.id, req.params.name))) {
+            return res.status(404).json({ error: 'Preset not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// The current frame, e.g. as the backdrop for drawing regions
+app.get('/api/cameras/:id/snapshot', async (req, res) => {
+    const camera = findCamera(req.params.id);
+    if (!camera) {
+        return res.status(404).json({ error: 'Camera not found' });
+    }
+
+    try {
+        const imageBuffer = await captureFrame(camera);
+        res.set('Content-Type', 'image/jpeg');
+        res.set('Cache-Control', 'no-store');
+        res.end(imageBuffer);
+    } catch (error) {
+        res.status(502).json({ error: error.message });
+    }
+});
+
+// Named areas of the frame, e.g. one per tray. Points are fractions of the
+// frame: a rect is two opposite corners, a polygon 3 or more points.
+app.get('/api/cameras/:id/regions', (req, res) => {
+    const camera = findCamera(req.params.id);
+    if (!camera) {
+        return res.status(404).json({ error: 'Camera not found' });
+    }
+    res.json(listRegions(camera.id));
+});
+
+// Body: { name, shape: "rect" | "polygon", points: [{ x, y }], enabled? }
+app.post('/api/cameras/:id/regions', requireAdmin, (req, res) => {
+    const camera = findCamera(req.params.id);
+    if (!camera) {
+        return res.status(404).json({ error: 'Camera not found' });
+    }
+
+    try {
+        res.status(201).json(createRegion(camera.id, req.body || {}));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.patch('/api/cameras/:id/regions/:regionId', requireAdmin, (req, res) => {
+    const camera = findCamera(req.params.id);
+    if (!camera) {
+        return res.status(404).json({ error: 'Camera not found' });
+    }
+
+    try {
+        const region = updateRegion(camera.id, parseId(req.params.regionId), req.body || {});
+        if (!region) {
+            return res.status(404).json({ error: 'Region not found' });
+        }
+        res.json(region);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/api/cameras/:id/regions/:regionId', requireAdmin, (req, res) => {
+    const camera = findCamera(req.params.id);
+    if (!camera) {
+        return res.status(404).json({ error: 'Camera not found' });
+    }
+
+    if (!deleteRegion(camera.id, parseId(req.params.regionId))) {
+        return res.status(404).json({ error: 'Region not found' });
+    }
+    res.status(204).end();
+});
+
+// On-demand prediction outside the schedule. Body: { models?: string[] }
+app.post('/api/cameras/:id/predict', requireAdmin, async (req, res) => {
+    if (!isSchedulerRunning()) {
+        return res.status(503).json({ error: 'The prediction scheduler is still starting' });
+    }
+
+    const camera = findCamera(req.params.id);
+    if (!camera) {
+        return res.status(404).json({ error: 'Camera not found' });
+    }
+
+    const models = req.body?.models;
+    if (models !== undefined && (!Array.isArray(models) || models.some(model => typeof model !== 'string'))) {
+        return res.status(400).json({ error: 'models must be an array of model names' });
+    }
+    const unavailable = (models || []).filter(model => !getEnabledModels().includes(model) || !isModelEnabled(model, camera.id));
+    if (unavailable.length > 0) {
+        return res.status(400).json({ error: `Unknown or disabled model(s) for camera ${camera.id}: ${unavailable.join(', ')}` });
+    }
+
+    const run = triggerNow(camera, models);
+    if (!run) {
+        return res.status(409).json({ error: `A prediction for camera ${camera.id} is already running` });
+    }
+
+    try {
+        const results = await run;
+        res.json(results.filter(Boolean));
+    } catch (error) {
+        log.error('Manual prediction failed', { cameraId: camera.id, error });
+        res.status(500).json({ error: error.message });
+    }
 });
 
+app.get('/api/alert-rules', (req, res) => {
+    res.json(listRules());
+});
+
+app.post('/api/alert-rules', requireAdmin, (req, res) => {
+    try {
+        res.status(201).json(createRule(req.body || {}));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.get('/api/alert-rules/:id', (req, res) => {
+    const rule = getRule(parseId(req.params.id));
+    if (!rule) {
+        return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    res.json(rule);
+});
+
+app.patch('/api/alert-rules/:id', requireAdmin, (req, res) => {
+    try {
+        const rule = updateRule(parseId(req.params.id), req.body || {});
+        if (!rule) {
+            return res.status(404).json({ error: 'Alert rule not found' });
+        }
+        res.json(rule);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/api/alert-rules/:id', requireAdmin, (req, res) => {
+    if (!deleteRule(parseId(req.params.id))) {
+        return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    res.status(204).end();
+});
+
+// Filters: active=true (unacknowledged only), ruleId, cameraId, regionId, from, to, limit, offset
+app.get('/api/alerts', (req, res) => {
+    try {
+        const { items, total } = queryAlerts(req.query);
+        res.set('X-Total-Count', String(total));
+        res.json(items);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.post('/api/alerts/:id/acknowledge', (req, res) => {
+    const alert = acknowledgeAlert(parseId(req.params.id));
+    if (!alert) {
+        return res.status(404).json({ error: 'Alert not found' });
+    }
+    publishEvent('alert-acknowledged', alert);
+    res.json(alert);
+});
+
+app.get('/api/auth/me', (req, res) => {
+    res.json(req.auth);
+});
+
+// EventSource can't send headers: it connects with ?ticket=, valid once for 30s
+app.post('/api/events/ticket', (req, res) => {
+    res.json(issueTicket(req.auth, '/api/events'));
+});
+
+// Viewer-level downloads that are opened as plain URLs (<img>, new tabs)
+const SIGNABLE_PATHS = [
+    /^\/api\/predictions\/\d+\/(image|annotated)$/,
+    /^\/api\/archive\/\d+\/image$/,
+    /^\/api\/timelapses\/\d+\/video$/,
+    /^\/api\/reports\/daily$/,
+    /^\/api\/export$/
+];
+
+// Body: { path, params? }. Returns { url }: the path with a short-lived signature.
+app.post('/api/signed-urls', (req, res) => {
+    const { path, params = {} } = req.body || {};
+    if (typeof path !== 'string' || !SIGNABLE_PATHS.some(pattern => pattern.test(path))) {
+        return res.status(400).json({ error: 'path is not a downloadable resource' });
+    }
+    if (typeof params !== 'object' || params === null || Object.values(params).some(value => typeof value !== 'string')) {
+        return res.status(400).json({ error: 'params must be an object of strings' });
+    }
+    res.json({ url: signApiPath(path, params) });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+    logout(getRequestToken(req));
+    res.status(204).end();
+});
+
+app.get('/api/auth/users', requireAdmin, (req, res) => {
+    res.json(listUsers());
+});
+
+// Body: { username, password, role: "viewer" | "admin" }
+app.post('/api/auth/users', requireAdmin, async (req, res) => {
+    try {
+        res.status(201).json(await createUser(req.body || {}));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Body: { password?, role? }
+app.patch('/api/auth/users/:username', requireAdmin, async (req, res) => {
+    try {
+        const user = await updateUser(req.params.username, req.body || {});
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json(user);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/api/auth/users/:username', requireAdmin, (req, res) => {
+    try {
+        if (!deleteUser(req.params.username)) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.get('/api/auth/api-keys', requireAdmin, (req, res) => {
+    res.json(listApiKeys());
+});
+
+// Body: { name, role }. The key is only ever returned in this response.
+app.post('/api/auth/api-keys', requireAdmin, (req, res) => {
+    try {
+        res.status(201).json(createApiKey(req.body || {}));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/api/auth/api-keys/:id', requireAdmin, (req, res) => {
+    if (!deleteApiKey(parseId(req.params.id))) {
+        return res.status(404).json({ error: 'API key not found' });
+    }
+    res.status(204).end();
+});
+
+// Runtime settings from PATCH /api/config. Stream, camera source and log
+// settings also apply to ffmpeg-streams.js, which re-reads the saved file when asked.
+function applyConfigChange(changed) {
+    if (changed.includes('server.apiUrl')) {
+        loadPredictors({ apiUrl: getConfig().server.apiUrl, timeoutMs: PREDICT_TIMEOUT_MS });
+    }
+    if (changed.includes('system.sampleIntervalSeconds')) {
+        rescheduleTelemetry();
+    }
+    if (changed.some(key => key.startsWith('logs.'))) {
+        setLogSettings(getConfig().logs);
+    }
+    if (changed.includes('cameras.sources')) {
+        rescanCameras().catch(error => log.error('Error rescanning cameras', { error }));
+    }
+    if (changed.some(key => key.startsWith('streams.') || key.startsWith('logs.') || key === 'cameras.sources')) {
+        axios.post(`http://127.0.0.1:${SUPERVISOR_PORT}/reload-config`, null, { timeout: 5000 })
+            .catch(error => log.warn('Could not pass stream and log settings to the stream process', { error }));
+    }
+}
+
 async function initialize() {
-    console.log('Initializing API server (FFmpeg streams handled separately)...');
+    log.info('Initializing API server (FFmpeg streams handled separately)');
+
+    await ensureAdminUser();
+    loadPredictors({ apiUrl: getConfig().server.apiUrl, timeoutMs: PREDICT_TIMEOUT_MS });
+    onConfigChange(applyConfigChange);
+    cameras = await loadCameras();
+    await startModelRegistry();
 
-    cameras = await detectCameras();
-    currentModels = await getModelList();
+    startUploadQueue(uploadQueuedFrame);
+    resumeWebhookDeliveries();
+    // Started first so the archive's first prune counts the time-lapse files
+    await startTimelapses({
+        getCameras: () => cameras,
+        fetchFrame: captureFrame,
+        isDiskCritical
+    });
+    await startArchive((disk) => {
+        const freeMb = Math.round(disk.diskFreeBytes / (1024 * 1024));
+        log.warn(`Low disk space: ${freeMb} MB free, slowing down capture`);
+        addSystemError(null, `Low disk space: ${freeMb} MB free; capture slowed ${LOW_DISK_INTERVAL_SCALE}x and old negative frames pruned`);
+    });
+    startMqttPublisher(getMqttOptions(), getStatus);
+
+    await refreshStreamHealth();
+    setInterval(refreshStreamHealth, 2000);
+    startTelemetry({
+        getStreamProcesses: () => [...streamHealth.values()].map(health => ({ cameraId: health.cameraId, pid: health.pid }))
+    }, sample => publishEvent('system', sample));
+    setInterval(publishStatusIfChanged, 2000);
+    setInterval(() => {
+        rescanCameras().catch(error => log.error('Error rescanning cameras', { error }));
+    }, CAMERA_RESCAN_INTERVAL_MS);
 
     if (cameras.length === 0) {
-        console.warn('No cameras detected!');
-        return;
+        log.warn(`No cameras detected yet, rescanning every ${CAMERA_RESCAN_INTERVAL_MS / 1000}s`);
     }
 
-    console.log('📋 Detected cameras (streams on ports 20000+):');
+    log.info(`Detected ${cameras.length} camera(s)`);
     cameras.forEach((camera) => {
-        console.log(`  Camera ${camera.id}: ${camera.device} -> Port ${camera.streamPort}`);
+        log.info(`Camera ${camera.id}: ${camera.device} (${camera.key}) -> port ${camera.streamPort}`, { cameraId: camera.id });
     });
-    console.log(`Available models: ${currentModels.join(', ')}`);
+    log.info(`Available models: ${getModelNames().join(', ')}`);
 
-    console.log('Starting prediction loop...');
-    setInterval(predictionLoop, 2000);
+    log.info('Starting prediction scheduler');
+    startScheduler({
+        getCameras: () => cameras,
+        getModels: getModelNames,
+        isModelEnabled: isModelEnabled,
+        getIntervalScale: () => (isDiskLow() ? LOW_DISK_INTERVAL_SCALE : 1),
+        runCamera: runCameraPredictions,
+        onRunComplete: (camera, models, durationMs) => {
+            predictionLoopDuration.observe({ camera: String(camera.id) }, durationMs / 1000);
+        },
+        onRunDelayed: (camera) => {
+            predictionLoopOverruns.inc({ camera: String(camera.id) });
+        }
+    });
 }
 
-app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-    initialize();
+app.listen(getConfig().server.port, () => {
+    log.info(`Server running on port ${getConfig().server.port}`);
+    initialize().catch(error => {
+        log.error('Startup failed', { error });
+        process.exit(1);
+    });
 });
 
-process.on('SIGINT', () => {
-    console.log('Shutting down server...');
+process.on('SIGINT', async () => {
+    log.info('Shutting down server');
+    stopScheduler();
+    stopModelRegistry();
+    stopUploadQueue();
+    stopArchive();
+    stopTimelapses();
+    stopTelemetry();
+    closeEventStreams();
+    await stopMqttPublisher();
+    closeDatabase();
     process.exit(0);
 });
\ No newline at end of file
@@ -1,20 +1,84 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useCallback } from 'react'
 import CameraGrid from './components/CameraGrid'
 import PredictionLog from './components/PredictionLog'
 import StatusBar from './components/StatusBar'
+import AlertBanner from './components/AlertBanner'
+import EvidenceViewer from './components/EvidenceViewer'
+import LoginScreen from './components/LoginScreen'
+import CameraDetail from './components/CameraDetail'
+import DiagnosticsPage from './components/DiagnosticsPage'
+
+interface StreamHealth {
+  state: 'starting' | 'streaming' | 'stalled' | 'failed' | 'stopped';
+  restarts: number;
+  lastFrameAt: string | null;
+  lastStderrLine: string | null;
+  stream?: {
+    viewers: number;
+    maxViewers: number;
+    droppedFrames: number;
+  };
+}
 
 interface Camera {
   id: number;
+  type: 'v4l2' | 'dshow' | 'rtsp' | 'http' | 'file';
+  name: string;
   device: string;
   streamPort: number;
   streamUrl: string;
+  health: StreamHealth | null;
+}
+
+interface PredictionLabel {
+  label: string;
+  confidence: number | null;
+}
+
+interface Detection extends PredictionLabel {
+  box: { x: number; y: number; width: number; height: number } | null;
+}
+
+interface PredictionResult {
+  backend: string;
+  label: string | null;
+  confidence: number | null;
+  labels: PredictionLabel[];
+  detections: Detection[];
 }
 
 interface Prediction {
+  id: number;
   cameraId: number;
   model: string;
   timestamp: string;
-  result: any;
+  result: PredictionResult | null;
+  imagePath: string | null;
+  regionId: number | null;
+  regionName: string | null;
+}
+
+interface Alert {
+  id: number;
+  ruleName: string;
+  cameraId: number;
+  regionName: string | null;
+  model: string;
+  label: string;
+  confidence: number | null;
+  hits: number;
+  triggeredAt: string;
+}
+
+interface SystemSample {
+  timestamp: string;
+  temperatureC: number | null;
+  throttling: { now: string[]; sinceBoot: string[]; raw: string } | null;
+  cpu: { percent: number | null; cores: number; load1: number; load5: number; load15: number };
+  memory: { totalBytes: number; availableBytes: number; usedPercent: number };
+  disk: { path: string; totalBytes: number; freeBytes: number; freePercent: number | null } | null;
+  encoders: { cameraId: number; pid: number; cpuPercent: number | null; residentMemoryBytes: number | null }[];
+  warnings: string[];
 }
 
 interface Status {
@@ -22,22 +86,103 @@ interface Status {
   models: string[];
   currentModel: string | null;
   totalPredictions: number;
+  uploadQueue?: {
+    depth: number;
+    oldestPendingAgeSeconds: number | null;
+  };
+  diskLow?: boolean;
+  system?: SystemSample | null;
   uptime: number;
 }
 
+interface AuthUser {
+  username: string;
+  role: 'viewer' | 'admin';
+}
+
+// Set at build time from the node's config file (see vite.config.ts)
+const API_BASE: string = import.meta.env.VITE_API_BASE;
+const MAX_PREDICTIONS = 100;
+const RECONNECT_DELAY_MS = 3000;
+const TOKEN_STORAGE_KEY = 'vertiplant-token';
+
+const upsertCamera = (cameras: Camera[], camera: Camera): Camera[] =>
+  [...cameras.filter((existing) => existing.id !== camera.id), camera].sort((a, b) => a.id - b.id);
+
 function App() {
+  const [token, setToken] = useState<string | null>(() => localStorage.getItem(TOKEN_STORAGE_KEY));
+  const [user, setUser] = useState<AuthUser | null>(null);
+  const [isAuthChecked, setIsAuthChecked] = useState(false);
   const [cameras, setCameras] = useState<Camera[]>([]);
   const [predictions, setPredictions] = useState<Prediction[]>([]);
   const [status, setStatus] = useState<Status | null>(null);
+  const [alerts, setAlerts] = useState<Alert[]>([]);
+  const [isLive, setIsLive] = useState(false);
   const [isLogExpanded, setIsLogExpanded] = useState(false);
   const [isFullscreen, setIsFullscreen] = useState(false);
+  const [selectedPrediction, setSelectedPrediction] = useState<Prediction | null>(null);
+  const [selectedCameraId, setSelectedCameraId] = useState<number | null>(null);
+  const [isDiagnosticsOpen, setIsDiagnosticsOpen] = useState(false);
+
+  const clearSession = useCallback(() => {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+    setToken(null);
+    setUser(null);
+  }, []);
+
+  const apiFetch = useCallback(async (path: string, init: RequestInit = {}) => {
+    const response = await fetch(`${API_BASE}${path}`, {
+      ...init,
+      headers: { ...init.headers, ...(token ? { Authorization: `Bearer ${token}` } : {}) }
+    });
+    if (response.status === 401) {
+      clearSession();
+    }
+    return response;
+  }, [token, clearSession]);
+
+  // Who the stored token belongs to; with auth disabled on the server this succeeds without one
+  useEffect(() => {
+    let cancelled = false;
+
+    fetch(`${API_BASE}/api/auth/me`, { headers: token ? { Authorization: `Bearer ${token}` } : {} })
+      .then((response) => (response.ok ? response.json() : null))
+      .catch(() => null)
+      .then((me: AuthUser | null) => {
+        if (!cancelled) {
+          setUser(me);
+          setIsAuthChecked(true);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  const handleLogin = (session: { token: string; user: AuthUser }) => {
+    localStorage.setItem(TOKEN_STORAGE_KEY, session.token);
+    setToken(session.token);
+    setUser(session.user);
+  };
+
+  const handleLogout = async () => {
+    try {
+      await apiFetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+      console.error('Error logging out:', error);
+    }
+    clearSession();
+  };
 
-  const fetchData = async () => {
+  // Full snapshot over REST; run on load and every time the event stream (re)connects
+  const resync = useCallback(async () => {
     try {
-      const [camerasRes, predictionsRes, statusRes] = await Promise.all([
-        fetch('http://localhost:9003/api/cameras'),
-        fetch('http://localhost:9003/api/predictions'),
-        fetch('http://localhost:9003/api/status')
+      const [camerasRes, predictionsRes, statusRes, alertsRes] = await Promise.all([
+        apiFetch('/api/cameras'),
+        apiFetch(`/api/predictions?limit=${MAX_PREDICTIONS}`),
+        apiFetch('/api/status'),
+        apiFetch('/api/alerts?active=true')
       ]);
 
       if (camerasRes.ok) {
@@ -54,16 +199,134 @@ function App() {
         const statusData = await statusRes.json();
         setStatus(statusData);
       }
+
+      if (alertsRes.ok) {
+        const alertsData = await alertsRes.json();
+        setAlerts(alertsData);
+      }
     } catch (error) {
       console.error('Error fetching data:', error);
     }
-  };
+  }, [apiFetch]);
 
   useEffect(() => {
-    fetchData();
-    const interval = setInterval(fetchData, 1000);
-    return () => clearInterval(interval);
-  }, []);
+    if (!user) {
+      return;
+    }
+
+    let source: EventSource | null = null;
+    let retryTimer: number | undefined;
+    let closed = false;
+
+    const connect = async () => {
+      // EventSource can't send headers, so it connects with a one-time ticket.
+      // Its own reconnects reuse the spent ticket and fail, landing in onerror below.
+      let ticket: string;
+      try {
+        const response = await apiFetch('/api/events/ticket', { method: 'POST' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        ticket = (await response.json()).ticket;
+      } catch (error) {
+        console.error('Error requesting event stream ticket:', error);
+        if (!closed) retryTimer = window.setTimeout(connect, RECONNECT_DELAY_MS);
+        return;
+      }
+      if (closed) return;
+
+      source = new EventSource(`${API_BASE}/api/events?ticket=${encodeURIComponent(ticket)}`);
+
+      source.onopen = () => {
+        setIsLive(true);
+        resync();
+      };
+
+      source.onerror = () => {
+        setIsLive(false);
+        // EventSource retries by itself unless the server answered with an error
+        if (source?.readyState === EventSource.CLOSED && !closed) {
+          retryTimer = window.setTimeout(connect, RECONNECT_DELAY_MS);
+        }
+      };
+
+      source.addEventListener('prediction', (event) => {
+        const prediction: Prediction = JSON.parse(event.data);
+        setPredictions((prev) => [prediction, ...prev].slice(0, MAX_PREDICTIONS));
+      });
+
+      source.addEventListener('status', (event) => {
+        setStatus(JSON.parse(event.data));
+      });
+
+      // Readings arrive every few seconds without a full status event
+      source.addEventListener('system', (event) => {
+        const system: SystemSample = JSON.parse(event.data);
+        setStatus((prev) => (prev ? { ...prev, system } : prev));
+      });
+
+      source.addEventListener('alert', (event) => {
+        const alert: Alert = JSON.parse(event.data);
+        setAlerts((prev) => [alert, ...prev.filter((existing) => existing.id !== alert.id)]);
+      });
+
+      source.addEventListener('alert-acknowledged', (event) => {
+        const { id } = JSON.parse(event.data);
+        setAlerts((prev) => prev.filter((alert) => alert.id !== id));
+      });
+
+      source.addEventListener('camera-added', (event) => {
+        const camera: Camera = JSON.parse(event.data);
+        setCameras((prev) => upsertCamera(prev, camera));
+      });
+
+      source.addEventListener('camera-updated', (event) => {
+        const camera: Camera = JSON.parse(event.data);
+        setCameras((prev) => upsertCamera(prev, camera));
+      });
+
+      source.addEventListener('camera-removed', (event) => {
+        const { id } = JSON.parse(event.data);
+        setCameras((prev) => prev.filter((camera) => camera.id !== id));
+      });
+    };
+
+    connect();
+
+    return () => {
+      closed = true;
+      source?.close();
+      window.clearTimeout(retryTimer);
+    };
+  }, [resync, user, apiFetch]);
+
+  const acknowledgeAlert = async (id: number) => {
+    try {
+      const response = await apiFetch(`/api/alerts/${id}/acknowledge`, { method: 'POST' });
+      if (response.ok) {
+        setAlerts((prev) => prev.filter((alert) => alert.id !== id));
+      }
+    } catch (error) {
+      console.error('Error acknowledging alert:', error);
+    }
+  };
+
+  // For pages opened in a new tab, which can't send the Authorization header
+  const openSignedUrl = async (path: string) => {
+    // Opened before the request so the popup blocker still sees the click
+    const tab = window.open('', '_blank');
+    try {
+      const response = await apiFetch('/api/signed-urls', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ path })
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const { url } = await response.json();
+      if (tab) tab.location.href = `${API_BASE}${url}`;
+    } catch (error) {
+      console.error('Error opening link:', error);
+      tab?.close();
+    }
+  };
 
   const toggleFullscreen = () => {
     if (!document.fullscreenElement) {
@@ -75,23 +338,72 @@ function App() {
     }
   };
 
+  // Follows camera updates, and drops back to the grid if the camera goes away
+  const selectedCamera = cameras.find((camera) => camera.id === selectedCameraId) || null;
+
+  if (!isAuthChecked) {
+    return <div className="min-h-screen bg-gray-50" />;
+  }
+
+  if (!user) {
+    return <LoginScreen apiBase={API_BASE} onLogin={handleLogin} />;
+  }
+
   return (
     <div className="min-h-screen bg-gray-50 relative">
       <StatusBar
         status={status}
+        user={user}
+        onLogout={handleLogout}
+        onOpenDiagnostics={() => setIsDiagnosticsOpen(true)}
+        onOpenReport={() => openSignedUrl('/api/reports/daily')}
+        isLive={isLive}
         onToggleFullscreen={toggleFullscreen}
         isFullscreen={isFullscreen}
       />
 
+      <AlertBanner alerts={alerts} onAcknowledge={acknowledgeAlert} />
+
       <div className="p-4">
-        <CameraGrid cameras={cameras} />
+        {isDiagnosticsOpen ? (
+          <DiagnosticsPage apiFetch={apiFetch} onBack={() => setIsDiagnosticsOpen(false)} />
+        ) : selectedCamera ? (
+          <CameraDetail
+            key={selectedCamera.id}
+            camera={selectedCamera}
+            models={status?.models || []}
+            latestPrediction={predictions.find((prediction) => prediction.cameraId === selectedCamera.id) || null}
+            apiFetch={apiFetch}
+            onBack={() => setSelectedCameraId(null)}
+            onSelectPrediction={setSelectedPrediction}
+            canEditRegions={user.role === 'admin'}
+          />
+        ) : (
+          <CameraGrid
+            cameras={cameras}
+            predictions={predictions}
+            onSelectCamera={(camera) => setSelectedCameraId(camera.id)}
+            apiFetch={apiFetch}
+            canEditControls={user.role === 'admin'}
+          />
+        )}
       </div>
 
       <PredictionLog
         predictions={predictions}
         isExpanded={isLogExpanded}
         onToggle={() => setIsLogExpanded(!isLogExpanded)}
+        onSelect={setSelectedPrediction}
       />
+
+      {selectedPrediction && (
+        <EvidenceViewer
+          prediction={selectedPrediction}
+          apiBase={API_BASE}
+          apiFetch={apiFetch}
+          onClose={() => setSelectedPrediction(null)}
+        />
+      )}
     </div>
   )
 }
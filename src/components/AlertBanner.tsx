@@ -0,0 +1,54 @@
+import React from 'react';
+
+interface Alert {
+  id: number;
+  ruleName: string;
+  cameraId: number;
+  regionName: string | null;
+  model: string;
+  label: string;
+  confidence: number | null;
+  hits: number;
+  triggeredAt: string;
+}
+
+interface AlertBannerProps {
+  alerts: Alert[];
+  onAcknowledge: (id: number) => void;
+}
+
+const AlertBanner: React.FC<AlertBannerProps> = ({ alerts, onAcknowledge }) => {
+  if (alerts.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-red-50 border-b border-red-200 px-4 py-2 space-y-1">
+      {alerts.map((alert) => (
+        <div key={alert.id} className="flex items-center justify-between text-sm">
+          <div className="flex items-center space-x-2">
+            <svg className="w-4 h-4 text-red-600" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M8.257 3.099c.765-1.36 2.722-1.36 3.486 0l5.58 9.92c.75 1.334-.213 2.98-1.742 2.98H4.42c-1.53 0-2.493-1.646-1.743-2.98l5.58-9.92zM11 13a1 1 0 11-2 0 1 1 0 012 0zm-1-8a1 1 0 00-1 1v3a1 1 0 002 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+            </svg>
+            <span className="font-medium text-red-800">{alert.ruleName}</span>
+            <span className="text-red-700">
+              {alert.label} on Camera {alert.cameraId + 1}
+              {alert.regionName && ` / ${alert.regionName}`}
+              {alert.confidence !== null && ` (${(alert.confidence * 100).toFixed(1)}%)`}
+              {alert.hits > 1 && ` · ${alert.hits} hits`}
+            </span>
+            <span className="text-xs text-red-500">{new Date(alert.triggeredAt).toLocaleTimeString()}</span>
+          </div>
+          <button
+            onClick={() => onAcknowledge(alert.id)}
+            className="px-2 py-1 text-xs font-medium text-red-700 bg-white border border-red-300 rounded hover:bg-red-100"
+          >
+            Acknowledge
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default AlertBanner;
@@ -0,0 +1,269 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+
+interface CameraControl {
+  name: string;
+  type: 'int' | 'int64' | 'bool' | 'menu' | 'intmenu';
+  min: number | null;
+  max: number | null;
+  step: number | null;
+  default: number | null;
+  value: number | null;
+  readOnly: boolean;
+  inactive: boolean;
+  menu: { value: number; label: string }[] | null;
+}
+
+interface PresetList {
+  startupPreset: string | null;
+  presets: { name: string; controls: Record<string, number> }[];
+}
+
+interface CameraControlsPanelProps {
+  cameraId: number;
+  apiFetch: (path: string, init?: RequestInit) => Promise<Response>;
+  onClose: () => void;
+}
+
+// Slider changes are sent once the user pauses rather than on every step
+const COMMIT_DELAY_MS = 300;
+
+const formatName = (name: string): string => {
+  const words = name.replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const readError = async (response: Response, fallback: string): Promise<string> => {
+  try {
+    return (await response.json()).error || fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const CameraControlsPanel: React.FC<CameraControlsPanelProps> = ({ cameraId, apiFetch, onClose }) => {
+  const [controls, setControls] = useState<CameraControl[] | null>(null);
+  const [presets, setPresets] = useState<PresetList | null>(null);
+  const [presetName, setPresetName] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const pendingValues = useRef<Record<string, number>>({});
+  const commitTimer = useRef<number | null>(null);
+
+  const load = useCallback(async () => {
+    try {
+      const [controlsResponse, presetsResponse] = await Promise.all([
+        apiFetch(`/api/cameras/${cameraId}/controls`),
+        apiFetch(`/api/cameras/${cameraId}/presets`)
+      ]);
+      if (controlsResponse.ok) {
+        setControls(await controlsResponse.json());
+      } else {
+        setError(await readError(controlsResponse, 'Could not read camera controls'));
+      }
+      if (presetsResponse.ok) {
+        setPresets(await presetsResponse.json());
+      }
+    } catch (loadError) {
+      console.error('Error fetching camera controls:', loadError);
+      setError('Could not read camera controls');
+    }
+  }, [apiFetch, cameraId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  useEffect(() => () => {
+    if (commitTimer.current !== null) window.clearTimeout(commitTimer.current);
+  }, []);
+
+  const sendValues = async (values: Record<string, number>) => {
+    try {
+      const response = await apiFetch(`/api/cameras/${cameraId}/controls`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(values)
+      });
+      if (response.ok) {
+        setControls(await response.json());
+        setError(null);
+      } else {
+        setError(await readError(response, 'The camera refused the change'));
+        load();
+      }
+    } catch (sendError) {
+      console.error('Error setting camera controls:', sendError);
+      setError('The camera refused the change');
+    }
+  };
+
+  const changeControl = (name: string, value: number, immediate: boolean) => {
+    setControls((current) => current && current.map((control) => (control.name === name ? { ...control, value } : control)));
+    pendingValues.current[name] = value;
+
+    if (commitTimer.current !== null) window.clearTimeout(commitTimer.current);
+    const commit = () => {
+      commitTimer.current = null;
+      const values = pendingValues.current;
+      pendingValues.current = {};
+      sendValues(values);
+    };
+    if (immediate) {
+      commit();
+    } else {
+      commitTimer.current = window.setTimeout(commit, COMMIT_DELAY_MS);
+    }
+  };
+
+  const resetDefaults = () => {
+    if (!controls) return;
+    const defaults = Object.fromEntries(
+      controls
+        .filter((control) => !control.readOnly && !control.inactive && control.default !== null)
+        .map((control) => [control.name, control.default as number])
+    );
+    sendValues(defaults);
+  };
+
+  const presetAction = async (name: string, method: string, action = '') => {
+    try {
+      const response = await apiFetch(`/api/cameras/${cameraId}/presets/${encodeURIComponent(name)}${action}`, { method });
+      if (!response.ok) {
+        setError(await readError(response, 'Preset action failed'));
+        return;
+      }
+      setError(null);
+      load();
+    } catch (presetError) {
+      console.error('Error updating presets:', presetError);
+      setError('Preset action failed');
+    }
+  };
+
+  const savePreset = async () => {
+    const name = presetName.trim();
+    if (!name) return;
+    await presetAction(name, 'PUT');
+    setPresetName('');
+  };
+
+  const renderInput = (control: CameraControl) => {
+    const disabled = control.readOnly || control.inactive;
+
+    if (control.type === 'bool') {
+      return (
+        <input
+          type="checkbox"
+          checked={control.value === 1}
+          disabled={disabled}
+          onChange={(event) => changeControl(control.name, event.target.checked ? 1 : 0, true)}
+        />
+      );
+    }
+
+    if (control.menu) {
+      return (
+        <select
+          value={control.value ?? ''}
+          disabled={disabled}
+          onChange={(event) => changeControl(control.name, Number(event.target.value), true)}
+          className="px-1 py-0.5 text-xs border border-gray-300 rounded bg-white max-w-40"
+        >
+          {control.menu.map((item) => (
+            <option key={item.value} value={item.value}>{item.label}</option>
+          ))}
+        </select>
+      );
+    }
+
+    return (
+      <div className="flex items-center space-x-2">
+        <input
+          type="range"
+          min={control.min ?? undefined}
+          max={control.max ?? undefined}
+          step={control.step ?? 1}
+          value={control.value ?? 0}
+          disabled={disabled}
+          onChange={(event) => changeControl(control.name, Number(event.target.value), false)}
+          className="w-32"
+        />
+        <span className="w-12 text-right font-mono">{control.value}</span>
+      </div>
+    );
+  };
+
+  return (
+    <div className="p-3 bg-gray-50 border-t border-gray-200 text-xs cursor-default" onClick={(event) => event.stopPropagation()}>
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="font-medium text-gray-900">Image controls</h4>
+        <div className="space-x-2">
+          <button onClick={resetDefaults} disabled={!controls} className="text-gray-500 hover:text-gray-700 underline">
+            Defaults
+          </button>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700 underline">
+            Close
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-red-600 mb-2">{error}</p>}
+      {!controls && !error && <p className="text-gray-500">Reading controls...</p>}
+
+      {controls && (
+        <div className="space-y-1 max-h-64 overflow-y-auto pr-1">
+          {controls.map((control) => (
+            <div
+              key={control.name}
+              className={`flex items-center justify-between space-x-2 ${control.inactive ? 'opacity-50' : ''}`}
+              title={control.inactive ? 'Inactive while the matching automatic mode is on' : undefined}
+            >
+              <span className="text-gray-700">{formatName(control.name)}</span>
+              {renderInput(control)}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {presets && (
+        <div className="mt-3 pt-2 border-t border-gray-200">
+          <h4 className="font-medium text-gray-900 mb-1">Presets</h4>
+          {presets.presets.length === 0 && <p className="text-gray-500">No presets saved</p>}
+          {presets.presets.map((preset) => (
+            <div key={preset.name} className="flex items-center justify-between py-0.5">
+              <span className="text-gray-700">
+                {preset.name}
+                {presets.startupPreset === preset.name && <span className="text-green-700"> · applied on stream start</span>}
+              </span>
+              <span className="space-x-2">
+                <button onClick={() => presetAction(preset.name, 'POST', '/apply')} className="text-blue-600 hover:text-blue-800 underline">
+                  Apply
+                </button>
+                <button onClick={() => presetAction(preset.name, 'DELETE')} className="text-red-600 hover:text-red-800 underline">
+                  Delete
+                </button>
+              </span>
+            </div>
+          ))}
+          <div className="flex items-center space-x-2 mt-2">
+            <input
+              type="text"
+              value={presetName}
+              onChange={(event) => setPresetName(event.target.value)}
+              placeholder="Preset name, e.g. lights on"
+              className="flex-1 px-2 py-1 border border-gray-300 rounded"
+            />
+            <button
+              onClick={savePreset}
+              disabled={!presetName.trim()}
+              className="px-2 py-1 font-medium text-white bg-green-600 rounded hover:bg-green-700 disabled:opacity-50"
+            >
+              Save current
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CameraControlsPanel;
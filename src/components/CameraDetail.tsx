@@ -0,0 +1,254 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import CameraStream from './CameraStream';
+import PredictionTimeline from './PredictionTimeline';
+import RegionEditor from './RegionEditor';
+
+interface Camera {
+  id: number;
+  device: string;
+  streamPort: number;
+  streamUrl: string;
+  health: { state: string; restarts: number } | null;
+}
+
+interface PredictionLabel {
+  label: string;
+  confidence: number | null;
+}
+
+interface Detection extends PredictionLabel {
+  box: { x: number; y: number; width: number; height: number } | null;
+}
+
+interface PredictionResult {
+  backend: string;
+  label: string | null;
+  confidence: number | null;
+  labels: PredictionLabel[];
+  detections: Detection[];
+}
+
+interface Prediction {
+  id: number;
+  cameraId: number;
+  model: string;
+  timestamp: string;
+  result: PredictionResult | null;
+  imagePath: string | null;
+  regionId: number | null;
+  regionName: string | null;
+}
+
+interface Region {
+  id: number;
+  name: string;
+}
+
+interface Timeline {
+  from: string;
+  to: string;
+  bucketSeconds: number;
+  series: {
+    model: string;
+    points: {
+      start: string;
+      count: number;
+      detections: number;
+      maxConfidence: number | null;
+      avgConfidence: number | null;
+      topLabel: string | null;
+    }[];
+  }[];
+}
+
+interface CameraDetailProps {
+  camera: Camera;
+  models: string[];
+  latestPrediction: Prediction | null;
+  apiFetch: (path: string, init?: RequestInit) => Promise<Response>;
+  onBack: () => void;
+  onSelectPrediction: (prediction: Prediction) => void;
+  // Regions can only be drawn and removed by admins
+  canEditRegions: boolean;
+}
+
+const TIME_RANGES = [
+  { label: 'Last hour', ms: 60 * 60 * 1000 },
+  { label: 'Last 6 hours', ms: 6 * 60 * 60 * 1000 },
+  { label: 'Last 24 hours', ms: 24 * 60 * 60 * 1000 },
+  { label: 'Last 7 days', ms: 7 * 24 * 60 * 60 * 1000 }
+];
+const TIMELINE_BUCKETS = 96;
+const RECENT_LIMIT = 20;
+const REFRESH_INTERVAL_MS = 30000;
+
+const CameraDetail: React.FC<CameraDetailProps> = ({
+  camera,
+  models,
+  latestPrediction,
+  apiFetch,
+  onBack,
+  onSelectPrediction,
+  canEditRegions
+}) => {
+  const [model, setModel] = useState('');
+  const [regionId, setRegionId] = useState('');
+  const [regions, setRegions] = useState<Region[]>([]);
+  const [rangeMs, setRangeMs] = useState(TIME_RANGES[2].ms);
+  const [timeline, setTimeline] = useState<Timeline | null>(null);
+  const [recent, setRecent] = useState<Prediction[]>([]);
+  const [error, setError] = useState<string | null>(null);
+
+  const load = useCallback(async () => {
+    const to = new Date();
+    const from = new Date(to.getTime() - rangeMs);
+    const query = new URLSearchParams({ from: from.toISOString(), to: to.toISOString() });
+    if (model) {
+      query.set('model', model);
+    }
+    if (regionId) {
+      query.set('regionId', regionId);
+    }
+
+    try {
+      const [timelineRes, recentRes] = await Promise.all([
+        apiFetch(`/api/cameras/${camera.id}/timeline?${query}&buckets=${TIMELINE_BUCKETS}`),
+        apiFetch(`/api/predictions?cameraId=${camera.id}&${query}&limit=${RECENT_LIMIT}`)
+      ]);
+
+      if (timelineRes.ok && recentRes.ok) {
+        setTimeline(await timelineRes.json());
+        setRecent(await recentRes.json());
+        setError(null);
+      } else {
+        setError('Could not load predictions for this camera');
+      }
+    } catch (loadError) {
+      console.error('Error fetching camera timeline:', loadError);
+      setError('Could not load predictions for this camera');
+    }
+  }, [apiFetch, camera.id, model, regionId, rangeMs]);
+
+  useEffect(() => {
+    load();
+    const timer = window.setInterval(load, REFRESH_INTERVAL_MS);
+    return () => window.clearInterval(timer);
+  }, [load]);
+
+  const formatResult = (result: PredictionResult | null): string => {
+    if (!result) return 'No result';
+    if (result.detections.length > 0) {
+      return `${result.detections.length} detection${result.detections.length !== 1 ? 's' : ''}`;
+    }
+    if (result.label) {
+      return result.confidence === null ? result.label : `${result.label} (${(result.confidence * 100).toFixed(1)}%)`;
+    }
+    return 'No detections';
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-3">
+          <button
+            onClick={onBack}
+            className="px-3 py-1 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded hover:bg-gray-50"
+          >
+            ← All cameras
+          </button>
+          <h2 className="text-lg font-semibold text-gray-900">Camera {camera.id + 1}</h2>
+          <span className="text-sm text-gray-500">{camera.device}</span>
+          <span className="text-xs text-gray-500">{camera.health?.state || 'unknown'}</span>
+        </div>
+        <div className="flex items-center space-x-2">
+          {regions.length > 0 && (
+            <select
+              value={regionId}
+              onChange={(event) => setRegionId(event.target.value)}
+              className="px-2 py-1 text-sm border border-gray-300 rounded bg-white"
+            >
+              <option value="">All regions</option>
+              {regions.map((region) => (
+                <option key={region.id} value={region.id}>{region.name}</option>
+              ))}
+              <option value="none">Whole frame</option>
+            </select>
+          )}
+          <select
+            value={model}
+            onChange={(event) => setModel(event.target.value)}
+            className="px-2 py-1 text-sm border border-gray-300 rounded bg-white"
+          >
+            <option value="">All models</option>
+            {models.map((name) => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+          <select
+            value={rangeMs}
+            onChange={(event) => setRangeMs(Number(event.target.value))}
+            className="px-2 py-1 text-sm border border-gray-300 rounded bg-white"
+          >
+            {TIME_RANGES.map((range) => (
+              <option key={range.ms} value={range.ms}>{range.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="bg-black rounded-lg shadow-md overflow-hidden aspect-video flex items-center justify-center relative">
+        <CameraStream camera={camera} />
+        {latestPrediction && (
+          <div className="absolute bottom-3 left-3 bg-black/75 text-white text-sm rounded px-3 py-2">
+            <span className="text-gray-300">{latestPrediction.model}:</span> {formatResult(latestPrediction.result)}
+            <span className="text-gray-400"> · {new Date(latestPrediction.timestamp).toLocaleTimeString()}</span>
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-4">
+        <h3 className="font-medium text-gray-900 mb-3">Prediction timeline</h3>
+        {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+        {timeline ? (
+          <PredictionTimeline timeline={timeline} />
+        ) : (
+          <div className="text-center text-gray-500 text-sm py-12">Loading...</div>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-4">
+        <h3 className="font-medium text-gray-900 mb-3">Regions</h3>
+        <RegionEditor cameraId={camera.id} apiFetch={apiFetch} canEdit={canEditRegions} onRegionsChange={setRegions} />
+      </div>
+
+      <div className="bg-white rounded-lg shadow-md p-4">
+        <h3 className="font-medium text-gray-900 mb-3">Recent predictions</h3>
+        {recent.length === 0 ? (
+          <p className="text-sm text-gray-500">No predictions in this time range</p>
+        ) : (
+          <div className="divide-y">
+            {recent.map((prediction) => (
+              <div
+                key={prediction.id}
+                className={`flex items-center justify-between py-2 text-sm ${prediction.imagePath ? 'cursor-pointer hover:bg-gray-50' : ''}`}
+                onClick={() => prediction.imagePath && onSelectPrediction(prediction)}
+                title={prediction.imagePath ? 'View analyzed frame' : undefined}
+              >
+                <div className="flex items-center space-x-2">
+                  <span className="bg-blue-100 text-blue-800 px-2 py-1 rounded text-xs">{prediction.model}</span>
+                  {prediction.regionName && (
+                    <span className="bg-gray-100 text-gray-700 px-2 py-1 rounded text-xs">{prediction.regionName}</span>
+                  )}
+                  <span className="font-medium text-gray-700">{formatResult(prediction.result)}</span>
+                </div>
+                <span className="text-xs text-gray-500">{new Date(prediction.timestamp).toLocaleString()}</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CameraDetail;
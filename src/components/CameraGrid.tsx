@@ -1,17 +1,72 @@
-import React from 'react';
+import React, { useState } from 'react';
+import CameraStream from './CameraStream';
+import CameraControlsPanel from './CameraControlsPanel';
+
+interface StreamHealth {
+  state: 'starting' | 'streaming' | 'stalled' | 'failed' | 'stopped';
+  restarts: number;
+  lastFrameAt: string | null;
+  lastStderrLine: string | null;
+  stream?: {
+    viewers: number;
+    maxViewers: number;
+    droppedFrames: number;
+  };
+}
 
 interface Camera {
   id: number;
+  // Local devices are v4l2 or dshow; rtsp, http and file come from the config file
+  type: 'v4l2' | 'dshow' | 'rtsp' | 'http' | 'file';
+  name: string;
   device: string;
   streamPort: number;
   streamUrl: string;
+  health: StreamHealth | null;
+}
+
+interface PredictionResult {
+  label: string | null;
+  confidence: number | null;
+  detections: { label: string; confidence: number | null }[];
+}
+
+interface Prediction {
+  id: number;
+  cameraId: number;
+  model: string;
+  timestamp: string;
+  result: PredictionResult | null;
 }
 
 interface CameraGridProps {
   cameras: Camera[];
+  predictions: Prediction[];
+  onSelectCamera: (camera: Camera) => void;
+  apiFetch: (path: string, init?: RequestInit) => Promise<Response>;
+  // Image controls are only offered to admins
+  canEditControls: boolean;
 }
 
-const CameraGrid: React.FC<CameraGridProps> = ({ cameras }) => {
+const SOURCE_TYPES = ['rtsp', 'http', 'file'];
+
+const formatLatestResult = (prediction: Prediction): string => {
+  const result = prediction.result;
+  if (!result) return 'No result';
+
+  const detectionCount = result.detections.length;
+  if (detectionCount > 0) {
+    return `${detectionCount} detection${detectionCount !== 1 ? 's' : ''}`;
+  }
+  if (result.label) {
+    return result.confidence === null ? result.label : `${result.label} ${(result.confidence * 100).toFixed(0)}%`;
+  }
+  return 'No detections';
+};
+
+const CameraGrid: React.FC<CameraGridProps> = ({ cameras, predictions, onSelectCamera, apiFetch, canEditControls }) => {
+  const [settingsCameraId, setSettingsCameraId] = useState<number | null>(null);
+
   if (cameras.length === 0) {
     return (
       <div className="flex items-center justify-center h-64 bg-gray-100 rounded-lg">
@@ -29,6 +84,21 @@ const CameraGrid: React.FC<CameraGridProps> = ({ cameras }) => {
     );
   }
 
+  const getHealthClass = (health: StreamHealth | null): string => {
+    switch (health?.state) {
+      case 'streaming':
+        return 'bg-green-100 text-green-800';
+      case 'starting':
+        return 'bg-blue-100 text-blue-800';
+      case 'stalled':
+        return 'bg-amber-100 text-amber-800';
+      case 'failed':
+        return 'bg-red-100 text-red-800';
+      default:
+        return 'bg-gray-100 text-gray-600';
+    }
+  };
+
   const getGridClass = (count: number) => {
     if (count === 1) return 'grid-cols-1';
     if (count === 2) return 'grid-cols-2';
@@ -37,37 +107,86 @@ const CameraGrid: React.FC<CameraGridProps> = ({ cameras }) => {
     return 'grid-cols-4';
   };
 
+  // Predictions arrive newest first
+  const latestByCamera = new Map<number, Prediction>();
+  for (const prediction of predictions) {
+    if (!latestByCamera.has(prediction.cameraId)) {
+      latestByCamera.set(prediction.cameraId, prediction);
+    }
+  }
+
   return (
     <div className={`grid gap-4 ${getGridClass(cameras.length)}`}>
-      {cameras.map((camera) => (
-        <div key={camera.id} className="bg-white rounded-lg shadow-md overflow-hidden">
-          <div className="bg-gray-800 text-white px-4 py-2">
-            <h3 className="text-sm font-medium">Camera {camera.id + 1}</h3>
-            <p className="text-xs text-gray-300">{camera.device}</p>
-          </div>
-          <div className="aspect-video bg-black flex items-center justify-center">
-            <img
-              src={`http://localhost:${camera.streamPort}/stream`}
-              alt={`Camera ${camera.id + 1} stream`}
-              className="w-full h-full object-contain"
-              onError={(e) => {
-                const target = e.target as HTMLImageElement;
-                target.style.display = 'none';
-                target.nextElementSibling?.classList.remove('hidden');
-              }}
-            />
-            <div className="text-gray-400 text-center hidden">
-              <svg className="w-12 h-12 mx-auto mb-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 10l4.553-2.276A1 1 0 0121 8.618v6.764a1 1 0 01-1.447.894L15 14M5 18h8a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v8a2 2 0 002 2z" />
-              </svg>
-              <p className="text-sm">Stream Loading...</p>
+      {cameras.map((camera) => {
+        const latest = latestByCamera.get(camera.id);
+
+        return (
+          <div
+            key={camera.id}
+            className="bg-white rounded-lg shadow-md overflow-hidden cursor-pointer hover:ring-2 hover:ring-green-500"
+            onClick={() => onSelectCamera(camera)}
+            title="Open camera details"
+          >
+            <div className="bg-gray-800 text-white px-4 py-2 flex items-center justify-between">
+              <div className="min-w-0">
+                <h3 className="text-sm font-medium">
+                  Camera {camera.id + 1}
+                  {SOURCE_TYPES.includes(camera.type) && (
+                    <>
+                      <span className="ml-2 px-1.5 py-0.5 rounded bg-gray-600 text-xs uppercase">{camera.type}</span>
+                      <span className="ml-1 text-gray-300">{camera.name}</span>
+                    </>
+                  )}
+                </h3>
+                <p className="text-xs text-gray-300 truncate">{camera.device}</p>
+              </div>
+              {canEditControls && camera.type === 'v4l2' && (
+                <button
+                  onClick={(event) => {
+                    event.stopPropagation();
+                    setSettingsCameraId(settingsCameraId === camera.id ? null : camera.id);
+                  }}
+                  className="p-1 text-gray-300 hover:text-white rounded"
+                  title="Image controls"
+                >
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6V4m0 2a2 2 0 100 4m0-4a2 2 0 110 4m-6 8a2 2 0 100-4m0 4a2 2 0 110-4m0 4v2m0-6V4m6 6v10m6-2a2 2 0 100-4m0 4a2 2 0 110-4m0 4v2m0-6V4" />
+                  </svg>
+                </button>
+              )}
             </div>
+            <div className="aspect-video bg-black flex items-center justify-center relative">
+              <CameraStream camera={camera} />
+              {latest && (
+                <div className="absolute bottom-2 left-2 bg-black/75 text-white text-xs rounded px-2 py-1">
+                  <span className="text-gray-300">{latest.model}:</span> {formatLatestResult(latest)}
+                  <span className="text-gray-400"> · {new Date(latest.timestamp).toLocaleTimeString()}</span>
+                </div>
+              )}
+            </div>
+            <div className="px-4 py-2 bg-gray-50 flex items-center justify-between">
+              <p className="text-xs text-gray-600">
+                Port: {camera.streamPort}
+                {camera.health?.stream && (
+                  <span title={`${camera.health.stream.droppedFrames} frames dropped for slow viewers`}>
+                    {' '}· {camera.health.stream.viewers}/{camera.health.stream.maxViewers} viewers
+                  </span>
+                )}
+              </p>
+              <span
+                className={`px-2 py-0.5 rounded-full text-xs font-medium ${getHealthClass(camera.health)}`}
+                title={camera.health?.lastStderrLine || undefined}
+              >
+                {camera.health?.state || 'unknown'}
+                {camera.health && camera.health.restarts > 0 && ` · ${camera.health.restarts} restart${camera.health.restarts !== 1 ? 's' : ''}`}
+              </span>
+            </div>
+            {settingsCameraId === camera.id && (
+              <CameraControlsPanel cameraId={camera.id} apiFetch={apiFetch} onClose={() => setSettingsCameraId(null)} />
+            )}
           </div>
-          <div className="px-4 py-2 bg-gray-50">
-            <p className="text-xs text-gray-600">Port: {camera.streamPort}</p>
-          </div>
-        </div>
-      ))}
+        );
+      })}
     </div>
   );
 };
@@ -0,0 +1,70 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+interface Camera {
+  id: number;
+  streamUrl: string;
+  health?: { state: string } | null;
+}
+
+const RETRY_DELAY_MS = 5000;
+
+const streamPath = (url: string): string => url.split('?')[0];
+
+// Stream URLs are signed and re-issued with every camera update. Only a new
+// path or health state reopens the stream, not a fresh signature; a dropped or
+// refused connection is retried with the latest URL.
+const CameraStream: React.FC<{ camera: Camera }> = ({ camera }) => {
+  const [src, setSrc] = useState(camera.streamUrl);
+  // Remounts the <img> so an unchanged URL is still fetched again
+  const [attempt, setAttempt] = useState(0);
+  const [hasError, setHasError] = useState(false);
+  const latestUrl = useRef(camera.streamUrl);
+
+  useEffect(() => {
+    latestUrl.current = camera.streamUrl;
+  }, [camera.streamUrl]);
+
+  const reconnectKey = `${streamPath(camera.streamUrl)} ${camera.health?.state ?? ''}`;
+  const connectedKey = useRef(reconnectKey);
+
+  useEffect(() => {
+    if (connectedKey.current === reconnectKey) return;
+    connectedKey.current = reconnectKey;
+    setSrc(latestUrl.current);
+    setAttempt((current) => current + 1);
+    setHasError(false);
+  }, [reconnectKey]);
+
+  useEffect(() => {
+    if (!hasError) return;
+    const timer = window.setTimeout(() => {
+      setSrc(latestUrl.current);
+      setAttempt((current) => current + 1);
+      setHasError(false);
+    }, RETRY_DELAY_MS);
+    return () => window.clearTimeout(timer);
+  }, [hasError]);
+
+  if (hasError) {
+    return (
+      <div className="text-gray-400 text-center">
+        <svg className="w-12 h-12 mx-auto mb-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 10l4.553-2.276A1 1 0 0121 8.618v6.764a1 1 0 01-1.447.894L15 14M5 18h8a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v8a2 2 0 002 2z" />
+        </svg>
+        <p className="text-sm">Stream Loading...</p>
+      </div>
+    );
+  }
+
+  return (
+    <img
+      key={attempt}
+      src={src}
+      alt={`Camera ${camera.id + 1} stream`}
+      className="w-full h-full object-contain"
+      onError={() => setHasError(true)}
+    />
+  );
+};
+
+export default CameraStream;
@@ -0,0 +1,277 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+interface StderrLine {
+  time: string;
+  level: 'debug' | 'info' | 'warn' | 'error';
+  line: string;
+}
+
+interface StreamDiagnostics {
+  cameraId: number;
+  device: string;
+  health: {
+    state: string;
+    restarts: number;
+    lastFrameAt: string | null;
+    lastExitCode: number | string | null;
+  } | null;
+  stderr: StderrLine[];
+}
+
+interface SystemError {
+  id: number;
+  cameraId: number | null;
+  error: string;
+  timestamp: string;
+}
+
+interface LogEntry {
+  time: string;
+  level: 'debug' | 'info' | 'warn' | 'error';
+  process: string;
+  component: string;
+  message: string;
+  cameraId?: number;
+  [field: string]: unknown;
+}
+
+interface Diagnostics {
+  generatedAt: string;
+  streamProcessReachable: boolean;
+  streams: StreamDiagnostics[];
+  errors: { cameraId: number | null; total: number; recent: SystemError[] }[];
+  predictorFailures: LogEntry[];
+  uploadQueue: { depth: number; oldestPendingAgeSeconds: number | null; lastError?: string | null };
+}
+
+interface DiagnosticsPageProps {
+  apiFetch: (path: string, init?: RequestInit) => Promise<Response>;
+  onBack: () => void;
+}
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_LIMIT = 200;
+const REFRESH_INTERVAL_MS = 10000;
+const SHOWN_FIELDS = ['time', 'level', 'process', 'component', 'message'];
+
+const levelClass = (level: string): string => {
+  switch (level) {
+    case 'error':
+      return 'text-red-400';
+    case 'warn':
+      return 'text-amber-300';
+    case 'debug':
+      return 'text-gray-500';
+    default:
+      return 'text-gray-200';
+  }
+};
+
+// Everything except the columns already shown on the line
+const formatFields = (entry: LogEntry): string =>
+  Object.entries(entry)
+    .filter(([key]) => !SHOWN_FIELDS.includes(key))
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+
+const DiagnosticsPage: React.FC<DiagnosticsPageProps> = ({ apiFetch, onBack }) => {
+  const [diagnostics, setDiagnostics] = useState<Diagnostics | null>(null);
+  const [logs, setLogs] = useState<LogEntry[]>([]);
+  const [level, setLevel] = useState('info');
+  const [component, setComponent] = useState('');
+  const [cameraId, setCameraId] = useState('');
+  const [search, setSearch] = useState('');
+  const [error, setError] = useState<string | null>(null);
+
+  const loadDiagnostics = useCallback(async () => {
+    try {
+      const response = await apiFetch('/api/diagnostics');
+      if (response.ok) {
+        setDiagnostics(await response.json());
+        setError(null);
+      } else {
+        setError('Could not load diagnostics');
+      }
+    } catch (loadError) {
+      console.error('Error fetching diagnostics:', loadError);
+      setError('Could not load diagnostics');
+    }
+  }, [apiFetch]);
+
+  const loadLogs = useCallback(async () => {
+    const query = new URLSearchParams({ level, limit: String(LOG_LIMIT) });
+    if (component) query.set('component', component);
+    if (cameraId) query.set('cameraId', cameraId);
+    if (search) query.set('search', search);
+
+    try {
+      const response = await apiFetch(`/api/logs?${query}`);
+      if (response.ok) {
+        setLogs(await response.json());
+      }
+    } catch (loadError) {
+      console.error('Error fetching logs:', loadError);
+    }
+  }, [apiFetch, level, component, cameraId, search]);
+
+  useEffect(() => {
+    loadDiagnostics();
+    const timer = window.setInterval(loadDiagnostics, REFRESH_INTERVAL_MS);
+    return () => window.clearInterval(timer);
+  }, [loadDiagnostics]);
+
+  useEffect(() => {
+    loadLogs();
+    const timer = window.setInterval(loadLogs, REFRESH_INTERVAL_MS);
+    return () => window.clearInterval(timer);
+  }, [loadLogs]);
+
+  const components = [...new Set(logs.map((entry) => entry.component))].sort();
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center space-x-3">
+        <button
+          onClick={onBack}
+          className="px-3 py-1 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded hover:bg-gray-50"
+        >
+          ← Dashboard
+        </button>
+        <h2 className="text-lg font-semibold text-gray-900">Diagnostics</h2>
+        {diagnostics && (
+          <span className="text-xs text-gray-500">Updated {new Date(diagnostics.generatedAt).toLocaleTimeString()}</span>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {diagnostics && !diagnostics.streamProcessReachable && (
+        <p className="text-sm text-red-600">The stream process (ffmpeg-streams.js) is not reachable; FFmpeg output is unavailable.</p>
+      )}
+
+      {diagnostics && (
+        <div className="grid gap-4 grid-cols-2">
+          <div className="bg-white rounded-lg shadow-md p-4">
+            <h3 className="font-medium text-gray-900 mb-3">Recent errors</h3>
+            <div className="space-y-3">
+              {diagnostics.errors.map((group) => (
+                <div key={group.cameraId ?? 'system'}>
+                  <div className="flex items-center justify-between text-sm">
+                    <span className="font-medium text-gray-700">
+                      {group.cameraId === null ? 'System' : `Camera ${group.cameraId + 1}`}
+                    </span>
+                    <span className={`text-xs ${group.total > 0 ? 'text-red-600' : 'text-gray-400'}`}>
+                      {group.total} error{group.total !== 1 ? 's' : ''}
+                    </span>
+                  </div>
+                  {group.recent.map((entry) => (
+                    <div key={entry.id} className="text-xs text-gray-600 flex justify-between space-x-2 mt-1">
+                      <span className="truncate" title={entry.error}>{entry.error}</span>
+                      <span className="text-gray-400 whitespace-nowrap">{new Date(entry.timestamp).toLocaleString()}</span>
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="bg-white rounded-lg shadow-md p-4">
+            <h3 className="font-medium text-gray-900 mb-3">Predictor failures</h3>
+            {diagnostics.uploadQueue.depth > 0 && (
+              <p className="text-sm text-amber-600 mb-2">
+                {diagnostics.uploadQueue.depth} frame{diagnostics.uploadQueue.depth !== 1 ? 's' : ''} waiting in the upload queue
+              </p>
+            )}
+            {diagnostics.predictorFailures.length === 0 ? (
+              <p className="text-sm text-gray-500">No predictor failures logged</p>
+            ) : (
+              <div className="space-y-1 max-h-64 overflow-y-auto">
+                {diagnostics.predictorFailures.map((entry, index) => (
+                  <div key={`${entry.time}-${index}`} className="text-xs text-gray-600 flex justify-between space-x-2">
+                    <span className="truncate" title={formatFields(entry)}>
+                      {entry.cameraId !== undefined && `Camera ${entry.cameraId + 1}: `}
+                      {entry.message} {typeof entry.error === 'string' && `— ${entry.error}`}
+                    </span>
+                    <span className="text-gray-400 whitespace-nowrap">{new Date(entry.time).toLocaleString()}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {diagnostics && diagnostics.streams.map((stream) => (
+        <div key={stream.cameraId} className="bg-white rounded-lg shadow-md p-4">
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="font-medium text-gray-900">
+              Camera {stream.cameraId + 1} FFmpeg output <span className="text-sm font-normal text-gray-500">{stream.device}</span>
+            </h3>
+            {stream.health && (
+              <span className="text-xs text-gray-500">
+                {stream.health.state} · {stream.health.restarts} restart{stream.health.restarts !== 1 ? 's' : ''}
+                {stream.health.lastExitCode !== null && ` · last exit ${stream.health.lastExitCode}`}
+              </span>
+            )}
+          </div>
+          <pre className="bg-gray-900 rounded p-3 text-xs font-mono max-h-48 overflow-y-auto whitespace-pre-wrap">
+            {stream.stderr.length === 0 ? (
+              <span className="text-gray-500">No output yet</span>
+            ) : (
+              stream.stderr.map((line, index) => (
+                <div key={index} className={levelClass(line.level)}>
+                  {new Date(line.time).toLocaleTimeString()} {line.line}
+                </div>
+              ))
+            )}
+          </pre>
+        </div>
+      ))}
+
+      <div className="bg-white rounded-lg shadow-md p-4">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="font-medium text-gray-900">Logs</h3>
+          <div className="flex items-center space-x-2">
+            <select value={level} onChange={(event) => setLevel(event.target.value)} className="px-2 py-1 text-sm border border-gray-300 rounded bg-white">
+              {LOG_LEVELS.map((name) => (
+                <option key={name} value={name}>{name} and above</option>
+              ))}
+            </select>
+            <select value={component} onChange={(event) => setComponent(event.target.value)} className="px-2 py-1 text-sm border border-gray-300 rounded bg-white">
+              <option value="">All components</option>
+              {[...new Set([...components, component].filter(Boolean))].map((name) => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+            <select value={cameraId} onChange={(event) => setCameraId(event.target.value)} className="px-2 py-1 text-sm border border-gray-300 rounded bg-white">
+              <option value="">All cameras</option>
+              {diagnostics?.streams.map((stream) => (
+                <option key={stream.cameraId} value={stream.cameraId}>Camera {stream.cameraId + 1}</option>
+              ))}
+            </select>
+            <input
+              type="search"
+              value={search}
+              onChange={(event) => setSearch(event.target.value)}
+              placeholder="Search messages"
+              className="px-2 py-1 text-sm border border-gray-300 rounded"
+            />
+          </div>
+        </div>
+        <div className="bg-gray-900 rounded p-3 text-xs font-mono max-h-96 overflow-y-auto">
+          {logs.length === 0 ? (
+            <span className="text-gray-500">No matching log entries</span>
+          ) : (
+            logs.map((entry, index) => (
+              <div key={`${entry.time}-${index}`} className={levelClass(entry.level)}>
+                {new Date(entry.time).toLocaleString()} {entry.level.toUpperCase()} [{entry.process}/{entry.component}] {entry.message}
+                <span className="text-gray-500"> {formatFields(entry)}</span>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DiagnosticsPage;
@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react';
+
+interface PredictionResult {
+  backend: string;
+  label: string | null;
+  confidence: number | null;
+  detections: { label: string; confidence: number | null }[];
+}
+
+interface Prediction {
+  id: number;
+  cameraId: number;
+  model: string;
+  timestamp: string;
+  result: PredictionResult | null;
+  regionName: string | null;
+}
+
+interface EvidenceViewerProps {
+  prediction: Prediction;
+  apiBase: string;
+  apiFetch: (path: string, init?: RequestInit) => Promise<Response>;
+  onClose: () => void;
+}
+
+const EvidenceViewer: React.FC<EvidenceViewerProps> = ({ prediction, apiBase, apiFetch, onClose }) => {
+  const [showAnnotated, setShowAnnotated] = useState(true);
+  const [imageUrl, setImageUrl] = useState<string | null>(null);
+  const [hasError, setHasError] = useState(false);
+
+  // <img> can't send an Authorization header, so it gets a short-lived signed URL
+  useEffect(() => {
+    let cancelled = false;
+    setImageUrl(null);
+    setHasError(false);
+
+    apiFetch('/api/signed-urls', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ path: `/api/predictions/${prediction.id}/${showAnnotated ? 'annotated' : 'image'}` })
+    })
+      .then(async (response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const { url } = await response.json();
+        if (!cancelled) setImageUrl(`${apiBase}${url}`);
+      })
+      .catch((error) => {
+        console.error('Error signing image URL:', error);
+        if (!cancelled) setHasError(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [apiBase, apiFetch, prediction.id, showAnnotated]);
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/75 flex items-center justify-center p-4" onClick={onClose}>
+      <div className="bg-white rounded-lg shadow-xl max-w-5xl w-full" onClick={(event) => event.stopPropagation()}>
+        <div className="flex items-center justify-between p-4 border-b">
+          <div className="flex items-center space-x-2">
+            <span className="font-medium text-gray-900">
+              Camera {prediction.cameraId + 1}
+              {prediction.regionName && ` / ${prediction.regionName}`}
+            </span>
+            <span className="bg-blue-100 text-blue-800 px-2 py-1 rounded text-xs">{prediction.model}</span>
+            <span className="text-sm text-gray-500">{new Date(prediction.timestamp).toLocaleString()}</span>
+          </div>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={() => setShowAnnotated(!showAnnotated)}
+              className="px-3 py-1 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded hover:bg-gray-50"
+            >
+              {showAnnotated ? 'Show original' : 'Show annotations'}
+            </button>
+            {imageUrl && (
+              <a
+                href={imageUrl}
+                target="_blank"
+                rel="noreferrer"
+                className="px-3 py-1 text-sm font-medium text-blue-700 hover:underline"
+              >
+                Open
+              </a>
+            )}
+            <button onClick={onClose} className="p-1 text-gray-500 hover:text-gray-700" title="Close">
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        </div>
+
+        <div className="bg-gray-900 flex items-center justify-center">
+          {hasError ? (
+            <div className="text-gray-400 text-sm py-24">Image is no longer available</div>
+          ) : !imageUrl ? (
+            <div className="text-gray-400 text-sm py-24">Loading...</div>
+          ) : (
+            <img
+              src={imageUrl}
+              alt={`Frame analyzed by ${prediction.model}`}
+              className="max-h-[75vh] w-auto"
+              onError={() => setHasError(true)}
+            />
+          )}
+        </div>
+
+        {prediction.result && (
+          <div className="p-4 text-sm text-gray-700 flex items-center justify-between">
+            <span>
+              {prediction.result.detections.length > 0
+                ? `${prediction.result.detections.length} detection${prediction.result.detections.length !== 1 ? 's' : ''}`
+                : prediction.result.label ?? 'No detections'}
+              {prediction.result.confidence !== null && ` · ${(prediction.result.confidence * 100).toFixed(1)}%`}
+            </span>
+            <span className="text-xs text-gray-400">via {prediction.result.backend}</span>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EvidenceViewer;
@@ -1,57 +1,63 @@
-import React, { useState, useEffect } from 'react';
+import React from 'react';
+
+interface PredictionLabel {
+  label: string;
+  confidence: number | null;
+}
+
+interface Detection extends PredictionLabel {
+  box: { x: number; y: number; width: number; height: number } | null;
+}
+
+interface PredictionResult {
+  backend: string;
+  label: string | null;
+  confidence: number | null;
+  labels: PredictionLabel[];
+  detections: Detection[];
+}
 
 interface Prediction {
+  id: number;
   cameraId: number;
   model: string;
   timestamp: string;
-  result: any;
+  result: PredictionResult | null;
+  imagePath: string | null;
+  regionId: number | null;
+  regionName: string | null;
 }
 
 interface PredictionLogProps {
   predictions: Prediction[];
   isExpanded: boolean;
   onToggle: () => void;
+  onSelect: (prediction: Prediction) => void;
 }
 
-const PredictionLog: React.FC<PredictionLogProps> = ({ predictions, isExpanded, onToggle }) => {
-  const [displayedPredictions, setDisplayedPredictions] = useState<Prediction[]>([]);
-
-  useEffect(() => {
-    const newPredictions = predictions.filter(
-      (pred) => !displayedPredictions.some(
-        (displayed) =>
-          displayed.cameraId === pred.cameraId &&
-          displayed.model === pred.model &&
-          displayed.timestamp === pred.timestamp
-      )
-    );
-
-    if (newPredictions.length > 0) {
-      setDisplayedPredictions(prev => [...newPredictions, ...prev].slice(0, 50));
-    }
-  }, [predictions]);
-
+const PredictionLog: React.FC<PredictionLogProps> = ({ predictions, isExpanded, onToggle, onSelect }) => {
   const formatTimestamp = (timestamp: string): string => {
     return new Date(timestamp).toLocaleTimeString();
   };
 
-  const getResultSummary = (result: any): string => {
+  const formatConfidence = (confidence: number | null): string => {
+    return confidence === null ? '' : ` (${(confidence * 100).toFixed(1)}%)`;
+  };
+
+  const getResultSummary = (result: PredictionResult | null): string => {
     if (!result) return 'No result';
 
-    if (result.detections && Array.isArray(result.detections)) {
-      const detectionCount = result.detections.length;
-      if (detectionCount === 0) return 'No detections';
+    const detectionCount = result.detections.length;
+    if (detectionCount > 0) {
       return `${detectionCount} detection${detectionCount !== 1 ? 's' : ''}`;
     }
 
-    if (result.prediction) return result.prediction;
-    if (result.class) return result.class;
-    if (result.label) return result.label;
+    if (result.label) return `${result.label}${formatConfidence(result.confidence)}`;
 
-    return 'Processing...';
+    return 'No detections';
   };
 
-  const getResultColor = (result: any): string => {
+  const getResultColor = (result: PredictionResult | null): string => {
     const summary = getResultSummary(result);
     if (summary.includes('No detections') || summary.includes('No result')) {
       return 'text-green-600';
@@ -62,7 +68,7 @@ const PredictionLog: React.FC<PredictionLogProps> = ({ predictions, isExpanded,
     return 'text-blue-600';
   };
 
-  const recentPredictions = displayedPredictions.slice(0, 3);
+  const recentPredictions = predictions.slice(0, 3);
 
   return (
     <div className="fixed bottom-4 right-4">
@@ -79,7 +85,7 @@ const PredictionLog: React.FC<PredictionLogProps> = ({ predictions, isExpanded,
             <div className="w-3 h-3 bg-green-500 rounded-full animate-pulse"></div>
             <span className="font-medium text-gray-900">Predictions</span>
             <span className="bg-gray-100 text-gray-600 px-2 py-1 rounded-full text-xs">
-              {displayedPredictions.length}
+              {predictions.length}
             </span>
           </div>
           <svg
@@ -97,8 +103,12 @@ const PredictionLog: React.FC<PredictionLogProps> = ({ predictions, isExpanded,
         <div className={`overflow-hidden ${isExpanded ? 'h-80' : 'h-20'}`}>
           {!isExpanded && (
             <div className="p-3 space-y-2">
-              {recentPredictions.slice(0, 2).map((prediction, index) => (
-                <div key={index} className="flex items-center justify-between text-sm">
+              {recentPredictions.slice(0, 2).map((prediction) => (
+                <div
+                  key={prediction.id}
+                  className={`flex items-center justify-between text-sm ${prediction.imagePath ? 'cursor-pointer hover:bg-gray-50' : ''}`}
+                  onClick={() => prediction.imagePath && onSelect(prediction)}
+                >
                   <div className="flex items-center space-x-2">
                     <span className="text-gray-500">Cam {prediction.cameraId + 1}</span>
                     <span className="text-gray-400">|</span>
@@ -120,16 +130,25 @@ const PredictionLog: React.FC<PredictionLogProps> = ({ predictions, isExpanded,
           {isExpanded && (
             <div className="p-4 h-full overflow-y-auto">
               <div className="space-y-3">
-                {displayedPredictions.map((prediction, index) => (
-                  <div key={index} className="border-l-4 border-blue-200 pl-3 py-2">
+                {predictions.map((prediction) => (
+                  <div
+                    key={prediction.id}
+                    className={`border-l-4 border-blue-200 pl-3 py-2 ${prediction.imagePath ? 'cursor-pointer hover:bg-gray-50' : ''}`}
+                    onClick={() => prediction.imagePath && onSelect(prediction)}
+                    title={prediction.imagePath ? 'View analyzed frame' : undefined}
+                  >
                     <div className="flex items-center justify-between mb-1">
                       <div className="flex items-center space-x-2">
                         <span className="font-medium text-gray-900">
                           Camera {prediction.cameraId + 1}
+                          {prediction.regionName && <span className="font-normal text-gray-600"> / {prediction.regionName}</span>}
                         </span>
                         <span className="bg-blue-100 text-blue-800 px-2 py-1 rounded text-xs">
                           {prediction.model}
                         </span>
+                        {prediction.result && (
+                          <span className="text-xs text-gray-400">{prediction.result.backend}</span>
+                        )}
                       </div>
                       <span className="text-xs text-gray-500">
                         {formatTimestamp(prediction.timestamp)}
@@ -138,13 +157,13 @@ const PredictionLog: React.FC<PredictionLogProps> = ({ predictions, isExpanded,
                     <div className={`text-sm font-medium ${getResultColor(prediction.result)}`}>
                       {getResultSummary(prediction.result)}
                     </div>
-                    {prediction.result?.detections && prediction.result.detections.length > 0 && (
+                    {prediction.result && prediction.result.detections.length > 0 && (
                       <div className="mt-1 text-xs text-gray-600">
                         <div className="max-h-12 overflow-y-auto">
-                          {prediction.result.detections.map((detection: any, detIndex: number) => (
+                          {prediction.result.detections.map((detection, detIndex) => (
                             <div key={detIndex} className="flex justify-between">
-                              <span>{detection.class || detection.label || 'Detection'}</span>
-                              <span>{((detection.confidence || detection.score) * 100).toFixed(1)}%</span>
+                              <span>{detection.label}</span>
+                              <span>{detection.confidence !== null ? `${(detection.confidence * 100).toFixed(1)}%` : '—'}</span>
                             </div>
                           ))}
                         </div>
@@ -152,7 +171,7 @@ const PredictionLog: React.FC<PredictionLogProps> = ({ predictions, isExpanded,
                     )}
                   </div>
                 ))}
-                {displayedPredictions.length === 0 && (
+                {predictions.length === 0 && (
                   <div className="text-center text-gray-500 py-8">
                     <svg className="w-12 h-12 mx-auto mb-2 text-gray-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
@@ -0,0 +1,125 @@
+import React from 'react';
+
+interface TimelinePoint {
+  start: string;
+  count: number;
+  detections: number;
+  maxConfidence: number | null;
+  avgConfidence: number | null;
+  topLabel: string | null;
+}
+
+interface TimelineSeries {
+  model: string;
+  points: TimelinePoint[];
+}
+
+interface Timeline {
+  from: string;
+  to: string;
+  bucketSeconds: number;
+  series: TimelineSeries[];
+}
+
+interface PredictionTimelineProps {
+  timeline: Timeline;
+}
+
+const CHART_WIDTH = 800;
+const ROW_HEIGHT = 90;
+const ROW_PADDING = 12;
+
+// One row per model: bars are detections per bucket, the line is the highest
+// confidence seen in the bucket
+const PredictionTimeline: React.FC<PredictionTimelineProps> = ({ timeline }) => {
+  const from = new Date(timeline.from).getTime();
+  const to = new Date(timeline.to).getTime();
+  const bucketMs = timeline.bucketSeconds * 1000;
+  const bucketWidth = (bucketMs / (to - from)) * CHART_WIDTH;
+
+  const xFor = (timestamp: string) => ((new Date(timestamp).getTime() - from) / (to - from)) * CHART_WIDTH;
+
+  const formatTick = (time: number) => {
+    const date = new Date(time);
+    return to - from > 24 * 60 * 60 * 1000
+      ? date.toLocaleDateString(undefined, { month: 'short', day: 'numeric', hour: '2-digit' })
+      : date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+  };
+
+  if (timeline.series.length === 0) {
+    return <div className="text-center text-gray-500 text-sm py-12">No predictions in this time range</div>;
+  }
+
+  const maxDetections = Math.max(1, ...timeline.series.flatMap((series) => series.points.map((point) => point.detections)));
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map((fraction) => from + fraction * (to - from));
+
+  return (
+    <div className="space-y-4">
+      {timeline.series.map((series) => {
+        const innerHeight = ROW_HEIGHT - ROW_PADDING * 2;
+        const yForConfidence = (confidence: number) => ROW_PADDING + (1 - confidence) * innerHeight;
+        const confidencePoints = series.points
+          .filter((point) => point.maxConfidence !== null)
+          .map((point) => `${(xFor(point.start) + bucketWidth / 2).toFixed(1)},${yForConfidence(point.maxConfidence as number).toFixed(1)}`)
+          .join(' ');
+        const total = series.points.reduce((sum, point) => sum + point.count, 0);
+
+        return (
+          <div key={series.model}>
+            <div className="flex items-center justify-between mb-1">
+              <span className="bg-blue-100 text-blue-800 px-2 py-1 rounded text-xs">{series.model}</span>
+              <span className="text-xs text-gray-500">{total} prediction{total !== 1 ? 's' : ''}</span>
+            </div>
+            <svg
+              viewBox={`0 0 ${CHART_WIDTH} ${ROW_HEIGHT}`}
+              preserveAspectRatio="none"
+              className="w-full h-24 bg-gray-50 rounded"
+            >
+              <line x1={0} x2={CHART_WIDTH} y1={yForConfidence(0.5)} y2={yForConfidence(0.5)} stroke="#e5e7eb" strokeDasharray="4 4" />
+              {series.points.map((point) => {
+                const height = (point.detections / maxDetections) * innerHeight;
+                return (
+                  <rect
+                    key={point.start}
+                    x={xFor(point.start)}
+                    y={ROW_PADDING + innerHeight - height}
+                    width={Math.max(bucketWidth - 1, 1)}
+                    height={height}
+                    fill="#fca5a5"
+                  >
+                    <title>
+                      {`${new Date(point.start).toLocaleString()}\n${point.count} prediction${point.count !== 1 ? 's' : ''}, ${point.detections} detection${point.detections !== 1 ? 's' : ''}`}
+                      {point.topLabel && `\nMost frequent: ${point.topLabel}`}
+                      {point.maxConfidence !== null && `\nMax confidence: ${(point.maxConfidence * 100).toFixed(1)}%`}
+                    </title>
+                  </rect>
+                );
+              })}
+              {confidencePoints && (
+                <polyline points={confidencePoints} fill="none" stroke="#2563eb" strokeWidth={2} vectorEffect="non-scaling-stroke" />
+              )}
+            </svg>
+          </div>
+        );
+      })}
+
+      <div className="flex justify-between text-xs text-gray-400">
+        {ticks.map((tick) => (
+          <span key={tick}>{formatTick(tick)}</span>
+        ))}
+      </div>
+      <div className="flex items-center space-x-4 text-xs text-gray-500">
+        <span className="flex items-center space-x-1">
+          <span className="inline-block w-3 h-3 bg-red-300 rounded-sm"></span>
+          <span>Detections</span>
+        </span>
+        <span className="flex items-center space-x-1">
+          <span className="inline-block w-3 h-0.5 bg-blue-600"></span>
+          <span>Max confidence</span>
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default PredictionTimeline;
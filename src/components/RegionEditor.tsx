@@ -0,0 +1,323 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+
+interface Point {
+  x: number;
+  y: number;
+}
+
+interface Region {
+  id: number;
+  cameraId: number;
+  name: string;
+  shape: 'rect' | 'polygon';
+  points: Point[];
+  enabled: boolean;
+}
+
+interface RegionEditorProps {
+  cameraId: number;
+  apiFetch: (path: string, init?: RequestInit) => Promise<Response>;
+  canEdit: boolean;
+  onRegionsChange: (regions: Region[]) => void;
+}
+
+type DrawMode = 'rect' | 'polygon';
+
+const REGION_COLORS = ['#ef4444', '#f59e0b', '#10b981', '#3b82f6', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316'];
+
+const readError = async (response: Response, fallback: string): Promise<string> => {
+  try {
+    return (await response.json()).error || fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+// Rects are stored as two opposite corners
+const outlinePoints = (shape: 'rect' | 'polygon', points: Point[]): Point[] => {
+  if (shape === 'polygon' || points.length !== 2) return points;
+  const [a, b] = points;
+  return [a, { x: b.x, y: a.y }, b, { x: a.x, y: b.y }];
+};
+
+const toSvgPoints = (points: Point[]): string => points.map((point) => `${point.x},${point.y}`).join(' ');
+
+// Regions are drawn over a still frame: drag for a rect, click the corners of a
+// polygon and finish with a double click. Coordinates are fractions of the frame.
+const RegionEditor: React.FC<RegionEditorProps> = ({ cameraId, apiFetch, canEdit, onRegionsChange }) => {
+  const [regions, setRegions] = useState<Region[]>([]);
+  const [snapshotUrl, setSnapshotUrl] = useState<string | null>(null);
+  const [mode, setMode] = useState<DrawMode>('rect');
+  const [draft, setDraft] = useState<Point[]>([]);
+  const [cursor, setCursor] = useState<Point | null>(null);
+  const [dragging, setDragging] = useState(false);
+  const [draftName, setDraftName] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const svgRef = useRef<SVGSVGElement>(null);
+
+  const loadRegions = useCallback(async () => {
+    try {
+      const response = await apiFetch(`/api/cameras/${cameraId}/regions`);
+      if (response.ok) {
+        const list: Region[] = await response.json();
+        setRegions(list);
+        onRegionsChange(list);
+      }
+    } catch (loadError) {
+      console.error('Error fetching regions:', loadError);
+    }
+  }, [apiFetch, cameraId, onRegionsChange]);
+
+  const loadSnapshot = useCallback(async () => {
+    try {
+      const response = await apiFetch(`/api/cameras/${cameraId}/snapshot`);
+      if (!response.ok) {
+        setError(await readError(response, 'Could not capture a frame'));
+        return;
+      }
+      setSnapshotUrl(URL.createObjectURL(await response.blob()));
+      setError(null);
+    } catch (snapshotError) {
+      console.error('Error fetching snapshot:', snapshotError);
+      setError('Could not capture a frame');
+    }
+  }, [apiFetch, cameraId]);
+
+  useEffect(() => {
+    loadRegions();
+    loadSnapshot();
+  }, [loadRegions, loadSnapshot]);
+
+  // Frees each frame once it's replaced or the editor closes
+  useEffect(() => () => {
+    if (snapshotUrl) URL.revokeObjectURL(snapshotUrl);
+  }, [snapshotUrl]);
+
+  const pointFromEvent = (event: React.MouseEvent): Point => {
+    const bounds = svgRef.current!.getBoundingClientRect();
+    const clamp = (value: number) => Math.min(1, Math.max(0, value));
+    return {
+      x: clamp((event.clientX - bounds.left) / bounds.width),
+      y: clamp((event.clientY - bounds.top) / bounds.height)
+    };
+  };
+
+  const resetDraft = () => {
+    setDraft([]);
+    setCursor(null);
+    setDragging(false);
+  };
+
+  const draftComplete = mode === 'rect' ? draft.length === 2 && !dragging : draft.length >= 3 && cursor === null;
+
+  const handleMouseDown = (event: React.MouseEvent) => {
+    if (!canEdit || mode !== 'rect') return;
+    const point = pointFromEvent(event);
+    setDraft([point, point]);
+    setDragging(true);
+  };
+
+  const handleMouseMove = (event: React.MouseEvent) => {
+    if (!canEdit) return;
+    const point = pointFromEvent(event);
+    if (mode === 'rect' && dragging) {
+      setDraft((current) => [current[0], point]);
+    } else if (mode === 'polygon' && draft.length > 0 && !draftComplete) {
+      setCursor(point);
+    }
+  };
+
+  const handleMouseUp = () => {
+    if (mode !== 'rect' || !dragging) return;
+    setDragging(false);
+    // A click without a drag isn't a region
+    const [a, b] = draft;
+    if (!a || !b || Math.abs(a.x - b.x) < 0.01 || Math.abs(a.y - b.y) < 0.01) {
+      setDraft([]);
+    }
+  };
+
+  const handleClick = (event: React.MouseEvent) => {
+    if (!canEdit || mode !== 'polygon' || draftComplete) return;
+    setDraft((current) => [...current, pointFromEvent(event)]);
+  };
+
+  const handleDoubleClick = () => {
+    if (mode !== 'polygon') return;
+    // The double click's own two clicks each added the same point
+    setDraft((current) => current.slice(0, -1));
+    setCursor(null);
+  };
+
+  const saveDraft = async () => {
+    const name = draftName.trim();
+    if (!name || !draftComplete) return;
+
+    try {
+      const response = await apiFetch(`/api/cameras/${cameraId}/regions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, shape: mode, points: draft })
+      });
+      if (!response.ok) {
+        setError(await readError(response, 'Could not save the region'));
+        return;
+      }
+      setError(null);
+      setDraftName('');
+      resetDraft();
+      loadRegions();
+    } catch (saveError) {
+      console.error('Error saving region:', saveError);
+      setError('Could not save the region');
+    }
+  };
+
+  const regionAction = async (region: Region, init: RequestInit) => {
+    try {
+      const response = await apiFetch(`/api/cameras/${cameraId}/regions/${region.id}`, init);
+      if (!response.ok) {
+        setError(await readError(response, 'Could not update the region'));
+        return;
+      }
+      setError(null);
+      loadRegions();
+    } catch (actionError) {
+      console.error('Error updating region:', actionError);
+      setError('Could not update the region');
+    }
+  };
+
+  const toggleRegion = (region: Region) => regionAction(region, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ enabled: !region.enabled })
+  });
+
+  const draftOutline = mode === 'rect'
+    ? outlinePoints('rect', draft)
+    : cursor ? [...draft, cursor] : draft;
+
+  return (
+    <div className="space-y-3">
+      {canEdit && (
+        <div className="flex items-center space-x-2 text-sm">
+          <select
+            value={mode}
+            onChange={(event) => {
+              setMode(event.target.value as DrawMode);
+              resetDraft();
+            }}
+            className="px-2 py-1 border border-gray-300 rounded bg-white"
+          >
+            <option value="rect">Rectangle</option>
+            <option value="polygon">Polygon</option>
+          </select>
+          <span className="text-xs text-gray-500">
+            {mode === 'rect' ? 'Drag over the frame to draw' : 'Click each corner, double-click to finish'}
+          </span>
+          <button onClick={loadSnapshot} className="text-xs text-gray-500 hover:text-gray-700 underline">
+            New frame
+          </button>
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {snapshotUrl ? (
+        <div className="relative inline-block max-w-full select-none">
+          <img src={snapshotUrl} alt={`Camera ${cameraId + 1} frame`} className="block max-w-full max-h-96" draggable={false} />
+          <svg
+            ref={svgRef}
+            className={`absolute inset-0 w-full h-full ${canEdit ? 'cursor-crosshair' : ''}`}
+            viewBox="0 0 1 1"
+            preserveAspectRatio="none"
+            onMouseDown={handleMouseDown}
+            onMouseMove={handleMouseMove}
+            onMouseUp={handleMouseUp}
+            onMouseLeave={handleMouseUp}
+            onClick={handleClick}
+            onDoubleClick={handleDoubleClick}
+          >
+            {regions.map((region, index) => (
+              <polygon
+                key={region.id}
+                points={toSvgPoints(outlinePoints(region.shape, region.points))}
+                fill={REGION_COLORS[index % REGION_COLORS.length]}
+                fillOpacity={region.enabled ? 0.2 : 0.05}
+                stroke={REGION_COLORS[index % REGION_COLORS.length]}
+                strokeWidth={2}
+                strokeDasharray={region.enabled ? undefined : '6 4'}
+                vectorEffect="non-scaling-stroke"
+              >
+                <title>{region.name}</title>
+              </polygon>
+            ))}
+            {draftOutline.length > 1 && (
+              <polyline
+                points={toSvgPoints(draftComplete ? [...draftOutline, draftOutline[0]] : draftOutline)}
+                fill="none"
+                stroke="#ffffff"
+                strokeWidth={2}
+                strokeDasharray="6 4"
+                vectorEffect="non-scaling-stroke"
+              />
+            )}
+          </svg>
+        </div>
+      ) : (
+        !error && <p className="text-sm text-gray-500">Capturing a frame...</p>
+      )}
+
+      {canEdit && draftComplete && (
+        <div className="flex items-center space-x-2 text-sm">
+          <input
+            type="text"
+            value={draftName}
+            onChange={(event) => setDraftName(event.target.value)}
+            placeholder="Region name, e.g. Rack A / Tray 3"
+            className="flex-1 px-2 py-1 border border-gray-300 rounded"
+          />
+          <button
+            onClick={saveDraft}
+            disabled={!draftName.trim()}
+            className="px-3 py-1 font-medium text-white bg-green-600 rounded hover:bg-green-700 disabled:opacity-50"
+          >
+            Save region
+          </button>
+          <button onClick={resetDraft} className="text-gray-500 hover:text-gray-700 underline">
+            Discard
+          </button>
+        </div>
+      )}
+
+      {regions.length === 0 ? (
+        <p className="text-sm text-gray-500">No regions: every frame is analyzed as a whole</p>
+      ) : (
+        <div className="divide-y text-sm">
+          {regions.map((region, index) => (
+            <div key={region.id} className="flex items-center justify-between py-1">
+              <span className="flex items-center space-x-2">
+                <span className="w-3 h-3 rounded-sm" style={{ backgroundColor: REGION_COLORS[index % REGION_COLORS.length] }}></span>
+                <span className={region.enabled ? 'text-gray-800' : 'text-gray-400'}>{region.name}</span>
+                <span className="text-xs text-gray-400">{region.shape}</span>
+              </span>
+              {canEdit && (
+                <span className="space-x-2 text-xs">
+                  <button onClick={() => toggleRegion(region)} className="text-blue-600 hover:text-blue-800 underline">
+                    {region.enabled ? 'Disable' : 'Enable'}
+                  </button>
+                  <button onClick={() => regionAction(region, { method: 'DELETE' })} className="text-red-600 hover:text-red-800 underline">
+                    Delete
+                  </button>
+                </span>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RegionEditor;
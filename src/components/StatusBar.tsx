@@ -1,20 +1,80 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+
+interface SystemSample {
+  timestamp: string;
+  // Null where the sensor isn't available, e.g. off a Raspberry Pi
+  temperatureC: number | null;
+  throttling: { now: string[]; sinceBoot: string[]; raw: string } | null;
+  cpu: { percent: number | null; cores: number; load1: number; load5: number; load15: number };
+  memory: { totalBytes: number; availableBytes: number; usedPercent: number };
+  disk: { path: string; totalBytes: number; freeBytes: number; freePercent: number | null } | null;
+  encoders: { cameraId: number; pid: number; cpuPercent: number | null; residentMemoryBytes: number | null }[];
+  warnings: string[];
+}
 
 interface Status {
   cameras: number;
   models: string[];
+  modelList?: {
+    source: 'live' | 'fallback';
+    refreshedAt: string | null;
+    error: string | null;
+  };
   currentModel: string | null;
   totalPredictions: number;
+  uploadQueue?: {
+    depth: number;
+    oldestPendingAgeSeconds: number | null;
+  };
+  diskLow?: boolean;
+  // Per camera id, counted since the server started
+  frameQuality?: Record<string, {
+    analyzed: number;
+    skipped: number;
+    reasons: Record<string, number>;
+    lastSkip: { reason: string; timestamp: string } | null;
+  }>;
+  system?: SystemSample | null;
   uptime: number;
 }
 
+interface AuthUser {
+  username: string;
+  role: 'viewer' | 'admin';
+}
+
 interface StatusBarProps {
   status: Status | null;
+  user: AuthUser;
+  onLogout: () => void;
+  onOpenDiagnostics: () => void;
+  // Opens today's summary report in a new tab
+  onOpenReport: () => void;
+  isLive: boolean;
   onToggleFullscreen: () => void;
   isFullscreen: boolean;
 }
 
-const StatusBar: React.FC<StatusBarProps> = ({ status, onToggleFullscreen, isFullscreen }) => {
+const StatusBar: React.FC<StatusBarProps> = ({
+  status,
+  user,
+  onLogout,
+  onOpenDiagnostics,
+  onOpenReport,
+  isLive,
+  onToggleFullscreen,
+  isFullscreen
+}) => {
+  // Status is only pushed when something changes, so advance the uptime locally
+  const [secondsSinceUpdate, setSecondsSinceUpdate] = useState(0);
+
+  useEffect(() => {
+    const receivedAt = Date.now();
+    setSecondsSinceUpdate(0);
+    const interval = setInterval(() => setSecondsSinceUpdate((Date.now() - receivedAt) / 1000), 1000);
+    return () => clearInterval(interval);
+  }, [status]);
+
   const formatUptime = (seconds: number): string => {
     const hours = Math.floor(seconds / 3600);
     const minutes = Math.floor((seconds % 3600) / 60);
@@ -22,12 +82,45 @@ const StatusBar: React.FC<StatusBarProps> = ({ status, onToggleFullscreen, isFul
     return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
   };
 
+  // Totals across cameras, e.g. "dark 12, unchanged 40"
+  const skipReasons: Record<string, number> = {};
+  let skippedFrames = 0;
+  for (const cameraStats of Object.values(status?.frameQuality || {})) {
+    skippedFrames += cameraStats.skipped;
+    for (const [reason, count] of Object.entries(cameraStats.reasons)) {
+      skipReasons[reason] = (skipReasons[reason] || 0) + count;
+    }
+  }
+  const formatSkipReasons = (reasons: Record<string, number>): string =>
+    Object.entries(reasons).filter(([, count]) => count > 0).map(([reason, count]) => `${reason} ${count}`).join(', ');
+
+  const formatBytes = (bytes: number): string => {
+    if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+    return `${Math.round(bytes / 1024 ** 2)} MB`;
+  };
+
+  const system = status?.system;
+  const warningClass = (warning: string): string =>
+    system?.warnings.includes(warning) ? 'font-medium text-red-600' : 'font-medium';
+  const systemDetails = system ? [
+    `Load ${system.cpu.load1.toFixed(2)} / ${system.cpu.load5.toFixed(2)} / ${system.cpu.load15.toFixed(2)} on ${system.cpu.cores} cores`,
+    `Memory ${formatBytes(system.memory.totalBytes - system.memory.availableBytes)} of ${formatBytes(system.memory.totalBytes)}`,
+    ...system.encoders.map((encoder) => `Camera ${encoder.cameraId + 1} encoder: ${encoder.cpuPercent ?? '-'}% CPU, ${
+      encoder.residentMemoryBytes === null ? '-' : formatBytes(encoder.residentMemoryBytes)}`),
+    ...(system.throttling && system.throttling.sinceBoot.length > 0 ? [`Since boot: ${system.throttling.sinceBoot.join(', ')}`] : [])
+  ].join('\n') : '';
+
   return (
     <div className="bg-white shadow-sm border-b border-gray-200 px-4 py-3">
       <div className="flex items-center justify-between">
         <div className="flex items-center space-x-6">
           <h1 className="text-xl font-bold text-gray-900">VertiPlant Monitor</h1>
 
+          <div className="flex items-center space-x-1" title={isLive ? 'Receiving live updates' : 'Connection lost, reconnecting'}>
+            <div className={`w-2 h-2 rounded-full ${isLive ? 'bg-green-500' : 'bg-red-500 animate-pulse'}`}></div>
+            <span className="text-xs text-gray-500">{isLive ? 'Live' : 'Reconnecting...'}</span>
+          </div>
+
           {status && (
             <>
               <div className="flex items-center space-x-2">
@@ -47,8 +140,54 @@ const StatusBar: React.FC<StatusBarProps> = ({ status, onToggleFullscreen, isFul
                 Predictions: <span className="font-medium">{status.totalPredictions}</span>
               </div>
 
+              {status.uploadQueue && status.uploadQueue.depth > 0 && (
+                <div className="text-sm text-amber-600" title="Frames waiting for the prediction API to come back">
+                  Queued: <span className="font-medium">{status.uploadQueue.depth}</span>
+                  {status.uploadQueue.oldestPendingAgeSeconds !== null && (
+                    <span className="text-gray-500"> (oldest {formatUptime(status.uploadQueue.oldestPendingAgeSeconds)})</span>
+                  )}
+                </div>
+              )}
+
+              {skippedFrames > 0 && (
+                <div className="text-sm text-gray-600" title={`Not sent to the models: ${formatSkipReasons(skipReasons)}`}>
+                  Skipped frames: <span className="font-medium">{skippedFrames}</span>
+                </div>
+              )}
+
+              {system && (
+                <div className="text-sm text-gray-600 space-x-2" title={systemDetails}>
+                  {system.temperatureC !== null && (
+                    <span>SoC: <span className={warningClass('temperature')}>{system.temperatureC.toFixed(1)} °C</span></span>
+                  )}
+                  <span>CPU: <span className={warningClass('cpu')}>{system.cpu.percent === null ? '-' : `${Math.round(system.cpu.percent)}%`}</span></span>
+                  <span>Mem: <span className={warningClass('memory')}>{Math.round(system.memory.usedPercent)}%</span></span>
+                  {system.disk && (
+                    <span>Disk: <span className={warningClass('disk')}>{formatBytes(system.disk.freeBytes)} free</span></span>
+                  )}
+                </div>
+              )}
+
+              {system?.warnings.includes('undervoltage') && (
+                <div className="px-2 py-0.5 text-xs font-medium text-red-700 bg-red-100 rounded" title="The power supply can't keep up; use the official 5V/5A adapter">
+                  Undervoltage
+                </div>
+              )}
+
+              {system?.warnings.includes('throttled') && (
+                <div className="px-2 py-0.5 text-xs font-medium text-red-700 bg-red-100 rounded" title={`The SoC is slowing itself down: ${system.throttling?.now.join(', ')}`}>
+                  Throttled
+                </div>
+              )}
+
+              {status.diskLow && (
+                <div className="text-sm font-medium text-red-600" title="Capture is slowed down and old frames are being pruned">
+                  Low disk space
+                </div>
+              )}
+
               <div className="text-sm text-gray-600">
-                Uptime: <span className="font-mono font-medium">{formatUptime(status.uptime)}</span>
+                Uptime: <span className="font-mono font-medium">{formatUptime(status.uptime + secondsSinceUpdate)}</span>
               </div>
             </>
           )}
@@ -61,6 +200,36 @@ const StatusBar: React.FC<StatusBarProps> = ({ status, onToggleFullscreen, isFul
             </div>
           )}
 
+          {status?.modelList?.source === 'fallback' && (
+            <div
+              className="px-2 py-0.5 text-xs font-medium text-amber-700 bg-amber-100 rounded"
+              title={`The model API could not be reached${status.modelList.error ? ` (${status.modelList.error})` : ''}; showing the last known or configured list`}
+            >
+              Offline model list
+            </div>
+          )}
+
+          <button
+            onClick={onOpenReport}
+            className="text-sm text-gray-500 hover:text-gray-700 underline"
+            title="Per camera and model summary of today's predictions"
+          >
+            Daily report
+          </button>
+
+          {user.role === 'admin' && (
+            <button onClick={onOpenDiagnostics} className="text-sm text-gray-500 hover:text-gray-700 underline">
+              Diagnostics
+            </button>
+          )}
+
+          <div className="text-sm text-gray-600" title={`Signed in as ${user.role}`}>
+            {user.username}
+            <button onClick={onLogout} className="ml-2 text-gray-500 hover:text-gray-700 underline">
+              Sign out
+            </button>
+          </div>
+
           <button
             onClick={onToggleFullscreen}
             className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-md transition-colors"
@@ -0,0 +1,70 @@
+import { test, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The data directory and config file are read at import time
+const dataDir = mkdtempSync(path.join(os.tmpdir(), 'vertiplant-alerts-'));
+process.env.VERTIPLANT_DATA_DIR = dataDir;
+process.env.VERTIPLANT_CONFIG_FILE = path.join(dataDir, 'vertiplant.config.json');
+
+const { createRule, updateRule, deleteRule, getRule, queryAlerts, evaluatePrediction } = await import('../lib/alert-rules.js');
+const { createRegion, deleteRegion } = await import('../lib/camera-regions.js');
+const { closeDatabase } = await import('../lib/database.js');
+
+after(() => {
+    closeDatabase();
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('alerts filter by rule and time range', () => {
+    const rule = createRule({ name: 'Mildew', label: 'mildew' });
+    createRule({ name: 'Anything on camera 9', cameraId: 9 });
+    evaluatePrediction({ id: 1, cameraId: 3, model: 'leaf-spot', timestamp: new Date().toISOString(), result: { label: 'mildew', confidence: 0.9 } });
+
+    assert.equal(queryAlerts().total, 1);
+    assert.equal(queryAlerts({ ruleId: String(rule.id) }).items[0].label, 'mildew');
+    assert.equal(queryAlerts({ from: '2000-01-01T00:00:00Z', to: '2000-01-02T00:00:00Z' }).total, 0);
+});
+
+test('unparseable from and to are reported by name', () => {
+    assert.throws(() => queryAlerts({ from: 'this morning' }), { message: 'from must be an ISO timestamp' });
+    assert.throws(() => queryAlerts({ to: '31/12/2024' }), { message: 'to must be an ISO timestamp' });
+});
+
+test('a rule whose region was deleted can still be disabled and deleted', () => {
+    const region = createRegion(4, { name: 'Tray A', points: [{ x: 0, y: 0 }, { x: 0.5, y: 0.5 }] });
+    const rule = createRule({ name: 'Tray A mildew', regionId: region.id });
+    assert.equal(rule.cameraId, 4);
+    assert.throws(() => updateRule(rule.id, { cameraId: 5 }), { message: `region ${region.id} belongs to camera 4, not camera 5` });
+
+    deleteRegion(4, region.id);
+    assert.equal(updateRule(rule.id, { enabled: false }).enabled, false);
+    assert.throws(() => updateRule(rule.id, { regionId: region.id + 1 }), { message: `region ${region.id + 1} does not exist` });
+    assert.ok(deleteRule(rule.id));
+    assert.equal(getRule(rule.id), null);
+});
+
+test('replayed predictions count towards hit windows and cooldowns when they arrive', () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.UTC(2024, 5, 2, 12) });
+    try {
+        const rule = createRule({ name: 'Rust twice', label: 'rust', cameraId: 7, hitCount: 2, windowMinutes: 10, cooldownMinutes: 30 });
+        // Captured a minute apart during an outage that ended hours later
+        const replay = minute => ({ cameraId: 7, model: 'leaf-spot', timestamp: new Date(Date.UTC(2024, 5, 2, 8, minute)).toISOString(), result: { label: 'rust', confidence: 0.7 } });
+
+        assert.deepEqual(evaluatePrediction(replay(0)), []);
+        mock.timers.tick(11 * 60 * 1000);
+        assert.deepEqual(evaluatePrediction(replay(1)), []);
+        const [alert] = evaluatePrediction(replay(2));
+        assert.equal(alert.ruleId, rule.id);
+        assert.equal(alert.triggeredAt, '2024-06-02T12:11:00.000Z');
+
+        // Still cooling down, whatever the capture times say
+        mock.timers.tick(20 * 60 * 1000);
+        evaluatePrediction(replay(40));
+        assert.deepEqual(evaluatePrediction(replay(41)), []);
+    } finally {
+        mock.timers.reset();
+    }
+});
@@ -0,0 +1,126 @@
+import { test, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The data directory and config file are read at import time; the stream
+// secret is generated into it on first use
+const dataDir = mkdtempSync(path.join(os.tmpdir(), 'vertiplant-auth-'));
+process.env.VERTIPLANT_DATA_DIR = dataDir;
+process.env.VERTIPLANT_CONFIG_FILE = path.join(dataDir, 'vertiplant.config.json');
+delete process.env.VERTIPLANT_STREAM_SECRET;
+delete process.env.VERTIPLANT_AUTH_DISABLED;
+
+const { signStreamPath, verifyStreamRequest, signApiPath, verifyApiRequest } = await import('../lib/stream-auth.js');
+const { createUser, updateUser, deleteUser, login, logout, createApiKey, issueTicket, authenticate, requireRole } = await import('../lib/auth.js');
+const { closeDatabase } = await import('../lib/database.js');
+
+after(() => {
+    closeDatabase();
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+function url(pathAndQuery) {
+    return new URL(pathAndQuery, 'http://localhost:20000');
+}
+
+// Just enough of an express request; resolves with req.auth or the error status
+function check(middleware, { headers = {}, pathAndQuery = '/api/cameras', method = 'GET', auth } = {}) {
+    const parsed = url(pathAndQuery);
+    const req = {
+        method,
+        path: parsed.pathname,
+        originalUrl: `${parsed.pathname}${parsed.search}`,
+        query: Object.fromEntries(parsed.searchParams),
+        auth,
+        get: name => headers[name.toLowerCase()]
+    };
+    return new Promise((resolve) => {
+        const res = {
+            status(code) {
+                return { json: () => resolve(code) };
+            }
+        };
+        middleware(req, res, () => resolve(req.auth));
+    });
+}
+
+test('stream URLs are signed per camera and path and stay the same within a window', () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.UTC(2024, 0, 1, 12, 0, 10) });
+    try {
+        const signed = signStreamPath(3, '/stream');
+        assert.ok(verifyStreamRequest(3, url(signed)));
+        assert.ok(!verifyStreamRequest(4, url(signed)));
+        assert.ok(!verifyStreamRequest(3, url(signed.replace('/stream', '/snapshot.jpg'))));
+        assert.ok(!verifyStreamRequest(3, url('/stream')));
+
+        mock.timers.tick(60 * 1000);
+        assert.equal(signStreamPath(3, '/stream'), signed);
+
+        // Expires 10 minutes after the end of the 5-minute window it was signed in
+        mock.timers.setTime(Date.UTC(2024, 0, 1, 12, 15, 0));
+        assert.ok(verifyStreamRequest(3, url(signed)));
+        mock.timers.tick(1000);
+        assert.ok(!verifyStreamRequest(3, url(signed)));
+    } finally {
+        mock.timers.reset();
+    }
+
+    // Generated once and shared with the other process through the data directory
+    assert.match(readFileSync(path.join(dataDir, 'stream-secret'), 'utf8'), /^[0-9a-f]{64}$/);
+});
+
+test('signed API URLs cover every query parameter', () => {
+    const signed = signApiPath('/api/export', { format: 'csv', cameraId: '2' });
+    assert.ok(verifyApiRequest(url(signed)));
+    assert.ok(!verifyApiRequest(url(signed.replace('cameraId=2', 'cameraId=3'))));
+    assert.ok(!verifyApiRequest(url(`${signed}&limit=100000`)));
+    // A stream signature is no good for the API
+    assert.ok(!verifyApiRequest(url(signStreamPath('api', '/api/export'))));
+});
+
+test('sessions and API keys authenticate from headers only', async () => {
+    await createUser({ username: 'grower', password: 'correct horse', role: 'viewer' });
+    assert.equal(await login('grower', 'wrong password'), null);
+
+    const session = await login('grower', 'correct horse');
+    assert.deepEqual(await check(authenticate, { headers: { authorization: `Bearer ${session.token}` } }), { username: 'grower', role: 'viewer', via: 'session' });
+    assert.equal(await check(authenticate, { pathAndQuery: `/api/cameras?token=${session.token}` }), 401);
+
+    const { key } = createApiKey({ name: 'home-assistant', role: 'admin' });
+    assert.deepEqual(await check(authenticate, { headers: { 'x-api-key': key } }), { username: 'api-key:home-assistant', role: 'admin', via: 'api-key' });
+
+    logout(session.token);
+    assert.equal(await check(authenticate, { headers: { authorization: `Bearer ${session.token}` } }), 401);
+});
+
+test('changing a password signs the user out and the last admin stays', async () => {
+    await createUser({ username: 'owner', password: 'first password', role: 'admin' });
+    const session = await login('owner', 'first password');
+
+    await updateUser('owner', { password: 'second password' });
+    assert.equal(await check(authenticate, { headers: { authorization: `Bearer ${session.token}` } }), 401);
+    assert.ok(await login('owner', 'second password'));
+
+    await assert.rejects(updateUser('owner', { role: 'viewer' }), { message: 'Cannot demote the last admin' });
+    assert.throws(() => deleteUser('owner'), { message: 'Cannot delete the last admin' });
+});
+
+test('tickets and signed URLs let GETs through as described', async () => {
+    const { ticket } = issueTicket({ username: 'grower', role: 'viewer', via: 'session' }, '/api/events');
+    assert.equal(await check(authenticate, { pathAndQuery: `/api/logs?ticket=${ticket}` }), 401);
+    // Used up by the wrong path above
+    assert.equal(await check(authenticate, { pathAndQuery: `/api/events?ticket=${ticket}` }), 401);
+
+    const { ticket: fresh } = issueTicket({ username: 'grower', role: 'viewer', via: 'session' }, '/api/events');
+    assert.equal((await check(authenticate, { pathAndQuery: `/api/events?ticket=${fresh}` })).username, 'grower');
+    assert.equal(await check(authenticate, { pathAndQuery: `/api/events?ticket=${fresh}` }), 401);
+
+    const signed = signApiPath('/api/reports/daily', { date: '2024-06-01' });
+    assert.equal((await check(authenticate, { pathAndQuery: signed })).via, 'signed-url');
+    assert.equal(await check(authenticate, { pathAndQuery: signed, method: 'DELETE' }), 401);
+
+    assert.equal(await check(requireRole('admin'), { auth: { role: 'viewer' } }), 403);
+    assert.equal((await check(requireRole('viewer'), { auth: { role: 'admin' } })).role, 'admin');
+});
@@ -0,0 +1,143 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The presets file lives in the data directory, read at import time
+const dataDir = mkdtempSync(path.join(os.tmpdir(), 'vertiplant-controls-'));
+process.env.VERTIPLANT_DATA_DIR = dataDir;
+
+const {
+    setV4l2Runner,
+    listControls,
+    setControls,
+    getPresets,
+    savePreset,
+    applyPreset,
+    deletePreset,
+    applyStartupPreset
+} = await import('../lib/camera-controls.js');
+
+const camera = { id: 1, type: 'v4l2', device: '/dev/video0' };
+const presetsFile = path.join(dataDir, 'camera-presets.json');
+
+// A camera answering like v4l2-ctl, with the calls it received
+let values;
+let calls;
+
+function fakeV4l2Ctl(args) {
+    calls.push(args);
+    const set = args.find(arg => arg.startsWith('--set-ctrl='));
+    if (set) {
+        const [name, value] = set.slice('--set-ctrl='.length).split('=');
+        if (name === 'focus_absolute') {
+            return Promise.reject(new Error('VIDIOC_S_EXT_CTRLS: failed: Input/output error'));
+        }
+        values[name] = Number(value);
+        return Promise.resolve('');
+    }
+
+    return Promise.resolve([
+        'User Controls',
+        '',
+        `                     brightness 0x00980900 (int)    : min=-64 max=64 step=1 default=0 value=${values.brightness}`,
+        `                           gain 0x00980913 (int)    : min=0 max=100 step=1 default=0 value=${values.gain} flags=inactive`,
+        `                  auto_exposure 0x009a0901 (menu)   : min=0 max=3 default=3 value=${values.auto_exposure}`,
+        '                                1: Manual Mode',
+        '                                3: Aperture Priority Mode',
+        `                 focus_absolute 0x009a090a (int)    : min=0 max=255 step=5 default=0 value=${values.focus_absolute}`,
+        '                     pixel_rate 0x009f0902 (int64)  : min=0 max=0 step=1 default=0 value=0 flags=read-only'
+    ].join('\n'));
+}
+
+beforeEach(() => {
+    values = { brightness: 0, gain: 10, auto_exposure: 3, focus_absolute: 0 };
+    calls = [];
+    setV4l2Runner(fakeV4l2Ctl);
+    rmSync(presetsFile, { force: true });
+});
+
+after(() => {
+    setV4l2Runner(null);
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('lists controls with their ranges, flags and menus', async () => {
+    const controls = await listControls(camera);
+    assert.deepEqual(controls.map(control => control.name), ['brightness', 'gain', 'auto_exposure', 'focus_absolute', 'pixel_rate']);
+    assert.equal(controls[1].inactive, true);
+    assert.deepEqual(controls[2].menu, [{ value: 1, label: 'Manual Mode' }, { value: 3, label: 'Aperture Priority Mode' }]);
+    assert.equal(controls[4].readOnly, true);
+    await assert.rejects(listControls({ id: 2, type: 'rtsp' }), /only available for V4L2 cameras/);
+});
+
+test('sets auto modes first and rejects out-of-range values', async () => {
+    await setControls(camera, { brightness: 10, auto_exposure: 1 });
+    const sets = calls.filter(args => args[2].startsWith('--set-ctrl='));
+    assert.deepEqual(sets.map(args => args[2]), ['--set-ctrl=auto_exposure=1', '--set-ctrl=brightness=10']);
+
+    await assert.rejects(setControls(camera, { brightness: 100 }), /brightness must be between -64 and 64/);
+    await assert.rejects(setControls(camera, { auto_exposure: 2 }), /auto_exposure must be one of 1, 3/);
+    await assert.rejects(setControls(camera, { pixel_rate: 1 }), /pixel_rate is read-only/);
+    await assert.rejects(setControls(camera, { focus_absolute: 5, brightness: 5 }), /The camera refused focus_absolute/);
+    assert.equal(values.brightness, 5);
+});
+
+test('saves the current settings as a preset, skipping inactive and read-only controls', async () => {
+    const saved = await savePreset(camera, 'Daylight', undefined);
+    assert.deepEqual(saved, {
+        startupPreset: null,
+        presets: [{ name: 'Daylight', controls: { brightness: 0, auto_exposure: 3, focus_absolute: 0 } }]
+    });
+
+    await savePreset(camera, 'Night', { brightness: 40, gain: 80 });
+    assert.deepEqual((await getPresets(1)).presets.map(preset => preset.name), ['Daylight', 'Night']);
+    await assert.rejects(savePreset(camera, 'a/b', {}), /Preset names are/);
+    await assert.rejects(savePreset(camera, 'Bad', { brightness: 1000 }), /brightness must be between/);
+});
+
+test('applying a preset sets it as the startup preset', async () => {
+    await savePreset(camera, 'Night', { brightness: 40, gain: 80 });
+    assert.equal(await applyPreset(camera, 'Missing'), null);
+
+    const controls = await applyPreset(camera, 'Night');
+    assert.equal(controls.find(control => control.name === 'brightness').value, 40);
+    assert.equal((await getPresets(1)).startupPreset, 'Night');
+    assert.equal(JSON.parse(readFileSync(presetsFile, 'utf8')).cameras[1].startupPreset, 'Night');
+
+    // The stream restarts after the camera lost its settings
+    values.brightness = 0;
+    assert.equal(await applyStartupPreset(camera), 'Night');
+    assert.equal(values.brightness, 40);
+    assert.equal(await applyStartupPreset({ ...camera, id: 2 }), null);
+});
+
+test('deleting the startup preset clears it', async () => {
+    await savePreset(camera, 'Night', { brightness: 40 });
+    await applyPreset(camera, 'Night');
+
+    assert.equal(await deletePreset(1, 'Missing'), false);
+    assert.equal(await deletePreset(1, 'Night'), true);
+    assert.deepEqual(await getPresets(1), { startupPreset: null, presets: [] });
+    assert.equal(await applyStartupPreset(camera), null);
+});
+
+test('prototype property names are ordinary preset names', async () => {
+    for (const name of ['constructor', '__proto__', 'toString']) {
+        assert.equal(await applyPreset(camera, name), null);
+        assert.equal(await deletePreset(1, name), false);
+    }
+
+    await savePreset(camera, 'constructor', { brightness: 7 });
+    await savePreset(camera, '__proto__', { brightness: 9 });
+    assert.deepEqual((await getPresets(1)).presets, [
+        { name: 'constructor', controls: { brightness: 7 } },
+        { name: '__proto__', controls: { brightness: 9 } }
+    ]);
+
+    await applyPreset(camera, '__proto__');
+    assert.equal(values.brightness, 9);
+    assert.equal(await deletePreset(1, 'constructor'), true);
+    assert.deepEqual((await getPresets(1)).presets.map(preset => preset.name), ['__proto__']);
+});
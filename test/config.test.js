@@ -0,0 +1,95 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, readFileSync, existsSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The config file path is read at import time
+const dataDir = mkdtempSync(path.join(os.tmpdir(), 'vertiplant-config-'));
+const configFile = path.join(dataDir, 'vertiplant.config.json');
+process.env.VERTIPLANT_DATA_DIR = dataDir;
+process.env.VERTIPLANT_CONFIG_FILE = configFile;
+process.env.VERTIPLANT_STREAM_JPEG_QUALITY = '4';
+writeFileSync(configFile, JSON.stringify({ streams: { fps: 12, jpegQuality: 20 }, server: { port: 9100 } }));
+
+const { getConfig, reloadConfig, updateConfig, onConfigChange, describeConfig } = await import('../lib/config.js');
+const { getRecentProblems } = await import('../lib/logger.js');
+
+function readFile() {
+    return JSON.parse(readFileSync(configFile, 'utf8'));
+}
+
+function setting(key) {
+    return describeConfig().settings.find(entry => entry.key === key);
+}
+
+after(() => {
+    delete process.env.VERTIPLANT_STREAM_JPEG_QUALITY;
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('the environment overrides the file, which overrides the defaults', () => {
+    const { streams } = getConfig();
+    assert.equal(streams.jpegQuality, 4);
+    assert.equal(streams.fps, 12);
+    assert.equal(streams.basePort, 20000);
+    assert.deepEqual(
+        ['streams.jpegQuality', 'streams.fps', 'streams.basePort'].map(key => setting(key).source),
+        ['env', 'file', 'default']
+    );
+});
+
+test('startup-only, env-set and invalid settings are rejected and the file left alone', () => {
+    const before = readFileSync(configFile, 'utf8');
+
+    assert.throws(() => updateConfig({ server: { port: 9200 } }), {
+        message: `server.port is only read at startup; change it in ${configFile} and restart`
+    });
+    assert.throws(() => updateConfig({ streams: { jpegQuality: 10 } }), {
+        message: 'streams.jpegQuality is set by the VERTIPLANT_STREAM_JPEG_QUALITY environment variable'
+    });
+    // Nothing is applied when any key in the patch is bad
+    assert.throws(() => updateConfig({ streams: { fps: 10 }, nope: true }), { message: 'unknown setting nope' });
+    assert.throws(() => updateConfig({ streams: { fps: 0 } }), { message: 'streams.fps must be an integer >= 1 and <= 30' });
+
+    assert.equal(readFileSync(configFile, 'utf8'), before);
+    assert.equal(getConfig().streams.fps, 12);
+});
+
+test('updates are written through a temp file and keep what the file already had', () => {
+    const description = updateConfig({ streams: { fps: 8 } });
+
+    assert.equal(existsSync(`${configFile}.tmp`), false);
+    // The env value is not copied into the file
+    assert.deepEqual(readFile(), { streams: { fps: 8, jpegQuality: 20 }, server: { port: 9100 } });
+    assert.equal(description.values.streams.fps, 8);
+    assert.equal(getConfig().streams.fps, 8);
+});
+
+test('a failing listener is logged and the others still hear about the change', () => {
+    const heard = [];
+    onConfigChange(() => {
+        throw new Error('listener bug');
+    });
+    onConfigChange(changed => heard.push(changed));
+
+    updateConfig({ streams: { fps: 6 } });
+    assert.deepEqual(heard, [['streams.fps']]);
+    const [problem] = getRecentProblems({ component: 'config' });
+    assert.equal(problem.message, 'Error applying configuration change');
+
+    // Changes made to the file by hand arrive through reloadConfig()
+    writeFileSync(configFile, JSON.stringify({ ...readFile(), predictions: { defaultIntervalSeconds: 30 } }));
+    assert.deepEqual(reloadConfig(), ['predictions.defaultIntervalSeconds']);
+    assert.deepEqual(heard, [['streams.fps'], ['predictions.defaultIntervalSeconds']]);
+    assert.deepEqual(reloadConfig(), []);
+});
+
+test('secrets are masked in the description', () => {
+    writeFileSync(configFile, JSON.stringify({ ...readFile(), mqtt: { password: 'hunter2' } }));
+    reloadConfig();
+
+    assert.equal(getConfig().mqtt.password, 'hunter2');
+    assert.equal(describeConfig().values.mqtt.password, '********');
+    assert.equal(describeConfig().values.mqtt.username, null);
+});
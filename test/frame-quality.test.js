@@ -0,0 +1,25 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The data directory and config file are read at import time
+const dataDir = mkdtempSync(path.join(os.tmpdir(), 'vertiplant-quality-'));
+process.env.VERTIPLANT_DATA_DIR = dataDir;
+process.env.VERTIPLANT_CONFIG_FILE = path.join(dataDir, 'vertiplant.config.json');
+
+const { querySkippedFrames } = await import('../lib/frame-quality.js');
+const { closeDatabase } = await import('../lib/database.js');
+
+after(() => {
+    closeDatabase();
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('skipped frames reject unknown reasons and unparseable from and to', () => {
+    assert.equal(querySkippedFrames({ from: '2024-06-01T00:00:00Z', to: '2024-06-02T00:00:00Z' }).total, 0);
+    assert.throws(() => querySkippedFrames({ reason: 'ugly' }), /^Error: reason must be one of: /);
+    assert.throws(() => querySkippedFrames({ from: 'an hour ago' }), { message: 'from must be an ISO timestamp' });
+    assert.throws(() => querySkippedFrames({ to: 'tomorrow' }), { message: 'to must be an ISO timestamp' });
+});
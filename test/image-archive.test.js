@@ -0,0 +1,92 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, existsSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The data directory and config file are read at import time. There is no
+// free-space floor, so the disk of the machine running the tests never prunes.
+const dataDir = mkdtempSync(path.join(os.tmpdir(), 'vertiplant-archive-'));
+process.env.VERTIPLANT_DATA_DIR = dataDir;
+process.env.VERTIPLANT_CONFIG_FILE = path.join(dataDir, 'vertiplant.config.json');
+writeFileSync(process.env.VERTIPLANT_CONFIG_FILE, JSON.stringify({
+    archive: { negativeRetentionDays: 7, positiveRetentionDays: 30, quotaMb: 2048, minFreeDiskMb: 0 }
+}));
+
+const { saveFrame, markFramePositive, queryArchive, pruneArchive, getArchiveStats, IMAGES_DIR } = await import('../lib/image-archive.js');
+const { insertPrediction, getPrediction } = await import('../lib/prediction-store.js');
+const { updateConfig } = await import('../lib/config.js');
+const { closeDatabase } = await import('../lib/database.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+function ago(ms) {
+    return new Date(Date.now() - ms).toISOString();
+}
+
+function archivedPaths(cameraId) {
+    return queryArchive({ cameraId: String(cameraId) }).items.map(item => item.path);
+}
+
+after(() => {
+    closeDatabase();
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('archived frames filter by camera, time range and positive', async () => {
+    const frame = Buffer.from('jpeg');
+    await saveFrame(1, '2024-06-01T08:00:00.000Z', frame);
+    const positive = await saveFrame(1, '2024-06-01T09:00:00.000Z', frame);
+    await saveFrame(2, '2024-06-01T10:00:00.000Z', frame);
+    markFramePositive(positive);
+
+    assert.equal(queryArchive({ cameraId: '1' }).total, 2);
+    assert.deepEqual(queryArchive({ from: '2024-06-01T08:30:00Z', to: '2024-06-01T09:30:00Z' }).items.map(item => item.path), [positive]);
+    assert.deepEqual(queryArchive({ positive: 'false' }).items.map(item => item.cameraId), [2, 1]);
+});
+
+test('unparseable from and to are reported by name', () => {
+    assert.throws(() => queryArchive({ from: 'last week' }), { message: 'from must be an ISO timestamp' });
+    assert.throws(() => queryArchive({ to: 'now' }), { message: 'to must be an ISO timestamp' });
+});
+
+test('pruning drops frames past their retention and detaches them from predictions', async () => {
+    const frame = Buffer.from('jpeg');
+    const expiredNegative = await saveFrame(5, ago(8 * DAY_MS), frame);
+    const recentNegative = await saveFrame(5, ago(2 * DAY_MS), frame);
+    const olderPositive = await saveFrame(5, ago(20 * DAY_MS), frame);
+    const expiredPositive = await saveFrame(5, ago(31 * DAY_MS), frame);
+    markFramePositive(olderPositive);
+    markFramePositive(expiredPositive);
+    const prediction = insertPrediction({ cameraId: 5, model: 'leaf-spot', timestamp: ago(8 * DAY_MS), result: { label: 'healthy' }, imagePath: expiredNegative });
+
+    await pruneArchive();
+
+    assert.deepEqual(archivedPaths(5), [recentNegative, olderPositive]);
+    assert.equal(existsSync(path.join(IMAGES_DIR, expiredNegative)), false);
+    assert.equal(existsSync(path.join(IMAGES_DIR, expiredPositive)), false);
+    assert.equal(existsSync(path.join(IMAGES_DIR, olderPositive)), true);
+    assert.equal(getPrediction(prediction.id).imagePath, null);
+});
+
+test('over the quota the oldest negatives go first, positives only when nothing else is left', async () => {
+    const frame = Buffer.alloc(400 * 1024);
+    const firstNegative = await saveFrame(6, ago(5 * HOUR_MS), frame);
+    const positive = await saveFrame(6, ago(4 * HOUR_MS), frame);
+    const secondNegative = await saveFrame(6, ago(3 * HOUR_MS), frame);
+    const newestNegative = await saveFrame(6, ago(2 * HOUR_MS), frame);
+    markFramePositive(positive);
+
+    updateConfig({ archive: { quotaMb: 1 } });
+    await pruneArchive();
+    assert.deepEqual(archivedPaths(6), [newestNegative, positive]);
+    assert.equal(existsSync(path.join(IMAGES_DIR, firstNegative)), false);
+    assert.equal(existsSync(path.join(IMAGES_DIR, secondNegative)), false);
+    assert.ok(getArchiveStats().totalBytes <= 1024 * 1024);
+
+    updateConfig({ archive: { quotaMb: 0.1 } });
+    await pruneArchive();
+    assert.deepEqual(archivedPaths(6), []);
+    assert.equal(getArchiveStats().files, 0);
+});
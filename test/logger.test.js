@@ -0,0 +1,33 @@
+import { test, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The log directory is read at import time
+const dataDir = mkdtempSync(path.join(os.tmpdir(), 'vertiplant-logger-'));
+process.env.VERTIPLANT_DATA_DIR = dataDir;
+
+const { configureLogging, createLogger, queryLogs } = await import('../lib/logger.js');
+
+after(() => {
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('log queries filter by time and reject unparseable since and until', async () => {
+    configureLogging({ processName: 'server' });
+    const log = createLogger('test');
+    mock.timers.enable({ apis: ['Date'], now: Date.UTC(2024, 5, 1, 8) });
+    try {
+        log.info('morning');
+        mock.timers.tick(4 * 60 * 60 * 1000);
+        log.info('noon');
+    } finally {
+        mock.timers.reset();
+    }
+
+    const entries = await queryLogs({ component: 'test', since: '2024-06-01T10:00:00Z' });
+    assert.deepEqual(entries.map(entry => entry.message), ['noon']);
+    await assert.rejects(queryLogs({ since: 'an hour ago' }), { message: 'since must be an ISO timestamp' });
+    await assert.rejects(queryLogs({ until: 'now' }), { message: 'until must be an ISO timestamp' });
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createJpegFrameParser } from '../lib/mjpeg-parser.js';
+
+function jpeg(body) {
+    return Buffer.concat([Buffer.from([0xff, 0xd8]), Buffer.from(body), Buffer.from([0xff, 0xd9])]);
+}
+
+function parse(chunks) {
+    const frames = [];
+    const push = createJpegFrameParser(frame => frames.push(frame));
+    chunks.forEach(chunk => push(chunk));
+    return frames;
+}
+
+test('splits several frames out of one chunk and skips bytes between them', () => {
+    const stream = Buffer.concat([Buffer.from('noise'), jpeg('one'), Buffer.from([0x00, 0xff]), jpeg('two')]);
+    assert.deepEqual(parse([stream]), [jpeg('one'), jpeg('two')]);
+});
+
+test('reassembles frames whatever the chunk boundaries, including inside a marker', () => {
+    const stream = Buffer.concat([jpeg('first frame'), jpeg('second frame')]);
+    for (let size = 1; size <= stream.length; size++) {
+        const chunks = [];
+        for (let offset = 0; offset < stream.length; offset += size) {
+            chunks.push(stream.subarray(offset, offset + size));
+        }
+        assert.deepEqual(parse(chunks), [jpeg('first frame'), jpeg('second frame')], `chunks of ${size} bytes`);
+    }
+});
+
+test('frames are copies that outlive the chunks they came from', () => {
+    const chunk = Buffer.concat([jpeg('frame'), Buffer.from([0xff, 0xd8])]);
+    const [frame] = parse([chunk]);
+    chunk.fill(0);
+    assert.deepEqual(frame, jpeg('frame'));
+});
+
+test('drops a frame that never ends once it outgrows the buffer and picks up again', () => {
+    const runaway = Buffer.alloc(9 * 1024 * 1024, 0x41);
+    runaway[0] = 0xff;
+    runaway[1] = 0xd8;
+    assert.deepEqual(parse([runaway, Buffer.from([0xff, 0xd9]), jpeg('next')]), [jpeg('next')]);
+});
@@ -0,0 +1,122 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { Aedes } from 'aedes';
+import mqtt from 'mqtt';
+
+// The config file is read at import time
+const dataDir = mkdtempSync(path.join(os.tmpdir(), 'vertiplant-mqtt-'));
+process.env.VERTIPLANT_DATA_DIR = dataDir;
+process.env.VERTIPLANT_CONFIG_FILE = path.join(dataDir, 'vertiplant.config.json');
+
+const { startMqttPublisher, stopMqttPublisher, getMqttOptions, getMqttStatus } = await import('../lib/mqtt-publisher.js');
+const { publishEvent } = await import('../lib/event-stream.js');
+
+const PREFIX = 'vertiplant/test-node';
+
+let broker;
+let server;
+let url;
+const published = [];
+
+async function waitFor(condition, timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting for the broker');
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+function messagesOn(topic) {
+    return published.filter(packet => packet.topic === `${PREFIX}/${topic}`);
+}
+
+// What a newly connected subscriber gets for `topic`, i.e. the retained message
+async function retainedMessage(topic) {
+    const subscriber = mqtt.connect(url, { clientId: `subscriber-${Date.now()}` });
+    try {
+        return await new Promise((resolve, reject) => {
+            subscriber.on('message', (_topic, payload, packet) => resolve({ payload: payload.toString(), retain: packet.retain }));
+            subscriber.subscribe(`${PREFIX}/${topic}`, error => error && reject(error));
+        });
+    } finally {
+        subscriber.end(true);
+    }
+}
+
+before(async () => {
+    broker = await Aedes.createBroker();
+    broker.on('publish', (packet) => {
+        if (packet.topic.startsWith(`${PREFIX}/`)) {
+            published.push({ topic: packet.topic, payload: packet.payload.toString(), qos: packet.qos, retain: packet.retain });
+        }
+    });
+    server = net.createServer(broker.handle);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `mqtt://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await stopMqttPublisher();
+    await new Promise(resolve => broker.close(resolve));
+    server.close();
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('no broker configured means no publisher', () => {
+    assert.equal(getMqttOptions({ url: null }), null);
+    assert.equal(startMqttPublisher(null, () => ({})), false);
+    assert.deepEqual(getMqttStatus(), { enabled: false });
+});
+
+test('publishes events under the topic prefix with the configured QoS', async () => {
+    const options = getMqttOptions({ url, clientId: 'test-node', topicPrefix: `${PREFIX}/`, qos: 1 });
+    assert.equal(options.topicPrefix, PREFIX);
+    assert.equal(startMqttPublisher(options, () => ({ state: 'ok' })), true);
+
+    await waitFor(() => messagesOn('status').length === 1);
+    assert.deepEqual(messagesOn('availability')[0], { topic: `${PREFIX}/availability`, payload: 'online', qos: 1, retain: true });
+    assert.deepEqual(JSON.parse(messagesOn('status')[0].payload), { state: 'ok' });
+    assert.equal(getMqttStatus().connected, true);
+
+    publishEvent('prediction', { cameraId: 3, model: 'leaf spot/v2', label: 'healthy' });
+    publishEvent('alert', { ruleId: 1 });
+    publishEvent('camera-removed', { id: 3 });
+    await waitFor(() => messagesOn('cameras/3/health').length === 1);
+
+    const [byCamera] = messagesOn('cameras/3/predictions');
+    const [byModel] = messagesOn('models/leaf_spot_v2/predictions');
+    assert.equal(byCamera.qos, 1);
+    assert.equal(byCamera.retain, false);
+    assert.equal(JSON.parse(byCamera.payload).label, 'healthy');
+    assert.equal(byModel.payload, byCamera.payload);
+    assert.equal(messagesOn('alerts').length, 1);
+    assert.deepEqual(messagesOn('cameras/3/health')[0], { topic: `${PREFIX}/cameras/3/health`, payload: '{"state":"removed"}', qos: 1, retain: true });
+
+    assert.deepEqual(await retainedMessage('status'), { payload: '{"state":"ok"}', retain: true });
+    assert.deepEqual(await retainedMessage('availability'), { payload: 'online', retain: true });
+});
+
+test('the last will marks the node offline and messages wait for the reconnect', async () => {
+    broker.clients['test-node'].conn.destroy();
+    await waitFor(() => messagesOn('availability').at(-1).payload === 'offline');
+    assert.deepEqual(await retainedMessage('availability'), { payload: 'offline', retain: true });
+
+    await waitFor(() => !getMqttStatus().connected);
+    publishEvent('system-error', { message: 'while disconnected' });
+    assert.equal(messagesOn('errors').length, 0);
+
+    // The client reconnects after five seconds and flushes what it buffered
+    await waitFor(() => messagesOn('errors').length === 1 && messagesOn('availability').at(-1).payload === 'online');
+    assert.equal(JSON.parse(messagesOn('errors')[0].payload).message, 'while disconnected');
+});
+
+test('stopping publishes offline before disconnecting', async () => {
+    await stopMqttPublisher();
+    assert.deepEqual(await retainedMessage('availability'), { payload: 'offline', retain: true });
+});
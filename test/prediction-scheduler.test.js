@@ -0,0 +1,122 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The data directory and config file are read at import time
+const dataDir = mkdtempSync(path.join(os.tmpdir(), 'vertiplant-scheduler-'));
+process.env.VERTIPLANT_DATA_DIR = dataDir;
+process.env.VERTIPLANT_CONFIG_FILE = path.join(dataDir, 'vertiplant.config.json');
+
+const {
+    startScheduler,
+    stopScheduler,
+    isSchedulerRunning,
+    triggerNow,
+    getSchedule,
+    setSchedule,
+    resetSchedule,
+    isWithinActiveHours
+} = await import('../lib/prediction-scheduler.js');
+const { closeDatabase } = await import('../lib/database.js');
+
+const camera = { id: 1, name: 'Bench' };
+
+function createHooks(overrides = {}) {
+    const runs = [];
+    return {
+        runs,
+        getCameras: () => [camera],
+        getModels: () => ['leaf-spot', 'early-blight'],
+        isModelEnabled: model => model !== 'early-blight',
+        runCamera: async (target, models, options) => {
+            runs.push({ cameraId: target.id, models, options });
+            return models.map(model => ({ model }));
+        },
+        ...overrides
+    };
+}
+
+after(() => {
+    stopScheduler();
+    closeDatabase();
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('manual runs are refused until the scheduler has started', async () => {
+    assert.equal(isSchedulerRunning(), false);
+    await assert.rejects(triggerNow(camera), /has not started yet/);
+});
+
+test('manual runs use the enabled scheduled models and are marked manual', async () => {
+    const hooks = createHooks();
+    startScheduler(hooks);
+    try {
+        assert.equal(isSchedulerRunning(), true);
+        const results = await triggerNow(camera);
+        assert.deepEqual(results, [{ model: 'leaf-spot' }]);
+        assert.deepEqual(hooks.runs, [{ cameraId: 1, models: ['leaf-spot'], options: { manual: true } }]);
+
+        await triggerNow(camera, ['early-blight']);
+        assert.deepEqual(hooks.runs[1].models, ['early-blight']);
+    } finally {
+        stopScheduler();
+    }
+});
+
+test('a second manual run for a busy camera returns null', async () => {
+    let finish;
+    startScheduler(createHooks({ runCamera: () => new Promise(resolve => { finish = resolve; }) }));
+    try {
+        const first = triggerNow(camera);
+        assert.equal(triggerNow(camera), null);
+        finish([]);
+        await first;
+        assert.notEqual(triggerNow(camera), null);
+        finish([]);
+    } finally {
+        stopScheduler();
+    }
+});
+
+test('setSchedule rejects unknown models, bad intervals and bad active hours', () => {
+    startScheduler(createHooks());
+    try {
+        assert.throws(() => setSchedule(1, { models: [{ name: 'nope', intervalSeconds: 5 }] }), /not an available model/);
+        assert.throws(() => setSchedule(1, { models: [{ name: 'leaf-spot', intervalSeconds: 0 }] }), /intervalSeconds must be a number/);
+        assert.throws(() => setSchedule(1, { models: ['leaf-spot', 'leaf-spot'] }), /same model twice/);
+        assert.throws(() => setSchedule(1, { models: [], activeHours: { start: '25:00', end: '06:00' } }), /HH:MM/);
+
+        const schedule = setSchedule(1, { models: [{ name: 'leaf-spot', intervalSeconds: 30 }], activeHours: { start: '18:00', end: '06:00' } });
+        assert.equal(schedule.isDefault, false);
+        assert.deepEqual(schedule.models, [{ name: 'leaf-spot', intervalSeconds: 30 }]);
+        assert.equal(resetSchedule(1).isDefault, true);
+        assert.deepEqual(getSchedule(1).models.map(model => model.name), ['leaf-spot', 'early-blight']);
+    } finally {
+        stopScheduler();
+    }
+});
+
+test('active hours may wrap midnight', () => {
+    const night = { start: '18:00', end: '06:00' };
+    assert.equal(isWithinActiveHours(night, new Date(2024, 0, 1, 23, 30)), true);
+    assert.equal(isWithinActiveHours(night, new Date(2024, 0, 1, 5, 59)), true);
+    assert.equal(isWithinActiveHours(night, new Date(2024, 0, 1, 6, 0)), false);
+    assert.equal(isWithinActiveHours({ start: '08:00', end: '17:00' }, new Date(2024, 0, 1, 12, 0)), true);
+    assert.equal(isWithinActiveHours({ start: '08:00', end: '17:00' }, new Date(2024, 0, 1, 17, 0)), false);
+    assert.equal(isWithinActiveHours(null), true);
+});
+
+test('the tick runs due models together and skips disabled ones', async () => {
+    const hooks = createHooks();
+    startScheduler(hooks);
+    try {
+        await new Promise(resolve => setTimeout(resolve, 1200));
+        assert.equal(hooks.runs.length, 1);
+        assert.deepEqual(hooks.runs[0], { cameraId: 1, models: ['leaf-spot'], options: {} });
+        assert.ok(getSchedule(1).nextRuns['leaf-spot']);
+    } finally {
+        stopScheduler();
+    }
+});
@@ -0,0 +1,49 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The data directory and config file are read at import time
+const dataDir = mkdtempSync(path.join(os.tmpdir(), 'vertiplant-predictions-'));
+process.env.VERTIPLANT_DATA_DIR = dataDir;
+process.env.VERTIPLANT_CONFIG_FILE = path.join(dataDir, 'vertiplant.config.json');
+
+const { insertPrediction, queryPredictions, insertSystemError, querySystemErrors } = await import('../lib/prediction-store.js');
+const { closeDatabase } = await import('../lib/database.js');
+
+after(() => {
+    closeDatabase();
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+for (let hour = 0; hour < 4; hour++) {
+    const timestamp = new Date(Date.UTC(2024, 5, 1, hour)).toISOString();
+    insertPrediction({ cameraId: 1, model: 'leaf-spot', timestamp, result: { label: hour % 2 ? 'healthy' : 'leaf-spot', confidence: 0.8 } });
+    insertSystemError({ cameraId: hour % 2 ? 1 : null, error: `error ${hour}`, timestamp });
+}
+
+test('predictions filter by time range, label and page', () => {
+    const { items, total } = queryPredictions({ from: '2024-06-01T01:00:00Z', to: '2024-06-01T02:00:00Z' });
+    assert.equal(total, 2);
+    assert.deepEqual(items.map(item => item.timestamp), ['2024-06-01T02:00:00.000Z', '2024-06-01T01:00:00.000Z']);
+
+    assert.equal(queryPredictions({ label: 'healthy' }).total, 2);
+    const page = queryPredictions({ limit: '1', offset: '1' });
+    assert.deepEqual({ total: page.total, limit: page.limit, offset: page.offset }, { total: 4, limit: 1, offset: 1 });
+    assert.equal(page.items[0].timestamp, '2024-06-01T02:00:00.000Z');
+});
+
+test('unparseable from and to are reported by name', () => {
+    assert.throws(() => queryPredictions({ from: 'yesterday' }), { message: 'from must be an ISO timestamp' });
+    assert.throws(() => queryPredictions({ to: '2024-13-45' }), { message: 'to must be an ISO timestamp' });
+    assert.throws(() => querySystemErrors({ from: 'soon' }), { message: 'from must be an ISO timestamp' });
+    assert.throws(() => querySystemErrors({ to: 'later' }), { message: 'to must be an ISO timestamp' });
+});
+
+test('system errors filter by camera, including errors without one', () => {
+    assert.equal(querySystemErrors({ cameraId: 'none' }).total, 2);
+    const { items, total } = querySystemErrors({ cameraId: '1', from: '2024-06-01T02:00:00Z' });
+    assert.equal(total, 1);
+    assert.equal(items[0].error, 'error 3');
+});
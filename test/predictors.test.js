@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { createFallbackPredictor } from '../lib/predictors/fallback-chain.js';
+import { createOnnxPredictor } from '../lib/predictors/onnx-local.js';
+
+const hasOnnxRuntime = await import('onnxruntime-node').then(() => true, () => false);
+
+function failingPredictor(type, retryable) {
+    return {
+        type,
+        describe: () => ({ type }),
+        predict: async () => {
+            const error = new Error(`${type} failed`);
+            if (retryable !== undefined) {
+                error.retryable = retryable;
+            }
+            throw error;
+        }
+    };
+}
+
+// Just enough protobuf to write an ONNX model by hand
+function varint(value) {
+    const bytes = [];
+    let remaining = BigInt(value);
+    do {
+        let byte = Number(remaining & 0x7fn);
+        remaining >>= 7n;
+        if (remaining > 0n) {
+            byte |= 0x80;
+        }
+        bytes.push(byte);
+    } while (remaining > 0n);
+    return Buffer.from(bytes);
+}
+
+const field = (number, value) => Buffer.concat([varint(number << 3), varint(value)]);
+const bytesField = (number, value) => {
+    const data = Buffer.isBuffer(value) ? value : Buffer.from(value);
+    return Buffer.concat([varint((number << 3) | 2), varint(data.length), data]);
+};
+
+function tensorValueInfo(name, dims) {
+    const shape = Buffer.concat(dims.map(dim => bytesField(1, typeof dim === 'string' ? bytesField(2, dim) : field(1, dim))));
+    const tensorType = Buffer.concat([field(1, 1), bytesField(2, shape)]);
+    return Buffer.concat([bytesField(1, name), bytesField(2, bytesField(1, tensorType))]);
+}
+
+// ReduceMean over height and width: the "class scores" are the mean red,
+// green and blue of the frame
+function writeChannelMeanModel(file) {
+    const axes = Buffer.concat([bytesField(1, 'axes'), field(8, 2), field(8, 3), field(20, 7)]);
+    const keepDims = Buffer.concat([bytesField(1, 'keepdims'), field(3, 0), field(20, 2)]);
+    const node = Buffer.concat([
+        bytesField(1, 'image'),
+        bytesField(2, 'scores'),
+        bytesField(4, 'ReduceMean'),
+        bytesField(5, axes),
+        bytesField(5, keepDims)
+    ]);
+    const graph = Buffer.concat([
+        bytesField(1, node),
+        bytesField(2, 'channel-means'),
+        bytesField(11, tensorValueInfo('image', [1, 3, 'height', 'width'])),
+        bytesField(12, tensorValueInfo('scores', [1, 3]))
+    ]);
+    writeFileSync(file, Buffer.concat([field(1, 7), bytesField(7, graph), bytesField(8, field(2, 13))]));
+}
+
+test('fallback chain throws the retryable error when a later backend fails too', async () => {
+    const predictor = createFallbackPredictor({
+        predictors: [failingPredictor('remote', true), failingPredictor('onnx')]
+    });
+
+    await assert.rejects(predictor.predict(Buffer.alloc(0), 'early-blight'), (error) => {
+        assert.equal(error.message, 'remote failed');
+        assert.equal(error.retryable, true);
+        return true;
+    });
+});
+
+test('fallback chain throws the last error when none is retryable', async () => {
+    const predictor = createFallbackPredictor({
+        predictors: [failingPredictor('remote', false), failingPredictor('onnx')]
+    });
+
+    await assert.rejects(predictor.predict(Buffer.alloc(0), 'early-blight'), { message: 'onnx failed' });
+});
+
+test('onnx predictor classifies a frame with a local model', { skip: !hasOnnxRuntime && 'onnxruntime-node is not installed' }, async () => {
+    const dir = mkdtempSync(path.join(os.tmpdir(), 'vertiplant-onnx-'));
+    try {
+        const modelPath = path.join(dir, 'channel-means.onnx');
+        writeChannelMeanModel(modelPath);
+        const predictor = createOnnxPredictor({ modelPath, labels: ['red', 'green', 'blue'], inputSize: 32, applySoftmax: false });
+
+        const frame = await sharp({ create: { width: 64, height: 48, channels: 3, background: '#10e020' } }).jpeg().toBuffer();
+        const result = await predictor.predict(frame, 'channel-means');
+
+        assert.equal(result.backend, 'onnx');
+        assert.equal(result.label, 'green');
+        assert.ok(result.confidence > 0.8);
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('fallback chain moves on to the local model when the remote is down', { skip: !hasOnnxRuntime && 'onnxruntime-node is not installed' }, async () => {
+    const dir = mkdtempSync(path.join(os.tmpdir(), 'vertiplant-onnx-'));
+    try {
+        const modelPath = path.join(dir, 'channel-means.onnx');
+        writeChannelMeanModel(modelPath);
+        const predictor = createFallbackPredictor({
+            predictors: [
+                failingPredictor('remote', true),
+                createOnnxPredictor({ modelPath, labels: ['red', 'green', 'blue'], inputSize: 32, applySoftmax: false })
+            ]
+        });
+
+        const frame = await sharp({ create: { width: 64, height: 48, channels: 3, background: '#e01010' } }).jpeg().toBuffer();
+        const result = await predictor.predict(frame, 'channel-means');
+
+        assert.equal(result.label, 'red');
+        assert.deepEqual(result.fallback.map(entry => entry.backend), ['remote']);
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,100 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { mkdtempSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The data directory and config file are read at import time
+const dataDir = mkdtempSync(path.join(os.tmpdir(), 'vertiplant-broadcaster-'));
+process.env.VERTIPLANT_DATA_DIR = dataDir;
+process.env.VERTIPLANT_CONFIG_FILE = path.join(dataDir, 'vertiplant.config.json');
+
+const { createFrameBroadcaster } = await import('../lib/stream-broadcaster.js');
+
+after(() => {
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+// Just enough of http.IncomingMessage and ServerResponse. A response stays
+// "flushing" (writableNeedDrain) until the test drains it.
+function connect(broadcaster, remoteAddress, latestFrame = null) {
+    const req = Object.assign(new EventEmitter(), { headers: {}, socket: { remoteAddress } });
+    const res = Object.assign(new EventEmitter(), {
+        frames: [],
+        writableNeedDrain: false,
+        destroyed: false,
+        ended: false,
+        writeHead(status, headers) {
+            this.status = status;
+            this.headers = headers;
+        },
+        write(part) {
+            this.frames.push(part.subarray(part.indexOf('\r\n\r\n') + 4).toString());
+        },
+        end() {
+            this.ended = true;
+        }
+    });
+    return { req, res, added: broadcaster.addViewer(req, res, latestFrame) };
+}
+
+test('new viewers get the latest frame straight away and the cap turns the rest away', () => {
+    const broadcaster = createFrameBroadcaster({ id: 1 }, { maxViewers: 2 });
+    const first = connect(broadcaster, '10.0.0.2', Buffer.from('latest'));
+    const second = connect(broadcaster, '10.0.0.3');
+    const third = connect(broadcaster, '10.0.0.4');
+
+    assert.deepEqual([first.added, second.added, third.added], [true, true, false]);
+    assert.equal(first.res.headers['Content-Type'], 'multipart/x-mixed-replace; boundary=--mjpegboundary');
+    assert.deepEqual(first.res.frames, ['latest']);
+    assert.deepEqual(second.res.frames, []);
+    assert.equal(third.res.status, undefined);
+
+    // A viewer leaving frees its slot
+    first.req.emit('close');
+    assert.equal(first.res.ended, true);
+    assert.equal(connect(broadcaster, '10.0.0.4').added, true);
+    assert.equal(broadcaster.getStats().rejectedViewers, 1);
+    broadcaster.closeAll();
+});
+
+test('a viewer still flushing skips frames without holding up the others', () => {
+    const broadcaster = createFrameBroadcaster({ id: 2 }, { maxViewers: 5 });
+    const fast = connect(broadcaster, '10.0.0.2');
+    const slow = connect(broadcaster, '10.0.0.3');
+
+    broadcaster.broadcast(Buffer.from('1'));
+    slow.res.writableNeedDrain = true;
+    broadcaster.broadcast(Buffer.from('2'));
+    broadcaster.broadcast(Buffer.from('3'));
+    slow.res.writableNeedDrain = false;
+    broadcaster.broadcast(Buffer.from('4'));
+
+    assert.deepEqual(fast.res.frames, ['1', '2', '3', '4']);
+    assert.deepEqual(slow.res.frames, ['1', '4']);
+    assert.deepEqual(broadcaster.getStats(), { viewers: 2, maxViewers: 5, rejectedViewers: 0, framesBroadcast: 4, droppedFrames: 2 });
+    assert.deepEqual(broadcaster.getViewers().map(({ remoteAddress, framesSent, droppedFrames }) => ({ remoteAddress, framesSent, droppedFrames })), [
+        { remoteAddress: '10.0.0.2', framesSent: 4, droppedFrames: 0 },
+        { remoteAddress: '10.0.0.3', framesSent: 2, droppedFrames: 2 }
+    ]);
+
+    // A viewer whose write throws is dropped
+    slow.res.write = () => {
+        throw new Error('EPIPE');
+    };
+    broadcaster.broadcast(Buffer.from('5'));
+    assert.equal(broadcaster.getStats().viewers, 1);
+
+    broadcaster.closeAll();
+    assert.equal(fast.res.ended, true);
+    assert.equal(broadcaster.getStats().viewers, 0);
+});
+
+test('stats leave viewer addresses out', () => {
+    const broadcaster = createFrameBroadcaster({ id: 3 }, { maxViewers: 1 });
+    connect(broadcaster, '192.168.1.20');
+    assert.equal(JSON.stringify(broadcaster.getStats()).includes('192.168.1.20'), false);
+    assert.equal(broadcaster.getViewers()[0].remoteAddress, '192.168.1.20');
+    broadcaster.closeAll();
+});
@@ -0,0 +1,146 @@
+import { test, beforeEach, afterEach, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, readFileSync, rmSync, existsSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { performance } from 'perf_hooks';
+import { createStreamSupervisor } from '../lib/stream-supervisor.js';
+
+// A stand-in ffmpeg on the PATH. FAKE_FFMPEG_MODE picks its behaviour:
+// "exit" fails straight away, "stall" sends one frame and then nothing,
+// "hang" sends nothing and ignores SIGTERM. Every SIGTERM is logged.
+const binDir = mkdtempSync(path.join(os.tmpdir(), 'vertiplant-fake-ffmpeg-'));
+const termLog = path.join(binDir, 'sigterm.log');
+writeFileSync(path.join(binDir, 'ffmpeg'), `#!/bin/sh
+case "$FAKE_FFMPEG_MODE" in
+    exit)
+        echo "[error] /dev/video0: No such device" >&2
+        exit 1 ;;
+    hang)
+        trap 'echo TERM >> "$FAKE_FFMPEG_TERM_LOG"' TERM
+        echo "[info] waiting for a device that never answers" >&2 ;;
+    *)
+        trap 'echo TERM >> "$FAKE_FFMPEG_TERM_LOG"; exit 255' TERM
+        printf '\\377\\330\\377\\340frame\\377\\331' ;;
+esac
+while true; do sleep 0.05; done
+`, { mode: 0o755 });
+process.env.PATH = `${binDir}${path.delimiter}${process.env.PATH}`;
+process.env.FAKE_FFMPEG_TERM_LOG = termLog;
+
+const skip = os.platform() === 'win32' && 'the stand-in ffmpeg is a shell script';
+const camera = { id: 1, device: '/dev/video0' };
+let supervisor = null;
+
+// Timers and Date are mocked, so wait on real time and I/O instead
+async function waitFor(condition, timeoutMs = 10000) {
+    const deadline = performance.now() + timeoutMs;
+    while (!condition()) {
+        if (performance.now() > deadline) {
+            throw new Error('Timed out waiting for the fake ffmpeg');
+        }
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+function sigterms() {
+    return existsSync(termLog) ? readFileSync(termLog, 'utf8').split('\n').filter(Boolean).length : 0;
+}
+
+function tickSeconds(seconds) {
+    for (let second = 0; second < seconds; second++) {
+        mock.timers.tick(1000);
+    }
+}
+
+function startSupervisor(mode) {
+    process.env.FAKE_FFMPEG_MODE = mode;
+    supervisor = createStreamSupervisor(camera, () => ['-f', 'v4l2', '-i', camera.device, '-']);
+    const states = [];
+    supervisor.on('state', health => states.push(health.state));
+    supervisor.start();
+    return states;
+}
+
+beforeEach(() => {
+    rmSync(termLog, { force: true });
+    mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: Date.UTC(2024, 0, 1) });
+});
+
+afterEach(async () => {
+    supervisor.stop();
+    // Anything still running after SIGTERM goes at the end of the grace period
+    mock.timers.tick(3000);
+    await waitFor(() => supervisor.getHealth().state === 'stopped');
+    mock.timers.reset();
+});
+
+after(() => {
+    rmSync(binDir, { recursive: true, force: true });
+});
+
+test('failed starts back off exponentially and are reported as failed after five', { skip }, async () => {
+    const states = startSupervisor('exit');
+
+    const delays = [];
+    for (let attempt = 1; attempt <= 8; attempt++) {
+        await waitFor(() => supervisor.getHealth().nextRestartAt !== null);
+        delays.push(Date.parse(supervisor.getHealth().nextRestartAt) - Date.now());
+        mock.timers.tick(delays.at(-1));
+    }
+
+    assert.deepEqual(delays, [1000, 2000, 4000, 8000, 16000, 32000, 60000, 60000]);
+    // Every attempt goes back to "starting" in between
+    assert.deepEqual(states.filter(state => state !== 'starting'), [
+        'stalled', 'stalled', 'stalled', 'stalled', 'failed', 'failed', 'failed', 'failed'
+    ]);
+
+    const health = supervisor.getHealth();
+    assert.equal(health.restarts, 8);
+    assert.equal(health.lastExitCode, 1);
+    assert.equal(health.lastStderrLine, '/dev/video0: No such device');
+});
+
+test('the watchdog restarts an encoder that stops sending frames', { skip }, async () => {
+    const states = startSupervisor('stall');
+    const frames = [];
+    supervisor.on('frame', frame => frames.push(frame));
+    await waitFor(() => supervisor.getHealth().state === 'streaming');
+
+    tickSeconds(10);
+    assert.equal(supervisor.getHealth().state, 'streaming');
+    tickSeconds(1);
+    assert.equal(supervisor.getHealth().state, 'stalled');
+
+    await waitFor(() => supervisor.getHealth().nextRestartAt !== null);
+    assert.equal(sigterms(), 1);
+    assert.equal(supervisor.getHealth().lastExitCode, 255);
+    assert.equal(Date.parse(supervisor.getHealth().nextRestartAt) - Date.now(), 1000);
+
+    mock.timers.tick(1000);
+    await waitFor(() => frames.length === 2);
+    assert.deepEqual(states, ['streaming', 'stalled', 'starting', 'streaming']);
+    assert.equal(supervisor.getHealth().restarts, 1);
+});
+
+test('an encoder ignoring SIGTERM gets one SIGKILL however often the watchdog asks', { skip }, async () => {
+    startSupervisor('hang');
+    // Its SIGTERM trap is in place once it has said something
+    await waitFor(() => supervisor.getHealth().lastStderrLine !== null);
+
+    // No frames within 15s of starting
+    tickSeconds(16);
+    await waitFor(() => sigterms() === 1);
+
+    // The watchdog keeps finding it in "starting" and asks again every second
+    tickSeconds(2);
+    const stillRunning = performance.now() + 300;
+    await waitFor(() => performance.now() > stillRunning);
+    assert.equal(sigterms(), 1);
+    assert.notEqual(supervisor.getHealth().pid, null);
+
+    tickSeconds(1);
+    await waitFor(() => supervisor.getHealth().nextRestartAt !== null);
+    assert.equal(supervisor.getHealth().lastExitCode, 'SIGKILL');
+    assert.equal(sigterms(), 1);
+});
@@ -0,0 +1,107 @@
+import { test, afterEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// The data directory and config file are read at import time. Memory and disk
+// warnings are switched off unless a test turns them on; CPU load depends on
+// the machine running the tests, so it is left out of the comparisons.
+const dataDir = mkdtempSync(path.join(os.tmpdir(), 'vertiplant-telemetry-'));
+process.env.VERTIPLANT_DATA_DIR = dataDir;
+process.env.VERTIPLANT_CONFIG_FILE = path.join(dataDir, 'vertiplant.config.json');
+writeFileSync(process.env.VERTIPLANT_CONFIG_FILE, JSON.stringify({
+    system: { sampleIntervalSeconds: 2, warnTemperatureC: 70, warnCpuPercent: 100, warnMemoryPercent: 100, warnDiskFreePercent: 0 }
+}));
+
+const { startTelemetry, stopTelemetry, getTelemetry } = await import('../lib/system-telemetry.js');
+const { updateConfig } = await import('../lib/config.js');
+
+function fakeThermalDir(zones) {
+    const dir = mkdtempSync(path.join(dataDir, 'thermal-'));
+    zones.forEach(([type, milliCelsius], index) => {
+        mkdirSync(path.join(dir, `thermal_zone${index}`));
+        writeFileSync(path.join(dir, `thermal_zone${index}`, 'type'), `${type}\n`);
+        writeFileSync(path.join(dir, `thermal_zone${index}`, 'temp'), `${milliCelsius}\n`);
+    });
+    return dir;
+}
+
+// Resolves with the first `count` samples, the first taken as soon as telemetry starts
+function takeSamples(hooks, count) {
+    const samples = [];
+    return new Promise((resolve) => {
+        startTelemetry({ getStreamProcesses: () => [], ...hooks }, (sample) => {
+            samples.push({ ...sample, warnings: sample.warnings.filter(warning => warning !== 'cpu') });
+            if (samples.length === count) {
+                resolve(samples);
+            }
+        });
+    });
+}
+
+async function firstSample(hooks) {
+    return (await takeSamples(hooks, 1))[0];
+}
+
+afterEach(() => {
+    stopTelemetry();
+});
+
+after(() => {
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('without vcgencmd or a thermal sysfs, temperature and throttling are null', async () => {
+    let vcgencmdCalls = 0;
+    const runVcgencmd = () => {
+        vcgencmdCalls++;
+        return Promise.reject(Object.assign(new Error('spawn vcgencmd ENOENT'), { code: 'ENOENT' }));
+    };
+
+    const samples = await takeSamples({ runVcgencmd, thermalDir: path.join(dataDir, 'missing') }, 2);
+    for (const sample of samples) {
+        assert.equal(sample.temperatureC, null);
+        assert.equal(sample.throttling, null);
+        assert.deepEqual(sample.warnings, []);
+        assert.equal(typeof sample.memory.usedPercent, 'number');
+        assert.equal(sample.disk.path, dataDir);
+    }
+    // A missing vcgencmd is not asked again
+    assert.equal(vcgencmdCalls, 1);
+});
+
+test('reads the SoC zone and decodes the throttling flags', async () => {
+    const thermalDir = fakeThermalDir([['nvme', 80000], ['cpu-thermal', 71234]]);
+    const sample = await firstSample({ runVcgencmd: async () => 'throttled=0x50005\n', thermalDir });
+
+    assert.equal(sample.temperatureC, 71.2);
+    assert.deepEqual(sample.throttling, {
+        now: ['undervoltage', 'throttled'],
+        sinceBoot: ['undervoltage', 'throttled'],
+        raw: '0x50005'
+    });
+    assert.deepEqual(sample.warnings, ['temperature', 'throttled', 'undervoltage']);
+});
+
+test('falls back to the hottest zone and only warns about current conditions', async () => {
+    const thermalDir = fakeThermalDir([['acpitz', 45000], ['nvme', 52500]]);
+    // Undervoltage earlier since boot, nothing right now
+    const sample = await firstSample({ runVcgencmd: async () => 'throttled=0x10000', thermalDir });
+
+    assert.equal(sample.temperatureC, 52.5);
+    assert.deepEqual(sample.throttling, { now: [], sinceBoot: ['undervoltage'], raw: '0x10000' });
+    assert.deepEqual(sample.warnings, []);
+});
+
+test('memory and disk warnings follow the configured thresholds', async () => {
+    updateConfig({ system: { warnMemoryPercent: 0, warnDiskFreePercent: 100 } });
+    try {
+        const sample = await firstSample({ runVcgencmd: async () => 'throttled=0x0', thermalDir: fakeThermalDir([['cpu', 40000]]) });
+        assert.deepEqual(sample.warnings, ['memory', 'disk']);
+        assert.deepEqual(getTelemetry().thresholds, { temperatureC: 70, cpuPercent: 100, memoryPercent: 0, diskFreePercent: 100 });
+        assert.equal(getTelemetry().latest.timestamp, sample.timestamp);
+    } finally {
+        updateConfig({ system: { warnMemoryPercent: 100, warnDiskFreePercent: 0 } });
+    }
+});
@@ -0,0 +1,59 @@
+import { test, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, readdirSync, readFileSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { performance } from 'perf_hooks';
+
+// The data directory and config file are read at import time. Days follow
+// the local clock, so the tests run in a zone with daylight saving time.
+const dataDir = mkdtempSync(path.join(os.tmpdir(), 'vertiplant-timelapse-'));
+process.env.VERTIPLANT_DATA_DIR = dataDir;
+process.env.VERTIPLANT_CONFIG_FILE = path.join(dataDir, 'vertiplant.config.json');
+process.env.TZ = 'Europe/Berlin';
+writeFileSync(process.env.VERTIPLANT_CONFIG_FILE, JSON.stringify({ timelapse: { sampleIntervalSeconds: 3600 } }));
+
+const { startTimelapses, stopTimelapses, getTimelapseUsage, TIMELAPSE_DIR } = await import('../lib/timelapse.js');
+const { closeDatabase } = await import('../lib/database.js');
+
+after(() => {
+    stopTimelapses();
+    closeDatabase();
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+// Timers and Date are mocked, so wait on real time and I/O instead
+async function waitFor(condition, timeoutMs = 5000) {
+    const deadline = performance.now() + timeoutMs;
+    while (!condition()) {
+        if (performance.now() > deadline) {
+            throw new Error('Timed out waiting for a time-lapse sample');
+        }
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+test('samples keep their order and both survive the hour the clocks go back', async () => {
+    // 01:30 CEST on the night summer time ends; 02:30 happens twice
+    mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: Date.UTC(2024, 9, 26, 23, 30) });
+    try {
+        const frames = ['02:30 CEST', '02:30 CET', '03:30 CET'];
+        let taken = 0;
+        await startTimelapses({ getCameras: () => [{ id: 1 }], fetchFrame: async () => Buffer.from(frames[taken++]) });
+
+        const dayDir = path.join(TIMELAPSE_DIR, 'frames', 'camera-1', '2024-10-27');
+        for (let sample = 1; sample <= frames.length; sample++) {
+            mock.timers.tick(3600 * 1000);
+            // Counted once the file is written and the next sample may start
+            const bytes = frames.slice(0, sample).join('').length;
+            await waitFor(() => getTimelapseUsage().sampleBytes === bytes);
+        }
+
+        const files = readdirSync(dayDir).sort();
+        assert.deepEqual(files, ['20241027T003000Z.jpg', '20241027T013000Z.jpg', '20241027T023000Z.jpg']);
+        assert.deepEqual(files.map(file => readFileSync(path.join(dayDir, file), 'utf8')), frames);
+    } finally {
+        stopTimelapses();
+        mock.timers.reset();
+    }
+});
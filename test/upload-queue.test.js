@@ -0,0 +1,142 @@
+import { test, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+// The data directory and config file are read at import time
+const dataDir = mkdtempSync(path.join(os.tmpdir(), 'vertiplant-upload-queue-'));
+process.env.VERTIPLANT_DATA_DIR = dataDir;
+process.env.VERTIPLANT_CONFIG_FILE = path.join(dataDir, 'vertiplant.config.json');
+
+const { closeDatabase } = await import('../lib/database.js');
+const { createRemotePredictor } = await import('../lib/predictors/remote-http.js');
+let queue = await import('../lib/upload-queue.js');
+
+// Stands in for the prediction API: answers 503 while `failuresLeft` lasts and
+// records which frame each request carried
+const api = { failuresLeft: 0, received: [] };
+const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const frame = Buffer.concat(chunks).toString('latin1').match(/frame-\d+/)?.[0];
+        const failed = api.failuresLeft > 0;
+        api.received.push({ frame, failed });
+        if (failed) {
+            api.failuresLeft--;
+            res.writeHead(503).end();
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ label: 'healthy', confidence: 0.9 }));
+    });
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+const predictor = createRemotePredictor({ baseUrl: `http://127.0.0.1:${server.address().port}` });
+const uploadFrame = item => predictor.predict(item.image, item.model);
+
+function enqueueFrame(number) {
+    queue.enqueueUpload({
+        cameraId: 1,
+        model: 'leaf-spot',
+        capturedAt: new Date(Date.UTC(2024, 0, 1, 0, 0, number)).toISOString(),
+        image: Buffer.from(`frame-${number}`),
+        error: 'API unreachable'
+    });
+}
+
+// Timers are mocked, so wait on I/O turns instead
+async function waitFor(condition) {
+    for (let turn = 0; turn < 10000; turn++) {
+        if (condition()) {
+            return;
+        }
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    throw new Error('Timed out waiting for the upload queue');
+}
+
+function secondsUntilNextAttempt() {
+    return Math.round((new Date(queue.getUploadQueueStats().nextAttemptAt).getTime() - Date.now()) / 1000);
+}
+
+after(() => {
+    queue.stopUploadQueue();
+    closeDatabase();
+    server.close();
+    rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('replays oldest-first, backing off while the API is down', async () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    try {
+        queue.startUploadQueue(uploadFrame);
+        mock.timers.tick(0);
+
+        // Frames are queued after a live upload failed, which counts as the first failure
+        api.failuresLeft = 3;
+        for (let number = 1; number <= 3; number++) {
+            enqueueFrame(number);
+        }
+        const delays = [secondsUntilNextAttempt() * 1000];
+        for (let attempt = 1; attempt <= 3; attempt++) {
+            mock.timers.tick(delays.at(-1));
+            await waitFor(() => api.received.length === attempt && queue.getUploadQueueStats().nextAttemptAt !== null);
+            delays.push(secondsUntilNextAttempt() * 1000);
+        }
+        assert.deepEqual(delays, [5000, 10000, 20000, 40000]);
+        assert.equal(queue.getUploadQueueStats().consecutiveFailures, 4);
+        assert.equal(queue.getUploadQueueStats().lastError, 'HTTP error! status: 503');
+
+        mock.timers.tick(delays.at(-1));
+        await waitFor(() => queue.getUploadQueueStats().depth === 0);
+
+        // The head is retried until it goes through; nothing overtakes it
+        assert.deepEqual(api.received, [
+            { frame: 'frame-1', failed: true },
+            { frame: 'frame-1', failed: true },
+            { frame: 'frame-1', failed: true },
+            { frame: 'frame-1', failed: false },
+            { frame: 'frame-2', failed: false },
+            { frame: 'frame-3', failed: false }
+        ]);
+        const stats = queue.getUploadQueueStats();
+        assert.equal(stats.consecutiveFailures, 0);
+        assert.equal(stats.lastError, null);
+        assert.equal(stats.oldestPendingAt, null);
+    } finally {
+        queue.stopUploadQueue();
+        mock.timers.reset();
+    }
+});
+
+test('queued frames survive a restart', async () => {
+    api.received = [];
+    enqueueFrame(4);
+    enqueueFrame(5);
+    assert.equal(queue.getUploadQueueStats().depth, 2);
+
+    // A fresh module instance on a reopened database, as after a process restart
+    closeDatabase();
+    queue = await import('../lib/upload-queue.js?restart');
+    assert.equal(queue.getUploadQueueStats().depth, 2);
+    assert.equal(queue.getUploadQueueStats().oldestPendingAt, '2024-01-01T00:00:04.000Z');
+
+    queue.startUploadQueue(uploadFrame);
+    await waitFor(() => queue.getUploadQueueStats().depth === 0);
+    queue.stopUploadQueue();
+    assert.deepEqual(api.received.map(request => request.frame), ['frame-4', 'frame-5']);
+});
+
+test('drops the oldest frames beyond 2000', () => {
+    for (let number = 1; number <= 2005; number++) {
+        enqueueFrame(number);
+    }
+
+    const stats = queue.getUploadQueueStats();
+    assert.equal(stats.depth, 2000);
+    assert.equal(stats.oldestPendingAt, new Date(Date.UTC(2024, 0, 1, 0, 0, 6)).toISOString());
+});
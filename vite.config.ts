@@ -1,7 +1,14 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { loadConfig } from './lib/config.js'
+
+const config = loadConfig()
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  define: {
+    // Where the dashboard finds server.js, from vertiplant.config.json or VERTIPLANT_API_BASE
+    'import.meta.env.VITE_API_BASE': JSON.stringify(config.frontend.apiBase ?? `http://localhost:${config.server.port}`),
+  },
 })